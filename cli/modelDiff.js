@@ -0,0 +1,656 @@
+/**
+ * Model Diff Module
+ * Compares two dependency graphs (before/after snapshots of a PBIP project) and
+ * builds a consolidated impact report, e.g. for posting as a pull-request comment.
+ * Expects the src/ parser classes to be available as globals (see pbip-impact.js).
+ */
+
+class ModelDiff {
+    /**
+     * Compare two analyzed snapshots
+     * @param {DependencyAnalyzer} beforeAnalyzer - Graph built from the "before" snapshot
+     * @param {DependencyAnalyzer} afterAnalyzer - Graph built from the "after" snapshot
+     * @returns {Object} { added, removed, changed, relationships } where added/removed/changed
+     *   are arrays of { nodeId, type, label } and relationships is { added, removed, changed }
+     */
+    static compare(beforeAnalyzer, afterAnalyzer) {
+        const beforeNodes = beforeAnalyzer.dependencyGraph.nodes;
+        const afterNodes = afterAnalyzer.dependencyGraph.nodes;
+
+        const diff = {
+            added: [],
+            removed: [],
+            changed: [],
+            relationships: ModelDiff.compareRelationships(beforeAnalyzer.relationships, afterAnalyzer.relationships)
+        };
+
+        for (const [nodeId, node] of Object.entries(beforeNodes)) {
+            // Relationships are compared by their columns in compareRelationships()
+            if (node.type === 'relationship') continue;
+
+            const afterNode = afterNodes[nodeId];
+            if (!afterNode) {
+                diff.removed.push({ nodeId, type: node.type, label: ModelDiff.describeNode(nodeId, node) });
+            } else if (ModelDiff._signature(node) !== ModelDiff._signature(afterNode)) {
+                diff.changed.push({
+                    nodeId,
+                    type: node.type,
+                    label: ModelDiff.describeNode(nodeId, afterNode),
+                    changedFields: ModelDiff._changedFields(node, afterNode),
+                    beforeDAX: node.dax || null,
+                    afterDAX: afterNode.dax || null
+                });
+            }
+        }
+
+        for (const [nodeId, node] of Object.entries(afterNodes)) {
+            if (node.type === 'relationship') continue;
+            if (!beforeNodes[nodeId]) {
+                diff.added.push({ nodeId, type: node.type, label: ModelDiff.describeNode(nodeId, node) });
+            }
+        }
+
+        console.log(`Model diff: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+        return diff;
+    }
+
+    /**
+     * Compare relationships by their from/to columns (relationship names are often regenerated GUIDs)
+     * @param {Array<Object>} beforeRelationships
+     * @param {Array<Object>} afterRelationships
+     * @returns {Object} { added, removed, changed }
+     */
+    static compareRelationships(beforeRelationships = [], afterRelationships = []) {
+        const keyOf = rel => `${rel.fromTable}.${rel.fromColumn} -> ${rel.toTable}.${rel.toColumn}`;
+        const propertiesOf = rel => JSON.stringify([
+            rel.isActive, rel.fromCardinality, rel.toCardinality, rel.crossFilteringBehavior
+        ]);
+
+        const beforeByKey = new Map(beforeRelationships.map(rel => [keyOf(rel), rel]));
+        const afterByKey = new Map(afterRelationships.map(rel => [keyOf(rel), rel]));
+        const result = { added: [], removed: [], changed: [] };
+
+        for (const [key, rel] of beforeByKey) {
+            const afterRel = afterByKey.get(key);
+            if (!afterRel) {
+                result.removed.push({ key, name: rel.name, ...ModelDiff._relationshipSummary(rel) });
+            } else if (propertiesOf(rel) !== propertiesOf(afterRel)) {
+                result.changed.push({
+                    key,
+                    name: afterRel.name,
+                    before: ModelDiff._relationshipSummary(rel),
+                    after: ModelDiff._relationshipSummary(afterRel)
+                });
+            }
+        }
+
+        for (const [key, rel] of afterByKey) {
+            if (!beforeByKey.has(key)) {
+                result.added.push({ key, name: rel.name, ...ModelDiff._relationshipSummary(rel) });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Run impact analysis for every removed and changed node
+     * Removed nodes are analyzed with analyzeDelete() on the "before" graph; dependents that
+     * still reference the object in the "after" snapshot are reported as unresolved breaks.
+     * Changed nodes are analyzed with findAllDownstream() on the "after" graph.
+     * @param {Object} diff - Result of compare()
+     * @param {DependencyAnalyzer} beforeAnalyzer
+     * @param {DependencyAnalyzer} afterAnalyzer
+     * @returns {Object} Report with diff, removedImpact, changedImpact, newOrphans and summary
+     */
+    static buildImpactReport(diff, beforeAnalyzer, afterAnalyzer) {
+        const removedImpact = [];
+        const changedImpact = [];
+
+        for (const item of diff.removed) {
+            const deleteResult = beforeAnalyzer.analyzeDelete(item.nodeId);
+            const removedNode = beforeAnalyzer.dependencyGraph.nodes[item.nodeId];
+
+            // Relationships, hierarchy levels, sortByColumn, perspectives and translations stop the model
+            // from loading when they still name the removed object, so they count as breaks too
+            const relationshipDependents = deleteResult.directBreaks.relationships.map(rel => ({
+                ...beforeAnalyzer.dependencyGraph.nodes[`Relationship.${rel.name}`],
+                nodeId: `Relationship.${rel.name}`
+            }));
+            const propertyDependents = deleteResult.directBreaks.columnProperties.map(property => ({
+                ...beforeAnalyzer.dependencyGraph.nodes[property.nodeId],
+                nodeId: property.nodeId
+            }));
+            const dependents = [
+                ...deleteResult.directBreaks.measures,
+                ...deleteResult.directBreaks.reportMeasures,
+                ...deleteResult.directBreaks.columns,
+                ...deleteResult.directBreaks.tables,
+                ...deleteResult.directBreaks.visuals,
+                ...deleteResult.directBreaks.tablePermissions,
+                ...deleteResult.directBreaks.hierarchies,
+                ...deleteResult.directBreaks.levels,
+                ...deleteResult.directBreaks.perspectives,
+                ...relationshipDependents,
+                ...propertyDependents,
+                ...beforeAnalyzer.findCulturesReferencing(item.nodeId)
+            ];
+            const seen = new Set();
+            const unresolved = dependents
+                .filter(dep => !seen.has(dep.nodeId) && seen.add(dep.nodeId))
+                .filter(dep => ModelDiff._stillReferences(afterAnalyzer, dep.nodeId, removedNode))
+                .map(dep => ({ nodeId: dep.nodeId, type: dep.type, label: ModelDiff.describeNode(dep.nodeId, dep) }));
+
+            removedImpact.push({
+                ...item,
+                riskLevel: deleteResult.riskLevel,
+                totalBreaks: deleteResult.totalBreaks,
+                securityMessage: deleteResult.securityMessage || null,
+                filterMessage: deleteResult.filterMessage || null,
+                directBreaks: ModelDiff._labelGroups(deleteResult.directBreaks),
+                cascadeBreaks: ModelDiff._labelGroups(deleteResult.cascadeBreaks),
+                unresolved
+            });
+        }
+
+        // Measures that still call USERELATIONSHIP/CROSSFILTER on a removed relationship
+        const relationshipImpact = [];
+        const afterGraph = afterAnalyzer.relationshipGraph || new RelationshipGraph(afterAnalyzer.relationships);
+        for (const rel of diff.relationships.removed) {
+            const relationshipNode = beforeAnalyzer.dependencyGraph.nodes[`Relationship.${rel.name}`];
+            if (!relationshipNode || relationshipNode.usedBy.length === 0) continue;
+
+            const unresolved = relationshipNode.usedBy
+                .filter(usage => {
+                    const afterNode = afterAnalyzer.dependencyGraph.nodes[usage.ref];
+                    if (!afterNode || !afterNode.dax) return false;
+                    return DAXParser.extractRelationshipFunctionCalls(afterNode.dax).some(call =>
+                        !afterGraph.findRelationship(call.columns[0], call.columns[1]) &&
+                        ModelDiff._callNamesRelationship(call, rel));
+                })
+                .map(usage => ({
+                    nodeId: usage.ref,
+                    type: usage.type,
+                    label: ModelDiff.describeNode(usage.ref, afterAnalyzer.dependencyGraph.nodes[usage.ref])
+                }));
+
+            relationshipImpact.push({
+                key: rel.key,
+                usedBy: relationshipNode.usedBy.map(usage => ({ nodeId: usage.ref, type: usage.type, function: usage.function })),
+                unresolved
+            });
+        }
+
+        for (const item of diff.changed) {
+            const downstream = afterAnalyzer.findAllDownstream(item.nodeId);
+            changedImpact.push({
+                ...item,
+                downstream: ModelDiff._labelGroups(downstream)
+            });
+        }
+
+        // Broken references that exist only in the "after" snapshot
+        const orphanKey = o => `${o.nodeId}|${o.referencedName || ''}|${o.referencedTable || ''}|${o.referencedColumn || ''}`;
+        const beforeOrphans = new Set(beforeAnalyzer.orphanedReferences.map(orphanKey));
+        const newOrphans = afterAnalyzer.orphanedReferences.filter(o => !beforeOrphans.has(orphanKey(o)));
+
+        const unresolvedCount = [...removedImpact, ...relationshipImpact].reduce((sum, item) => sum + item.unresolved.length, 0);
+        const affectedVisuals = new Set();
+        const affectedMeasures = new Set();
+        for (const item of [...removedImpact, ...changedImpact]) {
+            const groups = item.downstream || ModelDiff._mergeGroups(item.directBreaks, item.cascadeBreaks);
+            (groups.visuals || []).forEach(v => affectedVisuals.add(v.nodeId));
+            (groups.measures || []).forEach(m => affectedMeasures.add(m.nodeId));
+        }
+
+        return {
+            diff,
+            removedImpact,
+            changedImpact,
+            relationshipImpact,
+            newOrphans,
+            summary: {
+                added: diff.added.length,
+                removed: diff.removed.length,
+                changed: diff.changed.length,
+                relationshipChanges: diff.relationships.added.length + diff.relationships.removed.length +
+                    diff.relationships.changed.length,
+                affectedMeasures: affectedMeasures.size,
+                affectedVisuals: affectedVisuals.size,
+                unresolvedBreaks: unresolvedCount,
+                newOrphans: newOrphans.length,
+                hasBreaks: unresolvedCount > 0 || newOrphans.length > 0
+            }
+        };
+    }
+
+    /**
+     * Render an impact report as Markdown (suitable for a pull-request comment)
+     * @param {Object} report - Result of buildImpactReport()
+     * @param {Object} labels - Optional { before, after } snapshot names
+     * @returns {string} Markdown
+     */
+    static toMarkdown(report, labels = {}) {
+        const lines = [];
+        const { diff, summary } = report;
+
+        lines.push('## PBIP Impact Report');
+        lines.push('');
+        if (labels.before || labels.after) {
+            lines.push(`Comparing \`${labels.before || 'before'}\` → \`${labels.after || 'after'}\``);
+            lines.push('');
+        }
+
+        if (summary.hasBreaks) {
+            lines.push(`> **${summary.unresolvedBreaks} unresolved break(s)** and **${summary.newOrphans} new broken reference(s)** found.`);
+        } else {
+            lines.push('> No unresolved breaks found.');
+        }
+        lines.push('');
+
+        // Summary table by object type
+        const types = new Set([...diff.added, ...diff.removed, ...diff.changed].map(item => item.type));
+        if (types.size > 0 || summary.relationshipChanges > 0) {
+            lines.push('| Object type | Added | Removed | Changed |');
+            lines.push('|---|---:|---:|---:|');
+            for (const type of Array.from(types).sort()) {
+                const count = list => list.filter(item => item.type === type).length;
+                lines.push(`| ${ModelDiff._typeLabel(type)} | ${count(diff.added)} | ${count(diff.removed)} | ${count(diff.changed)} |`);
+            }
+            if (summary.relationshipChanges > 0) {
+                lines.push(`| Relationships | ${diff.relationships.added.length} | ${diff.relationships.removed.length} | ${diff.relationships.changed.length} |`);
+            }
+            lines.push('');
+            lines.push(`Downstream impact: **${summary.affectedMeasures}** measure(s), **${summary.affectedVisuals}** visual(s).`);
+            lines.push('');
+        } else {
+            lines.push('No model or report changes detected.');
+            lines.push('');
+        }
+
+        if (report.removedImpact.length > 0) {
+            lines.push('### Removed');
+            lines.push('');
+            for (const item of report.removedImpact) {
+                lines.push(`#### ${item.label} (${item.type}) — risk: **${item.riskLevel}**, ${item.totalBreaks} break(s)`);
+                if (item.securityMessage) {
+                    lines.push('');
+                    lines.push(`:warning: ${item.securityMessage}`);
+                }
+                if (item.filterMessage) {
+                    lines.push('');
+                    lines.push(`:warning: ${item.filterMessage}`);
+                }
+                if (item.unresolved.length > 0) {
+                    lines.push('');
+                    lines.push('Still referenced in the new version:');
+                    item.unresolved.forEach(dep => lines.push(`- ${dep.label}`));
+                }
+                ModelDiff._appendGroups(lines, 'Direct', item.directBreaks);
+                ModelDiff._appendGroups(lines, 'Cascade', item.cascadeBreaks);
+                lines.push('');
+            }
+        }
+
+        if (report.changedImpact.length > 0) {
+            lines.push('### Changed');
+            lines.push('');
+            for (const item of report.changedImpact) {
+                const fields = item.changedFields.length > 0 ? ` — ${item.changedFields.join(', ')}` : '';
+                lines.push(`#### ${item.label} (${item.type})${fields}`);
+                ModelDiff._appendGroups(lines, 'Affects', item.downstream);
+                if (item.beforeDAX !== item.afterDAX && (item.beforeDAX || item.afterDAX)) {
+                    lines.push('');
+                    lines.push('<details><summary>DAX before / after</summary>');
+                    lines.push('');
+                    lines.push('```dax');
+                    lines.push(item.beforeDAX || '');
+                    lines.push('```');
+                    lines.push('');
+                    lines.push('```dax');
+                    lines.push(item.afterDAX || '');
+                    lines.push('```');
+                    lines.push('</details>');
+                }
+                lines.push('');
+            }
+        }
+
+        if (diff.added.length > 0) {
+            lines.push('### Added');
+            lines.push('');
+            diff.added.forEach(item => lines.push(`- ${item.label} (${item.type})`));
+            lines.push('');
+        }
+
+        const rels = diff.relationships;
+        if (rels.added.length + rels.removed.length + rels.changed.length > 0) {
+            lines.push('### Relationships');
+            lines.push('');
+            rels.removed.forEach(rel => {
+                lines.push(`- Removed: \`${rel.key}\``);
+                const impact = (report.relationshipImpact || []).find(item => item.key === rel.key);
+                if (impact && impact.unresolved.length > 0) {
+                    lines.push(`  - :warning: Still activated with USERELATIONSHIP/CROSSFILTER in: ${impact.unresolved.map(dep => dep.label).join(', ')}`);
+                }
+            });
+            rels.added.forEach(rel => lines.push(`- Added: \`${rel.key}\`${rel.isActive ? '' : ' (inactive)'}`));
+            rels.changed.forEach(rel => lines.push(`- Changed: \`${rel.key}\` (active: ${rel.before.isActive} → ${rel.after.isActive}, ` +
+                `cross-filter: ${rel.before.crossFilteringBehavior || 'default'} → ${rel.after.crossFilteringBehavior || 'default'})`));
+            lines.push('');
+        }
+
+        if (report.newOrphans.length > 0) {
+            lines.push('### New broken references');
+            lines.push('');
+            for (const orphan of report.newOrphans) {
+                const target = orphan.type === 'measure'
+                    ? `[${orphan.referencedName}]`
+                    : `${orphan.referencedTable}[${orphan.referencedColumn}]`;
+                lines.push(`- [${orphan.inMeasure}] references missing ${orphan.type} ${target}`);
+            }
+            lines.push('');
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Human-readable label for a graph node
+     * @param {string} nodeId
+     * @param {Object} node
+     * @returns {string}
+     */
+    static describeNode(nodeId, node) {
+        if (!node) return nodeId;
+        if (node.type === 'measure') return `[${node.name}]`;
+        if (node.type === 'reportMeasure') return `[${node.name}] (report)`;
+        if (node.type === 'column') return `${node.table}[${node.column}]`;
+        if (node.type === 'table') return `'${node.tableName}'`;
+        if (node.type === 'tablePermission') return `RLS ${node.roleName} › '${node.tableName}'`;
+        if (node.type === 'hierarchy' || node.type === 'level') return `'${node.tableName}' ${node.name}`;
+        if (node.type === 'partition') return `'${node.tableName}' partition ${node.name}`;
+        if (node.type === 'expression') return `${node.isParameter ? 'Parameter' : 'Query'} ${node.name}`;
+        if (node.type === 'perspective') return `Perspective "${node.name}"`;
+        if (node.type === 'culture') return `Culture ${node.name}`;
+        if (node.type === 'function') return `${node.name}()`;
+        if (node.type === 'relationship') return `Relationship ${node.name}`;
+        // Report-side nodes are prefixed with their report when several reports are loaded
+        const reportPrefix = node.reportName ? `${node.reportName} › ` : '';
+        if (node.type === 'page') return `${reportPrefix}Page filters on ${node.name}`;
+        if (node.type === 'report') return `${reportPrefix}Report-level filters`;
+        if (node.type === 'bookmark') return `${reportPrefix}Bookmark "${node.name}"`;
+        if (node.type === 'visual') {
+            const visualName = node.visualName || node.visualId;
+            return `${reportPrefix}${node.pageName || node.pageId} › ${node.visualType} "${visualName}"`;
+        }
+        return node.name ? `${node.name}` : nodeId;
+    }
+
+    /**
+     * Stable signature of a node's own definition (ignores usedBy, which changes with its dependents)
+     * @private
+     */
+    static _signature(node) {
+        const { dependencies, usedBy, ...fields } = node;
+        const normalized = {};
+        for (const key of Object.keys(fields).sort()) {
+            const value = fields[key];
+            normalized[key] = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : value;
+        }
+        // The partition that loads a table/column is lineage, not part of the object's definition;
+        // relationship IDs are often regenerated GUIDs
+        normalized.dependencyRefs = (dependencies || [])
+            .filter(dep => dep.type !== 'partition' && dep.type !== 'relationship')
+            .map(dep => dep.ref)
+            .sort();
+        return JSON.stringify(normalized);
+    }
+
+    /**
+     * List the fields that differ between two versions of a node
+     * @private
+     */
+    static _changedFields(beforeNode, afterNode) {
+        const before = JSON.parse(ModelDiff._signature(beforeNode));
+        const after = JSON.parse(ModelDiff._signature(afterNode));
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return Array.from(keys)
+            .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+            .map(key => key === 'dependencyRefs' ? 'dependencies' : key);
+    }
+
+    /**
+     * Whether a dependent in the "after" snapshot still references a removed object
+     * @private
+     */
+    static _stillReferences(afterAnalyzer, dependentId, removedNode) {
+        const afterNode = afterAnalyzer.dependencyGraph.nodes[dependentId];
+        if (!afterNode || !removedNode) return false;
+
+        const sameName = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+        const namesColumn = (table, column) => removedNode.type === 'column' &&
+            sameName(table, removedNode.table) && sameName(column, removedNode.column);
+        const namesTable = table => removedNode.type === 'table' && sameName(table, removedNode.tableName);
+
+        // Relationships, hierarchy levels, perspectives and translations name objects directly
+        if (afterNode.type === 'relationship') {
+            return namesColumn(afterNode.fromTable, afterNode.fromColumn) || namesColumn(afterNode.toTable, afterNode.toColumn) ||
+                namesTable(afterNode.fromTable) || namesTable(afterNode.toTable);
+        }
+        if (afterNode.type === 'level') {
+            return namesColumn(afterNode.tableName, afterNode.column);
+        }
+        if (afterNode.type === 'hierarchy') {
+            return afterNode.dependencies
+                .filter(dep => dep.type === 'level')
+                .some(dep => ModelDiff._stillReferences(afterAnalyzer, dep.ref, removedNode));
+        }
+        if (afterNode.type === 'perspective') {
+            const perspective = afterAnalyzer.perspectives.find(p => p.perspectiveName === afterNode.perspectiveName);
+            return Boolean(perspective) && perspective.tables.some(table =>
+                namesTable(table.tableName) ||
+                table.columns.some(column => namesColumn(table.tableName, column)) ||
+                (removedNode.type === 'measure' && table.measures.some(name => sameName(name, removedNode.name))) ||
+                (removedNode.type === 'hierarchy' && sameName(table.tableName, removedNode.tableName) &&
+                    table.hierarchies.some(name => sameName(name, removedNode.name))));
+        }
+        if (afterNode.type === 'culture') {
+            const culture = afterAnalyzer.cultures.find(c => c.cultureName === afterNode.cultureName);
+            if (!culture) return false;
+            const namesObject = (objectType, table, name) =>
+                (objectType === 'table' && namesTable(name)) ||
+                (objectType === 'column' && namesColumn(table, name)) ||
+                (objectType === 'measure' && removedNode.type === 'measure' && sameName(name, removedNode.name)) ||
+                (objectType === 'hierarchy' && removedNode.type === 'hierarchy' &&
+                    sameName(table, removedNode.tableName) && sameName(name, removedNode.name));
+            return culture.translations.some(t => namesObject(t.objectType, t.tableName, t.name)) ||
+                culture.linguisticBindings.some(binding => binding.property
+                    ? namesColumn(binding.table, binding.property) ||
+                        (removedNode.type === 'measure' && sameName(binding.property, removedNode.name))
+                    : namesTable(binding.table));
+        }
+
+        // Columns reference other columns through sortByColumn, groupByColumn and variations
+        if (afterNode.type === 'column' && removedNode.type === 'column') {
+            const linkedColumns = [afterNode.sortByColumn, ...(afterNode.groupByColumns || [])]
+                .filter(Boolean)
+                .map(column => ({ table: afterNode.table, column }));
+            (afterNode.variations || []).forEach(v => v.defaultColumn && linkedColumns.push(v.defaultColumn));
+            if (linkedColumns.some(ref => sameName(ref.table, removedNode.table) && sameName(ref.column, removedNode.column))) {
+                return true;
+            }
+        }
+
+        // Measures, report measures, functions, calculated columns/tables and RLS filters reference objects from DAX
+        if (afterNode.type === 'measure' || afterNode.type === 'reportMeasure' || afterNode.type === 'tablePermission' ||
+            afterNode.type === 'function' || afterNode.isCalculated || afterNode.isCalculatedTable) {
+            const refs = DAXParser.extractReferences(afterNode.dax || '');
+            if (removedNode.type === 'function') {
+                return refs.functions.some(name => sameName(name, removedNode.name));
+            }
+            if (removedNode.type === 'measure') {
+                return refs.measureRefs.some(name => sameName(name, removedNode.name)) ||
+                    refs.columnRefs.some(ref => sameName(ref.column, removedNode.name));
+            }
+            if (removedNode.type === 'column') {
+                return refs.columnRefs.some(ref => sameName(ref.table, removedNode.table) && sameName(ref.column, removedNode.column)) ||
+                    refs.measureRefs.some(name => sameName(name, removedNode.column));
+            }
+            if (removedNode.type === 'table') {
+                return refs.tableRefs.some(name => sameName(name, removedNode.tableName)) ||
+                    refs.columnRefs.some(ref => sameName(ref.table, removedNode.tableName));
+            }
+        }
+
+        if (afterNode.type === 'visual') {
+            const visual = afterAnalyzer.visuals.find(v => afterAnalyzer.constructor.getVisualNodeId(v) === dependentId);
+            if (!visual) return false;
+            return visual.fields.some(field => {
+                if (removedNode.type === 'measure') return field.type === 'measure' && field.name === removedNode.name;
+                if (removedNode.type === 'column') return field.type === 'column' && field.table === removedNode.table && field.column === removedNode.column;
+                if (removedNode.type === 'table') return field.table === removedNode.tableName || field.entity === removedNode.tableName;
+                return false;
+            });
+        }
+
+        // Other dependent types: conservatively assume the reference is still there
+        return true;
+    }
+
+    /**
+     * Whether a USERELATIONSHIP/CROSSFILTER call names the columns of a relationship (in either order)
+     * @private
+     */
+    static _callNamesRelationship(call, rel) {
+        const sameName = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+        const matches = (first, second) =>
+            sameName(first.table, rel.fromTable) && sameName(first.column, rel.fromColumn) &&
+            sameName(second.table, rel.toTable) && sameName(second.column, rel.toColumn);
+        return matches(call.columns[0], call.columns[1]) || matches(call.columns[1], call.columns[0]);
+    }
+
+    /**
+     * Reduce grouped analyzer results to { group: [{ nodeId, type, label, depth }] }
+     * @private
+     */
+    static _labelGroups(groups) {
+        const labeled = {};
+        for (const [key, items] of Object.entries(groups || {})) {
+            if (!Array.isArray(items) || items.length === 0) continue;
+            labeled[key] = items.map(item => item.nodeId
+                ? { nodeId: item.nodeId, type: item.type, label: ModelDiff.describeNode(item.nodeId, item), depth: item.depth }
+                : { type: 'relationship', label: `${item.fromTable}[${item.fromColumn}] → ${item.toTable}[${item.toColumn}]` });
+        }
+        return labeled;
+    }
+
+    /**
+     * Merge two labeled groups objects
+     * @private
+     */
+    static _mergeGroups(a = {}, b = {}) {
+        const merged = {};
+        for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+            merged[key] = [...(a[key] || []), ...(b[key] || [])];
+        }
+        return merged;
+    }
+
+    /**
+     * Append labeled groups as Markdown bullet lines
+     * @private
+     */
+    static _appendGroups(lines, heading, groups) {
+        const entries = Object.entries(groups || {}).filter(([, items]) => items.length > 0);
+        if (entries.length === 0) return;
+
+        lines.push('');
+        for (const [key, items] of entries) {
+            const shown = items.slice(0, 20).map(item => item.label).join(', ');
+            const more = items.length > 20 ? `, … (+${items.length - 20} more)` : '';
+            lines.push(`- ${heading} ${ModelDiff._groupLabel(key)} (${items.length}): ${shown}${more}`);
+        }
+    }
+
+    /**
+     * Display label for an impact group key, matching the sections of the browser UI
+     * @private
+     */
+    static _groupLabel(key) {
+        const labels = {
+            measures: 'Measures',
+            columns: 'Columns',
+            tables: 'Tables',
+            visuals: 'Visuals',
+            calculationItems: 'Calculation items',
+            calculationGroups: 'Calculation groups',
+            fieldParameters: 'Field parameters',
+            roles: 'Security roles',
+            tablePermissions: 'Row-level security',
+            hierarchies: 'Hierarchies',
+            levels: 'Hierarchy levels',
+            partitions: 'Power Query partitions',
+            expressions: 'Power Query queries & parameters',
+            dataSources: 'Data sources',
+            pages: 'Page filters',
+            reports: 'Report filters',
+            bookmarks: 'Bookmarks',
+            reportMeasures: 'Report measures',
+            functions: 'Functions',
+            relationships: 'Relationships',
+            perspectives: 'Perspectives',
+            columnProperties: 'Column properties'
+        };
+        return labels[key] || key;
+    }
+
+    /**
+     * Plural display label for a node type
+     * @private
+     */
+    static _typeLabel(type) {
+        const labels = {
+            measure: 'Measures',
+            column: 'Columns',
+            table: 'Tables',
+            visual: 'Visuals',
+            calculationGroup: 'Calculation groups',
+            calculationItem: 'Calculation items',
+            fieldParameter: 'Field parameters',
+            hierarchy: 'Hierarchies',
+            level: 'Hierarchy levels',
+            partition: 'Partitions',
+            expression: 'Queries & parameters',
+            dataSource: 'Data sources',
+            role: 'Security roles',
+            tablePermission: 'RLS filters',
+            perspective: 'Perspectives',
+            culture: 'Cultures',
+            function: 'Functions',
+            relationship: 'Relationships',
+            page: 'Page filters',
+            report: 'Report filters',
+            bookmark: 'Bookmarks',
+            reportMeasure: 'Report measures'
+        };
+        return labels[type] || `${type}s`;
+    }
+
+    /**
+     * Summary fields of a relationship
+     * @private
+     */
+    static _relationshipSummary(rel) {
+        return {
+            fromTable: rel.fromTable,
+            fromColumn: rel.fromColumn,
+            toTable: rel.toTable,
+            toColumn: rel.toColumn,
+            isActive: rel.isActive,
+            crossFilteringBehavior: rel.crossFilteringBehavior
+        };
+    }
+}
+
+module.exports = ModelDiff;
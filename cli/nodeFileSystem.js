@@ -0,0 +1,147 @@
+/**
+ * Node File System Module
+ * Minimal File System Access API handles backed by Node's fs module, so the
+ * browser FileAccessManager can read (and write) PBIP folders from the CLI.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create an error shaped like the DOMException thrown by the browser API
+ * @param {string} name - e.g. "NotFoundError"
+ * @param {string} message
+ * @returns {Error}
+ */
+function createHandleError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+class NodeFileHandle {
+    /**
+     * @param {string} filePath - Absolute path of the file
+     */
+    constructor(filePath) {
+        this.kind = 'file';
+        this.name = path.basename(filePath);
+        this.path = filePath;
+    }
+
+    /**
+     * Get a File-like object with an async text() method
+     * @returns {Promise<Object>}
+     */
+    async getFile() {
+        const stats = await fs.promises.stat(this.path);
+        const filePath = this.path;
+
+        return {
+            name: this.name,
+            size: stats.size,
+            lastModified: stats.mtimeMs,
+            text: () => fs.promises.readFile(filePath, 'utf8')
+        };
+    }
+
+    /**
+     * Create a writable stream; content is written to disk on close()
+     * @returns {Promise<Object>}
+     */
+    async createWritable() {
+        const filePath = this.path;
+        const chunks = [];
+
+        return {
+            write: async (content) => {
+                chunks.push(typeof content === 'string' ? content : String(content));
+            },
+            close: async () => {
+                await fs.promises.writeFile(filePath, chunks.join(''), 'utf8');
+            }
+        };
+    }
+}
+
+class NodeDirectoryHandle {
+    /**
+     * @param {string} dirPath - Absolute path of the directory
+     */
+    constructor(dirPath) {
+        this.kind = 'directory';
+        this.name = path.basename(dirPath);
+        this.path = dirPath;
+    }
+
+    /**
+     * Iterate over the entries of the directory (sorted by name for stable output)
+     */
+    async *values() {
+        const entries = await fs.promises.readdir(this.path, { withFileTypes: true });
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+            const entryPath = path.join(this.path, entry.name);
+            if (entry.isDirectory()) {
+                yield new NodeDirectoryHandle(entryPath);
+            } else if (entry.isFile()) {
+                yield new NodeFileHandle(entryPath);
+            }
+        }
+    }
+
+    /**
+     * Get a child directory handle
+     * @param {string} name
+     * @param {Object} options - { create: boolean }
+     * @returns {Promise<NodeDirectoryHandle>}
+     */
+    async getDirectoryHandle(name, options = {}) {
+        const dirPath = path.join(this.path, name);
+
+        if (!fs.existsSync(dirPath)) {
+            if (!options.create) {
+                throw createHandleError('NotFoundError', `Directory "${name}" not found in ${this.name}`);
+            }
+            await fs.promises.mkdir(dirPath, { recursive: true });
+        } else if (!fs.statSync(dirPath).isDirectory()) {
+            throw createHandleError('TypeMismatchError', `"${name}" is not a directory`);
+        }
+
+        return new NodeDirectoryHandle(dirPath);
+    }
+
+    /**
+     * Get a child file handle
+     * @param {string} name
+     * @param {Object} options - { create: boolean }
+     * @returns {Promise<NodeFileHandle>}
+     */
+    async getFileHandle(name, options = {}) {
+        const filePath = path.join(this.path, name);
+
+        if (!fs.existsSync(filePath)) {
+            if (!options.create) {
+                throw createHandleError('NotFoundError', `File "${name}" not found in ${this.name}`);
+            }
+            await fs.promises.writeFile(filePath, '', 'utf8');
+        } else if (!fs.statSync(filePath).isFile()) {
+            throw createHandleError('TypeMismatchError', `"${name}" is not a file`);
+        }
+
+        return new NodeFileHandle(filePath);
+    }
+
+    /**
+     * Remove a child file or directory
+     * @param {string} name
+     * @param {Object} options - { recursive: boolean }
+     */
+    async removeEntry(name, options = {}) {
+        const entryPath = path.join(this.path, name);
+        await fs.promises.rm(entryPath, { recursive: !!options.recursive });
+    }
+}
+
+module.exports = { NodeFileHandle, NodeDirectoryHandle };
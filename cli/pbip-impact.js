@@ -0,0 +1,698 @@
+#!/usr/bin/env node
+/**
+ * PBIP Impact CLI
+ * Headless impact analysis for CI pipelines. Reads a PBIP folder from disk and
+ * reuses the browser app's parsers, loader and DependencyAnalyzer.
+ *
+ * Usage: node cli/pbip-impact.js <command> [object] [options]
+ */
+
+const path = require('path');
+
+// The src/ modules are written for the browser and reference each other as globals
+Object.assign(global, require('../src/parsers.js'));
+global.PBIPLoader = require('../src/pbipLoader.js');
+global.RelationshipGraph = require('../src/relationshipGraph.js');
+const FileAccessManager = require('../src/fileAccess.js');
+const DependencyAnalyzer = require('../src/analyzer.js');
+const ModelDiff = require('./modelDiff.js');
+const WorkspaceScanner = require('./workspaceScanner.js');
+const fs = require('fs');
+const { NodeFileHandle, NodeDirectoryHandle } = require('./nodeFileSystem.js');
+
+const EXIT_OK = 0;
+const EXIT_BREAKS = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: pbip-impact <command> [object] [options]
+
+Commands:
+  analyze <object>        Upstream dependencies and downstream dependents of an object
+  delete-check <object>   Direct and cascade breaks if the object is deleted
+  orphans                 References to measures or columns that do not exist
+  cycles                  Circular dependencies
+  relationships           Inactive relationships (and the measures activating them), bidirectional
+                          relationships and ambiguous filter paths
+  paths <from> <to>       Filter propagation paths from one table to another
+  diff <before> <after>   Impact report comparing two PBIP snapshots (e.g. two git worktrees)
+  workspace               Catalog of every semantic model and report below --project (searched recursively)
+  search <object>         Every report below --project that uses the object (--model limits it to one model)
+
+Objects:
+  [Measure Name]  Table[Column]  'Table Name'[Column]  Table  Query/parameter name  Function name
+  Relationship as "Sales[OrderDate] -> Date[Date]"
+  (report-level measures from reportExtensions.json resolve like model measures)
+  or a node ID like "Measure.Total Sales"
+
+Options:
+  -p, --project <dir>     PBIP project folder, .SemanticModel folder or .Report folder (default: current directory);
+                          the workspace root for the workspace and search commands
+  --model <name>          SemanticModel to use when the folder contains several
+  --model-path <path>     Local .SemanticModel folder or model metadata export (model.bim / TMSL .json) to check
+                          live-connected (byConnection) reports against; without it a .Report folder is analyzed
+                          against model objects inferred from its fields
+  --report <name>         Report to include (default: every report connected to the model)
+  --no-report             Analyze the semantic model only
+  --format <fmt>          Output of the diff command: markdown (default) or json
+  --pretty                Indent the JSON output
+  --verbose               Print parser progress to stderr
+  -h, --help              Show this help
+
+Exit codes:
+  0  no breaks found
+  1  breaks, downstream dependents, orphaned references or cycles found
+     (diff: removed objects still referenced or new broken references; search: object used in a report;
+     relationships: ambiguous filter paths; paths: no path between the tables)
+  2  usage or load error`;
+
+/**
+ * Error raised for invalid arguments or unreadable projects (exit code 2)
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { command, positional, options }
+ */
+function parseArgs(argv) {
+    const options = {
+        project: process.cwd(),
+        model: null,
+        modelPath: null,
+        report: null,
+        noReport: false,
+        format: 'markdown',
+        pretty: false,
+        verbose: false,
+        help: false
+    };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-p' || arg === '--project') {
+            options.project = requireValue(argv, ++i, arg);
+        } else if (arg === '--model') {
+            options.model = requireValue(argv, ++i, arg);
+        } else if (arg === '--model-path') {
+            options.modelPath = requireValue(argv, ++i, arg);
+        } else if (arg === '--report') {
+            options.report = requireValue(argv, ++i, arg);
+        } else if (arg === '--format') {
+            options.format = requireValue(argv, ++i, arg);
+            if (!['markdown', 'json'].includes(options.format)) {
+                throw new UsageError(`Unknown format: ${options.format} (use markdown or json)`);
+            }
+        } else if (arg === '--no-report') {
+            options.noReport = true;
+        } else if (arg === '--pretty') {
+            options.pretty = true;
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (arg.startsWith('--') && arg.length > 2) {
+            throw new UsageError(`Unknown option: ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    return {
+        command: positional.shift() || null,
+        positional,
+        options
+    };
+}
+
+/**
+ * Read the value of an option that takes an argument
+ * @private
+ */
+function requireValue(argv, index, optionName) {
+    if (index >= argv.length) {
+        throw new UsageError(`Option ${optionName} requires a value`);
+    }
+    return argv[index];
+}
+
+/**
+ * Match a folder by name with or without its .SemanticModel/.Report suffix
+ * @private
+ */
+function matchesFolderName(folder, name, suffix) {
+    return folder.name === name || folder.name === `${name}${suffix}` || folder.baseName === name;
+}
+
+/**
+ * Locate the semantic model and report folders and load the dependency graph
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Object>} { analyzer, fileAccessManager, parsedData, semanticModelName, modelSource, reportName }
+ *   where reportName lists every loaded report, comma-separated and modelSource is 'tmdl', 'metadata' or 'inferred'
+ */
+async function loadProject(options) {
+    const projectPath = path.resolve(options.project);
+    const fileAccessManager = new FileAccessManager();
+    let rootHandle;
+
+    try {
+        rootHandle = new NodeDirectoryHandle(projectPath);
+        await rootHandle.values().next();
+    } catch (error) {
+        throw new UsageError(`Cannot read project folder "${projectPath}": ${error.message}`);
+    }
+
+    if (options.modelPath) {
+        bindModelPath(fileAccessManager, options.modelPath);
+    }
+
+    if (rootHandle.name.endsWith('.Report')) {
+        // A single report folder: load it standalone (e.g. a thin report connected to a published dataset)
+        fileAccessManager.folderHandle = new NodeDirectoryHandle(path.dirname(projectPath));
+        fileAccessManager.reportHandle = rootHandle;
+        if (!options.modelPath) {
+            const { datasetPath, connection } = await fileAccessManager.readReportDefinition(rootHandle);
+            const resolved = datasetPath ? path.resolve(projectPath, datasetPath) : null;
+            if (resolved && fs.existsSync(resolved)) {
+                fileAccessManager.semanticModelHandle = new NodeDirectoryHandle(resolved);
+            } else {
+                const source = connection?.datasetName ? `published dataset "${connection.datasetName}"` : 'its semantic model';
+                console.warn(`${rootHandle.name} uses ${source}, which is not available locally; ` +
+                    'model objects are inferred from report fields (bind a model with --model-path)');
+            }
+        }
+        return buildProject(fileAccessManager);
+    }
+
+    if (rootHandle.name.endsWith('.SemanticModel')) {
+        if (options.modelPath) {
+            throw new UsageError('--model-path cannot be combined with a .SemanticModel project folder');
+        }
+        // A .SemanticModel folder was given directly; reports live next to it
+        fileAccessManager.semanticModelHandle = rootHandle;
+        fileAccessManager.folderHandle = new NodeDirectoryHandle(path.dirname(projectPath));
+    } else if (!options.modelPath) {
+        fileAccessManager.folderHandle = rootHandle;
+        const analysis = await fileAccessManager.analyzeFolder(rootHandle);
+
+        if (analysis.semanticModels.length === 0) {
+            throw new UsageError(`No .SemanticModel folders found in "${projectPath}" ` +
+                '(use --model-path for reports connected to a published dataset, or pass a .Report folder)');
+        }
+
+        let semanticModel = null;
+        if (options.model) {
+            semanticModel = analysis.semanticModels.find(m => matchesFolderName(m, options.model, '.SemanticModel'));
+            if (!semanticModel) {
+                throw new UsageError(`SemanticModel "${options.model}" not found. Available: ${analysis.semanticModels.map(m => m.name).join(', ')}`);
+            }
+        } else if (analysis.semanticModels.length === 1) {
+            semanticModel = analysis.semanticModels[0];
+        } else {
+            throw new UsageError(`Multiple SemanticModels found, choose one with --model: ${analysis.semanticModels.map(m => m.name).join(', ')}`);
+        }
+
+        fileAccessManager.semanticModelHandle = semanticModel.handle;
+    } else {
+        fileAccessManager.folderHandle = rootHandle;
+    }
+
+    if (!options.noReport) {
+        if (options.report) {
+            const analysis = await fileAccessManager.analyzeFolder(fileAccessManager.folderHandle);
+            const report = analysis.reports.find(r => matchesFolderName(r, options.report, '.Report'));
+            if (!report) {
+                throw new UsageError(`Report "${options.report}" not found. Available: ${analysis.reports.map(r => r.name).join(', ')}`);
+            }
+            fileAccessManager.reportHandle = report.handle;
+        } else {
+            // Load every report connected to the model so breakage is counted across all of them.
+            // Live-connected reports are included when their dataset has the model's name, or
+            // all of them when the model was bound explicitly with --model-path.
+            const { matchingReports, connectedReports } = await fileAccessManager.discoverReports(fileAccessManager.semanticModelHandle);
+            const modelBaseName = fileAccessManager.semanticModelHandle?.name.replace(/\.SemanticModel$/, '').toLowerCase();
+            const liveReports = connectedReports.filter(r =>
+                options.modelPath || (r.datasetName && r.datasetName.toLowerCase() === modelBaseName));
+            for (const report of liveReports) {
+                console.warn(`Including ${report.name}, connected to published dataset ${report.datasetName || '(unknown)'}`);
+            }
+
+            const reports = [...matchingReports, ...liveReports];
+            if (reports.length > 1) {
+                console.warn(`Multiple reports use ${describeModel(fileAccessManager)}; analyzing all ${reports.length} (choose one with --report)`);
+            }
+            fileAccessManager.reportHandles = reports.map(r => r.handle);
+            fileAccessManager.reportHandle = reports.length > 0 ? reports[0].handle : null;
+        }
+    }
+
+    return buildProject(fileAccessManager);
+}
+
+/**
+ * Bind a --model-path to the file access manager: a .SemanticModel folder or a model metadata file
+ * @param {FileAccessManager} fileAccessManager
+ * @param {string} modelPath - Path as typed on the command line
+ * @private
+ */
+function bindModelPath(fileAccessManager, modelPath) {
+    const resolved = path.resolve(modelPath);
+    let stats;
+    try {
+        stats = fs.statSync(resolved);
+    } catch (error) {
+        throw new UsageError(`Cannot read model path "${resolved}": ${error.message}`);
+    }
+
+    if (stats.isDirectory()) {
+        fileAccessManager.semanticModelHandle = new NodeDirectoryHandle(resolved);
+    } else {
+        fileAccessManager.modelMetadataHandle = new NodeFileHandle(resolved);
+    }
+}
+
+/**
+ * Name of the model the reports are checked against, for messages and output headers
+ * @private
+ */
+function describeModel(fileAccessManager) {
+    if (fileAccessManager.semanticModelHandle) return fileAccessManager.semanticModelHandle.name;
+    if (fileAccessManager.modelMetadataHandle) return fileAccessManager.modelMetadataHandle.name;
+    return '(inferred from report fields)';
+}
+
+/**
+ * Load the selected model and reports and build the dependency graph
+ * @param {FileAccessManager} fileAccessManager - Manager with the model and reports selected
+ * @returns {Promise<Object>} See loadProject()
+ * @private
+ */
+async function buildProject(fileAccessManager) {
+    let loadResult;
+    try {
+        loadResult = await PBIPLoader.load(fileAccessManager);
+    } catch (error) {
+        throw new UsageError(`Failed to load PBIP files: ${error.message}`);
+    }
+
+    for (const fileName of loadResult.tableParseErrors) {
+        console.warn(`Warning: table file ${fileName} could not be parsed and was skipped`);
+    }
+
+    const analyzer = new DependencyAnalyzer();
+    analyzer.buildDependencyGraph(loadResult.parsedData);
+
+    const reportNames = fileAccessManager.getReportHandles().map(handle => handle.name);
+
+    return {
+        analyzer,
+        fileAccessManager,
+        parsedData: loadResult.parsedData,
+        semanticModelName: describeModel(fileAccessManager),
+        modelSource: loadResult.parsedData.modelSource,
+        reportName: reportNames.length > 0 ? reportNames.join(', ') : null
+    };
+}
+
+/**
+ * Resolve an object argument to a dependency graph node ID
+ * Accepts node IDs, [Measure], Table[Column], 'Table Name'[Column], Table, shared expression and function names,
+ * and relationships written as From[Column] -> To[Column].
+ * @param {DependencyAnalyzer} analyzer
+ * @param {string} objectRef - Object as typed on the command line
+ * @returns {string} Node ID
+ */
+function resolveObject(analyzer, objectRef) {
+    const nodes = analyzer.dependencyGraph.nodes;
+    if (nodes[objectRef]) return objectRef;
+
+    // A bare name is taken as a whole before it is read as DAX, so "Date Query" works without quotes
+    const bareName = ['Table', 'Measure', 'Expression', 'Function', 'ReportMeasure']
+        .map(prefix => `${prefix}.${objectRef}`)
+        .find(id => nodes[id]);
+    if (bareName) return bareName;
+
+    const tokens = DAXParser.tokenize(objectRef);
+    const candidates = [];
+
+    if (tokens.length === 1 && tokens[0].type === 'bracket') {
+        candidates.push(`Measure.${tokens[0].value}`, `ReportMeasure.${tokens[0].value}`);
+    } else if (tokens.length === 2 && tokens[1].type === 'bracket' &&
+        (tokens[0].type === 'table' || tokens[0].type === 'identifier')) {
+        candidates.push(`${tokens[0].value}.${tokens[1].value}`, `Measure.${tokens[1].value}`, `ReportMeasure.${tokens[1].value}`);
+    } else if (tokens.length >= 5 && isColumnToken(tokens[0], tokens[1]) && isColumnToken(tokens[tokens.length - 2], tokens[tokens.length - 1])) {
+        // Relationship written as From[Column] -> To[Column]
+        const relationship = analyzer.relationshipGraph && analyzer.relationshipGraph.findRelationship(
+            { table: tokens[0].value, column: tokens[1].value },
+            { table: tokens[tokens.length - 2].value, column: tokens[tokens.length - 1].value });
+        if (relationship) candidates.push(`Relationship.${relationship.name}`);
+    } else if (tokens.length === 1 && (tokens[0].type === 'table' || tokens[0].type === 'identifier')) {
+        candidates.push(`Table.${tokens[0].value}`, `Measure.${tokens[0].value}`, `Expression.${tokens[0].value}`,
+            `Function.${tokens[0].value}`, `ReportMeasure.${tokens[0].value}`);
+    }
+
+    for (const candidate of candidates) {
+        if (nodes[candidate]) return candidate;
+    }
+
+    // DAX names are case-insensitive
+    const lowerCandidates = candidates.map(c => c.toLowerCase());
+    const match = Object.keys(nodes).find(id => lowerCandidates.includes(id.toLowerCase()));
+    if (match) return match;
+
+    // With several reports loaded, report measures are namespaced as ReportMeasure.<report>/<name>
+    const reportMeasure = Object.keys(nodes).find(id =>
+        nodes[id].type === 'reportMeasure' && candidates.includes(`ReportMeasure.${nodes[id].name}`));
+    if (reportMeasure) return reportMeasure;
+
+    throw new UsageError(`Object "${objectRef}" not found in the model`);
+}
+
+/**
+ * Whether two tokens form a Table[Column] reference
+ * @private
+ */
+function isColumnToken(tableToken, columnToken) {
+    return (tableToken.type === 'table' || tableToken.type === 'identifier') &&
+        columnToken.type === 'bracket' && columnToken.start === tableToken.end;
+}
+
+/**
+ * Strip graph bookkeeping (dependencies/usedBy) from result nodes for JSON output
+ * @private
+ */
+function compactNodes(grouped) {
+    const compacted = {};
+    for (const [key, value] of Object.entries(grouped)) {
+        compacted[key] = Array.isArray(value)
+            ? value.map(({ dependencies, usedBy, ...rest }) => rest)
+            : value;
+    }
+    return compacted;
+}
+
+/**
+ * Run a command against a loaded project
+ * @param {string} command
+ * @param {Array<string>} positional - Remaining positional arguments
+ * @param {Object} project - Result of loadProject()
+ * @returns {Object} { output, exitCode }
+ */
+function runCommand(command, positional, project) {
+    const { analyzer } = project;
+    const header = {
+        command,
+        semanticModel: project.semanticModelName,
+        modelSource: project.modelSource,
+        report: project.reportName
+    };
+
+    if (command === 'analyze' || command === 'delete-check') {
+        if (positional.length === 0) {
+            throw new UsageError(`The ${command} command requires an object, e.g. "[Total Sales]" or "Sales[Amount]"`);
+        }
+        const nodeId = resolveObject(analyzer, positional[0]);
+
+        if (command === 'analyze') {
+            const result = analyzer.analyzeImpactEnhanced(nodeId, 'rename');
+            return {
+                output: {
+                    ...header,
+                    ...result,
+                    upstream: compactNodes(result.upstream),
+                    downstream: compactNodes(result.downstream)
+                },
+                exitCode: result.downstream.totalCount > 0 ? EXIT_BREAKS : EXIT_OK
+            };
+        }
+
+        const result = analyzer.analyzeDelete(nodeId);
+        return {
+            output: {
+                ...header,
+                ...result,
+                directBreaks: compactNodes(result.directBreaks),
+                cascadeBreaks: compactNodes(result.cascadeBreaks)
+            },
+            exitCode: result.totalBreaks > 0 ? EXIT_BREAKS : EXIT_OK
+        };
+    }
+
+    if (command === 'orphans') {
+        const orphanedReferences = analyzer.orphanedReferences;
+        return {
+            output: {
+                ...header,
+                orphanedCount: orphanedReferences.length,
+                measuresWithOrphans: analyzer.getMeasuresWithOrphanedRefs(),
+                orphanedReferences
+            },
+            exitCode: orphanedReferences.length > 0 ? EXIT_BREAKS : EXIT_OK
+        };
+    }
+
+    if (command === 'cycles') {
+        const cycles = analyzer.detectCircularDependencies();
+        return {
+            output: {
+                ...header,
+                cycleCount: cycles.length,
+                cycles
+            },
+            exitCode: cycles.length > 0 ? EXIT_BREAKS : EXIT_OK
+        };
+    }
+
+    if (command === 'relationships') {
+        const result = analyzer.analyzeRelationships();
+        return {
+            output: {
+                ...header,
+                ...result
+            },
+            exitCode: result.ambiguities.length > 0 ? EXIT_BREAKS : EXIT_OK
+        };
+    }
+
+    if (command === 'paths') {
+        if (positional.length < 2) {
+            throw new UsageError('The paths command requires two tables, e.g. paths Date Sales');
+        }
+        const [fromTable, toTable] = positional.slice(0, 2).map(name => resolveTableName(analyzer, name));
+        const paths = analyzer.getFilterPaths(fromTable, toTable);
+        return {
+            output: {
+                ...header,
+                fromTable,
+                toTable,
+                pathCount: paths.length,
+                ambiguous: paths.length > 1,
+                paths
+            },
+            exitCode: paths.length === 0 ? EXIT_BREAKS : EXIT_OK
+        };
+    }
+
+    throw new UsageError(`Unknown command: ${command}`);
+}
+
+/**
+ * Resolve a table argument ('Table Name', Table or Table.<name>) to the table name used in relationships
+ * @private
+ */
+function resolveTableName(analyzer, tableRef) {
+    const tokens = DAXParser.tokenize(tableRef);
+    const name = tokens.length === 1 && (tokens[0].type === 'table' || tokens[0].type === 'identifier')
+        ? tokens[0].value.replace(/^Table\./, '')
+        : tableRef;
+
+    const tableNames = new Set(analyzer.tables.map(t => t.tableName));
+    for (const rel of analyzer.relationships) {
+        tableNames.add(rel.fromTable);
+        tableNames.add(rel.toTable);
+    }
+
+    const match = Array.from(tableNames).find(t => t.toLowerCase() === name.toLowerCase());
+    if (!match) {
+        throw new UsageError(`Table "${tableRef}" not found in the model`);
+    }
+    return match;
+}
+
+/**
+ * Compare two PBIP snapshots and build the impact report
+ * @param {Array<string>} positional - [beforePath, afterPath]
+ * @param {Object} options - Parsed CLI options (model/report selection applies to both)
+ * @returns {Promise<Object>} { output, exitCode } where output is Markdown text or a JSON object
+ */
+async function runDiff(positional, options) {
+    if (positional.length < 2) {
+        throw new UsageError('The diff command requires two folders: diff <before> <after>');
+    }
+
+    const before = await loadProject({ ...options, project: positional[0] });
+    const after = await loadProject({ ...options, project: positional[1] });
+
+    const diff = ModelDiff.compare(before.analyzer, after.analyzer);
+    const report = ModelDiff.buildImpactReport(diff, before.analyzer, after.analyzer);
+    const exitCode = report.summary.hasBreaks ? EXIT_BREAKS : EXIT_OK;
+
+    if (options.format === 'json') {
+        return {
+            output: {
+                command: 'diff',
+                before: { path: positional[0], semanticModel: before.semanticModelName, report: before.reportName },
+                after: { path: positional[1], semanticModel: after.semanticModelName, report: after.reportName },
+                ...report
+            },
+            exitCode
+        };
+    }
+
+    return {
+        output: ModelDiff.toMarkdown(report, { before: positional[0], after: positional[1] }),
+        exitCode
+    };
+}
+
+/**
+ * Scan a workspace root holding many PBIP projects
+ * @param {string} command - 'workspace' or 'search'
+ * @param {Array<string>} positional - [object] for search
+ * @param {Object} options - Parsed CLI options (project is the workspace root)
+ * @returns {Promise<Object>} { output, exitCode }
+ */
+async function runWorkspace(command, positional, options) {
+    const rootPath = path.resolve(options.project);
+    const fileAccessManager = new FileAccessManager();
+    let rootHandle;
+
+    try {
+        rootHandle = new NodeDirectoryHandle(rootPath);
+        await rootHandle.values().next();
+    } catch (error) {
+        throw new UsageError(`Cannot read workspace folder "${rootPath}": ${error.message}`);
+    }
+
+    const catalog = await WorkspaceScanner.buildCatalog(fileAccessManager, rootHandle);
+    const header = { command, workspace: rootPath };
+
+    if (command === 'workspace') {
+        return {
+            output: {
+                ...header,
+                semanticModels: catalog.semanticModels.map(({ handle, ...rest }) => rest),
+                reports: catalog.reports.map(({ handle, ...rest }) => rest),
+                unboundReports: catalog.unboundReports,
+                connectedReports: catalog.connectedReports
+            },
+            exitCode: EXIT_OK
+        };
+    }
+
+    if (positional.length === 0) {
+        throw new UsageError('The search command requires an object, e.g. "[Total Sales]" or "Sales[Amount]"');
+    }
+    const target = WorkspaceScanner.parseTarget(positional[0]);
+    if (!target) {
+        throw new UsageError(`Cannot search for "${positional[0]}"; use [Measure], Table[Column] or Table`);
+    }
+
+    let semanticModelPath = null;
+    if (options.model) {
+        const models = catalog.semanticModels.filter(m => m.path === options.model || matchesFolderName(m, options.model, '.SemanticModel'));
+        if (models.length === 0) {
+            throw new UsageError(`SemanticModel "${options.model}" not found. Available: ${catalog.semanticModels.map(m => m.path).join(', ')}`);
+        }
+        if (models.length > 1) {
+            throw new UsageError(`Several SemanticModels are named "${options.model}", use the path instead: ${models.map(m => m.path).join(', ')}`);
+        }
+        semanticModelPath = models[0].path;
+    }
+
+    const result = await WorkspaceScanner.findUsages(fileAccessManager, catalog, target, { semanticModelPath });
+    const reportsWithUsages = [...new Set(result.usages.map(usage => usage.report))];
+
+    return {
+        output: {
+            ...header,
+            object: positional[0],
+            target,
+            semanticModel: semanticModelPath,
+            reportsScanned: result.reportsScanned,
+            reportsWithUsages,
+            usageCount: result.usages.length,
+            usages: result.usages,
+            skippedReports: result.skippedReports
+        },
+        exitCode: result.usages.length > 0 ? EXIT_BREAKS : EXIT_OK
+    };
+}
+
+/**
+ * CLI entry point
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    const originalLog = console.log;
+    let parsed;
+
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    if (parsed.options.help || !parsed.command) {
+        (parsed.options.help ? originalLog : console.error)(USAGE);
+        return parsed.options.help ? EXIT_OK : EXIT_USAGE;
+    }
+
+    // Parser/analyzer progress goes to stderr (or nowhere) so stdout stays valid JSON
+    console.log = parsed.options.verbose ? (...args) => console.error(...args) : () => {};
+
+    try {
+        let result;
+        if (parsed.command === 'diff') {
+            result = await runDiff(parsed.positional, parsed.options);
+        } else if (parsed.command === 'workspace' || parsed.command === 'search') {
+            result = await runWorkspace(parsed.command, parsed.positional, parsed.options);
+        } else {
+            result = runCommand(parsed.command, parsed.positional, await loadProject(parsed.options));
+        }
+        const { output, exitCode } = result;
+
+        const text = typeof output === 'string'
+            ? output
+            : JSON.stringify(output, null, parsed.options.pretty ? 2 : 0);
+        process.stdout.write(text + '\n');
+        return exitCode;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`Error: ${error.message}`);
+            return EXIT_USAGE;
+        }
+        console.error('Unexpected error:', error);
+        return EXIT_USAGE;
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(exitCode => {
+        process.exitCode = exitCode;
+    });
+}
+
+module.exports = { main, parseArgs, loadProject, resolveObject, runCommand, runDiff, runWorkspace, UsageError };
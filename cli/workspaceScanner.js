@@ -0,0 +1,211 @@
+/**
+ * Workspace Scanner Module
+ * Scans a repository root that holds many PBIP projects: builds a catalog of which
+ * reports use which semantic model, and searches every report for uses of an object
+ * ("where is measure X used in any report in this repo").
+ * Expects the src/ parser classes and PBIPLoader to be available as globals (see pbip-impact.js).
+ */
+
+class WorkspaceScanner {
+    /**
+     * Build the catalog of semantic models and the reports bound to them
+     * @param {FileAccessManager} fileAccessManager
+     * @param {DirectoryHandle} rootHandle - Workspace root folder
+     * @returns {Promise<Object>} { semanticModels: [{ path, name, baseName, handle, reports: [path] }],
+     *   reports: [{ path, name, handle, datasetPath, semanticModelPath, connection }], unboundReports: [path],
+     *   connectedReports: [path] } (connectedReports use a published dataset through byConnection)
+     */
+    static async buildCatalog(fileAccessManager, rootHandle) {
+        const scan = await fileAccessManager.scanWorkspace(rootHandle);
+        const byPath = (a, b) => a.path.localeCompare(b.path);
+
+        const semanticModels = scan.semanticModels
+            .map(model => ({ path: model.path, name: model.name, baseName: model.baseName, handle: model.handle, reports: [] }))
+            .sort(byPath);
+        const reports = scan.reports
+            .map(report => ({
+                path: report.path,
+                name: report.name,
+                handle: report.handle,
+                datasetPath: report.datasetPath,
+                semanticModelPath: report.semanticModelPath,
+                connection: report.connection
+            }))
+            .sort(byPath);
+
+        // Reports whose byPath reference does not point to a semantic model in the workspace;
+        // thin reports connected to a published dataset are listed separately
+        const unboundReports = [];
+        const connectedReports = [];
+        for (const report of reports) {
+            const model = semanticModels.find(m => m.path === report.semanticModelPath);
+            if (model) {
+                model.reports.push(report.path);
+            } else if (report.connection) {
+                connectedReports.push(report.path);
+            } else {
+                unboundReports.push(report.path);
+            }
+        }
+
+        return { semanticModels, reports, unboundReports, connectedReports };
+    }
+
+    /**
+     * Parse an object argument into a search target
+     * @param {string} objectRef - "[Measure]", "Table[Column]", "'Table Name'[Column]" or "Table"
+     * @returns {Object|null} { kind: 'measure'|'column'|'table', table, name } or null if not recognized
+     */
+    static parseTarget(objectRef) {
+        const tokens = DAXParser.tokenize(objectRef);
+
+        if (tokens.length === 1 && tokens[0].type === 'bracket') {
+            return { kind: 'measure', table: null, name: tokens[0].value };
+        }
+        if (tokens.length === 2 && tokens[1].type === 'bracket' &&
+            (tokens[0].type === 'table' || tokens[0].type === 'identifier')) {
+            return { kind: 'column', table: tokens[0].value, name: tokens[1].value };
+        }
+        if (tokens.length === 1 && (tokens[0].type === 'table' || tokens[0].type === 'identifier')) {
+            return { kind: 'table', table: tokens[0].value, name: tokens[0].value };
+        }
+        return null;
+    }
+
+    /**
+     * Search every report in the catalog for uses of an object
+     * Reports are parsed on their own (their semantic models are not loaded), so a
+     * "Table[Name]" target matches both a column and a measure named Name on that table.
+     * @param {FileAccessManager} fileAccessManager
+     * @param {Object} catalog - Result of buildCatalog()
+     * @param {Object} target - Result of parseTarget()
+     * @param {Object} options - { semanticModelPath } to limit the search to reports of one model
+     * @returns {Promise<Object>} { usages, reportsScanned, skippedReports }
+     */
+    static async findUsages(fileAccessManager, catalog, target, options = {}) {
+        const usages = [];
+        const skippedReports = [];
+        let reportsScanned = 0;
+
+        for (const report of catalog.reports) {
+            if (options.semanticModelPath && report.semanticModelPath !== options.semanticModelPath) continue;
+
+            let reportFiles;
+            try {
+                reportFiles = await fileAccessManager.readReportFiles(report.handle);
+            } catch (error) {
+                console.warn(`Skipping report ${report.path}: ${error.message}`);
+                skippedReports.push({ path: report.path, error: error.message });
+                continue;
+            }
+            reportsScanned++;
+
+            const parsedData = { pages: [], pageFilters: [], reportFilters: [], bookmarks: [], reportMeasures: [], visuals: [] };
+            PBIPLoader.addReportData(parsedData, reportFiles, report.path, () => {});
+
+            const base = { report: report.path, semanticModel: report.semanticModelPath };
+
+            for (const visual of parsedData.visuals) {
+                const fields = visual.fields.filter(field => WorkspaceScanner._fieldMatches(field, target));
+                if (fields.length === 0) continue;
+                usages.push({
+                    ...base,
+                    location: 'visual',
+                    pageName: visual.pageName,
+                    visualId: visual.visualId,
+                    visualType: visual.visualType,
+                    visualName: visual.visualName || null,
+                    fields: WorkspaceScanner._describeFields(fields)
+                });
+            }
+
+            for (const page of parsedData.pageFilters) {
+                const fields = page.fields.filter(field => WorkspaceScanner._fieldMatches(field, target));
+                if (fields.length === 0) continue;
+                usages.push({ ...base, location: 'pageFilter', pageName: page.pageName, fields: WorkspaceScanner._describeFields(fields) });
+            }
+
+            for (const reportFilter of parsedData.reportFilters) {
+                const fields = reportFilter.fields.filter(field => WorkspaceScanner._fieldMatches(field, target));
+                if (fields.length === 0) continue;
+                usages.push({ ...base, location: 'reportFilter', fields: WorkspaceScanner._describeFields(fields) });
+            }
+
+            for (const bookmark of parsedData.bookmarks) {
+                const fields = bookmark.fields.filter(field => WorkspaceScanner._fieldMatches(field, target));
+                if (fields.length === 0) continue;
+                usages.push({
+                    ...base,
+                    location: 'bookmark',
+                    bookmarkName: bookmark.name,
+                    pageName: bookmark.pageName,
+                    fields: WorkspaceScanner._describeFields(fields)
+                });
+            }
+
+            for (const measure of parsedData.reportMeasures) {
+                if (!WorkspaceScanner._daxMatches(measure.dax, target)) continue;
+                usages.push({ ...base, location: 'reportMeasure', measureName: measure.name, dax: measure.dax });
+            }
+        }
+
+        return { usages, reportsScanned, skippedReports };
+    }
+
+    /**
+     * Check whether a report field (visual, filter or bookmark) references the target
+     * @param {Object} field - Field from JSONParser
+     * @param {Object} target - Result of parseTarget()
+     * @returns {boolean}
+     * @private
+     */
+    static _fieldMatches(field, target) {
+        const same = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+        if (target.kind === 'measure') {
+            return field.type === 'measure' && same(field.name, target.name);
+        }
+        if (target.kind === 'column') {
+            return (field.type === 'column' && same(field.table, target.table) && same(field.column, target.name)) ||
+                (field.type === 'measure' && same(field.entity, target.table) && same(field.name, target.name));
+        }
+        return same(field.table, target.table) || same(field.entity, target.table);
+    }
+
+    /**
+     * Check whether a report-level measure expression references the target
+     * @param {string} dax
+     * @param {Object} target - Result of parseTarget()
+     * @returns {boolean}
+     * @private
+     */
+    static _daxMatches(dax, target) {
+        if (!dax) return false;
+        const same = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+        const references = DAXParser.extractReferences(dax);
+
+        if (target.kind === 'measure') {
+            return references.measureRefs.some(name => same(name, target.name));
+        }
+        if (target.kind === 'column') {
+            return references.columnRefs.some(ref => same(ref.table, target.table) && same(ref.column, target.name));
+        }
+        return references.tableRefs.some(name => same(name, target.table)) ||
+            references.columnRefs.some(ref => same(ref.table, target.table));
+    }
+
+    /**
+     * Short labels for matched fields, e.g. "Sales[Amount] (values)"
+     * @private
+     */
+    static _describeFields(fields) {
+        return fields.map(field => {
+            const label = field.type === 'measure' ? `${field.entity || ''}[${field.name}]`
+                : field.type === 'column' ? `${field.table}[${field.column}]`
+                    : `${field.table} ${field.hierarchy}${field.level ? ` › ${field.level}` : ''}`;
+            return field.projectionName ? `${label} (${field.projectionName})` : label;
+        });
+    }
+}
+
+module.exports = WorkspaceScanner;
@@ -13,6 +13,16 @@ class DependencyAnalyzer {
         this.tables = [];
         this.visuals = [];
         this.relationships = [];
+        this.relationshipGraph = null;
+        this.expressions = [];
+        this.functions = [];
+        this.roles = [];
+        this.perspectives = [];
+        this.cultures = [];
+        this.pageFilters = [];
+        this.reportFilters = [];
+        this.bookmarks = [];
+        this.reportMeasures = [];
         this.orphanedReferences = []; // Track references to non-existent objects
     }
 
@@ -27,7 +37,19 @@ class DependencyAnalyzer {
         this.tables = parsedData.tables || [];
         this.visuals = parsedData.visuals || [];
         this.relationships = parsedData.relationships || [];
+        this.expressions = parsedData.expressions || [];
+        this.functions = parsedData.functions || [];
+        this.roles = parsedData.roles || [];
+        this.perspectives = parsedData.perspectives || [];
+        this.cultures = parsedData.cultures || [];
         this.pages = parsedData.pages || [];
+        this.pageFilters = parsedData.pageFilters || [];
+        this.reportFilters = parsedData.reportFilters || [];
+        this.bookmarks = parsedData.bookmarks || [];
+        this.reportMeasures = parsedData.reportMeasures || [];
+
+        // Table graph for filter propagation (relationships are not nodes of the dependency graph)
+        this.relationshipGraph = new RelationshipGraph(this.relationships);
 
         // Reset graph
         this.dependencyGraph = {
@@ -35,25 +57,61 @@ class DependencyAnalyzer {
             edges: []
         };
 
-        // Add measure nodes
+        // Add measure nodes (model measures and report-level measures)
         this.addMeasureNodes();
+        this.addReportMeasureNodes();
+
+        // Add DAX user-defined function nodes
+        this.addFunctionNodes();
 
         // Add column nodes
         this.addColumnNodes();
 
+        // Add hierarchy and level nodes (linked to their columns)
+        this.addHierarchyNodes();
+
         // Add table nodes
         this.addTableNodes();
 
+        // Add relationship nodes (targets of USERELATIONSHIP / CROSSFILTER calls)
+        this.addRelationshipNodes();
+
         // Add visual nodes
         this.addVisualNodes();
 
+        // Add page and report nodes (page-level and report-level filters)
+        this.addFilterNodes();
+
+        // Add bookmark nodes
+        this.addBookmarkNodes();
+
         // Add calculation group and field parameter nodes
         this.addCalculationGroupNodes();
         this.addFieldParameterNodes();
 
+        // Add security role and table permission nodes
+        this.addRoleNodes();
+
+        // Add perspective nodes (linked to the tables, columns, measures and hierarchies they list)
+        this.addPerspectiveNodes();
+
+        // Add culture nodes (translations and Q&A linguistic metadata, keyed by object name)
+        this.addCultureNodes();
+
+        // Add Power Query nodes (shared expressions, parameters, partitions)
+        this.addPowerQueryNodes();
+
         // Build edges (dependencies)
         this.buildMeasureDependencies();
+        this.buildFunctionDependencies();
+        this.buildReportMeasureDependencies();
+        this.buildCalculatedObjectDependencies();
+        this.buildColumnPropertyDependencies();
+        this.buildPowerQueryDependencies();
+        this.buildRoleDependencies();
         this.buildVisualDependencies();
+        this.buildFilterDependencies();
+        this.buildBookmarkDependencies();
         this.buildFieldParameterDependencies();
 
         console.log(`Dependency graph built with ${Object.keys(this.dependencyGraph.nodes).length} nodes`);
@@ -71,9 +129,51 @@ class DependencyAnalyzer {
             this.dependencyGraph.nodes[nodeId] = {
                 type: 'measure',
                 name: measure.name,
+                tableName: measure.tableName,
                 dax: measure.dax,
                 formatString: measure.formatString,
                 displayFolder: measure.displayFolder,
+                isInferred: !!measure.isInferred, // Placeholder built from report fields (no model loaded)
+                dependencies: [],
+                usedBy: []
+            };
+        }
+    }
+
+    /**
+     * Add DAX user-defined function nodes to graph
+     */
+    addFunctionNodes() {
+        for (const fn of this.functions) {
+            const nodeId = `Function.${fn.name}`;
+
+            this.dependencyGraph.nodes[nodeId] = {
+                type: 'function',
+                name: fn.name,
+                dax: fn.expression,
+                parameters: fn.parameters || [],
+                description: fn.description || null,
+                fileName: fn.fileName,
+                dependencies: [],
+                usedBy: []
+            };
+        }
+    }
+
+    /**
+     * Add report-level measure nodes (reportExtensions.json of a thin report) to graph
+     */
+    addReportMeasureNodes() {
+        for (const measure of this.reportMeasures) {
+            const nodeId = DependencyAnalyzer.getReportMeasureNodeId(measure);
+
+            this.dependencyGraph.nodes[nodeId] = {
+                type: 'reportMeasure',
+                name: measure.name,
+                tableName: measure.tableName,
+                dax: measure.dax,
+                formatString: measure.formatString,
+                reportName: measure.reportName || null,
                 dependencies: [],
                 usedBy: []
             };
@@ -94,6 +194,12 @@ class DependencyAnalyzer {
                     column: column.name,
                     dataType: column.dataType,
                     isHidden: column.isHidden,
+                    isCalculated: !!column.isCalculated,
+                    dax: column.dax || null,
+                    sortByColumn: column.sortByColumn || null,
+                    groupByColumns: column.groupByColumns || [],
+                    variations: column.variations || [],
+                    isInferred: !!column.isInferred,
                     dependencies: [],
                     usedBy: []
                 };
@@ -101,6 +207,108 @@ class DependencyAnalyzer {
         }
     }
 
+    /**
+     * Add hierarchy and hierarchy level nodes to graph
+     * Each level depends on the column it points at; each hierarchy depends on its levels.
+     */
+    addHierarchyNodes() {
+        for (const table of this.tables) {
+            for (const hierarchy of (table.hierarchies || [])) {
+                const hierarchyNodeId = `Hierarchy.${table.tableName}.${hierarchy.name}`;
+
+                this.dependencyGraph.nodes[hierarchyNodeId] = {
+                    type: 'hierarchy',
+                    name: hierarchy.name,
+                    tableName: table.tableName,
+                    levelCount: hierarchy.levels.length,
+                    levels: hierarchy.levels.map(level => level.name),
+                    isHidden: hierarchy.isHidden,
+                    dependencies: [],
+                    usedBy: []
+                };
+
+                for (const level of hierarchy.levels) {
+                    const levelNodeId = `HierarchyLevel.${table.tableName}.${hierarchy.name}.${level.name}`;
+
+                    this.dependencyGraph.nodes[levelNodeId] = {
+                        type: 'level',
+                        name: `${hierarchy.name} › ${level.name}`,
+                        tableName: table.tableName,
+                        hierarchyName: hierarchy.name,
+                        levelName: level.name,
+                        column: level.column,
+                        dependencies: [],
+                        usedBy: []
+                    };
+
+                    // Hierarchy -> level
+                    this.dependencyGraph.nodes[hierarchyNodeId].dependencies.push({
+                        type: 'level',
+                        ref: levelNodeId,
+                        name: level.name
+                    });
+                    this.dependencyGraph.nodes[levelNodeId].usedBy.push({
+                        type: 'hierarchy',
+                        ref: hierarchyNodeId,
+                        name: hierarchy.name
+                    });
+                    this.dependencyGraph.edges.push({
+                        from: hierarchyNodeId,
+                        to: levelNodeId,
+                        type: 'hierarchy-to-level'
+                    });
+
+                    // Level -> column
+                    const colNodeId = `${table.tableName}.${level.column}`;
+                    if (level.column && this.dependencyGraph.nodes[colNodeId]) {
+                        this.dependencyGraph.nodes[levelNodeId].dependencies.push({
+                            type: 'column',
+                            ref: colNodeId,
+                            table: table.tableName,
+                            column: level.column
+                        });
+                        this.dependencyGraph.nodes[colNodeId].usedBy.push({
+                            type: 'level',
+                            ref: levelNodeId,
+                            name: `${hierarchy.name} › ${level.name}`
+                        });
+                        this.dependencyGraph.edges.push({
+                            from: levelNodeId,
+                            to: colNodeId,
+                            type: 'level-to-column'
+                        });
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Add relationship nodes to the dependency graph
+     * Node IDs use the relationship name from relationships.tmdl; the node name is the readable
+     * "From[Column] → To[Column]" label since TMDL names are often GUIDs.
+     */
+    addRelationshipNodes() {
+        for (const rel of this.relationships) {
+            if (!rel.name) continue;
+            const nodeId = `Relationship.${rel.name}`;
+
+            this.dependencyGraph.nodes[nodeId] = {
+                type: 'relationship',
+                name: RelationshipGraph.describe(rel),
+                relationshipName: rel.name,
+                fromTable: rel.fromTable,
+                fromColumn: rel.fromColumn,
+                toTable: rel.toTable,
+                toColumn: rel.toColumn,
+                isActive: rel.isActive !== false,
+                crossFilteringBehavior: rel.crossFilteringBehavior || 'oneDirection',
+                dependencies: [],
+                usedBy: []
+            };
+        }
+    }
+
     /**
      * Add table nodes to the dependency graph
      * Only creates nodes for tables that will be referenced
@@ -113,18 +321,77 @@ class DependencyAnalyzer {
                 type: 'table',
                 tableName: table.tableName,
                 columnCount: table.columns.length,
+                isCalculatedTable: !!table.isCalculatedTable,
+                dax: table.isCalculatedTable ? table.dax : null,
+                isInferred: !!table.isInferred,
                 dependencies: [],
                 usedBy: []
             };
         }
     }
 
+    /**
+     * Prefix for report-side node ids. Empty for a single report; "<report folder>/" when
+     * several reports are loaded, so identical page and visual ids of copied reports stay apart.
+     * @param {string|null} reportName - reportName of a visual, page, bookmark or report measure
+     * @returns {string}
+     * @private
+     */
+    static _reportPrefix(reportName) {
+        return reportName ? `${reportName}/` : '';
+    }
+
+    /**
+     * Get the node id of a visual
+     * @param {Object} visual - { pageId, visualId, reportName }
+     * @returns {string} "<pageId>/<visualId>" or "<report>/<pageId>/<visualId>"
+     */
+    static getVisualNodeId(visual) {
+        return `${DependencyAnalyzer._reportPrefix(visual.reportName)}${visual.pageId}/${visual.visualId}`;
+    }
+
+    /**
+     * Get the node id of a page
+     * @param {Object} page - { pageId, reportName }
+     * @returns {string} "Page.<pageId>" or "Page.<report>/<pageId>"
+     */
+    static getPageNodeId(page) {
+        return `Page.${DependencyAnalyzer._reportPrefix(page.reportName)}${page.pageId}`;
+    }
+
+    /**
+     * Get the node id holding the report-level filters of a report
+     * @param {string|null} reportName
+     * @returns {string} "Report" or "Report.<report>"
+     */
+    static getReportNodeId(reportName) {
+        return reportName ? `Report.${reportName}` : 'Report';
+    }
+
+    /**
+     * Get the node id of a bookmark
+     * @param {Object} bookmark - { bookmarkId, reportName }
+     * @returns {string} "Bookmark.<bookmarkId>" or "Bookmark.<report>/<bookmarkId>"
+     */
+    static getBookmarkNodeId(bookmark) {
+        return `Bookmark.${DependencyAnalyzer._reportPrefix(bookmark.reportName)}${bookmark.bookmarkId}`;
+    }
+
+    /**
+     * Get the node id of a report-level measure
+     * @param {Object} measure - { name, reportName }
+     * @returns {string} "ReportMeasure.<name>" or "ReportMeasure.<report>/<name>"
+     */
+    static getReportMeasureNodeId(measure) {
+        return `ReportMeasure.${DependencyAnalyzer._reportPrefix(measure.reportName)}${measure.name}`;
+    }
+
     /**
      * Add visual nodes to graph
      */
     addVisualNodes() {
         for (const visual of this.visuals) {
-            const nodeId = `${visual.pageId}/${visual.visualId}`;
+            const nodeId = DependencyAnalyzer.getVisualNodeId(visual);
             const displayName = visual.visualName || visual.visualId;
 
             this.dependencyGraph.nodes[nodeId] = {
@@ -135,12 +402,93 @@ class DependencyAnalyzer {
                 visualType: visual.visualType,
                 visualName: visual.visualName || null,
                 pageName: visual.pageName || visual.pageId,
+                reportName: visual.reportName || null,
                 dependencies: [],
                 usedBy: []
             };
         }
     }
 
+    /**
+     * Resolve the unqualified [Name] references of a DAX expression against the model.
+     * A [Name] is a measure when such a measure exists; otherwise it is a row-context
+     * column of a table referenced in the same expression (or of the home table).
+     * A qualified Table[Name] is a measure when the table has no such column but is the
+     * home table of a measure with that name.
+     * An unknown [Name] inside an iterator is a column of the iterated table that no longer
+     * exists; outside any row context it is a missing measure.
+     * @param {Object} references - Result of DAXParser.extractReferences()
+     * @param {string|null} homeTableName - Table the expression is defined in
+     * @param {string|null} daxExpression - The expression itself, to look up the row context of unknown names
+     * @returns {Object} { measureRefs, columnRefs, tableRefs, references } with brackets resolved
+     */
+    resolveDAXReferences(references, homeTableName = null, daxExpression = null) {
+        const nodes = this.dependencyGraph.nodes;
+        const measureRefs = new Set();
+        const columnRefs = [];
+
+        for (const colRef of references.columnRefs) {
+            const measure = !nodes[`${colRef.table}.${colRef.column}`] && this.measures.find(m =>
+                m.name.toLowerCase() === colRef.column.toLowerCase() &&
+                typeof m.tableName === 'string' && m.tableName.toLowerCase() === colRef.table.toLowerCase());
+            if (measure) {
+                measureRefs.add(measure.name);
+            } else {
+                columnRefs.push(colRef);
+            }
+        }
+
+        // Tables in scope for unqualified column references
+        const scopeTables = new Set(references.tableRefs);
+        for (const colRef of references.columnRefs) scopeTables.add(colRef.table);
+        if (homeTableName) scopeTables.add(homeTableName);
+
+        for (const refName of references.measureRefs) {
+            if (nodes[`Measure.${refName}`]) {
+                measureRefs.add(refName);
+                continue;
+            }
+
+            // Measure names are case-insensitive in DAX
+            const measure = this.measures.find(m => m.name.toLowerCase() === refName.toLowerCase());
+            if (measure) {
+                measureRefs.add(measure.name);
+                continue;
+            }
+
+            const table = Array.from(scopeTables).find(t => nodes[`${t}.${refName}`]?.type === 'column');
+            if (table) {
+                if (!columnRefs.some(c => c.table === table && c.column === refName)) {
+                    columnRefs.push({ table: table, column: refName });
+                }
+                continue;
+            }
+
+            // Unknown inside SUMX(Sales, ...) etc. - a missing column of the iterated table
+            const rowContext = daxExpression && references.references
+                .filter(ref => ref.kind === 'bracket' && ref.name === refName)
+                .map(ref => DAXParser.findRowContext(daxExpression, ref.start))
+                .find(context => context && context.table);
+            if (rowContext) {
+                if (!columnRefs.some(c => c.table === rowContext.table && c.column === refName)) {
+                    columnRefs.push({ table: rowContext.table, column: refName });
+                }
+                continue;
+            }
+
+            // Unknown - keep as a measure reference so it is reported as orphaned
+            measureRefs.add(refName);
+        }
+
+        return {
+            measureRefs: Array.from(measureRefs),
+            columnRefs: columnRefs,
+            tableRefs: references.tableRefs,
+            functions: references.functions,
+            references: references.references
+        };
+    }
+
     /**
      * Build dependencies between measures
      */
@@ -154,8 +502,12 @@ class DependencyAnalyzer {
 
             if (!measureNode) continue;
 
-            // Extract references from DAX
-            const references = DAXParser.extractReferences(measure.dax);
+            // Extract references from DAX and resolve [Name] to measures or row-context columns
+            const references = this.resolveDAXReferences(
+                DAXParser.extractReferences(measure.dax),
+                measure.tableName,
+                measure.dax
+            );
 
             // Add measure dependencies
             for (const refName of references.measureRefs) {
@@ -194,99 +546,884 @@ class DependencyAnalyzer {
                 }
             }
 
-            // Add column dependencies
-            for (const colRef of references.columnRefs) {
-                const colNodeId = `${colRef.table}.${colRef.column}`;
+            // Add column dependencies
+            for (const colRef of references.columnRefs) {
+                const colNodeId = `${colRef.table}.${colRef.column}`;
+
+                // Check if referenced column exists
+                if (this.dependencyGraph.nodes[colNodeId]) {
+                    // Add to dependencies
+                    measureNode.dependencies.push({
+                        type: 'column',
+                        ref: colNodeId,
+                        table: colRef.table,
+                        column: colRef.column
+                    });
+
+                    // Add to usedBy
+                    this.dependencyGraph.nodes[colNodeId].usedBy.push({
+                        type: 'measure',
+                        ref: measureNodeId,
+                        name: measure.name
+                    });
+
+                    // Add edge
+                    this.dependencyGraph.edges.push({
+                        from: measureNodeId,
+                        to: colNodeId,
+                        type: 'measure-to-column'
+                    });
+                } else {
+                    // Track orphaned column reference
+                    this.orphanedReferences.push({
+                        type: 'column',
+                        referencedTable: colRef.table,
+                        referencedColumn: colRef.column,
+                        inMeasure: measure.name,
+                        nodeId: measureNodeId
+                    });
+                }
+            }
+
+            // Add table-only dependencies
+            for (const tableName of references.tableRefs) {
+                const tableNodeId = `Table.${tableName}`;
+
+                if (this.dependencyGraph.nodes[tableNodeId]) {
+                    // Check if we already have a column reference from this table
+                    const hasColumnRef = measureNode.dependencies.some(
+                        dep => dep.type === 'column' &&
+                               this.dependencyGraph.nodes[dep.ref]?.table === tableName
+                    );
+
+                    // Only add table ref if no specific column refs exist
+                    if (!hasColumnRef) {
+                        measureNode.dependencies.push({
+                            type: 'table',
+                            ref: tableNodeId,
+                            name: tableName
+                        });
+
+                        this.dependencyGraph.nodes[tableNodeId].usedBy.push({
+                            type: 'measure',
+                            ref: measureNodeId,
+                            name: measure.name
+                        });
+
+                        this.dependencyGraph.edges.push({
+                            from: measureNodeId,
+                            to: tableNodeId,
+                            type: 'measure-to-table'
+                        });
+                    }
+                }
+            }
+
+            // Add user-defined function calls
+            this._addFunctionCallDependencies(measureNodeId, references.functions, {
+                type: 'measure',
+                ref: measureNodeId,
+                name: measure.name
+            });
+
+            // Add relationships activated or changed with USERELATIONSHIP / CROSSFILTER
+            this._addRelationshipFunctionDependencies(measureNodeId, measure.dax, {
+                type: 'measure',
+                ref: measureNodeId,
+                name: measure.name
+            });
+        }
+    }
+
+    /**
+     * Build dependencies from user-defined function bodies to the columns, measures, tables
+     * and other functions they reference (parameters are not model references)
+     */
+    buildFunctionDependencies() {
+        for (const fn of this.functions) {
+            const nodeId = `Function.${fn.name}`;
+            this._addExpressionDependencies(nodeId, fn.expression, null, {
+                type: 'function',
+                ref: nodeId,
+                name: fn.name
+            });
+        }
+    }
+
+    /**
+     * Get the node id of a user-defined function (function names are case-insensitive in DAX)
+     * @param {string} functionName - Name as called in DAX
+     * @returns {string|null} "Function.<name>" or null when no such function exists
+     * @private
+     */
+    _resolveFunctionNodeId(functionName) {
+        if (this.dependencyGraph.nodes[`Function.${functionName}`]) return `Function.${functionName}`;
+        const fn = this.functions.find(f => f.name.toLowerCase() === functionName.toLowerCase());
+        return fn ? `Function.${fn.name}` : null;
+    }
+
+    /**
+     * Add dependency edges from a DAX expression to the user-defined functions it calls
+     * Built-in DAX functions have no node and are skipped.
+     * @param {string} sourceNodeId - Node that owns the DAX expression
+     * @param {Array<string>} functionNames - Called function names (DAXParser.extractReferences().functions)
+     * @param {Object} usage - usedBy entry to add on each called function ({ type, ref, name })
+     * @private
+     */
+    _addFunctionCallDependencies(sourceNodeId, functionNames, usage) {
+        const sourceNode = this.dependencyGraph.nodes[sourceNodeId];
+        if (!sourceNode) return;
+
+        for (const functionName of functionNames || []) {
+            const functionNodeId = this._resolveFunctionNodeId(functionName);
+            if (!functionNodeId || functionNodeId === sourceNodeId) continue;
+            if (sourceNode.dependencies.some(dep => dep.ref === functionNodeId)) continue;
+
+            const functionNode = this.dependencyGraph.nodes[functionNodeId];
+            sourceNode.dependencies.push({
+                type: 'function',
+                ref: functionNodeId,
+                name: functionNode.name
+            });
+            functionNode.usedBy.push({ ...usage });
+            this.dependencyGraph.edges.push({
+                from: sourceNodeId,
+                to: functionNodeId,
+                type: `${usage.type}-to-function`
+            });
+        }
+    }
+
+    /**
+     * Add dependency edges from a DAX expression to the relationships its USERELATIONSHIP and
+     * CROSSFILTER calls name. The two column arguments are matched in either order; calls that
+     * match no relationship are left to the column references.
+     * @param {string} sourceNodeId - Node that owns the DAX expression
+     * @param {string} dax - The DAX expression
+     * @param {Object} usage - usedBy entry to add on each relationship ({ type, ref, name })
+     * @private
+     */
+    _addRelationshipFunctionDependencies(sourceNodeId, dax, usage) {
+        const sourceNode = this.dependencyGraph.nodes[sourceNodeId];
+        if (!sourceNode || !this.relationshipGraph || !dax) return;
+
+        for (const call of DAXParser.extractRelationshipFunctionCalls(dax)) {
+            const relationship = this.relationshipGraph.findRelationship(call.columns[0], call.columns[1]);
+            if (!relationship) continue;
+
+            const relationshipNodeId = `Relationship.${relationship.name}`;
+            const relationshipNode = this.dependencyGraph.nodes[relationshipNodeId];
+            if (!relationshipNode) continue;
+            if (sourceNode.dependencies.some(dep => dep.ref === relationshipNodeId && dep.function === call.function)) continue;
+
+            sourceNode.dependencies.push({
+                type: 'relationship',
+                ref: relationshipNodeId,
+                name: relationshipNode.name,
+                function: call.function
+            });
+            relationshipNode.usedBy.push({ ...usage, function: call.function });
+            this.dependencyGraph.edges.push({
+                from: sourceNodeId,
+                to: relationshipNodeId,
+                type: `${usage.type}-to-relationship`
+            });
+        }
+    }
+
+    /**
+     * Build dependencies for calculated columns and calculated tables from their DAX
+     */
+    buildCalculatedObjectDependencies() {
+        for (const table of this.tables) {
+            // Calculated columns: "column X = <DAX>"
+            for (const column of table.columns) {
+                if (!column.isCalculated || !column.dax) continue;
+
+                const columnNodeId = `${table.tableName}.${column.name}`;
+                this._addExpressionDependencies(columnNodeId, column.dax, table.tableName, {
+                    type: 'column',
+                    ref: columnNodeId,
+                    name: `${table.tableName}[${column.name}]`
+                });
+            }
+
+            // Calculated tables: "partition X = calculated" with a DAX source
+            if (table.isCalculatedTable) {
+                const tableNodeId = `Table.${table.tableName}`;
+                if (table.dax) {
+                    this._addExpressionDependencies(tableNodeId, table.dax, table.tableName, {
+                        type: 'table',
+                        ref: tableNodeId,
+                        name: table.tableName
+                    });
+                }
+
+                // The columns of a calculated table are produced by its expression
+                for (const column of table.columns) {
+                    const columnNodeId = `${table.tableName}.${column.name}`;
+                    const columnNode = this.dependencyGraph.nodes[columnNodeId];
+                    if (!columnNode) continue;
+
+                    columnNode.dependencies.push({
+                        type: 'table',
+                        ref: tableNodeId,
+                        name: table.tableName
+                    });
+                    this.dependencyGraph.nodes[tableNodeId].usedBy.push({
+                        type: 'column',
+                        ref: columnNodeId,
+                        name: `${table.tableName}[${column.name}]`
+                    });
+                    this.dependencyGraph.edges.push({
+                        from: columnNodeId,
+                        to: tableNodeId,
+                        type: 'column-to-table'
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * Build column-to-column dependencies from column properties:
+     * sortByColumn, relatedColumnDetails groupByColumn and variation defaultColumn / defaultHierarchy
+     */
+    buildColumnPropertyDependencies() {
+        for (const table of this.tables) {
+            for (const column of table.columns) {
+                const columnNodeId = `${table.tableName}.${column.name}`;
+
+                if (column.sortByColumn) {
+                    this._addColumnPropertyLink(columnNodeId, `${table.tableName}.${column.sortByColumn}`,
+                        'sortByColumn', 'column-sort-by-column');
+                }
+
+                for (const groupByColumn of (column.groupByColumns || [])) {
+                    this._addColumnPropertyLink(columnNodeId, `${table.tableName}.${groupByColumn}`,
+                        'groupByColumn', 'column-group-by-column');
+                }
+
+                for (const variation of (column.variations || [])) {
+                    if (variation.defaultColumn) {
+                        this._addColumnPropertyLink(columnNodeId,
+                            `${variation.defaultColumn.table}.${variation.defaultColumn.column}`,
+                            'variation', 'column-variation-column');
+                    }
+                    if (variation.defaultHierarchy) {
+                        this._addColumnPropertyLink(columnNodeId,
+                            `Hierarchy.${variation.defaultHierarchy.table}.${variation.defaultHierarchy.hierarchy}`,
+                            'variation', 'column-variation-hierarchy');
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Add a typed edge from a column to the column or hierarchy named by one of its properties
+     * @param {string} columnNodeId - Column that owns the property
+     * @param {string} targetNodeId - Column or hierarchy the property points at
+     * @param {string} relation - 'sortByColumn', 'groupByColumn' or 'variation'
+     * @param {string} edgeType - Edge type recorded in dependencyGraph.edges
+     * @private
+     */
+    _addColumnPropertyLink(columnNodeId, targetNodeId, relation, edgeType) {
+        const columnNode = this.dependencyGraph.nodes[columnNodeId];
+        const targetNode = this.dependencyGraph.nodes[targetNodeId];
+        if (!columnNode || !targetNode) {
+            console.warn(`Column property ${relation} of ${columnNodeId} points at unknown object ${targetNodeId}`);
+            return;
+        }
+
+        columnNode.dependencies.push({
+            type: targetNode.type,
+            ref: targetNodeId,
+            name: targetNode.type === 'column' ? `${targetNode.table}[${targetNode.column}]` : targetNode.name,
+            relation: relation
+        });
+        targetNode.usedBy.push({
+            type: 'column',
+            ref: columnNodeId,
+            name: `${columnNode.table}[${columnNode.column}]`,
+            relation: relation
+        });
+        this.dependencyGraph.edges.push({
+            from: columnNodeId,
+            to: targetNodeId,
+            type: edgeType
+        });
+    }
+
+    /**
+     * Add Power Query nodes: shared expressions and parameters from expressions.tmdl,
+     * and the M ("= m") and Direct Lake ("= entity") partitions of each table.
+     * Data source nodes are added on demand by buildPowerQueryDependencies().
+     */
+    addPowerQueryNodes() {
+        for (const expression of this.expressions) {
+            this.dependencyGraph.nodes[`Expression.${expression.name}`] = {
+                type: 'expression',
+                name: expression.name,
+                isParameter: !!expression.isParameter,
+                value: expression.value,
+                queryGroup: expression.queryGroup || null,
+                expression: expression.expression || '',
+                dependencies: [],
+                usedBy: []
+            };
+        }
+
+        for (const table of this.tables) {
+            for (const partition of (table.partitions || [])) {
+                if (partition.sourceType !== 'm' && partition.sourceType !== 'entity') continue;
+
+                this.dependencyGraph.nodes[`Partition.${table.tableName}.${partition.name}`] = {
+                    type: 'partition',
+                    name: partition.name,
+                    tableName: table.tableName,
+                    sourceType: partition.sourceType,
+                    mode: partition.mode,
+                    entityName: partition.entityName || null,
+                    expressionSource: partition.expressionSource || null,
+                    expression: partition.source || '',
+                    dependencies: [],
+                    usedBy: []
+                };
+            }
+        }
+    }
+
+    /**
+     * Build Power Query lineage: tables and their imported columns depend on their partitions,
+     * partitions and shared expressions depend on the queries/parameters they reference
+     * (#"Query Name" or a bare parameter name) and on the data sources they read from.
+     */
+    buildPowerQueryDependencies() {
+        // Names an M expression can reference: shared expressions/parameters and loaded table queries
+        const queryNodeIds = new Map();
+        for (const table of this.tables) {
+            const mPartition = (table.partitions || []).find(p => p.sourceType === 'm');
+            if (mPartition) {
+                queryNodeIds.set(table.tableName, `Partition.${table.tableName}.${mPartition.name}`);
+            }
+        }
+        for (const expression of this.expressions) {
+            queryNodeIds.set(expression.name, `Expression.${expression.name}`);
+        }
+        const knownNames = new Set(queryNodeIds.keys());
+
+        for (const table of this.tables) {
+            for (const partition of (table.partitions || [])) {
+                const partitionNodeId = `Partition.${table.tableName}.${partition.name}`;
+                if (!this.dependencyGraph.nodes[partitionNodeId]) continue;
+
+                this._addPowerQueryLink(`Table.${table.tableName}`, partitionNodeId, 'table-to-partition');
+
+                // Calculated columns are computed by DAX, every other column is loaded by the partition
+                for (const column of table.columns) {
+                    if (column.isCalculated) continue;
+                    this._addPowerQueryLink(`${table.tableName}.${column.name}`, partitionNodeId, 'column-to-partition');
+                }
+
+                if (partition.sourceType === 'entity') {
+                    if (partition.expressionSource) {
+                        this._addPowerQueryLink(partitionNodeId, `Expression.${partition.expressionSource}`, 'partition-to-expression');
+                    }
+                } else {
+                    this._addMDependencies(partitionNodeId, partition.source, knownNames, queryNodeIds);
+                }
+            }
+        }
+
+        for (const expression of this.expressions) {
+            this._addMDependencies(`Expression.${expression.name}`, expression.expression, knownNames, queryNodeIds);
+        }
+    }
+
+    /**
+     * Add edges from a partition or shared expression to the queries, parameters and data sources in its M
+     * @param {string} sourceNodeId - Partition or expression node that owns the M expression
+     * @param {string} mExpression - The M expression
+     * @param {Set<string>} knownNames - Query and parameter names that can be referenced
+     * @param {Map<string, string>} queryNodeIds - Query name -> node ID
+     * @private
+     */
+    _addMDependencies(sourceNodeId, mExpression, knownNames, queryNodeIds) {
+        if (!mExpression) return;
+
+        const sourceType = this.dependencyGraph.nodes[sourceNodeId].type;
+        const refs = MParser.extractReferences(mExpression, knownNames);
+
+        for (const name of refs.queryRefs) {
+            const targetNodeId = queryNodeIds.get(name);
+            if (!targetNodeId || targetNodeId === sourceNodeId) continue;
+            const targetType = this.dependencyGraph.nodes[targetNodeId].type;
+            this._addPowerQueryLink(sourceNodeId, targetNodeId, `${sourceType}-to-${targetType}`);
+        }
+
+        for (const dataSource of refs.dataSources) {
+            const dataSourceNodeId = this._getDataSourceNode(dataSource);
+            this._addPowerQueryLink(sourceNodeId, dataSourceNodeId, `${sourceType}-to-dataSource`);
+        }
+    }
+
+    /**
+     * Get (or create) the node for a data source call such as Sql.Database("server", "db").
+     * Parameter arguments are replaced by the parameter's current value, so the same server
+     * reached through a parameter or a literal ends up as one node.
+     * @param {Object} dataSource - { connector, args } from MParser.extractReferences()
+     * @returns {string} Data source node ID
+     * @private
+     */
+    _getDataSourceNode(dataSource) {
+        const parameters = [];
+        const args = dataSource.args.map(arg => {
+            if (arg.startsWith('"')) return arg;
+            const parameter = this.expressions.find(e => e.name === arg && e.isParameter);
+            if (parameter) {
+                parameters.push(parameter.name);
+                if (parameter.value !== null) return `"${parameter.value}"`;
+            }
+            return arg;
+        });
+
+        const name = `${dataSource.connector}(${args.join(', ')})`;
+        const nodeId = `DataSource.${name}`;
+
+        if (!this.dependencyGraph.nodes[nodeId]) {
+            this.dependencyGraph.nodes[nodeId] = {
+                type: 'dataSource',
+                name: name,
+                connector: dataSource.connector,
+                args: args,
+                parameters: parameters,
+                dependencies: [],
+                usedBy: []
+            };
+        }
+
+        return nodeId;
+    }
+
+    /**
+     * Add a Power Query lineage edge between two existing nodes
+     * @param {string} fromNodeId - Dependent node (table, column, partition or expression)
+     * @param {string} toNodeId - Node it reads from (partition, expression or data source)
+     * @param {string} edgeType - Edge type recorded in dependencyGraph.edges
+     * @private
+     */
+    _addPowerQueryLink(fromNodeId, toNodeId, edgeType) {
+        const fromNode = this.dependencyGraph.nodes[fromNodeId];
+        const toNode = this.dependencyGraph.nodes[toNodeId];
+        if (!fromNode || !toNode) return;
+
+        const labelOf = node => node.type === 'column' ? `${node.table}[${node.column}]` : (node.name || node.tableName);
+
+        fromNode.dependencies.push({
+            type: toNode.type,
+            ref: toNodeId,
+            name: labelOf(toNode)
+        });
+        toNode.usedBy.push({
+            type: fromNode.type,
+            ref: fromNodeId,
+            name: labelOf(fromNode)
+        });
+        this.dependencyGraph.edges.push({
+            from: fromNodeId,
+            to: toNodeId,
+            type: edgeType
+        });
+    }
+
+    /**
+     * Add measure, column and table dependency edges for a calculated column or table
+     * @param {string} sourceNodeId - Node that owns the DAX expression
+     * @param {string} dax - The DAX expression
+     * @param {string} homeTableName - Table the expression is defined in
+     * @param {Object} usage - usedBy entry to add on each referenced node ({ type, ref, name })
+     * @private
+     */
+    _addExpressionDependencies(sourceNodeId, dax, homeTableName, usage) {
+        const sourceNode = this.dependencyGraph.nodes[sourceNodeId];
+        if (!sourceNode) return;
+
+        const references = this.resolveDAXReferences(DAXParser.extractReferences(dax), homeTableName, dax);
+
+        for (const refName of references.measureRefs) {
+            const refNodeId = this._resolveMeasureNodeId(refName, usage.reportName || null);
+            const refNode = this.dependencyGraph.nodes[refNodeId];
+            if (!refNode || refNodeId === sourceNodeId) continue;
+
+            sourceNode.dependencies.push({
+                type: refNode.type,
+                ref: refNodeId,
+                name: refName
+            });
+            refNode.usedBy.push({ ...usage });
+            this.dependencyGraph.edges.push({
+                from: sourceNodeId,
+                to: refNodeId,
+                type: `${usage.type}-to-${refNode.type}`
+            });
+        }
+
+        for (const colRef of references.columnRefs) {
+            const colNodeId = `${colRef.table}.${colRef.column}`;
+            if (!this.dependencyGraph.nodes[colNodeId] || colNodeId === sourceNodeId) continue;
+
+            sourceNode.dependencies.push({
+                type: 'column',
+                ref: colNodeId,
+                table: colRef.table,
+                column: colRef.column
+            });
+            this.dependencyGraph.nodes[colNodeId].usedBy.push({ ...usage });
+            this.dependencyGraph.edges.push({
+                from: sourceNodeId,
+                to: colNodeId,
+                type: `${usage.type}-to-column`
+            });
+        }
+
+        for (const tableName of references.tableRefs) {
+            const tableNodeId = `Table.${tableName}`;
+            if (!this.dependencyGraph.nodes[tableNodeId] || tableNodeId === sourceNodeId) continue;
+
+            // Only add table ref if no specific column refs (or the table itself) are already dependencies
+            const hasTableDependency = sourceNode.dependencies.some(dep =>
+                dep.ref === tableNodeId || (dep.type === 'column' && dep.table === tableName)
+            );
+            if (hasTableDependency) continue;
+
+            sourceNode.dependencies.push({
+                type: 'table',
+                ref: tableNodeId,
+                name: tableName
+            });
+            this.dependencyGraph.nodes[tableNodeId].usedBy.push({ ...usage });
+            this.dependencyGraph.edges.push({
+                from: sourceNodeId,
+                to: tableNodeId,
+                type: `${usage.type}-to-table`
+            });
+        }
+
+        this._addFunctionCallDependencies(sourceNodeId, references.functions, usage);
+        this._addRelationshipFunctionDependencies(sourceNodeId, dax, usage);
+    }
+
+    /**
+     * Add security role and table permission (row-level security filter) nodes to the graph
+     */
+    addRoleNodes() {
+        for (const role of this.roles) {
+            const roleNodeId = `Role.${role.roleName}`;
+            this.dependencyGraph.nodes[roleNodeId] = {
+                type: 'role',
+                name: role.roleName,
+                roleName: role.roleName,
+                fileName: role.fileName,
+                modelPermission: role.modelPermission,
+                memberCount: (role.members || []).length,
+                tablePermissionCount: role.tablePermissions.length,
+                dependencies: [],
+                usedBy: []
+            };
+
+            for (const permission of role.tablePermissions) {
+                const permissionNodeId = `RolePermission.${role.roleName}.${permission.tableName}`;
+                this.dependencyGraph.nodes[permissionNodeId] = {
+                    type: 'tablePermission',
+                    name: `${role.roleName}: ${permission.tableName}`,
+                    roleName: role.roleName,
+                    tableName: permission.tableName,
+                    fileName: role.fileName,
+                    dax: permission.filterExpression,
+                    dependencies: [],
+                    usedBy: []
+                };
+
+                // A role is made up of its table permissions
+                this.dependencyGraph.nodes[roleNodeId].dependencies.push({
+                    type: 'tablePermission',
+                    ref: permissionNodeId,
+                    name: permission.tableName
+                });
+                this.dependencyGraph.nodes[permissionNodeId].usedBy.push({
+                    type: 'role',
+                    ref: roleNodeId,
+                    name: role.roleName
+                });
+                this.dependencyGraph.edges.push({
+                    from: roleNodeId,
+                    to: permissionNodeId,
+                    type: 'role-to-tablePermission'
+                });
+            }
+        }
+    }
+
+    /**
+     * Add perspective nodes to the graph
+     * Perspectives list their members by name, so each member gets a "perspective" usage
+     * carrying the perspectiveTable it is listed under (needed to rewrite the entry on rename).
+     */
+    addPerspectiveNodes() {
+        for (const perspective of this.perspectives) {
+            const perspectiveNodeId = `Perspective.${perspective.perspectiveName}`;
+            const perspectiveNode = {
+                type: 'perspective',
+                name: perspective.perspectiveName,
+                perspectiveName: perspective.perspectiveName,
+                fileName: perspective.fileName,
+                tableCount: perspective.tables.length,
+                dependencies: [],
+                usedBy: []
+            };
+            this.dependencyGraph.nodes[perspectiveNodeId] = perspectiveNode;
+
+            const link = (targetNodeId, entryKind, tableName, name) => {
+                const targetNode = this.dependencyGraph.nodes[targetNodeId];
+                if (!targetNode) {
+                    console.warn(`Perspective "${perspective.perspectiveName}" lists missing ${entryKind} ${tableName}[${name}]`);
+                    return;
+                }
+                perspectiveNode.dependencies.push({ type: targetNode.type, ref: targetNodeId, name: name });
+                targetNode.usedBy.push({
+                    type: 'perspective',
+                    ref: perspectiveNodeId,
+                    name: perspective.perspectiveName,
+                    perspectiveTable: tableName,
+                    entryKind: entryKind
+                });
+                this.dependencyGraph.edges.push({
+                    from: perspectiveNodeId,
+                    to: targetNodeId,
+                    type: `perspective-to-${entryKind}`
+                });
+            };
+
+            for (const table of perspective.tables) {
+                link(`Table.${table.tableName}`, 'table', table.tableName, table.tableName);
+                for (const columnName of table.columns) {
+                    link(`${table.tableName}.${columnName}`, 'column', table.tableName, columnName);
+                }
+                for (const measureName of table.measures) {
+                    link(`Measure.${measureName}`, 'measure', table.tableName, measureName);
+                }
+                for (const hierarchyName of table.hierarchies) {
+                    link(`Hierarchy.${table.tableName}.${hierarchyName}`, 'hierarchy', table.tableName, hierarchyName);
+                }
+            }
+        }
+    }
+
+    /**
+     * Find the perspectives that list an object directly
+     * Perspective membership is not a dependency chain, so only direct entries count.
+     * @param {string} nodeId - Table, column, measure or hierarchy node
+     * @returns {Array<Object>} Perspective nodes with nodeId, depth 1, entryKind and perspectiveTable
+     */
+    findPerspectivesIncluding(nodeId) {
+        const node = this.dependencyGraph.nodes[nodeId];
+        if (!node) return [];
 
-                // Check if referenced column exists
-                if (this.dependencyGraph.nodes[colNodeId]) {
-                    // Add to dependencies
-                    measureNode.dependencies.push({
-                        type: 'column',
-                        ref: colNodeId,
-                        table: colRef.table,
-                        column: colRef.column
-                    });
+        return node.usedBy
+            .filter(usage => usage.type === 'perspective')
+            .map(usage => ({
+                ...this.dependencyGraph.nodes[usage.ref],
+                nodeId: usage.ref,
+                depth: 1,
+                entryKind: usage.entryKind,
+                perspectiveTable: usage.perspectiveTable
+            }));
+    }
 
-                    // Add to usedBy
-                    this.dependencyGraph.nodes[colNodeId].usedBy.push({
-                        type: 'measure',
-                        ref: measureNodeId,
-                        name: measure.name
-                    });
+    /**
+     * Add culture nodes to the graph
+     * A culture refers to objects by name twice: translation entries (nested under their table)
+     * and bindings in the linguistic schema used by Q&A synonyms. Each referenced object gets one
+     * "culture" usage per culture recording which of the two apply.
+     */
+    addCultureNodes() {
+        for (const culture of this.cultures) {
+            const cultureNodeId = `Culture.${culture.cultureName}`;
+            const cultureNode = {
+                type: 'culture',
+                name: culture.cultureName,
+                cultureName: culture.cultureName,
+                fileName: culture.fileName,
+                translationCount: culture.translations.length,
+                dependencies: [],
+                usedBy: []
+            };
+            this.dependencyGraph.nodes[cultureNodeId] = cultureNode;
+
+            const usages = new Map();
+            const link = (targetNodeId, entryKind, tableName, name, source) => {
+                const targetNode = this.dependencyGraph.nodes[targetNodeId];
+                if (!targetNode) {
+                    console.warn(`Culture "${culture.cultureName}" references missing ${entryKind} ${tableName}[${name}]`);
+                    return;
+                }
 
-                    // Add edge
+                let usage = usages.get(targetNodeId);
+                if (!usage) {
+                    usage = {
+                        type: 'culture',
+                        ref: cultureNodeId,
+                        name: culture.cultureName,
+                        translationTable: tableName,
+                        entryKind: entryKind,
+                        translated: false,
+                        linguistic: false
+                    };
+                    usages.set(targetNodeId, usage);
+                    cultureNode.dependencies.push({ type: targetNode.type, ref: targetNodeId, name: name });
+                    targetNode.usedBy.push(usage);
                     this.dependencyGraph.edges.push({
-                        from: measureNodeId,
-                        to: colNodeId,
-                        type: 'measure-to-column'
+                        from: cultureNodeId,
+                        to: targetNodeId,
+                        type: `culture-to-${entryKind}`
                     });
+                }
+                usage[source] = true;
+            };
+
+            for (const translation of culture.translations) {
+                const targetNodeId = translation.objectType === 'table' ? `Table.${translation.tableName}`
+                    : translation.objectType === 'measure' ? `Measure.${translation.name}`
+                        : translation.objectType === 'hierarchy' ? `Hierarchy.${translation.tableName}.${translation.name}`
+                            : `${translation.tableName}.${translation.name}`;
+                link(targetNodeId, translation.objectType, translation.tableName, translation.name, 'translated');
+            }
+
+            // Linguistic bindings name a property without saying whether it is a column or a measure
+            for (const binding of culture.linguisticBindings) {
+                if (!binding.property) {
+                    link(`Table.${binding.table}`, 'table', binding.table, binding.table, 'linguistic');
+                } else if (this.dependencyGraph.nodes[`${binding.table}.${binding.property}`]) {
+                    link(`${binding.table}.${binding.property}`, 'column', binding.table, binding.property, 'linguistic');
                 } else {
-                    // Track orphaned column reference
-                    this.orphanedReferences.push({
-                        type: 'column',
-                        referencedTable: colRef.table,
-                        referencedColumn: colRef.column,
-                        inMeasure: measure.name,
-                        nodeId: measureNodeId
-                    });
+                    link(`Measure.${binding.property}`, 'measure', binding.table, binding.property, 'linguistic');
                 }
             }
+        }
+    }
 
-            // Add table-only dependencies
-            for (const tableName of references.tableRefs) {
-                const tableNodeId = `Table.${tableName}`;
+    /**
+     * Find the cultures whose translations or linguistic metadata name an object
+     * @param {string} nodeId - Table, column, measure or hierarchy node
+     * @returns {Array<Object>} Culture nodes with nodeId, depth 1, entryKind, translated and linguistic flags
+     */
+    findCulturesReferencing(nodeId) {
+        const node = this.dependencyGraph.nodes[nodeId];
+        if (!node) return [];
 
-                if (this.dependencyGraph.nodes[tableNodeId]) {
-                    // Check if we already have a column reference from this table
-                    const hasColumnRef = measureNode.dependencies.some(
-                        dep => dep.type === 'column' &&
-                               this.dependencyGraph.nodes[dep.ref]?.table === tableName
-                    );
+        return node.usedBy
+            .filter(usage => usage.type === 'culture')
+            .map(usage => ({
+                ...this.dependencyGraph.nodes[usage.ref],
+                nodeId: usage.ref,
+                depth: 1,
+                entryKind: usage.entryKind,
+                translationTable: usage.translationTable,
+                translated: usage.translated,
+                linguistic: usage.linguistic
+            }));
+    }
 
-                    // Only add table ref if no specific column refs exist
-                    if (!hasColumnRef) {
-                        measureNode.dependencies.push({
-                            type: 'table',
-                            ref: tableNodeId,
-                            name: tableName
-                        });
+    /**
+     * Build dependencies from table permission filter expressions to columns, tables and measures
+     */
+    buildRoleDependencies() {
+        for (const role of this.roles) {
+            for (const permission of role.tablePermissions) {
+                const permissionNodeId = `RolePermission.${role.roleName}.${permission.tableName}`;
+                const permissionNode = this.dependencyGraph.nodes[permissionNodeId];
+                if (!permissionNode) continue;
+
+                const usage = {
+                    type: 'tablePermission',
+                    ref: permissionNodeId,
+                    name: permissionNode.name
+                };
 
-                        this.dependencyGraph.nodes[tableNodeId].usedBy.push({
-                            type: 'measure',
-                            ref: measureNodeId,
-                            name: measure.name
-                        });
+                if (permission.filterExpression) {
+                    this._addExpressionDependencies(permissionNodeId, permission.filterExpression, permission.tableName, usage);
+                }
 
-                        this.dependencyGraph.edges.push({
-                            from: measureNodeId,
-                            to: tableNodeId,
-                            type: 'measure-to-table'
-                        });
-                    }
+                // The secured table itself
+                const tableNodeId = `Table.${permission.tableName}`;
+                const tableNode = this.dependencyGraph.nodes[tableNodeId];
+                if (tableNode && !permissionNode.dependencies.some(dep => dep.ref === tableNodeId)) {
+                    permissionNode.dependencies.push({
+                        type: 'table',
+                        ref: tableNodeId,
+                        name: permission.tableName
+                    });
+                    tableNode.usedBy.push({ ...usage });
+                    this.dependencyGraph.edges.push({
+                        from: permissionNodeId,
+                        to: tableNodeId,
+                        type: 'tablePermission-to-table'
+                    });
                 }
             }
         }
     }
 
+    /**
+     * Build dependencies from report-level measures to model measures, columns, tables and other report measures
+     */
+    buildReportMeasureDependencies() {
+        for (const measure of this.reportMeasures) {
+            const nodeId = DependencyAnalyzer.getReportMeasureNodeId(measure);
+            this._addExpressionDependencies(nodeId, measure.dax, measure.tableName, {
+                type: 'reportMeasure',
+                ref: nodeId,
+                name: measure.name,
+                reportName: measure.reportName || null
+            });
+        }
+    }
+
+    /**
+     * Get the node id for a measure referenced from the report
+     * Model measures win; otherwise the name may be a report-level measure of the same report.
+     * @param {string} measureName
+     * @param {string|null} reportName - Report the reference comes from (multi-report projects)
+     * @returns {string} "Measure.<name>" or the report measure node id
+     * @private
+     */
+    _resolveMeasureNodeId(measureName, reportName = null) {
+        const modelNodeId = `Measure.${measureName}`;
+        if (this.dependencyGraph.nodes[modelNodeId]) return modelNodeId;
+        const reportNodeId = DependencyAnalyzer.getReportMeasureNodeId({ name: measureName, reportName });
+        return this.dependencyGraph.nodes[reportNodeId] ? reportNodeId : modelNodeId;
+    }
+
     /**
      * Build dependencies between visuals and measures/columns
      */
     buildVisualDependencies() {
         for (const visual of this.visuals) {
-            const visualNodeId = `${visual.pageId}/${visual.visualId}`;
+            const visualNodeId = DependencyAnalyzer.getVisualNodeId(visual);
             const visualNode = this.dependencyGraph.nodes[visualNodeId];
 
             if (!visualNode) continue;
 
             for (const field of visual.fields) {
                 if (field.type === 'measure') {
-                    const measureNodeId = `Measure.${field.name}`;
+                    const measureNodeId = this._resolveMeasureNodeId(field.name, visual.reportName || null);
+                    const measureNode = this.dependencyGraph.nodes[measureNodeId];
 
-                    if (this.dependencyGraph.nodes[measureNodeId]) {
+                    if (measureNode) {
                         // Add to dependencies
                         visualNode.dependencies.push({
-                            type: 'measure',
+                            type: measureNode.type,
                             ref: measureNodeId,
                             name: field.name
                         });
@@ -297,14 +1434,15 @@ class DependencyAnalyzer {
                             ref: visualNodeId,
                             pageId: visual.pageId,
                             visualId: visual.visualId,
-                            visualType: visual.visualType
+                            visualType: visual.visualType,
+                            reportName: visual.reportName || null
                         });
 
                         // Add edge
                         this.dependencyGraph.edges.push({
                             from: visualNodeId,
                             to: measureNodeId,
-                            type: 'visual-to-measure'
+                            type: `visual-to-${measureNode.type}`
                         });
                     }
                 } else if (field.type === 'column') {
@@ -326,7 +1464,8 @@ class DependencyAnalyzer {
                             ref: visualNodeId,
                             pageId: visual.pageId,
                             visualId: visual.visualId,
-                            visualType: visual.visualType
+                            visualType: visual.visualType,
+                            reportName: visual.reportName || null
                         });
 
                         this.dependencyGraph.edges.push({
@@ -351,7 +1490,8 @@ class DependencyAnalyzer {
                                 ref: visualNodeId,
                                 pageId: visual.pageId,
                                 visualId: visual.visualId,
-                                visualType: visual.visualType
+                                visualType: visual.visualType,
+                                reportName: visual.reportName || null
                             });
 
                             this.dependencyGraph.edges.push({
@@ -375,7 +1515,8 @@ class DependencyAnalyzer {
                                     ref: visualNodeId,
                                     pageId: visual.pageId,
                                     visualId: visual.visualId,
-                                    visualType: visual.visualType
+                                    visualType: visual.visualType,
+                                    reportName: visual.reportName || null
                                 });
 
                                 this.dependencyGraph.edges.push({
@@ -396,7 +1537,8 @@ class DependencyAnalyzer {
                                     ref: visualNodeId,
                                     pageId: visual.pageId,
                                     visualId: visual.visualId,
-                                    visualType: visual.visualType
+                                    visualType: visual.visualType,
+                                    reportName: visual.reportName || null
                                 });
 
                                 this.dependencyGraph.edges.push({
@@ -407,8 +1549,193 @@ class DependencyAnalyzer {
                             }
                         }
                     }
+                } else if (field.type === 'hierarchy') {
+                    // Link to the hierarchy, and to the specific level for HierarchyLevel projections
+                    // (a level that loses its column invalidates the whole hierarchy)
+                    const targetNodeIds = [`Hierarchy.${field.table}.${field.hierarchy}`];
+                    if (field.level) {
+                        targetNodeIds.push(`HierarchyLevel.${field.table}.${field.hierarchy}.${field.level}`);
+                    }
+
+                    for (const targetNodeId of targetNodeIds) {
+                        const targetNode = this.dependencyGraph.nodes[targetNodeId];
+                        if (!targetNode || visualNode.dependencies.some(dep => dep.ref === targetNodeId)) continue;
+
+                        visualNode.dependencies.push({
+                            type: targetNode.type,
+                            ref: targetNodeId,
+                            name: targetNode.name
+                        });
+
+                        targetNode.usedBy.push({
+                            type: 'visual',
+                            ref: visualNodeId,
+                            pageId: visual.pageId,
+                            visualId: visual.visualId,
+                            visualType: visual.visualType,
+                            reportName: visual.reportName || null
+                        });
+
+                        this.dependencyGraph.edges.push({
+                            from: visualNodeId,
+                            to: targetNodeId,
+                            type: `visual-to-${targetNode.type}`
+                        });
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Add page nodes (one per page) and a report node for each report that has report-level filters
+     */
+    addFilterNodes() {
+        for (const page of this.pageFilters) {
+            this.dependencyGraph.nodes[DependencyAnalyzer.getPageNodeId(page)] = {
+                type: 'page',
+                name: page.pageName,
+                pageId: page.pageId,
+                reportName: page.reportName || null,
+                filterCount: page.filterCount,
+                dependencies: [],
+                usedBy: []
+            };
+        }
+
+        for (const report of this.reportFilters) {
+            if (report.fields.length === 0) continue;
+
+            this.dependencyGraph.nodes[DependencyAnalyzer.getReportNodeId(report.reportName)] = {
+                type: 'report',
+                name: report.reportName || 'Report',
+                reportName: report.reportName || null,
+                filterCount: report.fields.length,
+                dependencies: [],
+                usedBy: []
+            };
+        }
+    }
+
+    /**
+     * Build dependencies from page-level and report-level filters to measures, columns and hierarchies
+     */
+    buildFilterDependencies() {
+        for (const page of this.pageFilters) {
+            this._addReportFieldDependencies(DependencyAnalyzer.getPageNodeId(page), page.fields);
+        }
+
+        for (const report of this.reportFilters) {
+            this._addReportFieldDependencies(DependencyAnalyzer.getReportNodeId(report.reportName), report.fields);
+        }
+    }
+
+    /**
+     * Add bookmark nodes to graph
+     */
+    addBookmarkNodes() {
+        for (const bookmark of this.bookmarks) {
+            this.dependencyGraph.nodes[DependencyAnalyzer.getBookmarkNodeId(bookmark)] = {
+                type: 'bookmark',
+                name: bookmark.name,
+                bookmarkId: bookmark.bookmarkId,
+                fileName: bookmark.fileName,
+                pageId: bookmark.pageId,
+                pageName: bookmark.pageName,
+                reportName: bookmark.reportName || null,
+                visualCount: bookmark.visuals.length,
+                dependencies: [],
+                usedBy: []
+            };
+        }
+    }
+
+    /**
+     * Build dependencies from bookmarks to the fields in their captured state and the visuals they store state for
+     */
+    buildBookmarkDependencies() {
+        for (const bookmark of this.bookmarks) {
+            const bookmarkNodeId = DependencyAnalyzer.getBookmarkNodeId(bookmark);
+            const bookmarkNode = this.dependencyGraph.nodes[bookmarkNodeId];
+            if (!bookmarkNode) continue;
+
+            this._addReportFieldDependencies(bookmarkNodeId, bookmark.fields);
+
+            for (const visualRef of bookmark.visuals) {
+                const visualNodeId = DependencyAnalyzer.getVisualNodeId({ ...visualRef, reportName: bookmark.reportName });
+                const visualNode = this.dependencyGraph.nodes[visualNodeId];
+                if (!visualNode) continue;
+
+                bookmarkNode.dependencies.push({
+                    type: 'visual',
+                    ref: visualNodeId,
+                    name: visualNode.name
+                });
+                visualNode.usedBy.push({
+                    type: 'bookmark',
+                    ref: bookmarkNodeId,
+                    name: bookmark.name,
+                    pageId: bookmark.pageId,
+                    reportName: bookmark.reportName || null
+                });
+                this.dependencyGraph.edges.push({
+                    from: bookmarkNodeId,
+                    to: visualNodeId,
+                    type: 'bookmark-to-visual'
+                });
+            }
+        }
+    }
+
+    /**
+     * Link a page, report or bookmark node to the measures, columns and hierarchies it references
+     * @param {string} ownerNodeId - Page, report or bookmark node id
+     * @param {Array<Object>} fields - Fields from JSONParser.extractFilterFields() or parseBookmark()
+     * @private
+     */
+    _addReportFieldDependencies(ownerNodeId, fields) {
+        const ownerNode = this.dependencyGraph.nodes[ownerNodeId];
+        if (!ownerNode) return;
+
+        for (const field of fields) {
+            const targets = [];
+            if (field.type === 'measure') {
+                targets.push({ ref: this._resolveMeasureNodeId(field.name, ownerNode.reportName || null), dependency: null });
+            } else if (field.type === 'column') {
+                targets.push({
+                    ref: `${field.table}.${field.column}`,
+                    dependency: { type: 'column', table: field.table, column: field.column }
+                });
+            } else if (field.type === 'hierarchy') {
+                targets.push({ ref: `Hierarchy.${field.table}.${field.hierarchy}`, dependency: null });
+                if (field.level) {
+                    targets.push({ ref: `HierarchyLevel.${field.table}.${field.hierarchy}.${field.level}`, dependency: null });
                 }
             }
+
+            for (const target of targets) {
+                const targetNode = this.dependencyGraph.nodes[target.ref];
+                if (!targetNode || ownerNode.dependencies.some(dep => dep.ref === target.ref)) continue;
+
+                ownerNode.dependencies.push({
+                    ...(target.dependency || { type: targetNode.type, name: targetNode.name }),
+                    ref: target.ref
+                });
+
+                targetNode.usedBy.push({
+                    type: ownerNode.type,
+                    ref: ownerNodeId,
+                    name: ownerNode.name,
+                    pageId: ownerNode.pageId || null,
+                    reportName: ownerNode.reportName || null
+                });
+
+                this.dependencyGraph.edges.push({
+                    from: ownerNodeId,
+                    to: target.ref,
+                    type: `${ownerNode.type}-to-${targetNode.type}`
+                });
+            }
         }
     }
 
@@ -459,7 +1786,7 @@ class DependencyAnalyzer {
                     visualId: usage.visualId,
                     visualType: usage.visualType,
                     visualName: this.dependencyGraph.nodes[usage.ref]?.visualName || null,
-                    pageName: this.getPageName(usage.pageId)
+                    pageName: this.dependencyGraph.nodes[usage.ref]?.pageName || this.getPageName(usage.pageId)
                 });
             }
         }
@@ -502,9 +1829,14 @@ class DependencyAnalyzer {
 
         // Count totals
         const upstreamTotal = upstream.measures.length + upstream.columns.length + upstream.tables.length +
-            upstream.calculationItems.length + upstream.calculationGroups.length + upstream.fieldParameters.length;
-        const downstreamTotal = downstream.measures.length + downstream.visuals.length +
-            downstream.calculationItems.length + downstream.calculationGroups.length + downstream.fieldParameters.length;
+            upstream.calculationItems.length + upstream.calculationGroups.length + upstream.fieldParameters.length +
+            upstream.partitions.length + upstream.expressions.length + upstream.dataSources.length +
+            upstream.reportMeasures.length + upstream.functions.length + upstream.relationships.length;
+        const downstreamTotal = downstream.measures.length + downstream.columns.length + downstream.tables.length +
+            downstream.visuals.length + downstream.hierarchies.length + downstream.levels.length +
+            downstream.tablePermissions.length + downstream.calculationItems.length + downstream.calculationGroups.length + downstream.fieldParameters.length +
+            downstream.partitions.length + downstream.expressions.length + downstream.pages.length + downstream.reports.length +
+            downstream.bookmarks.length + downstream.reportMeasures.length + downstream.functions.length;
 
         console.log(`Enhanced impact analysis complete: ${upstreamTotal} upstream, ${downstreamTotal} downstream`);
 
@@ -521,7 +1853,9 @@ class DependencyAnalyzer {
             downstream: {
                 ...downstream,
                 totalCount: downstreamTotal
-            }
+            },
+            perspectives: this.findPerspectivesIncluding(nodeId),
+            translations: this.findCulturesReferencing(nodeId)
         };
     }
 
@@ -551,6 +1885,108 @@ class DependencyAnalyzer {
         return affected;
     }
 
+    /**
+     * Summarize the relationship graph: bidirectional and inactive relationships, the measures
+     * that activate inactive relationships, and table pairs with ambiguous filter paths
+     * @returns {Object} { relationshipCount, bidirectional, inactive, ambiguities }
+     */
+    analyzeRelationships() {
+        const graph = this.relationshipGraph || new RelationshipGraph(this.relationships);
+        const usages = graph.findRelationshipFunctionUsage(this._getRelationshipFunctionSources());
+
+        const inactive = graph.getInactiveRelationships().map(rel => ({
+            ...this._describeRelationship(rel),
+            activatedBy: usages
+                .filter(usage => usage.relationship === rel && usage.function === 'USERELATIONSHIP')
+                .map(usage => usage.measureName)
+        }));
+
+        const ambiguities = graph.findAmbiguousPaths().map(ambiguity => ({
+            fromTable: ambiguity.fromTable,
+            toTable: ambiguity.toTable,
+            paths: ambiguity.paths,
+            bidirectionalRelationships: ambiguity.bidirectionalRelationships.map(rel => this._describeRelationship(rel))
+        }));
+
+        return {
+            relationshipCount: this.relationships.length,
+            bidirectional: this.relationships
+                .filter(rel => RelationshipGraph.isBidirectional(rel))
+                .map(rel => this._describeRelationship(rel)),
+            inactive,
+            ambiguities
+        };
+    }
+
+    /**
+     * Filter propagation paths from one table to another
+     * @param {string} fromTable - Table the filter is applied to
+     * @param {string} toTable - Table that should be filtered
+     * @param {Object} options - See RelationshipGraph.getFilterPaths()
+     * @returns {Array<Object>} Paths in the order they were found
+     */
+    getFilterPaths(fromTable, toTable, options = {}) {
+        const graph = this.relationshipGraph || new RelationshipGraph(this.relationships);
+        return graph.getFilterPaths(fromTable, toTable, options);
+    }
+
+    /**
+     * Measures left without a relationship they rely on, and table pairs that lose filter
+     * propagation, when relationships are removed
+     * @param {Array<Object>} relationships - Relationships being removed (need at least name and columns)
+     * @param {string|null} removedTable - Table deleted along with the relationships; pairs involving it are not reported
+     * @returns {Object} { strandedMeasures: [{ measureName, reportName, function, relationship }], lostFilterPaths }
+     */
+    analyzeRelationshipRemoval(relationships, removedTable = null) {
+        const graph = this.relationshipGraph || new RelationshipGraph(this.relationships);
+        const removedNames = new Set(relationships.map(rel => rel.name));
+        const strandedMeasures = [];
+
+        for (const usage of graph.findRelationshipFunctionUsage(this._getRelationshipFunctionSources())) {
+            if (!removedNames.has(usage.relationship.name)) continue;
+            strandedMeasures.push({
+                measureName: usage.measureName,
+                reportName: usage.reportName,
+                function: usage.function,
+                relationship: this._describeRelationship(usage.relationship)
+            });
+        }
+
+        // Inactive relationships never propagate filters on their own, so only active ones can cut a path
+        const lostFilterPaths = graph.findLostFilterPaths(relationships.filter(rel => rel.isActive !== false))
+            .filter(pair => pair.fromTable !== removedTable && pair.toTable !== removedTable);
+
+        return { strandedMeasures, lostFilterPaths };
+    }
+
+    /**
+     * Measures whose DAX may call USERELATIONSHIP or CROSSFILTER
+     * @private
+     */
+    _getRelationshipFunctionSources() {
+        return [
+            ...this.measures.map(m => ({ name: m.name, dax: m.dax })),
+            ...this.reportMeasures.map(m => ({ name: m.name, dax: m.dax, reportName: m.reportName || null }))
+        ];
+    }
+
+    /**
+     * Plain relationship summary for results (no parser bookkeeping)
+     * @private
+     */
+    _describeRelationship(rel) {
+        return {
+            name: rel.name,
+            label: RelationshipGraph.describe(rel),
+            fromTable: rel.fromTable,
+            fromColumn: rel.fromColumn,
+            toTable: rel.toTable,
+            toColumn: rel.toColumn,
+            crossFilteringBehavior: rel.crossFilteringBehavior || 'oneDirection',
+            isActive: rel.isActive !== false
+        };
+    }
+
     /**
      * Get page name by pageId
      * @param {string} pageId
@@ -597,48 +2033,52 @@ class DependencyAnalyzer {
      * Find all upstream dependencies recursively
      * Returns tables, columns, and measures that the target depends on
      * @param {string} nodeId - The node to analyze
-     * @param {number} maxDepth - Maximum recursion depth (-1 for unlimited)
+     * @param {number} maxDepth - Maximum traversal depth (-1 for unlimited)
      * @returns {Object} Grouped upstream dependencies
      */
     findAllUpstream(nodeId, maxDepth = -1) {
-        const visited = new Set();
         const allNodes = new Set();
 
-        this._traverseUpstream(nodeId, visited, allNodes, 0, maxDepth);
+        this._traverseUpstream(nodeId, allNodes, maxDepth);
 
         // Convert Set to arrays and group by type
         return this._groupByType(allNodes);
     }
 
     /**
-     * Recursive helper to traverse upstream dependencies
+     * Breadth-first helper to traverse upstream dependencies
+     * Records each node at its shortest distance from the start node, e.g. a
+     * column a bookmark filters on is depth 1 even when one of its measures
+     * also uses it.
      * @private
      */
-    _traverseUpstream(nodeId, visited, allNodes, depth, maxDepth) {
-        // Cycle detection
-        if (visited.has(nodeId)) return;
-        visited.add(nodeId);
-
-        // Depth limit check
-        if (maxDepth !== -1 && depth > maxDepth) return;
-
-        const node = this.dependencyGraph.nodes[nodeId];
-        if (!node) return;
-
-        // Add to results (skip starting node at depth 0)
-        if (depth > 0) {
-            allNodes.add({
-                ...node,
-                nodeId,
-                depth
-            });
-        }
-
-        // Recursively traverse dependencies
-        if (node.dependencies) {
-            for (const dep of node.dependencies) {
-                this._traverseUpstream(dep.ref, visited, allNodes, depth + 1, maxDepth);
+    _traverseUpstream(nodeId, allNodes, maxDepth) {
+        const visited = new Set([nodeId]);
+        let frontier = [nodeId];
+
+        for (let depth = 1; frontier.length > 0 && (maxDepth === -1 || depth <= maxDepth); depth++) {
+            const next = [];
+            for (const currentId of frontier) {
+                const current = this.dependencyGraph.nodes[currentId];
+                if (!current || !current.dependencies) continue;
+
+                for (const dep of current.dependencies) {
+                    // Cycle detection
+                    if (visited.has(dep.ref)) continue;
+                    visited.add(dep.ref);
+
+                    const node = this.dependencyGraph.nodes[dep.ref];
+                    if (!node) continue;
+
+                    allNodes.add({
+                        ...node,
+                        nodeId: dep.ref,
+                        depth
+                    });
+                    next.push(dep.ref);
+                }
             }
+            frontier = next;
         }
     }
 
@@ -646,48 +2086,52 @@ class DependencyAnalyzer {
      * Find all downstream dependents recursively
      * Returns measures and visuals that depend on the target
      * @param {string} nodeId - The node to analyze
-     * @param {number} maxDepth - Maximum recursion depth (-1 for unlimited)
+     * @param {number} maxDepth - Maximum traversal depth (-1 for unlimited)
      * @returns {Object} Grouped downstream dependents
      */
     findAllDownstream(nodeId, maxDepth = -1) {
-        const visited = new Set();
         const allNodes = new Set();
 
-        this._traverseDownstream(nodeId, visited, allNodes, 0, maxDepth);
+        this._traverseDownstream(nodeId, allNodes, maxDepth);
 
         // Convert Set to arrays and group by type
         return this._groupByType(allNodes);
     }
 
     /**
-     * Recursive helper to traverse downstream dependents
+     * Breadth-first helper to traverse downstream dependents
+     * Each node is recorded at its shortest distance from the start node, so a
+     * node that uses the target directly is depth 1 even when it is also
+     * reachable through another dependent.
      * @private
      */
-    _traverseDownstream(nodeId, visited, allNodes, depth, maxDepth) {
-        // Cycle detection
-        if (visited.has(nodeId)) return;
-        visited.add(nodeId);
-
-        // Depth limit check
-        if (maxDepth !== -1 && depth > maxDepth) return;
-
-        const node = this.dependencyGraph.nodes[nodeId];
-        if (!node) return;
-
-        // Add to results (skip starting node at depth 0)
-        if (depth > 0) {
-            allNodes.add({
-                ...node,
-                nodeId,
-                depth
-            });
-        }
-
-        // Recursively traverse usedBy relationships
-        if (node.usedBy) {
-            for (const usage of node.usedBy) {
-                this._traverseDownstream(usage.ref, visited, allNodes, depth + 1, maxDepth);
+    _traverseDownstream(nodeId, allNodes, maxDepth) {
+        const visited = new Set([nodeId]);
+        let frontier = [nodeId];
+
+        for (let depth = 1; frontier.length > 0 && (maxDepth === -1 || depth <= maxDepth); depth++) {
+            const next = [];
+            for (const currentId of frontier) {
+                const current = this.dependencyGraph.nodes[currentId];
+                if (!current || !current.usedBy) continue;
+
+                for (const usage of current.usedBy) {
+                    // Cycle detection
+                    if (visited.has(usage.ref)) continue;
+                    visited.add(usage.ref);
+
+                    const node = this.dependencyGraph.nodes[usage.ref];
+                    if (!node) continue;
+
+                    allNodes.add({
+                        ...node,
+                        nodeId: usage.ref,
+                        depth
+                    });
+                    next.push(usage.ref);
+                }
             }
+            frontier = next;
         }
     }
 
@@ -703,7 +2147,20 @@ class DependencyAnalyzer {
             visuals: [],
             calculationItems: [],
             calculationGroups: [],
-            fieldParameters: []
+            fieldParameters: [],
+            roles: [],
+            tablePermissions: [],
+            hierarchies: [],
+            levels: [],
+            partitions: [],
+            expressions: [],
+            dataSources: [],
+            pages: [],
+            reports: [],
+            bookmarks: [],
+            reportMeasures: [],
+            functions: [],
+            relationships: []
         };
 
         for (const node of allNodes) {
@@ -721,6 +2178,32 @@ class DependencyAnalyzer {
                 grouped.calculationGroups.push(node);
             } else if (node.type === 'fieldParameter') {
                 grouped.fieldParameters.push(node);
+            } else if (node.type === 'role') {
+                grouped.roles.push(node);
+            } else if (node.type === 'tablePermission') {
+                grouped.tablePermissions.push(node);
+            } else if (node.type === 'hierarchy') {
+                grouped.hierarchies.push(node);
+            } else if (node.type === 'level') {
+                grouped.levels.push(node);
+            } else if (node.type === 'partition') {
+                grouped.partitions.push(node);
+            } else if (node.type === 'expression') {
+                grouped.expressions.push(node);
+            } else if (node.type === 'dataSource') {
+                grouped.dataSources.push(node);
+            } else if (node.type === 'page') {
+                grouped.pages.push(node);
+            } else if (node.type === 'report') {
+                grouped.reports.push(node);
+            } else if (node.type === 'bookmark') {
+                grouped.bookmarks.push(node);
+            } else if (node.type === 'reportMeasure') {
+                grouped.reportMeasures.push(node);
+            } else if (node.type === 'function') {
+                grouped.functions.push(node);
+            } else if (node.type === 'relationship') {
+                grouped.relationships.push(node);
             }
         }
 
@@ -786,7 +2269,7 @@ class DependencyAnalyzer {
 
                 // Parse DAX in the calculation item for column references
                 if (item.dax) {
-                    const refs = DAXParser.extractReferences(item.dax);
+                    const refs = this.resolveDAXReferences(DAXParser.extractReferences(item.dax), table.tableName, item.dax);
 
                     for (const colRef of refs.columnRefs) {
                         const colNodeId = `${colRef.table}.${colRef.column}`;
@@ -866,6 +2349,15 @@ class DependencyAnalyzer {
             if (!paramNode) continue;
 
             for (const ref of (table.fieldParameterRefs || [])) {
+                // Measures can live in any table, so a ref like 'Sales'[Total] is a
+                // measure when a measure with that name has 'Sales' as its home table
+                const isHomeTableMeasure = this.measures.some(m =>
+                    m.name === ref.property && m.tableName === ref.table
+                );
+                if (isHomeTableMeasure) {
+                    ref.type = 'measure';
+                }
+
                 let targetNodeId;
                 if (ref.type === 'measure') {
                     targetNodeId = `Measure.${ref.property}`;
@@ -954,12 +2446,19 @@ class DependencyAnalyzer {
         const measures = Object.values(this.dependencyGraph.nodes).filter(n => n.type === 'measure');
         const columns = Object.values(this.dependencyGraph.nodes).filter(n => n.type === 'column');
         const visuals = Object.values(this.dependencyGraph.nodes).filter(n => n.type === 'visual');
+        const roles = Object.values(this.dependencyGraph.nodes).filter(n => n.type === 'role');
+        const dataSources = Object.values(this.dependencyGraph.nodes).filter(n => n.type === 'dataSource');
+        const functions = Object.values(this.dependencyGraph.nodes).filter(n => n.type === 'function');
 
         return {
             totalNodes: Object.keys(this.dependencyGraph.nodes).length,
             measureCount: measures.length,
             columnCount: columns.length,
             visualCount: visuals.length,
+            roleCount: roles.length,
+            expressionCount: this.expressions.length,
+            dataSourceCount: dataSources.length,
+            functionCount: functions.length,
             edgeCount: this.dependencyGraph.edges.length,
             tableCount: new Set(columns.map(c => c.table)).size,
             orphanedCount: this.orphanedReferences.length,
@@ -984,38 +2483,73 @@ class DependencyAnalyzer {
         }
 
         // Collect direct breaks (depth 1) and cascade breaks (depth 2+)
-        const directBreaks = { measures: [], visuals: [], relationships: [] };
-        const cascadeBreaks = { measures: [], visuals: [] };
+        // Columns and tables appear downstream when they are calculated from DAX or loaded by a Power Query partition
+        const breakGroups = ['measures', 'columns', 'tables', 'hierarchies', 'levels', 'visuals', 'tablePermissions',
+            'partitions', 'expressions', 'pages', 'reports', 'bookmarks', 'reportMeasures', 'functions'];
+        const directBreaks = { relationships: [] };
+        const cascadeBreaks = {};
+        for (const group of breakGroups) {
+            directBreaks[group] = [];
+            cascadeBreaks[group] = [];
+        }
 
         // Get all downstream dependents
         const downstream = this.findAllDownstream(nodeId);
 
-        for (const item of downstream.measures) {
-            if (item.depth === 1) {
-                directBreaks.measures.push(item);
-            } else {
-                cascadeBreaks.measures.push(item);
-            }
-        }
-
-        for (const item of downstream.visuals) {
-            if (item.depth === 1) {
-                directBreaks.visuals.push(item);
-            } else {
-                cascadeBreaks.visuals.push(item);
+        for (const group of breakGroups) {
+            for (const item of downstream[group]) {
+                if (item.depth === 1) {
+                    directBreaks[group].push(item);
+                } else {
+                    cascadeBreaks[group].push(item);
+                }
             }
         }
 
-        // Check relationship breaks (for columns)
+        // Check relationship breaks (a deleted column or table takes its relationships with it)
         if (node.type === 'column') {
             directBreaks.relationships = this.findRelationshipsUsingColumn(node.table, node.column);
+        } else if (node.type === 'table' && this.relationshipGraph) {
+            directBreaks.relationships = this.relationshipGraph.getRelationshipsForTable(node.tableName).map(rel => ({
+                name: rel.name,
+                fromTable: rel.fromTable,
+                fromColumn: rel.fromColumn,
+                toTable: rel.toTable,
+                toColumn: rel.toColumn,
+                isActive: rel.isActive
+            }));
+        }
+
+        // Measures that activate a removed relationship with USERELATIONSHIP/CROSSFILTER stop working
+        let relationshipRemoval = { strandedMeasures: [], lostFilterPaths: [] };
+        if (node.type === 'relationship') {
+            const relationship = this.relationships.find(rel => rel.name === node.relationshipName);
+            relationshipRemoval = this.analyzeRelationshipRemoval(relationship ? [relationship] : []);
+        } else if (directBreaks.relationships.length > 0) {
+            relationshipRemoval = this.analyzeRelationshipRemoval(directBreaks.relationships, node.type === 'table' ? node.tableName : null);
         }
 
-        // Risk scoring
-        const totalDownstream = downstream.measures.length + downstream.visuals.length;
+        // Perspective entries naming the object must be removed along with it
+        directBreaks.perspectives = this.findPerspectivesIncluding(nodeId);
+        cascadeBreaks.perspectives = [];
+
+        // Columns whose sortByColumn / groupByColumn / variation points at a deleted column
+        directBreaks.columnProperties = (node.type === 'column' ? node.usedBy : [])
+            .filter(usage => usage.type === 'column' && usage.relation)
+            .map(usage => ({ nodeId: usage.ref, name: usage.name, relation: usage.relation }));
+        cascadeBreaks.columnProperties = [];
+
+        // Risk scoring - a broken row-level security filter is always the highest risk
+        const totalDownstream = breakGroups.reduce((sum, group) => sum + downstream[group].length, 0) +
+            directBreaks.perspectives.length;
         const hasRelationshipBreaks = directBreaks.relationships.length > 0;
+        const securityBreaks = downstream.tablePermissions.length;
+        // A hierarchy level or column property naming a missing column stops the model from loading
+        const structureBreaks = directBreaks.levels.length + directBreaks.columnProperties.length;
         let riskLevel;
-        if (totalDownstream === 0 && !hasRelationshipBreaks) {
+        if (securityBreaks > 0 || structureBreaks > 0) {
+            riskLevel = 'dangerous';
+        } else if (totalDownstream === 0 && !hasRelationshipBreaks) {
             riskLevel = 'safe';
         } else if (totalDownstream <= 5 && !hasRelationshipBreaks) {
             riskLevel = 'caution';
@@ -1023,12 +2557,57 @@ class DependencyAnalyzer {
             riskLevel = 'dangerous';
         }
 
+        // Removing an active relationship changes how visuals are filtered even when no object references it
+        if (riskLevel === 'safe' && relationshipRemoval.lostFilterPaths.length > 0) {
+            riskLevel = 'caution';
+        }
+
         // Build summary message
         let safeMessage = null;
         if (riskLevel === 'safe') {
             safeMessage = `No objects depend on this ${node.type} — safe to delete.`;
         }
 
+        let securityMessage = null;
+        if (securityBreaks > 0) {
+            const roleNames = [...new Set(downstream.tablePermissions.map(p => p.roleName))];
+            securityMessage = `Breaks row-level security in ${roleNames.length} role${roleNames.length !== 1 ? 's' : ''}: ${roleNames.join(', ')}`;
+        }
+
+        // Page and report filters are easy to miss because they are not visible on the canvas
+        const filterBreaks = [
+            ...downstream.reports.map(report => report.reportName ? `report-level filters of ${report.reportName}` : 'report-level filters'),
+            ...downstream.pages.map(page => `page filter on ${page.reportName ? `${page.reportName} › ` : ''}${page.name}`)
+        ];
+        const filterMessage = filterBreaks.length > 0 ? `Breaks ${filterBreaks.join(', ')}` : null;
+
+        const perspectiveNames = directBreaks.perspectives.map(p => p.name);
+        const perspectiveMessage = perspectiveNames.length > 0
+            ? `Remove from ${perspectiveNames.length} perspective${perspectiveNames.length !== 1 ? 's' : ''}: ${perspectiveNames.join(', ')}`
+            : null;
+
+        const structureParts = [];
+        if (directBreaks.levels.length > 0) {
+            structureParts.push(`hierarchy level${directBreaks.levels.length !== 1 ? 's' : ''} ${directBreaks.levels.map(level => level.name).join(', ')}`);
+        }
+        for (const property of directBreaks.columnProperties) {
+            structureParts.push(`${property.relation} of ${property.name}`);
+        }
+        const structureMessage = structureParts.length > 0
+            ? `Model will not load until these are removed or repointed: ${structureParts.join('; ')}`
+            : null;
+
+        const relationshipMessages = [];
+        if (relationshipRemoval.strandedMeasures.length > 0) {
+            const measureNames = [...new Set(relationshipRemoval.strandedMeasures.map(m => m.measureName))];
+            relationshipMessages.push(`Strands ${measureNames.length} measure${measureNames.length !== 1 ? 's' : ''} relying on a removed relationship (USERELATIONSHIP/CROSSFILTER): ${measureNames.join(', ')}`);
+        }
+        if (relationshipRemoval.lostFilterPaths.length > 0 && (node.type === 'relationship' || relationshipMessages.length === 0)) {
+            const pairs = relationshipRemoval.lostFilterPaths.map(p => `${p.fromTable} → ${p.toTable}`);
+            relationshipMessages.push(`Filters stop propagating: ${pairs.join(', ')}`);
+        }
+        const relationshipMessage = relationshipMessages.length > 0 ? relationshipMessages.join('. ') : null;
+
         const result = {
             operation: 'delete',
             targetNode: nodeId,
@@ -1037,6 +2616,14 @@ class DependencyAnalyzer {
             targetDAX: node.dax || null,
             riskLevel,
             safeMessage,
+            securityMessage,
+            securityBreaks,
+            filterMessage,
+            perspectiveMessage,
+            structureMessage,
+            relationshipMessage,
+            strandedMeasures: relationshipRemoval.strandedMeasures,
+            lostFilterPaths: relationshipRemoval.lostFilterPaths,
             directBreaks,
             cascadeBreaks,
             totalBreaks: totalDownstream + directBreaks.relationships.length
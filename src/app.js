@@ -323,6 +323,11 @@ function setupEventListeners() {
     document.getElementById('refactorTypeSelect').addEventListener('change', handleRefactorTypeChange);
     document.getElementById('refactorObjectSelect').addEventListener('change', handleRefactorObjectChange);
     document.getElementById('newNameInput').addEventListener('input', handleNewNameInput);
+    document.getElementById('refactorOperationSelect').addEventListener('change', handleRefactorOperationChange);
+    document.getElementById('relationshipOperationSelect').addEventListener('change', handleRelationshipOperationChange);
+    document.getElementById('moveTargetTableSelect').addEventListener('change', updatePreviewButton);
+    document.getElementById('relationshipFromColumnSelect').addEventListener('change', updatePreviewButton);
+    document.getElementById('relationshipToColumnSelect').addEventListener('change', updatePreviewButton);
     document.getElementById('previewBtn').addEventListener('click', handlePreviewRefactor);
 
     // Dependency Graph tab (export only)
@@ -389,6 +394,9 @@ async function handleFolderSelection() {
         }
 
         fileAccessManager.folderHandle = folderHandle;
+        // Forget the model of a previous load; a folder without one loads its reports standalone
+        fileAccessManager.semanticModelHandle = null;
+        fileAccessManager.modelMetadataHandle = null;
 
         // Analyze what was selected
         const analysis = await fileAccessManager.analyzeFolder(folderHandle);
@@ -429,10 +437,18 @@ async function handleFolderSelection() {
         // Step 2: Show SemanticModel picker
         updateSelectionGuide(2);
         if (analysis.semanticModels.length === 0) {
+            // Thin reports connected to a published dataset can still be analyzed on their own
+            const { connectedReports } = await fileAccessManager.discoverReports(null);
+            if (connectedReports.length > 0) {
+                updateSelectionGuide(3);
+                showLoading(true, 'Discovering reports...');
+                await showReportPicker([], connectedReports);
+                return;
+            }
             throw new Error(
                 'No .SemanticModel folders found in the selected folder.\n\n' +
                 'Please select a PBIP project folder that contains:\n' +
-                '- At least one .SemanticModel folder\n' +
+                '- At least one .SemanticModel folder, or reports connected to a published dataset\n' +
                 '- Optionally, one or more .Report folders\n\n' +
                 `Selected: ${folderHandle.name}`
             );
@@ -460,84 +476,23 @@ async function handleFolderSelection() {
 }
 
 /**
- * Get page display name from pageId
- * @param {string} pageId - The page ID (folder name)
- * @returns {string} The display name or pageId if not found
+ * Get the key identifying a page across loaded reports
+ * @param {Object} item - Page or visual with pageId (and reportName when several reports are loaded)
+ * @returns {string} "<pageId>" or "<report>/<pageId>"
  */
-function getPageDisplayName(pageId) {
-    const page = parsedData.pages.find(p => p.pageId === pageId);
-    const displayName = page?.content?.displayName;
-    // Fallback to pageId if displayName is missing or empty
-    return displayName && displayName.trim() !== '' ? displayName : pageId;
+function getPageKey(item) {
+    const pageId = item.pageId || item.name;
+    return item.reportName ? `${item.reportName}/${pageId}` : pageId;
 }
 
 /**
  * Load and parse PBIP files
  */
 async function loadPBIPFiles() {
-    console.log('Loading PBIP files...');
-
-    // Read semantic model files
-    showLoading(true, 'Reading semantic model files...');
-    const semanticModelFiles = await fileAccessManager.readSemanticModelFiles();
-
-    // Parse measures
-    showLoading(true, 'Parsing measures...');
-    if (semanticModelFiles.measures) {
-        parsedData.measures = TMDLParser.parseMeasuresTMDL(semanticModelFiles.measures.content);
-    }
-
-    // Parse tables
-    showLoading(true, `Parsing ${semanticModelFiles.tables.length} tables...`);
-    parsedData.tables = [];
-    const tableParseErrors = [];
-    for (let i = 0; i < semanticModelFiles.tables.length; i++) {
-        const tableFile = semanticModelFiles.tables[i];
-        if (i % 5 === 0) { // Update every 5 tables to avoid too many DOM updates
-            showLoading(true, `Parsing tables (${i + 1}/${semanticModelFiles.tables.length})...`);
-        }
-        try {
-            const tableData = TMDLParser.parseTableTMDL(tableFile.content, tableFile.fileName);
-            parsedData.tables.push(tableData);
-        } catch (error) {
-            console.warn(`Failed to parse table ${tableFile.fileName}:`, error);
-            tableParseErrors.push(tableFile.fileName);
-        }
-    }
-
-    // Parse relationships
-    showLoading(true, 'Parsing relationships...');
-    if (semanticModelFiles.relationships) {
-        parsedData.relationships = TMDLParser.parseRelationshipsTMDL(semanticModelFiles.relationships.content);
-    }
-
-    // Read report files
-    showLoading(true, 'Reading report files...');
-    const reportFiles = await fileAccessManager.readReportFiles();
-
-    // Store pages for display name lookup
-    parsedData.pages = reportFiles.pages || [];
-
-    // Parse visuals
-    const totalVisuals = reportFiles.visuals.length;
-    showLoading(true, `Parsing ${totalVisuals} visuals...`);
-    parsedData.visuals = [];
-    for (let i = 0; i < reportFiles.visuals.length; i++) {
-        const visualFile = reportFiles.visuals[i];
-        if (i % 10 === 0) { // Update every 10 visuals
-            showLoading(true, `Parsing visuals (${i + 1}/${totalVisuals})...`);
-        }
-        const visualData = JSONParser.parseVisual(visualFile.content);
-        parsedData.visuals.push({
-            pageId: visualFile.pageId,
-            visualId: visualFile.visualId,
-            visualType: visualData.visualType,
-            visualName: visualData.visualName,
-            fields: visualData.fields,
-            pageName: getPageDisplayName(visualFile.pageId),
-            position: visualData.position
-        });
-    }
+    // Read and parse semantic model and report files
+    const loadResult = await PBIPLoader.load(fileAccessManager, message => showLoading(true, message));
+    parsedData = loadResult.parsedData;
+    const tableParseErrors = loadResult.tableParseErrors;
 
     // Build dependency graph
     showLoading(true, 'Building dependency graph...');
@@ -551,6 +506,12 @@ async function loadPBIPFiles() {
         displayCircularDependencyWarning(circularDeps);
     }
 
+    // Check for ambiguous filter paths between tables
+    const relationshipSummary = dependencyAnalyzer.analyzeRelationships();
+    if (relationshipSummary.ambiguities.length > 0) {
+        displayAmbiguousRelationshipsWarning(relationshipSummary);
+    }
+
     // Update UI
     updateModelStats();
     populateObjectSelects();
@@ -574,7 +535,7 @@ async function loadPBIPFiles() {
         sessionManager.saveLastFolder(
             fileAccessManager.folderHandle?.name || '',
             fileAccessManager.semanticModelHandle?.name || '',
-            fileAccessManager.reportHandle?.name || ''
+            fileAccessManager.getReportHandles().map(handle => handle.name).join(', ')
         );
         // Hide the last-folder hint after a fresh load
         const hintEl = document.getElementById('lastFolderHint');
@@ -610,10 +571,15 @@ function updateSelectionSummary() {
 
     if (fileAccessManager.semanticModelHandle) {
         semanticModelEl.textContent = fileAccessManager.semanticModelHandle.name;
+    } else if (fileAccessManager.modelMetadataHandle) {
+        semanticModelEl.textContent = `${fileAccessManager.modelMetadataHandle.name} (metadata export)`;
+    } else if (fileAccessManager.getReportHandles().length > 0) {
+        semanticModelEl.textContent = 'None (inferred from report fields)';
     }
 
-    if (fileAccessManager.reportHandle) {
-        reportEl.textContent = fileAccessManager.reportHandle.name;
+    const reportHandles = fileAccessManager.getReportHandles();
+    if (reportHandles.length > 0) {
+        reportEl.textContent = reportHandles.map(handle => handle.name).join(', ');
     } else {
         reportEl.textContent = 'None (SemanticModel only)';
     }
@@ -677,6 +643,14 @@ function populateImpactObjectSelect() {
             option.textContent = measure.name;
             objectSelect.appendChild(option);
         });
+        (parsedData.reportMeasures || []).forEach(measure => {
+            const option = document.createElement('option');
+            option.value = DependencyAnalyzer.getReportMeasureNodeId(measure);
+            option.textContent = measure.reportName
+                ? `${measure.name} (report measure, ${measure.reportName})`
+                : `${measure.name} (report measure)`;
+            objectSelect.appendChild(option);
+        });
     } else if (type === 'column') {
         parsedData.tables.forEach(table => {
             table.columns.forEach(column => {
@@ -686,6 +660,27 @@ function populateImpactObjectSelect() {
                 objectSelect.appendChild(option);
             });
         });
+    } else if (type === 'function') {
+        (parsedData.functions || []).forEach(fn => {
+            const option = document.createElement('option');
+            option.value = `Function.${fn.name}`;
+            option.textContent = fn.name;
+            objectSelect.appendChild(option);
+        });
+    } else if (type === 'relationship') {
+        (parsedData.relationships || []).forEach(rel => {
+            const option = document.createElement('option');
+            option.value = `Relationship.${rel.name}`;
+            option.textContent = `${RelationshipGraph.describe(rel)}${rel.isActive === false ? ' (inactive)' : ''}`;
+            objectSelect.appendChild(option);
+        });
+    } else if (type === 'expression') {
+        (parsedData.expressions || []).forEach(expression => {
+            const option = document.createElement('option');
+            option.value = `Expression.${expression.name}`;
+            option.textContent = expression.isParameter ? `${expression.name} (parameter)` : expression.name;
+            objectSelect.appendChild(option);
+        });
     }
 
     // Refresh searchable select
@@ -701,7 +696,7 @@ function populateRefactorObjectSelect() {
 
     const type = typeSelect.value;
 
-    objectSelect.innerHTML = '<option value="">-- Select a ' + type + ' to rename --</option>';
+    objectSelect.innerHTML = '<option value="">-- Select a ' + type + (type === 'relationship' ? ' --' : ' to rename --') + '</option>';
 
     if (type === 'measure') {
         parsedData.measures.forEach(measure => {
@@ -731,12 +726,101 @@ function populateRefactorObjectSelect() {
             option.textContent = table.tableName;
             objectSelect.appendChild(option);
         });
+    } else if (type === 'function') {
+        (parsedData.functions || []).forEach(fn => {
+            const option = document.createElement('option');
+            option.value = fn.name;
+            option.dataset.type = 'function';
+            option.textContent = fn.name;
+            objectSelect.appendChild(option);
+        });
+    } else if (type === 'relationship') {
+        (parsedData.relationships || []).forEach(rel => {
+            const option = document.createElement('option');
+            option.value = rel.name;
+            option.dataset.type = 'relationship';
+            option.textContent = `${RelationshipGraph.describe(rel)}${rel.isActive === false ? ' (inactive)' : ''}`;
+            objectSelect.appendChild(option);
+        });
     }
 
+    updateRefactorFormGroups();
+
     // Refresh searchable select
     if (refactorObjectSearch) refactorObjectSearch.refresh();
 }
 
+/**
+ * Show the new-name input for renames, the delete options for measure/column deletes,
+ * or the operation and column pickers for relationships
+ */
+function updateRefactorFormGroups() {
+    const type = document.getElementById('refactorTypeSelect').value;
+    const isRelationship = type === 'relationship';
+    const canDelete = type === 'measure' || type === 'column';
+    const operation = document.getElementById('relationshipOperationSelect').value;
+
+    // Only measures can move between tables
+    const operationSelect = document.getElementById('refactorOperationSelect');
+    operationSelect.querySelector('option[value="move"]').disabled = type !== 'measure';
+    if (type !== 'measure' && operationSelect.value === 'move') {
+        operationSelect.value = 'rename';
+    }
+    const isMove = type === 'measure' && operationSelect.value === 'move';
+
+    document.getElementById('refactorOperationGroup').classList.toggle('hidden', !canDelete);
+    document.getElementById('removeFromReportsGroup').classList.toggle('hidden', !isRefactorDelete());
+    document.getElementById('moveTargetGroup').classList.toggle('hidden', !isMove);
+    document.getElementById('newNameGroup').classList.toggle('hidden', isRelationship || isRefactorDelete() || isMove);
+    document.getElementById('relationshipOperationGroup').classList.toggle('hidden', !isRelationship);
+    document.getElementById('relationshipColumnsGroup').classList.toggle('hidden', !isRelationship || operation !== 'change-columns');
+}
+
+/**
+ * Fill the destination table picker for a measure move, leaving out the measure's current table
+ */
+function populateMoveTargetSelect() {
+    const measureName = document.getElementById('refactorObjectSelect').value;
+    const measure = parsedData.measures.find(m => m.name === measureName);
+    const select = document.getElementById('moveTargetTableSelect');
+
+    select.innerHTML = '<option value="">-- Select a table --</option>';
+    parsedData.tables.forEach(table => {
+        if (measure && table.tableName === measure.tableName) return;
+        const option = document.createElement('option');
+        option.value = table.tableName;
+        option.textContent = table.tableName;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Fill the relationship column pickers with every column, preselecting the relationship's current columns
+ */
+function populateRelationshipColumnSelects() {
+    const relationshipName = document.getElementById('refactorObjectSelect').value;
+    const relationship = (parsedData.relationships || []).find(rel => rel.name === relationshipName);
+
+    [
+        ['relationshipFromColumnSelect', relationship ? `${relationship.fromTable}.${relationship.fromColumn}` : ''],
+        ['relationshipToColumnSelect', relationship ? `${relationship.toTable}.${relationship.toColumn}` : '']
+    ].forEach(([selectId, currentValue]) => {
+        const select = document.getElementById(selectId);
+        select.innerHTML = '<option value="">-- Select a column --</option>';
+        parsedData.tables.forEach(table => {
+            table.columns.forEach(column => {
+                const option = document.createElement('option');
+                option.value = `${table.tableName}.${column.name}`;
+                option.dataset.table = table.tableName;
+                option.dataset.column = column.name;
+                option.textContent = `${table.tableName}[${column.name}]`;
+                select.appendChild(option);
+            });
+        });
+        select.value = currentValue;
+    });
+}
+
 /**
  * Handle object type change in impact analysis
  */
@@ -808,35 +892,36 @@ function populatePageSelect() {
     }
 
     // Get unique pages that have visuals
-    const pagesWithVisuals = new Set(parsedData.visuals.map(v => v.pageId));
+    const pagesWithVisuals = new Set(parsedData.visuals.map(v => getPageKey(v)));
 
     parsedData.pages.forEach(page => {
         const pageId = page.pageId || page.name;
-        if (!pagesWithVisuals.has(pageId)) return;
+        const pageKey = getPageKey(page);
+        if (!pagesWithVisuals.has(pageKey)) return;
 
         const option = document.createElement('option');
-        option.value = pageId;
+        option.value = pageKey;
         const displayName = page.content?.displayName || page.displayName || pageId;
-        option.textContent = displayName;
+        option.textContent = page.reportName ? `${page.reportName} › ${displayName}` : displayName;
         pageSelect.appendChild(option);
     });
 }
 
 /**
  * Populate the visual select dropdown for the selected page
- * @param {string} pageId - The selected page ID
+ * @param {string} pageKey - The selected page key (see getPageKey)
  */
-function populateVisualSelect(pageId) {
+function populateVisualSelect(pageKey) {
     const visualSelect = document.getElementById('visualSelect');
     visualSelect.innerHTML = '<option value="">-- Select a visual --</option>';
 
-    if (!pageId) return;
+    if (!pageKey) return;
 
-    const pageVisuals = parsedData.visuals.filter(v => v.pageId === pageId);
+    const pageVisuals = parsedData.visuals.filter(v => getPageKey(v) === pageKey);
 
     pageVisuals.forEach(visual => {
         const option = document.createElement('option');
-        option.value = `${visual.pageId}/${visual.visualId}`;
+        option.value = DependencyAnalyzer.getVisualNodeId(visual);
         const displayName = visual.visualName || visual.visualId;
         option.textContent = `${visual.visualType} - ${displayName}`;
         visualSelect.appendChild(option);
@@ -868,10 +953,7 @@ function handleVisualSelectChange() {
     if (existingPreview) existingPreview.remove();
 
     if (visualSelect.value) {
-        const parts = visualSelect.value.split('/');
-        const pageId = parts[0];
-        const visualId = parts[1];
-        const visual = parsedData.visuals.find(v => v.pageId === pageId && v.visualId === visualId);
+        const visual = parsedData.visuals.find(v => DependencyAnalyzer.getVisualNodeId(v) === visualSelect.value);
 
         if (visual) {
             const miniMapHtml = renderVisualMiniMap(visual);
@@ -1023,16 +1105,43 @@ function displayImpactResults(result) {
     const existingRiskBadge = selectedPanel.querySelector('.delete-risk-badge');
     if (existingRiskBadge) existingRiskBadge.remove();
 
+    // Perspectives that list the object (their entries are rewritten on rename)
+    const existingPerspectives = selectedPanel.querySelector('.perspective-membership');
+    if (existingPerspectives) existingPerspectives.remove();
+    if (result.perspectives && result.perspectives.length > 0) {
+        const perspectivesDiv = document.createElement('div');
+        perspectivesDiv.className = 'perspective-membership';
+        perspectivesDiv.textContent = `Included in ${result.perspectives.length} perspective${result.perspectives.length !== 1 ? 's' : ''}: ` +
+            result.perspectives.map(p => p.name).join(', ');
+        selectedPanel.appendChild(perspectivesDiv);
+    }
+
+    // Cultures whose translations or Q&A linguistic metadata name the object (rewritten on rename)
+    const existingTranslations = selectedPanel.querySelector('.translation-membership');
+    if (existingTranslations) existingTranslations.remove();
+    if (result.translations && result.translations.length > 0) {
+        const translationsDiv = document.createElement('div');
+        translationsDiv.className = 'translation-membership';
+        translationsDiv.textContent = `${result.translations.length} translation${result.translations.length !== 1 ? 's' : ''} affected: ` +
+            result.translations.map(t => {
+                const parts = [];
+                if (t.translated) parts.push('caption');
+                if (t.linguistic) parts.push('Q&A synonyms');
+                return `${t.name} (${parts.join(', ')})`;
+            }).join(', ');
+        selectedPanel.appendChild(translationsDiv);
+    }
+
     // Restore upstream/downstream column headers from delete mode
     document.querySelector('.upstream-column h3').textContent = 'Upstream Dependencies';
     document.querySelector('.downstream-column h3').textContent = 'Downstream Dependents';
 
-    // Restore field parameters section visibility (hidden in delete mode)
-    const fpSection = document.querySelector('[data-section="upstream-field-params"]');
-    if (fpSection) {
-        const fpSectionEl = fpSection.closest('.dependency-section');
-        if (fpSectionEl) fpSectionEl.style.display = '';
-    }
+    // Restore field parameters, functions, relationships and Power Query sources section visibility (hidden in delete mode)
+    ['upstream-field-params', 'upstream-functions', 'upstream-relationships', 'upstream-sources'].forEach(sectionName => {
+        const toggle = document.querySelector(`[data-section="${sectionName}"]`);
+        const sectionEl = toggle ? toggle.closest('.dependency-section') : null;
+        if (sectionEl) sectionEl.style.display = '';
+    });
 
     // Restore section toggle labels
     const tablesToggle = document.querySelector('[data-section="upstream-tables"]');
@@ -1049,10 +1158,7 @@ function displayImpactResults(result) {
     if (isVisual) {
         // Find the visual data for the mini-map
         const nodeId = result.targetNode;
-        const parts = nodeId.split('/');
-        const pageId = parts[0];
-        const visualId = parts[1];
-        const visual = parsedData.visuals.find(v => v.pageId === pageId && v.visualId === visualId);
+        const visual = parsedData.visuals.find(v => DependencyAnalyzer.getVisualNodeId(v) === nodeId);
 
         if (visual) {
             const miniMapHtml = renderVisualMiniMap(visual);
@@ -1063,7 +1169,7 @@ function displayImpactResults(result) {
 
         // Add visual summary
         const upstream = result.upstream;
-        const measureCount = upstream.measures ? upstream.measures.length : 0;
+        const measureCount = (upstream.measures ? upstream.measures.length : 0) + (upstream.reportMeasures ? upstream.reportMeasures.length : 0);
         const columnCount = upstream.columns ? upstream.columns.length : 0;
         const tableCount = upstream.tables ? upstream.tables.length : 0;
         const fieldParamCount = upstream.fieldParameters ? upstream.fieldParameters.length : 0;
@@ -1154,9 +1260,13 @@ function displayDeleteResults(result) {
     const existingMiniMap = selectedPanel.querySelector('.visual-position-info');
     const existingVisualSummary = selectedPanel.querySelector('.visual-upstream-summary');
     const existingRiskBadge = selectedPanel.querySelector('.delete-risk-badge');
+    const existingPerspectives = selectedPanel.querySelector('.perspective-membership');
+    const existingTranslations = selectedPanel.querySelector('.translation-membership');
     if (existingMiniMap) existingMiniMap.remove();
     if (existingVisualSummary) existingVisualSummary.remove();
     if (existingRiskBadge) existingRiskBadge.remove();
+    if (existingPerspectives) existingPerspectives.remove();
+    if (existingTranslations) existingTranslations.remove();
 
     // Add risk badge
     const riskBadge = document.createElement('div');
@@ -1167,6 +1277,21 @@ function displayDeleteResults(result) {
     if (result.safeMessage) {
         riskBadge.innerHTML += `<span class="risk-detail">${escapeHtml(result.safeMessage)}</span>`;
     }
+    if (result.securityMessage) {
+        riskBadge.innerHTML += `<span class="risk-detail">${escapeHtml(result.securityMessage)}</span>`;
+    }
+    if (result.filterMessage) {
+        riskBadge.innerHTML += `<span class="risk-detail">${escapeHtml(result.filterMessage)}</span>`;
+    }
+    if (result.perspectiveMessage) {
+        riskBadge.innerHTML += `<span class="risk-detail">${escapeHtml(result.perspectiveMessage)}</span>`;
+    }
+    if (result.structureMessage) {
+        riskBadge.innerHTML += `<span class="risk-detail">${escapeHtml(result.structureMessage)}</span>`;
+    }
+    if (result.relationshipMessage) {
+        riskBadge.innerHTML += `<span class="risk-detail">${escapeHtml(result.relationshipMessage)}</span>`;
+    }
     selectedPanel.appendChild(riskBadge);
 
     // Use the split view for direct vs cascade breaks
@@ -1176,7 +1301,7 @@ function displayDeleteResults(result) {
     // Upstream column becomes "Direct Breaks"
     const upstreamColumn = document.querySelector('.upstream-column');
     upstreamColumn.querySelector('h3').textContent = 'Direct Breaks';
-    const directTotal = result.directBreaks.measures.length + result.directBreaks.visuals.length + result.directBreaks.relationships.length;
+    const directTotal = Object.values(result.directBreaks).reduce((sum, items) => sum + items.length, 0);
     document.getElementById('upstreamCount').textContent = directTotal;
 
     // Repurpose upstream sections for direct breaks
@@ -1195,15 +1320,17 @@ function displayDeleteResults(result) {
         });
     }
 
-    document.getElementById('upstreamColumnsCount').textContent = result.directBreaks.measures.length;
-    document.querySelector('[data-section="upstream-columns"]').innerHTML = `<span class="toggle-icon material-symbols-outlined">expand_more</span> Measures (${result.directBreaks.measures.length})`;
+    // Model measures and report-level measures share the Measures section
+    const directMeasures = [...result.directBreaks.measures, ...result.directBreaks.reportMeasures];
+    document.getElementById('upstreamColumnsCount').textContent = directMeasures.length;
+    document.querySelector('[data-section="upstream-columns"]').innerHTML = `<span class="toggle-icon material-symbols-outlined">expand_more</span> Measures (${directMeasures.length})`;
     const directMeasuresList = document.getElementById('upstreamColumnsList');
     directMeasuresList.innerHTML = '';
-    if (result.directBreaks.measures.length === 0) {
+    if (directMeasures.length === 0) {
         directMeasuresList.innerHTML = '<div class="empty-results">No measure breaks</div>';
     } else {
-        result.directBreaks.measures.forEach(m => {
-            const item = createDeleteBreakItem(m, 'measure', result.targetName);
+        directMeasures.forEach(m => {
+            const item = createDeleteBreakItem(m, m.type, result.targetName);
             directMeasuresList.appendChild(item);
         });
     }
@@ -1221,32 +1348,56 @@ function displayDeleteResults(result) {
         });
     }
 
-    // Hide field parameters section in delete mode (not applicable)
-    const fpSection = document.querySelector('[data-section="upstream-field-params"]');
-    if (fpSection) {
-        const fpSectionEl = fpSection.closest('.dependency-section');
-        if (fpSectionEl) fpSectionEl.style.display = 'none';
-    }
+    // Hide field parameters, functions, relationships and Power Query sources sections in delete mode (not applicable)
+    ['upstream-field-params', 'upstream-functions', 'upstream-relationships', 'upstream-sources'].forEach(sectionName => {
+        const toggle = document.querySelector(`[data-section="${sectionName}"]`);
+        const sectionEl = toggle ? toggle.closest('.dependency-section') : null;
+        if (sectionEl) sectionEl.style.display = 'none';
+    });
 
     // Downstream column becomes "Cascade Breaks"
     const downstreamColumn = document.querySelector('.downstream-column');
     downstreamColumn.classList.remove('hidden');
     downstreamColumn.querySelector('h3').textContent = 'Cascade Breaks';
-    const cascadeTotal = result.cascadeBreaks.measures.length + result.cascadeBreaks.visuals.length;
+    const cascadeTotal = Object.values(result.cascadeBreaks).reduce((sum, items) => sum + items.length, 0);
     document.getElementById('downstreamCount').textContent = cascadeTotal;
 
-    document.getElementById('downstreamMeasuresCount').textContent = result.cascadeBreaks.measures.length;
+    const cascadeMeasures = [...result.cascadeBreaks.measures, ...result.cascadeBreaks.reportMeasures];
+    document.getElementById('downstreamMeasuresCount').textContent = cascadeMeasures.length;
     const cascadeMeasuresList = document.getElementById('downstreamMeasuresList');
     cascadeMeasuresList.innerHTML = '';
-    if (result.cascadeBreaks.measures.length === 0) {
+    if (cascadeMeasures.length === 0) {
         cascadeMeasuresList.innerHTML = '<div class="empty-results">No cascade measure breaks</div>';
     } else {
-        result.cascadeBreaks.measures.forEach(m => {
-            const item = createDeleteBreakItem(m, 'measure', result.targetName);
+        cascadeMeasures.forEach(m => {
+            const item = createDeleteBreakItem(m, m.type, result.targetName);
             cascadeMeasuresList.appendChild(item);
         });
     }
 
+    // Calculated columns/tables and RLS filters: direct and cascade breaks share one section each (badges show which)
+    [
+        { listId: 'downstreamFunctionsList', countId: 'downstreamFunctionsCount', group: 'functions', type: 'function', label: 'function' },
+        { listId: 'downstreamCalcColumnsList', countId: 'downstreamCalcColumnsCount', group: 'columns', type: 'column', label: 'column' },
+        { listId: 'downstreamCalcTablesList', countId: 'downstreamCalcTablesCount', group: 'tables', type: 'table', label: 'calculated table' },
+        { listId: 'downstreamHierarchiesList', countId: 'downstreamHierarchiesCount', group: ['levels', 'hierarchies'], type: null, label: 'hierarchy' },
+        { listId: 'downstreamQueriesList', countId: 'downstreamQueriesCount', group: ['expressions', 'partitions'], type: null, label: 'Power Query' },
+        { listId: 'downstreamFiltersList', countId: 'downstreamFiltersCount', group: ['reports', 'pages'], type: null, label: 'filter' },
+        { listId: 'downstreamBookmarksList', countId: 'downstreamBookmarksCount', group: 'bookmarks', type: 'bookmark', label: 'bookmark' },
+        { listId: 'downstreamSecurityList', countId: 'downstreamSecurityCount', group: 'tablePermissions', type: 'tablePermission', label: 'row-level security' }
+    ].forEach(section => {
+        const groups = Array.isArray(section.group) ? section.group : [section.group];
+        const breaks = groups.flatMap(group => [...result.directBreaks[group], ...result.cascadeBreaks[group]]);
+        document.getElementById(section.countId).textContent = breaks.length;
+        const list = document.getElementById(section.listId);
+        list.innerHTML = '';
+        if (breaks.length === 0) {
+            list.innerHTML = `<div class="empty-results">No ${section.label} breaks</div>`;
+        } else {
+            breaks.forEach(b => list.appendChild(createDeleteBreakItem(b, section.type || b.type, result.targetName)));
+        }
+    });
+
     document.getElementById('downstreamVisualsCount').textContent = result.cascadeBreaks.visuals.length;
     const cascadeVisualsList = document.getElementById('downstreamVisualsList');
     cascadeVisualsList.innerHTML = '';
@@ -1291,6 +1442,26 @@ function createDeleteBreakItem(item, type, deletedName) {
     name.className = 'dependency-item-name';
     if (type === 'measure') {
         name.innerHTML = `<span class="broken-ref">${escapeHtml(item.name)}</span>`;
+    } else if (type === 'reportMeasure') {
+        name.innerHTML = `<span class="broken-ref">${escapeHtml(item.name)}</span> <span class="dependency-item-details">(report measure)</span>`;
+    } else if (type === 'function') {
+        name.innerHTML = `<span class="broken-ref">${escapeHtml(item.name)}</span> <span class="dependency-item-details">(function)</span>`;
+    } else if (type === 'column') {
+        name.innerHTML = `<span class="broken-ref">${escapeHtml(item.table)}[${escapeHtml(item.column)}]</span>`;
+    } else if (type === 'table') {
+        name.innerHTML = `<span class="broken-ref">${escapeHtml(item.tableName)}</span>`;
+    } else if (type === 'hierarchy' || type === 'level') {
+        name.innerHTML = `<span class="broken-ref">${escapeHtml(item.tableName)}: ${escapeHtml(item.name)}</span>`;
+    } else if (type === 'partition' || type === 'expression') {
+        name.innerHTML = `<span class="broken-ref">${escapeHtml(item.name)}</span> <span class="dependency-item-details">(${escapeHtml(describePowerQueryItem(item))})</span>`;
+    } else if (type === 'tablePermission') {
+        name.innerHTML = `<span class="broken-ref">${escapeHtml(item.roleName)}</span> <span class="dependency-item-details">(RLS on ${escapeHtml(item.tableName)})</span>`;
+    } else if (type === 'page') {
+        name.innerHTML = `<span class="broken-ref">Page filter on ${escapeHtml(item.name)}</span>`;
+    } else if (type === 'report') {
+        name.innerHTML = '<span class="broken-ref">Report-level filters</span>';
+    } else if (type === 'bookmark') {
+        name.innerHTML = `<span class="broken-ref">${escapeHtml(item.name)}</span> <span class="dependency-item-details">(${escapeHtml(describeFilterItem(item))})</span>`;
     } else if (type === 'visual') {
         const displayName = item.visualName || item.visualId;
         name.innerHTML = `<span class="broken-ref">${escapeHtml(displayName)}</span>`;
@@ -1307,12 +1478,19 @@ function createDeleteBreakItem(item, type, deletedName) {
     if (type === 'visual') {
         const details = document.createElement('div');
         details.className = 'dependency-item-details';
-        details.textContent = `Page: ${item.pageName} | Type: ${item.visualType}`;
+        details.textContent = `${item.reportName ? `Report: ${item.reportName} | ` : ''}Page: ${item.pageName} | Type: ${item.visualType}`;
         div.appendChild(details);
     }
 
-    // Show DAX with broken reference highlighted for measures
-    if (type === 'measure' && item.dax) {
+    if (type === 'column' && describeColumnLinks(item)) {
+        const details = document.createElement('div');
+        details.className = 'dependency-item-details';
+        details.textContent = describeColumnLinks(item);
+        div.appendChild(details);
+    }
+
+    // Show DAX with broken reference highlighted for measures and calculated columns/tables
+    if ((type === 'measure' || type === 'reportMeasure' || type === 'function' || type === 'column' || type === 'table' || type === 'tablePermission') && item.dax) {
         const daxExpandable = document.createElement('div');
         daxExpandable.className = 'dax-expandable';
 
@@ -1335,6 +1513,78 @@ function createDeleteBreakItem(item, type, deletedName) {
     return div;
 }
 
+/**
+ * Describe the column properties that link a column to other columns
+ * @param {Object} item - Column node
+ * @returns {string} e.g. "Sort by: Month Number | Group by: Country" or '' when the column has none
+ */
+function describeColumnLinks(item) {
+    const parts = [];
+    if (item.sortByColumn) {
+        parts.push(`Sort by: ${item.sortByColumn}`);
+    }
+    if (item.groupByColumns && item.groupByColumns.length > 0) {
+        parts.push(`Group by: ${item.groupByColumns.join(', ')}`);
+    }
+    (item.variations || []).forEach(variation => {
+        if (variation.defaultHierarchy) {
+            parts.push(`Variation: ${variation.defaultHierarchy.table} › ${variation.defaultHierarchy.hierarchy}`);
+        } else if (variation.defaultColumn) {
+            parts.push(`Variation: ${variation.defaultColumn.table}[${variation.defaultColumn.column}]`);
+        }
+    });
+    return parts.join(' | ');
+}
+
+/**
+ * Describe a Power Query lineage node for the details line
+ * @param {Object} item - Partition, expression or data source node
+ * @returns {string} e.g. "Partition of Sales | import" or "Parameter = sql-prod"
+ */
+function describePowerQueryItem(item) {
+    if (item.type === 'partition') {
+        const source = item.sourceType === 'entity' ? `Direct Lake entity ${item.entityName || ''}`.trim() : 'M query';
+        return `Partition of ${item.tableName} | ${source}${item.mode ? ` | ${item.mode}` : ''}`;
+    }
+    if (item.type === 'expression') {
+        if (item.isParameter) {
+            return item.value !== null && item.value !== undefined ? `Parameter = ${item.value}` : 'Parameter';
+        }
+        return `Shared query${item.queryGroup ? ` | Group: ${item.queryGroup}` : ''}`;
+    }
+    if (item.type === 'dataSource') {
+        return `Data source${item.parameters && item.parameters.length > 0 ? ` | Parameters: ${item.parameters.join(', ')}` : ''}`;
+    }
+    return '';
+}
+
+/**
+ * Describe a page, report or bookmark node for the details line
+ * @param {Object} item - Page, report or bookmark node
+ * @returns {string} e.g. "Page-level filters (3)" or "Bookmark on Sales Overview | 2 visuals"
+ */
+function describeFilterItem(item) {
+    // With several reports loaded, page filters and bookmarks name their report
+    const reportSuffix = item.reportName && item.type !== 'report' ? ` | ${item.reportName}` : '';
+    if (item.type === 'bookmark') {
+        const visualCount = item.visualCount || 0;
+        return `Bookmark${item.pageName ? ` on ${item.pageName}` : ''} | ${visualCount} visual${visualCount !== 1 ? 's' : ''}${reportSuffix}`;
+    }
+    const scope = item.type === 'report' ? 'Report-level' : 'Page-level';
+    return `${scope} filters (${item.filterCount || 0})${reportSuffix}`;
+}
+
+/**
+ * CSV type label for a Power Query lineage node
+ * @param {Object} item - Partition, expression or data source node
+ * @returns {string}
+ */
+function powerQueryTypeLabel(item) {
+    if (item.type === 'partition') return 'Partition';
+    if (item.type === 'dataSource') return 'Data Source';
+    return item.isParameter ? 'Parameter' : 'Shared Expression';
+}
+
 /**
  * Highlight broken references in DAX code
  */
@@ -1368,23 +1618,83 @@ function exportDeleteAsCSV(result) {
     result.directBreaks.measures.forEach(item => {
         rows.push([objectName, objectType, risk, 'Direct', item.name, 'Measure', item.depth]);
     });
+    result.directBreaks.reportMeasures.forEach(item => {
+        rows.push([objectName, objectType, risk, 'Direct', item.name, 'Report Measure', item.depth]);
+    });
+    result.directBreaks.functions.forEach(item => {
+        rows.push([objectName, objectType, risk, 'Direct', item.name, 'Function', item.depth]);
+    });
+    result.directBreaks.columns.forEach(item => {
+        rows.push([objectName, objectType, risk, 'Direct', `${item.table}[${item.column}]`, item.isCalculated ? 'Calculated Column' : 'Column', item.depth]);
+    });
+    result.directBreaks.tables.forEach(item => {
+        rows.push([objectName, objectType, risk, 'Direct', item.tableName, 'Calculated Table', item.depth]);
+    });
     result.directBreaks.visuals.forEach(item => {
-        const visualName = item.pageName ? `${item.pageName}/${item.visualId}` : item.visualId;
+        const visualName = `${item.reportName ? `${item.reportName}/` : ''}${item.pageName ? `${item.pageName}/${item.visualId}` : item.visualId}`;
         rows.push([objectName, objectType, risk, 'Direct', visualName, 'Visual', item.depth]);
     });
+    result.directBreaks.tablePermissions.forEach(item => {
+        rows.push([objectName, objectType, risk, 'Direct', item.name, 'Security Role', item.depth]);
+    });
+    [...result.directBreaks.levels, ...result.directBreaks.hierarchies].forEach(item => {
+        rows.push([objectName, objectType, risk, 'Direct', `${item.tableName}: ${item.name}`, item.type === 'level' ? 'Hierarchy Level' : 'Hierarchy', item.depth]);
+    });
+    [...result.directBreaks.expressions, ...result.directBreaks.partitions].forEach(item => {
+        rows.push([objectName, objectType, risk, 'Direct', item.name, powerQueryTypeLabel(item), item.depth]);
+    });
+    [...result.directBreaks.reports, ...result.directBreaks.pages].forEach(item => {
+        rows.push([objectName, objectType, risk, 'Direct', item.name, item.type === 'report' ? 'Report Filter' : 'Page Filter', item.depth]);
+    });
+    result.directBreaks.bookmarks.forEach(item => {
+        rows.push([objectName, objectType, risk, 'Direct', item.name, 'Bookmark', item.depth]);
+    });
     result.directBreaks.relationships.forEach(rel => {
         const relName = `${rel.fromTable}[${rel.fromColumn}] -> ${rel.toTable}[${rel.toColumn}]`;
         rows.push([objectName, objectType, risk, 'Direct', relName, 'Relationship', 1]);
     });
+    result.directBreaks.perspectives.forEach(item => {
+        rows.push([objectName, objectType, risk, 'Direct', item.name, 'Perspective', item.depth]);
+    });
+    (result.strandedMeasures || []).forEach(item => {
+        rows.push([objectName, objectType, risk, 'Direct', item.measureName, `Measure (${item.function})`, 1]);
+    });
 
     // Cascade breaks
     result.cascadeBreaks.measures.forEach(item => {
         rows.push([objectName, objectType, risk, 'Cascade', item.name, 'Measure', item.depth]);
     });
+    result.cascadeBreaks.reportMeasures.forEach(item => {
+        rows.push([objectName, objectType, risk, 'Cascade', item.name, 'Report Measure', item.depth]);
+    });
+    result.cascadeBreaks.functions.forEach(item => {
+        rows.push([objectName, objectType, risk, 'Cascade', item.name, 'Function', item.depth]);
+    });
+    result.cascadeBreaks.columns.forEach(item => {
+        rows.push([objectName, objectType, risk, 'Cascade', `${item.table}[${item.column}]`, item.isCalculated ? 'Calculated Column' : 'Column', item.depth]);
+    });
+    result.cascadeBreaks.tables.forEach(item => {
+        rows.push([objectName, objectType, risk, 'Cascade', item.tableName, 'Calculated Table', item.depth]);
+    });
     result.cascadeBreaks.visuals.forEach(item => {
-        const visualName = item.pageName ? `${item.pageName}/${item.visualId}` : item.visualId;
+        const visualName = `${item.reportName ? `${item.reportName}/` : ''}${item.pageName ? `${item.pageName}/${item.visualId}` : item.visualId}`;
         rows.push([objectName, objectType, risk, 'Cascade', visualName, 'Visual', item.depth]);
     });
+    result.cascadeBreaks.tablePermissions.forEach(item => {
+        rows.push([objectName, objectType, risk, 'Cascade', item.name, 'Security Role', item.depth]);
+    });
+    [...result.cascadeBreaks.levels, ...result.cascadeBreaks.hierarchies].forEach(item => {
+        rows.push([objectName, objectType, risk, 'Cascade', `${item.tableName}: ${item.name}`, item.type === 'level' ? 'Hierarchy Level' : 'Hierarchy', item.depth]);
+    });
+    [...result.cascadeBreaks.expressions, ...result.cascadeBreaks.partitions].forEach(item => {
+        rows.push([objectName, objectType, risk, 'Cascade', item.name, powerQueryTypeLabel(item), item.depth]);
+    });
+    [...result.cascadeBreaks.reports, ...result.cascadeBreaks.pages].forEach(item => {
+        rows.push([objectName, objectType, risk, 'Cascade', item.name, item.type === 'report' ? 'Report Filter' : 'Page Filter', item.depth]);
+    });
+    result.cascadeBreaks.bookmarks.forEach(item => {
+        rows.push([objectName, objectType, risk, 'Cascade', item.name, 'Bookmark', item.depth]);
+    });
 
     const csvContent = rows.map(row =>
         row.map(cell => {
@@ -1450,9 +1760,10 @@ function proceedToRefactoring(result) {
     // Switch to refactoring tab
     switchTab('refactor');
 
-    // Set the object type
+    // Set the object type, and the delete operation when coming from a delete analysis
     const typeSelect = document.getElementById('refactorTypeSelect');
     typeSelect.value = result.targetType;
+    document.getElementById('refactorOperationSelect').value = result.operation === 'delete' ? 'delete' : 'rename';
     populateRefactorObjectSelect();
 
     // Set the selected object (update both native select and searchable wrapper)
@@ -1462,11 +1773,16 @@ function proceedToRefactoring(result) {
     } else if (result.targetType === 'column') {
         // For columns, the value format is "table.column"
         targetValue = result.targetNode.replace('Measure.', '');
+    } else if (result.targetType === 'relationship') {
+        targetValue = result.targetNode.replace('Relationship.', '');
     }
     if (targetValue) {
         document.getElementById('refactorObjectSelect').value = targetValue;
         if (refactorObjectSearch) refactorObjectSearch.setValue(targetValue);
     }
+    if (result.targetType === 'relationship') {
+        populateRelationshipColumnSelects();
+    }
 
     // Focus on new name input
     const newNameInput = document.getElementById('newNameInput');
@@ -1503,7 +1819,8 @@ function displayUpstreamDependencies(upstream, targetName, targetType) {
     document.getElementById('upstreamCount').textContent = upstream.totalCount || 0;
     document.getElementById('upstreamTablesCount').textContent = upstream.tables.length;
     document.getElementById('upstreamColumnsCount').textContent = upstream.columns.length;
-    document.getElementById('upstreamMeasuresCount').textContent = upstream.measures.length;
+    const upstreamMeasures = [...upstream.measures, ...(upstream.reportMeasures || [])];
+    document.getElementById('upstreamMeasuresCount').textContent = upstreamMeasures.length;
     const fpCountEl = document.getElementById('upstreamFieldParamsCount');
     if (fpCountEl) fpCountEl.textContent = (upstream.fieldParameters || []).length;
     const cgCountEl = document.getElementById('upstreamCalcGroupsCount');
@@ -1537,16 +1854,24 @@ function displayUpstreamDependencies(upstream, targetName, targetType) {
     // Display measures
     const measuresContainer = document.getElementById('upstreamMeasuresList');
     measuresContainer.innerHTML = '';
-    if (upstream.measures.length === 0) {
+    if (upstreamMeasures.length === 0) {
         const hint = targetType === 'measure' ? ' - this measure uses no [OtherMeasure] references' : '';
         measuresContainer.innerHTML = `<div class="empty-results">No measure dependencies${hint}</div>`;
     } else {
-        upstream.measures.forEach(measure => {
-            const item = createDependencyItem(measure, 'measure', true);
+        upstreamMeasures.forEach(measure => {
+            const item = createDependencyItem(measure, measure.type, true);
             measuresContainer.appendChild(item);
         });
     }
 
+    // Display user-defined functions
+    renderDependencySection('upstreamFunctionsList', 'upstreamFunctionsCount', upstream.functions || [],
+        'function', 'No function calls', true);
+
+    // Display relationships activated or changed with USERELATIONSHIP / CROSSFILTER
+    renderDependencySection('upstreamRelationshipsList', 'upstreamRelationshipsCount', upstream.relationships || [],
+        'relationship', 'No USERELATIONSHIP or CROSSFILTER calls');
+
     // Display field parameters
     const fieldParamsContainer = document.getElementById('upstream-field-paramsList');
     if (fieldParamsContainer) {
@@ -1576,6 +1901,11 @@ function displayUpstreamDependencies(upstream, targetName, targetType) {
             });
         }
     }
+
+    // Display Power Query lineage: partitions, shared queries/parameters and data sources
+    renderDependencySection('upstreamSourcesList', 'upstreamSourcesCount',
+        [...(upstream.partitions || []), ...(upstream.expressions || []), ...(upstream.dataSources || [])],
+        null, 'No Power Query sources');
 }
 
 /**
@@ -1587,7 +1917,8 @@ function displayUpstreamDependencies(upstream, targetName, targetType) {
 function displayDownstreamDependents(downstream, targetName, targetType) {
     // Update counts
     document.getElementById('downstreamCount').textContent = downstream.totalCount || 0;
-    document.getElementById('downstreamMeasuresCount').textContent = downstream.measures.length;
+    const downstreamMeasures = [...downstream.measures, ...(downstream.reportMeasures || [])];
+    document.getElementById('downstreamMeasuresCount').textContent = downstreamMeasures.length;
     document.getElementById('downstreamVisualsCount').textContent = downstream.visuals.length;
     document.getElementById('downstreamCalcItemsCount').textContent = (downstream.calculationItems || []).length;
     document.getElementById('downstreamFieldParamsCount').textContent = (downstream.fieldParameters || []).length;
@@ -1595,15 +1926,38 @@ function displayDownstreamDependents(downstream, targetName, targetType) {
     // Display measures
     const measuresContainer = document.getElementById('downstreamMeasuresList');
     measuresContainer.innerHTML = '';
-    if (downstream.measures.length === 0) {
+    if (downstreamMeasures.length === 0) {
         measuresContainer.innerHTML = `<div class="empty-results">No measures reference "${escapeHtml(targetName)}" - safe to rename!</div>`;
     } else {
-        downstream.measures.forEach(measure => {
-            const item = createDependencyItem(measure, 'measure', true);
+        downstreamMeasures.forEach(measure => {
+            const item = createDependencyItem(measure, measure.type, true);
             measuresContainer.appendChild(item);
         });
     }
 
+    // Display user-defined functions whose bodies reference the object
+    renderDependencySection('downstreamFunctionsList', 'downstreamFunctionsCount', downstream.functions || [],
+        'function', 'No functions reference this object', true);
+
+    // Display dependent columns (calculated columns, sort-by/group-by/variation links) and calculated tables
+    renderDependencySection('downstreamCalcColumnsList', 'downstreamCalcColumnsCount', downstream.columns || [],
+        'column', 'No columns depend on this object', true);
+    renderDependencySection('downstreamCalcTablesList', 'downstreamCalcTablesCount', downstream.tables || [],
+        'table', 'No calculated tables reference this object', true);
+    renderDependencySection('downstreamHierarchiesList', 'downstreamHierarchiesCount',
+        [...(downstream.levels || []), ...(downstream.hierarchies || [])],
+        null, 'No hierarchies use this object');
+    renderDependencySection('downstreamQueriesList', 'downstreamQueriesCount',
+        [...(downstream.expressions || []), ...(downstream.partitions || [])],
+        null, 'No Power Query expressions use this object');
+    renderDependencySection('downstreamFiltersList', 'downstreamFiltersCount',
+        [...(downstream.reports || []), ...(downstream.pages || [])],
+        null, 'No page or report filters use this object');
+    renderDependencySection('downstreamBookmarksList', 'downstreamBookmarksCount', downstream.bookmarks || [],
+        'bookmark', 'No bookmarks capture this object');
+    renderDependencySection('downstreamSecurityList', 'downstreamSecurityCount', downstream.tablePermissions || [],
+        'tablePermission', 'No row-level security filters reference this object', true);
+
     // Display calculation items
     const calcItemsContainer = document.getElementById('downstreamCalcItemsList');
     calcItemsContainer.innerHTML = '';
@@ -1643,6 +1997,33 @@ function displayDownstreamDependents(downstream, targetName, targetType) {
     }
 }
 
+/**
+ * Render a list of dependency items into a section and update its count
+ * @param {string} listId - ID of the .dependency-list container
+ * @param {string} countId - ID of the count element in the section toggle
+ * @param {Array<Object>} items - Nodes to render
+ * @param {string|null} type - Node type passed to createDependencyItem() (null: use each item's own type)
+ * @param {string} emptyMessage - Text shown when there are no items
+ * @param {boolean} showDAX - Whether to add the expandable DAX block
+ */
+function renderDependencySection(listId, countId, items, type, emptyMessage, showDAX = false) {
+    const countEl = document.getElementById(countId);
+    if (countEl) countEl.textContent = items.length;
+
+    const container = document.getElementById(listId);
+    if (!container) return;
+
+    container.innerHTML = '';
+    if (items.length === 0) {
+        container.innerHTML = `<div class="empty-results">${escapeHtml(emptyMessage)}</div>`;
+        return;
+    }
+
+    items.forEach(node => {
+        container.appendChild(createDependencyItem(node, type || node.type, showDAX));
+    });
+}
+
 /**
  * Create a dependency item element
  */
@@ -1657,7 +2038,7 @@ function createDependencyItem(item, type, showDAX = false) {
     const name = document.createElement('span');
     name.className = 'dependency-item-name';
 
-    if (type === 'measure') {
+    if (type === 'measure' || type === 'reportMeasure' || type === 'function' || type === 'relationship') {
         name.textContent = item.name;
     } else if (type === 'column') {
         name.textContent = `${item.table}[${item.column}]`;
@@ -1672,6 +2053,14 @@ function createDependencyItem(item, type, showDAX = false) {
         name.textContent = item.name;
     } else if (type === 'fieldParameter') {
         name.textContent = item.name;
+    } else if (type === 'tablePermission') {
+        name.textContent = item.roleName;
+    } else if (type === 'hierarchy' || type === 'level') {
+        name.textContent = item.name;
+    } else if (type === 'partition' || type === 'expression' || type === 'dataSource') {
+        name.textContent = item.name;
+    } else if (type === 'page' || type === 'report' || type === 'bookmark') {
+        name.textContent = item.name;
     }
 
     header.appendChild(name);
@@ -1688,7 +2077,83 @@ function createDependencyItem(item, type, showDAX = false) {
     if (type === 'visual') {
         const details = document.createElement('div');
         details.className = 'dependency-item-details';
-        details.textContent = `Page: ${item.pageName} | Type: ${item.visualType}`;
+        details.textContent = `${item.reportName ? `Report: ${item.reportName} | ` : ''}Page: ${item.pageName} | Type: ${item.visualType}`;
+        div.appendChild(details);
+    }
+
+    // Add details for report-level measures (thin reports)
+    if (type === 'reportMeasure') {
+        const details = document.createElement('div');
+        details.className = 'dependency-item-details';
+        details.textContent = `Report measure on ${item.tableName} | reportExtensions.json`;
+        div.appendChild(details);
+    }
+
+    // Add details for user-defined functions
+    if (type === 'function') {
+        const details = document.createElement('div');
+        details.className = 'dependency-item-details';
+        const parameters = (item.parameters || []).map(p => p.type ? `${p.name} : ${p.type}` : p.name);
+        details.textContent = `User-defined function | Parameters: ${parameters.length > 0 ? parameters.join(', ') : 'none'}`;
+        div.appendChild(details);
+    }
+
+    // Add details for relationships
+    if (type === 'relationship') {
+        const details = document.createElement('div');
+        details.className = 'dependency-item-details';
+        const direction = item.crossFilteringBehavior === 'bothDirections' ? 'Both directions' : 'Single direction';
+        details.textContent = `Relationship | ${item.isActive ? 'Active' : 'Inactive'} | ${direction}`;
+        div.appendChild(details);
+    }
+
+    // Add details for calculated columns and tables
+    if ((type === 'column' && item.isCalculated) || (type === 'table' && item.isCalculatedTable)) {
+        const details = document.createElement('div');
+        details.className = 'dependency-item-details';
+        details.textContent = type === 'column' ? `Calculated column in ${item.table}` : 'Calculated table';
+        div.appendChild(details);
+    }
+
+    // Add details for sort-by, group-by and variation column links
+    if (type === 'column' && describeColumnLinks(item)) {
+        const details = document.createElement('div');
+        details.className = 'dependency-item-details';
+        details.textContent = describeColumnLinks(item);
+        div.appendChild(details);
+    }
+
+    // Add details for hierarchies and hierarchy levels
+    if (type === 'hierarchy' || type === 'level') {
+        const details = document.createElement('div');
+        details.className = 'dependency-item-details';
+        details.textContent = type === 'level'
+            ? `Hierarchy level in ${item.tableName} | Column: ${item.column}`
+            : `Hierarchy in ${item.tableName} | Levels: ${(item.levels || []).join(', ')}`;
+        div.appendChild(details);
+    }
+
+    // Add details for Power Query partitions, shared expressions/parameters and data sources
+    if (type === 'partition' || type === 'expression' || type === 'dataSource') {
+        const details = document.createElement('div');
+        details.className = 'dependency-item-details';
+        details.textContent = describePowerQueryItem(item);
+        div.appendChild(details);
+    }
+
+    // Add details for page-level and report-level filters, and bookmarks
+    if (type === 'page' || type === 'report' || type === 'bookmark') {
+        const details = document.createElement('div');
+        details.className = 'dependency-item-details';
+        details.textContent = describeFilterItem(item);
+        div.appendChild(details);
+    }
+
+    // Add details for row-level security filters
+    if (type === 'tablePermission') {
+        const details = document.createElement('div');
+        details.className = 'dependency-item-details';
+        details.textContent = `Row-level security filter on ${item.tableName}`;
         div.appendChild(details);
     }
 
@@ -1862,6 +2327,27 @@ function createResultItem(header, details, code = null) {
 function handleRefactorTypeChange() {
     populateRefactorObjectSelect();
     document.getElementById('previewResults').classList.add('hidden');
+    updatePreviewButton();
+}
+
+/**
+ * Handle measure/column operation change (rename / delete)
+ */
+function handleRefactorOperationChange() {
+    updateRefactorFormGroups();
+    populateMoveTargetSelect();
+    document.getElementById('previewResults').classList.add('hidden');
+    updatePreviewButton();
+}
+
+/**
+ * Handle relationship operation change (delete / change columns)
+ */
+function handleRelationshipOperationChange() {
+    updateRefactorFormGroups();
+    populateRelationshipColumnSelects();
+    document.getElementById('previewResults').classList.add('hidden');
+    updatePreviewButton();
 }
 
 /**
@@ -1872,6 +2358,11 @@ function handleRefactorObjectChange() {
     const newNameInput = document.getElementById('newNameInput');
 
     newNameInput.value = '';
+    if (document.getElementById('refactorTypeSelect').value === 'relationship') {
+        populateRelationshipColumnSelects();
+    } else if (document.getElementById('refactorTypeSelect').value === 'measure') {
+        populateMoveTargetSelect();
+    }
     updatePreviewButton();
 }
 
@@ -1890,6 +2381,24 @@ function updatePreviewButton() {
     const newNameInput = document.getElementById('newNameInput');
     const previewBtn = document.getElementById('previewBtn');
 
+    if (document.getElementById('refactorTypeSelect').value === 'relationship') {
+        const operation = document.getElementById('relationshipOperationSelect').value;
+        const hasColumns = document.getElementById('relationshipFromColumnSelect').value &&
+            document.getElementById('relationshipToColumnSelect').value;
+        previewBtn.disabled = !objectSelect.value || (operation === 'change-columns' && !hasColumns);
+        return;
+    }
+
+    if (isRefactorDelete()) {
+        previewBtn.disabled = !objectSelect.value;
+        return;
+    }
+
+    if (isRefactorMove()) {
+        previewBtn.disabled = !objectSelect.value || !document.getElementById('moveTargetTableSelect').value;
+        return;
+    }
+
     previewBtn.disabled = !objectSelect.value || !newNameInput.value.trim();
 }
 
@@ -1905,6 +2414,21 @@ async function handlePreviewRefactor() {
     const selectedOption = objectSelect.options[objectSelect.selectedIndex];
     const newName = newNameInput.value.trim();
 
+    if (type === 'relationship') {
+        await handlePreviewRelationshipRefactor(selectedOption);
+        return;
+    }
+
+    if (isRefactorDelete()) {
+        await handlePreviewDeleteRefactor(type, selectedOption);
+        return;
+    }
+
+    if (isRefactorMove()) {
+        await handlePreviewMoveRefactor(selectedOption.value, document.getElementById('moveTargetTableSelect').value);
+        return;
+    }
+
     let oldName, tableName = null;
 
     if (type === 'measure') {
@@ -1912,7 +2436,7 @@ async function handlePreviewRefactor() {
     } else if (type === 'column') {
         tableName = selectedOption.dataset.table;
         oldName = selectedOption.dataset.column;
-    } else if (type === 'table') {
+    } else if (type === 'table' || type === 'function') {
         oldName = selectedOption.value;
     }
 
@@ -1921,7 +2445,7 @@ async function handlePreviewRefactor() {
         const changes = await refactoringEngine.previewRename(oldName, newName, type, tableName);
 
         // Display preview
-        displayRefactorPreview(changes);
+        displayRefactorPreview(changes, refactoringEngine.previewWarnings);
 
         // Show preview results
         document.getElementById('previewResults').classList.remove('hidden');
@@ -1934,14 +2458,135 @@ async function handlePreviewRefactor() {
     }
 }
 
+/**
+ * Whether the refactoring tab is set to delete a measure or column
+ * @returns {boolean}
+ */
+function isRefactorDelete() {
+    const type = document.getElementById('refactorTypeSelect').value;
+    return (type === 'measure' || type === 'column') &&
+        document.getElementById('refactorOperationSelect').value === 'delete';
+}
+
+/**
+ * Whether the refactoring tab is set to move a measure to another table
+ * @returns {boolean}
+ */
+function isRefactorMove() {
+    return document.getElementById('refactorTypeSelect').value === 'measure' &&
+        document.getElementById('refactorOperationSelect').value === 'move';
+}
+
+/**
+ * Preview moving a measure to another table
+ * @param {string} measureName - Measure to move
+ * @param {string} targetTableName - Destination table
+ */
+async function handlePreviewMoveRefactor(measureName, targetTableName) {
+    try {
+        const changes = await refactoringEngine.previewMeasureMove(measureName, targetTableName);
+
+        displayRefactorPreview(changes, refactoringEngine.previewWarnings);
+        document.getElementById('previewResults').classList.remove('hidden');
+
+    } catch (error) {
+        console.error('Error previewing measure move:', error);
+        showError(`Error previewing move of "${measureName}" to "${targetTableName}":\n\n${error.message}`);
+    }
+}
+
+/**
+ * Preview deleting a measure or column
+ * Deletes rated dangerous need an explicit confirmation before the preview is built.
+ * @param {string} type - "measure" or "column"
+ * @param {HTMLOptionElement} selectedOption - Selected object option
+ */
+async function handlePreviewDeleteRefactor(type, selectedOption) {
+    const name = type === 'column' ? selectedOption.dataset.column : selectedOption.value;
+    const tableName = type === 'column' ? selectedOption.dataset.table : null;
+    const nodeId = type === 'column' ? `${tableName}.${name}` : `Measure.${name}`;
+    const label = type === 'column' ? `${tableName}[${name}]` : `[${name}]`;
+
+    try {
+        const analysis = dependencyAnalyzer.analyzeDelete(nodeId);
+        if (analysis.error) {
+            throw new Error(analysis.error);
+        }
+
+        let confirmDangerous = false;
+        if (analysis.riskLevel === 'dangerous') {
+            const reasons = [analysis.securityMessage, analysis.structureMessage, analysis.relationshipMessage,
+                analysis.filterMessage, analysis.perspectiveMessage]
+                .filter(Boolean);
+            const details = reasons.length > 0 ? `\n\n${reasons.join('\n')}` : '';
+            if (!confirm(`Deleting ${label} is rated DANGEROUS: ${analysis.totalBreaks} objects break.${details}\n\nPreview the delete anyway?`)) {
+                return;
+            }
+            confirmDangerous = true;
+        }
+
+        const changes = await refactoringEngine.previewDelete(name, type, tableName, {
+            removeFromReports: document.getElementById('removeFromReportsCheckbox').checked,
+            confirmDangerous: confirmDangerous
+        });
+
+        displayRefactorPreview(changes, refactoringEngine.previewWarnings);
+        document.getElementById('previewResults').classList.remove('hidden');
+
+    } catch (error) {
+        console.error('Error previewing delete:', error);
+        showError(`Error previewing delete of ${label}:\n\n${error.message}`);
+    }
+}
+
+/**
+ * Preview a relationship delete or column change
+ * @param {HTMLOptionElement} selectedOption - Selected relationship option
+ */
+async function handlePreviewRelationshipRefactor(selectedOption) {
+    const operation = document.getElementById('relationshipOperationSelect').value;
+
+    try {
+        let changes;
+        if (operation === 'delete') {
+            changes = await refactoringEngine.previewRelationshipDelete(selectedOption.value);
+        } else {
+            const fromOption = document.getElementById('relationshipFromColumnSelect').selectedOptions[0];
+            const toOption = document.getElementById('relationshipToColumnSelect').selectedOptions[0];
+            changes = await refactoringEngine.previewRelationshipColumnChange(selectedOption.value,
+                { table: fromOption.dataset.table, column: fromOption.dataset.column },
+                { table: toOption.dataset.table, column: toOption.dataset.column });
+        }
+
+        displayRefactorPreview(changes, refactoringEngine.previewWarnings);
+        document.getElementById('previewResults').classList.remove('hidden');
+
+    } catch (error) {
+        console.error('Error previewing relationship change:', error);
+        const label = selectedOption?.textContent || 'selected relationship';
+        showError(`Error previewing change to relationship ${label}:\n\n${error.message}`);
+    }
+}
+
 /**
  * Display refactor preview
+ * @param {Array<Object>} changes - Preview changes from the refactoring engine
+ * @param {Array<string>} warnings - Consequences the changes do not fix (e.g. measures that will break)
  */
-function displayRefactorPreview(changes) {
+function displayRefactorPreview(changes, warnings = []) {
     const changesList = document.getElementById('changesList');
+    const warningsContainer = document.getElementById('refactorWarnings');
     const placeholder = document.getElementById('refactorPlaceholder');
 
     changesList.innerHTML = '';
+    warningsContainer.innerHTML = '';
+
+    warnings.forEach(warning => {
+        const item = document.createElement('p');
+        item.className = 'warning-message';
+        item.innerHTML = `<span class="material-symbols-outlined">error</span> ${escapeHtml(warning)}`;
+        warningsContainer.appendChild(item);
+    });
 
     // Hide placeholder
     if (placeholder) placeholder.classList.add('hidden');
@@ -2087,12 +2732,32 @@ function exportImpactAsCSV(result) {
             });
         }
 
+        // Report-level measures
+        (result.upstream.reportMeasures || []).forEach(item => {
+            rows.push([objectName, objectType, 'Upstream', item.name, 'Report Measure', item.depth || 1]);
+        });
+
+        // User-defined functions
+        (result.upstream.functions || []).forEach(item => {
+            rows.push([objectName, objectType, 'Upstream', item.name, 'Function', item.depth || 1]);
+        });
+
+        // Relationships (USERELATIONSHIP / CROSSFILTER)
+        (result.upstream.relationships || []).forEach(item => {
+            rows.push([objectName, objectType, 'Upstream', item.name, 'Relationship', item.depth || 1]);
+        });
+
         // Field Parameters
         if (result.upstream.fieldParameters) {
             result.upstream.fieldParameters.forEach(item => {
                 rows.push([objectName, objectType, 'Upstream', item.name, 'Field Parameter', item.depth || 1]);
             });
         }
+
+        // Power Query partitions, shared expressions/parameters and data sources
+        [...(result.upstream.partitions || []), ...(result.upstream.expressions || []), ...(result.upstream.dataSources || [])].forEach(item => {
+            rows.push([objectName, objectType, 'Upstream', item.name, powerQueryTypeLabel(item), item.depth || 1]);
+        });
     }
 
     // Add downstream dependencies
@@ -2104,6 +2769,57 @@ function exportImpactAsCSV(result) {
             });
         }
 
+        // Report-level measures
+        (result.downstream.reportMeasures || []).forEach(item => {
+            rows.push([objectName, objectType, 'Downstream', item.name, 'Report Measure', item.depth || 1]);
+        });
+
+        // User-defined functions
+        (result.downstream.functions || []).forEach(item => {
+            rows.push([objectName, objectType, 'Downstream', item.name, 'Function', item.depth || 1]);
+        });
+
+        // Columns (calculated or linked through sortByColumn / groupByColumn / variations)
+        if (result.downstream.columns) {
+            result.downstream.columns.forEach(item => {
+                rows.push([objectName, objectType, 'Downstream', `${item.table}[${item.column}]`, item.isCalculated ? 'Calculated Column' : 'Column', item.depth || 1]);
+            });
+        }
+
+        // Calculated Tables
+        if (result.downstream.tables) {
+            result.downstream.tables.forEach(item => {
+                rows.push([objectName, objectType, 'Downstream', item.tableName, 'Calculated Table', item.depth || 1]);
+            });
+        }
+
+        // Hierarchies and hierarchy levels
+        [...(result.downstream.levels || []), ...(result.downstream.hierarchies || [])].forEach(item => {
+            rows.push([objectName, objectType, 'Downstream', `${item.tableName}: ${item.name}`, item.type === 'level' ? 'Hierarchy Level' : 'Hierarchy', item.depth || 1]);
+        });
+
+        // Power Query partitions and shared expressions
+        [...(result.downstream.expressions || []), ...(result.downstream.partitions || [])].forEach(item => {
+            rows.push([objectName, objectType, 'Downstream', item.name, powerQueryTypeLabel(item), item.depth || 1]);
+        });
+
+        // Report-level and page-level filters
+        [...(result.downstream.reports || []), ...(result.downstream.pages || [])].forEach(item => {
+            rows.push([objectName, objectType, 'Downstream', item.name, item.type === 'report' ? 'Report Filter' : 'Page Filter', item.depth || 1]);
+        });
+
+        // Bookmarks
+        (result.downstream.bookmarks || []).forEach(item => {
+            rows.push([objectName, objectType, 'Downstream', item.name, 'Bookmark', item.depth || 1]);
+        });
+
+        // Security Roles (row-level security filters)
+        if (result.downstream.tablePermissions) {
+            result.downstream.tablePermissions.forEach(item => {
+                rows.push([objectName, objectType, 'Downstream', item.name, 'Security Role', item.depth || 1]);
+            });
+        }
+
         // Field Parameters
         if (result.downstream.fieldParameters) {
             result.downstream.fieldParameters.forEach(item => {
@@ -2114,12 +2830,22 @@ function exportImpactAsCSV(result) {
         // Visuals
         if (result.downstream.visuals) {
             result.downstream.visuals.forEach(item => {
-                const visualName = item.pageName ? `${item.pageName}/${item.visualId}` : item.visualId;
+                const visualName = `${item.reportName ? `${item.reportName}/` : ''}${item.pageName ? `${item.pageName}/${item.visualId}` : item.visualId}`;
                 rows.push([objectName, objectType, 'Downstream', visualName, 'Visual', item.depth || 1]);
             });
         }
     }
 
+    // Perspectives that list the object
+    (result.perspectives || []).forEach(item => {
+        rows.push([objectName, objectType, 'Perspective', item.name, 'Perspective', 1]);
+    });
+
+    // Cultures whose translations or linguistic metadata name the object
+    (result.translations || []).forEach(item => {
+        rows.push([objectName, objectType, 'Translation', item.name, 'Culture', 1]);
+    });
+
     // Convert to CSV string
     const csvContent = rows.map(row =>
         row.map(cell => {
@@ -2211,6 +2937,10 @@ function switchTab(tabName) {
             } else if (impactTypeSelect.value === 'column') {
                 // Both use "table.column" format
                 refactorObjectSelect.value = impactObjectSelect.value;
+            } else if (impactTypeSelect.value === 'relationship') {
+                // Impact uses "Relationship.name", refactor uses "name"
+                refactorObjectSelect.value = impactObjectSelect.value.replace('Relationship.', '');
+                populateRelationshipColumnSelects();
             }
             updatePreviewButton();
         }
@@ -2219,8 +2949,10 @@ function switchTab(tabName) {
 
 /**
  * Create a picker modal for selection
+ * With multiple set, options are checkboxes (pre-checked via option.checked) and
+ * onSelect receives an array of the checked values.
  */
-function createPickerModal({ title, subtitle, message, options, onSelect, onCancel }) {
+function createPickerModal({ title, subtitle, message, options, onSelect, onCancel, multiple = false }) {
     const modal = document.createElement('div');
     modal.className = 'picker-modal-overlay';
 
@@ -2246,7 +2978,7 @@ function createPickerModal({ title, subtitle, message, options, onSelect, onCanc
 
             html += `
                 <label class="picker-option ${option.recommended ? 'recommended' : ''}">
-                    <input type="radio" name="picker" value="${index}" id="${id}">
+                    <input type="${multiple ? 'checkbox' : 'radio'}" name="picker" value="${index}" id="${id}" ${option.checked ? 'checked' : ''}>
                     <span class="option-content">
                         ${icon}
                         <span class="option-label">${option.label} ${badge}</span>
@@ -2261,7 +2993,7 @@ function createPickerModal({ title, subtitle, message, options, onSelect, onCanc
     html += `
         <div class="picker-buttons">
             <button class="btn btn-secondary" id="pickerCancelBtn">Cancel</button>
-            <button class="btn btn-primary" id="pickerConfirmBtn" disabled>Continue</button>
+            <button class="btn btn-primary" id="pickerConfirmBtn" ${multiple ? '' : 'disabled'}>Continue</button>
         </div>
     `;
 
@@ -2284,6 +3016,11 @@ function createPickerModal({ title, subtitle, message, options, onSelect, onCanc
     });
 
     confirmBtn.addEventListener('click', () => {
+        if (multiple) {
+            const checked = Array.from(content.querySelectorAll('input[type="checkbox"]:checked'));
+            onSelect(checked.map(input => options[parseInt(input.value)].value));
+            return;
+        }
         onSelect(selectedValue);
     });
 
@@ -2332,31 +3069,29 @@ async function showSemanticModelPicker(semanticModels) {
 async function handleReportDiscovery() {
     showLoading(true, 'Discovering reports...');
 
-    const { matchingReports } =
+    const { matchingReports, connectedReports } =
         await fileAccessManager.discoverReports(fileAccessManager.semanticModelHandle);
 
     // Always show picker (even with 0 or 1 matching reports)
-    // This gives users the choice to proceed without a report
-    await showReportPicker(matchingReports);
+    // This gives users the choice to proceed without a report or with a subset of reports
+    await showReportPicker(matchingReports, connectedReports);
 }
 
 /**
  * Show report picker modal
- */
-async function showReportPicker(matchingReports) {
+ * Every report connected to the semantic model is pre-selected, so impact analysis
+ * covers all of them; unchecking every report analyzes the semantic model only.
+ * Live-connected reports (byConnection) are pre-selected when their dataset has the
+ * semantic model's name; without a semantic model they are analyzed standalone.
+ * @param {Array<Object>} matchingReports - Reports whose byPath points to the semantic model
+ * @param {Array<Object>} connectedReports - Reports connected to a published dataset
+ */
+async function showReportPicker(matchingReports, connectedReports = []) {
     const options = [];
+    const semanticModelHandle = fileAccessManager.semanticModelHandle;
+    const modelBaseName = semanticModelHandle ? semanticModelHandle.name.replace('.SemanticModel', '').toLowerCase() : null;
 
-    // Add "no report" option FIRST to make it more prominent
-    options.push({
-        value: null,
-        label: 'None (Semantic Model only)',
-        icon: '<span class="material-symbols-outlined" style="font-size:18px;vertical-align:middle">analytics</span>',
-        subtitle: 'Analyze the Semantic Model without a Report'
-    });
-
-    // Add divider if there are any matching reports
     if (matchingReports.length > 0) {
-        options.push({ type: 'divider' });
         options.push({ type: 'section', label: 'Reports Connected to This Semantic Model' });
 
         matchingReports.forEach(r => {
@@ -2365,21 +3100,58 @@ async function showReportPicker(matchingReports) {
                 label: r.name,
                 subtitle: `Dataset: ${r.datasetPath || 'Unknown'}`,
                 badge: '<span class="material-symbols-outlined" style="font-size:14px;vertical-align:middle">check_circle</span> Connected',
-                recommended: true
+                recommended: true,
+                checked: true
+            });
+        });
+    }
+
+    if (connectedReports.length > 0) {
+        options.push({ type: 'section', label: 'Live-Connected Reports (Published Dataset)' });
+
+        connectedReports.forEach(r => {
+            const sameName = !!modelBaseName && (r.datasetName || '').toLowerCase() === modelBaseName;
+            const workspace = r.connection?.workspaceName ? ` in workspace ${r.connection.workspaceName}` : '';
+            options.push({
+                value: r.handle,
+                label: r.name,
+                subtitle: `Published dataset: ${r.datasetName || 'Unknown'}${workspace}`,
+                badge: '<span class="material-symbols-outlined" style="font-size:14px;vertical-align:middle">cloud</span> Live',
+                recommended: sameName,
+                checked: !semanticModelHandle || sameName
             });
         });
     }
 
-    // Removed: "Other Reports" section - only show connected reports
+    let message;
+    if (!semanticModelHandle) {
+        message = 'This folder has no Semantic Model. Selected reports are analyzed against a model you choose next.';
+    } else if (matchingReports.length > 0 || connectedReports.length > 0) {
+        message = 'Selected reports are analyzed together. Clear all to analyze the Semantic Model only.';
+    } else {
+        message = 'No reports are connected to this Semantic Model. Continue to analyze the Semantic Model only.';
+    }
 
     return new Promise((resolve) => {
         const modal = createPickerModal({
-            title: 'Select Report',
-            subtitle: `Semantic Model: ${fileAccessManager.semanticModelHandle.name}`,
+            title: 'Select Reports',
+            subtitle: semanticModelHandle ? `Semantic Model: ${semanticModelHandle.name}` : 'Semantic Model: none in this folder',
+            message: message,
             options: options,
-            onSelect: async (selectedHandle) => {
-                fileAccessManager.reportHandle = selectedHandle;
+            multiple: true,
+            onSelect: async (selectedHandles) => {
+                fileAccessManager.reportHandles = selectedHandles;
+                fileAccessManager.reportHandle = selectedHandles.length > 0 ? selectedHandles[0] : null;
                 document.body.removeChild(modal);
+                if (!semanticModelHandle) {
+                    if (selectedHandles.length === 0) {
+                        updateSelectionGuide(0);
+                        showLoading(false);
+                        resolve();
+                        return;
+                    }
+                    await showModelSourcePicker();
+                }
                 await loadPBIPFiles();
                 resolve();
             },
@@ -2394,6 +3166,64 @@ async function showReportPicker(matchingReports) {
     });
 }
 
+/**
+ * Ask which model live-connected reports are checked against: a local SemanticModel
+ * folder, a model metadata export (model.bim / TMSL), or objects inferred from the
+ * report fields. Cancelling a file or folder dialog falls back to inferring.
+ */
+async function showModelSourcePicker() {
+    fileAccessManager.modelMetadataHandle = null;
+
+    const choice = await new Promise((resolve) => {
+        const modal = createPickerModal({
+            title: 'Choose the Model',
+            subtitle: 'The published dataset is not part of this folder',
+            message: 'Renames and deletions are checked against the model you choose.',
+            options: [
+                {
+                    value: 'folder',
+                    label: 'Local SemanticModel folder…',
+                    subtitle: 'A PBIP copy of the published dataset'
+                },
+                {
+                    value: 'metadata',
+                    label: 'Model metadata export…',
+                    subtitle: 'model.bim or a TMSL script (.json)'
+                },
+                {
+                    value: 'inferred',
+                    label: 'Infer from report fields',
+                    subtitle: 'Only the tables, columns and measures the reports use; no DAX'
+                }
+            ],
+            onSelect: (value) => {
+                document.body.removeChild(modal);
+                resolve(value);
+            },
+            onCancel: () => {
+                document.body.removeChild(modal);
+                resolve('inferred');
+            }
+        });
+
+        document.body.appendChild(modal);
+    });
+
+    try {
+        if (choice === 'folder') {
+            fileAccessManager.semanticModelHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+        } else if (choice === 'metadata') {
+            const [fileHandle] = await window.showOpenFilePicker({
+                types: [{ description: 'Model metadata', accept: { 'application/json': ['.bim', '.json'] } }]
+            });
+            fileAccessManager.modelMetadataHandle = fileHandle;
+        }
+    } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+        console.log('Model selection cancelled; inferring model objects from report fields');
+    }
+}
+
 
 
 /**
@@ -2586,7 +3416,7 @@ function displayLargeModelWarning(stats) {
     banner.appendChild(closeBtn);
 
     // Insert at top, adjusting for any existing banners
-    const existingBanners = document.querySelectorAll('.circular-warning-banner, .orphaned-warning-banner');
+    const existingBanners = document.querySelectorAll('.circular-warning-banner, .ambiguity-warning-banner, .orphaned-warning-banner');
     if (existingBanners.length > 0) {
         const lastBanner = existingBanners[existingBanners.length - 1];
         lastBanner.insertAdjacentElement('afterend', banner);
@@ -2641,6 +3471,54 @@ function displayOrphanedReferencesWarning(stats) {
     }
 }
 
+/**
+ * Display warning about table pairs reachable through more than one filter path
+ * @param {Object} relationshipSummary - Result of DependencyAnalyzer.analyzeRelationships()
+ */
+function displayAmbiguousRelationshipsWarning(relationshipSummary) {
+    const ambiguities = relationshipSummary.ambiguities;
+
+    console.warn(`Found ${ambiguities.length} ambiguous filter paths:`, ambiguities);
+
+    const banner = document.createElement('div');
+    banner.className = 'ambiguity-warning-banner notification-banner notification-banner--caution';
+
+    const warningIcon = document.createElement('span');
+    warningIcon.className = 'notification-banner__icon';
+    warningIcon.innerHTML = '<span class="material-symbols-outlined">alt_route</span> ';
+
+    const message = document.createElement('span');
+    const pairs = ambiguities.slice(0, 3).map(a => `<code>${escapeHtml(a.fromTable)} → ${escapeHtml(a.toTable)}</code>`);
+    const bidirectional = new Set();
+    ambiguities.forEach(a => a.bidirectionalRelationships.forEach(rel => bidirectional.add(rel.label)));
+
+    message.innerHTML = `<strong>Ambiguous Filter Paths:</strong> ${ambiguities.length} table pair(s) can be filtered through more than one path: `;
+    message.innerHTML += pairs.join(', ');
+    if (ambiguities.length > 3) {
+        message.innerHTML += ` and ${ambiguities.length - 3} more`;
+    }
+    if (bidirectional.size > 0) {
+        message.innerHTML += `. Bidirectional relationships involved: ${Array.from(bidirectional).map(label => `<code>${escapeHtml(label)}</code>`).join(', ')}`;
+    }
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'notification-banner__close';
+    closeBtn.innerHTML = '<span class="material-symbols-outlined">close</span>';
+    closeBtn.onclick = () => banner.remove();
+
+    banner.appendChild(warningIcon);
+    banner.appendChild(message);
+    banner.appendChild(closeBtn);
+
+    // Insert after any existing circular warning banner
+    const existingBanner = document.querySelector('.circular-warning-banner');
+    if (existingBanner) {
+        existingBanner.insertAdjacentElement('afterend', banner);
+    } else {
+        document.body.insertBefore(banner, document.body.firstChild);
+    }
+}
+
 /**
  * Display warning about circular dependencies found in the model
  * @param {Array} circularDeps - Array of circular dependency chains
@@ -2869,12 +3747,12 @@ function selectAndAnalyzeFromQuickAccess(item) {
     const typeSelect = document.getElementById('objectTypeSelect');
     const objectSelect = document.getElementById('objectSelect');
 
-    // Set type
-    typeSelect.value = item.type;
+    // Set type (report-level measures are listed with the measures)
+    typeSelect.value = item.type === 'reportMeasure' ? 'measure' : item.type;
     handleObjectTypeChange();
 
     // Set object (for measure/column)
-    if (item.type === 'measure' || item.type === 'column') {
+    if (item.type === 'measure' || item.type === 'reportMeasure' || item.type === 'column') {
         objectSelect.value = item.nodeId;
         handleObjectSelectChange();
     }
@@ -2937,10 +3815,21 @@ function applyResultsFilter() {
         { list: 'upstreamTablesList', type: 'table', countId: 'upstreamTablesCount', toggle: 'upstream-tables' },
         { list: 'upstreamColumnsList', type: 'column', countId: 'upstreamColumnsCount', toggle: 'upstream-columns' },
         { list: 'upstreamMeasuresList', type: 'measure', countId: 'upstreamMeasuresCount', toggle: 'upstream-measures' },
+        { list: 'upstreamFunctionsList', type: 'function', countId: 'upstreamFunctionsCount', toggle: 'upstream-functions' },
+        { list: 'upstreamRelationshipsList', type: 'relationship', countId: 'upstreamRelationshipsCount', toggle: 'upstream-relationships' },
         { list: 'upstream-field-paramsList', type: 'fieldParameter', countId: 'upstreamFieldParamsCount', toggle: 'upstream-field-params' },
+        { list: 'upstreamSourcesList', type: 'expression', countId: 'upstreamSourcesCount', toggle: 'upstream-sources' },
         { list: 'downstreamMeasuresList', type: 'measure', countId: 'downstreamMeasuresCount', toggle: 'downstream-measures' },
+        { list: 'downstreamFunctionsList', type: 'function', countId: 'downstreamFunctionsCount', toggle: 'downstream-functions' },
+        { list: 'downstreamCalcColumnsList', type: 'column', countId: 'downstreamCalcColumnsCount', toggle: 'downstream-calc-columns' },
+        { list: 'downstreamCalcTablesList', type: 'table', countId: 'downstreamCalcTablesCount', toggle: 'downstream-calc-tables' },
+        { list: 'downstreamHierarchiesList', type: 'hierarchy', countId: 'downstreamHierarchiesCount', toggle: 'downstream-hierarchies' },
+        { list: 'downstreamQueriesList', type: 'expression', countId: 'downstreamQueriesCount', toggle: 'downstream-queries' },
+        { list: 'downstreamFiltersList', type: 'page', countId: 'downstreamFiltersCount', toggle: 'downstream-filters' },
+        { list: 'downstreamBookmarksList', type: 'bookmark', countId: 'downstreamBookmarksCount', toggle: 'downstream-bookmarks' },
         { list: 'downstreamCalcItemsList', type: 'calculationItem', countId: 'downstreamCalcItemsCount', toggle: 'downstream-calc-items' },
         { list: 'downstreamFieldParamsList', type: 'fieldParameter', countId: 'downstreamFieldParamsCount', toggle: 'downstream-field-params' },
+        { list: 'downstreamSecurityList', type: 'tablePermission', countId: 'downstreamSecurityCount', toggle: 'downstream-security' },
         { list: 'downstreamVisualsList', type: 'visual', countId: 'downstreamVisualsCount', toggle: 'downstream-visuals' }
     ];
 
@@ -8,8 +8,12 @@ class FileAccessManager {
         this.folderHandle = null;
         this.semanticModelHandle = null;        // Currently selected
         this.reportHandle = null;                // Currently selected
+        this.reportHandles = [];                 // All selected (several reports can share one semantic model)
         this.availableSemanticModels = [];      // All discovered
         this.availableReports = [];              // All discovered
+        this.reportFormat = null;                // 'pbir' or 'legacy' (report.json), set by readReportFiles()
+        this.reportFormats = {};                 // Report folder name -> 'pbir' or 'legacy'
+        this.modelMetadataHandle = null;         // model.bim / TMSL export, used when there is no SemanticModel folder
         this.fileStructure = {
             measures: [],
             tables: [],
@@ -158,6 +162,90 @@ class FileAccessManager {
         return { isSemanticModel, isReport, isProjectFolder, semanticModels, reports };
     }
 
+    /**
+     * Recursively scan a workspace (e.g. a repository root) for SemanticModel and Report folders.
+     * Unlike analyzeFolder(), nested folders are searched too, and each report's byPath
+     * dataset reference is resolved to a workspace-relative semantic model path.
+     * @param {DirectoryHandle} rootHandle - Workspace root folder
+     * @param {Object} options - { maxDepth: number } folder levels to descend (default 10)
+     * @returns {Promise<Object>} { semanticModels: [{ handle, name, baseName, path }],
+     *   reports: [{ handle, name, baseName, path, datasetPath, semanticModelPath, connection }] }
+     */
+    async scanWorkspace(rootHandle, options = {}) {
+        const maxDepth = options.maxDepth ?? 10;
+        const result = { semanticModels: [], reports: [] };
+
+        await this._scanWorkspaceFolder(rootHandle, '', 0, maxDepth, result);
+
+        for (const report of result.reports) {
+            // byPath is relative to the Report folder itself (where definition.pbir lives)
+            const { datasetPath, connection } = await this.readReportDefinition(report.handle);
+            report.datasetPath = datasetPath;
+            report.connection = connection;
+            report.semanticModelPath = datasetPath ? FileAccessManager.resolveRelativePath(report.path, datasetPath) : null;
+        }
+
+        console.log(`Workspace scan found ${result.semanticModels.length} semantic models and ${result.reports.length} reports`);
+        return result;
+    }
+
+    /**
+     * Collect PBIP folders below one workspace folder
+     * Does not descend into .SemanticModel/.Report folders, hidden folders (.git, .pbi) or node_modules.
+     * @param {DirectoryHandle} folderHandle - Folder to scan
+     * @param {string} folderPath - Workspace-relative path of the folder ('' for the root)
+     * @param {number} depth - Current depth
+     * @param {number} maxDepth - Maximum depth
+     * @param {Object} result - { semanticModels, reports } being filled
+     * @private
+     */
+    async _scanWorkspaceFolder(folderHandle, folderPath, depth, maxDepth, result) {
+        for await (const entry of folderHandle.values()) {
+            if (entry.kind !== 'directory') continue;
+
+            const entryPath = folderPath ? `${folderPath}/${entry.name}` : entry.name;
+            if (entry.name.endsWith('.SemanticModel')) {
+                result.semanticModels.push({
+                    handle: entry,
+                    name: entry.name,
+                    baseName: entry.name.replace('.SemanticModel', ''),
+                    path: entryPath
+                });
+            } else if (entry.name.endsWith('.Report')) {
+                result.reports.push({
+                    handle: entry,
+                    name: entry.name,
+                    baseName: entry.name.replace('.Report', ''),
+                    path: entryPath
+                });
+            } else if (depth < maxDepth && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+                await this._scanWorkspaceFolder(entry, entryPath, depth + 1, maxDepth, result);
+            }
+        }
+    }
+
+    /**
+     * Resolve a relative path (as used by definition.pbir byPath references) against a workspace folder
+     * @param {string} basePath - Workspace-relative folder path ('' for the root)
+     * @param {string} relativePath - e.g. "../../Shared/Sales.SemanticModel"
+     * @returns {string|null} Normalized workspace-relative path, or null if it climbs above the workspace root
+     */
+    static resolveRelativePath(basePath, relativePath) {
+        const parts = basePath ? basePath.split('/') : [];
+
+        for (const part of relativePath.replace(/\\/g, '/').split('/')) {
+            if (part === '' || part === '.') continue;
+            if (part === '..') {
+                if (parts.length === 0) return null;
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        }
+
+        return parts.join('/');
+    }
+
     /**
      * Read Report definition.pbir file to get dataset reference
      * @param {DirectoryHandle} reportHandle - The report folder
@@ -173,33 +261,85 @@ class FileAccessManager {
             // Extract datasetReference path
             const datasetPath = definition.datasetReference?.byPath?.path;
 
+            // Thin reports reference a published dataset instead of a local folder
+            const byConnection = definition.datasetReference?.byConnection;
+            const connection = byConnection ? FileAccessManager.parseConnectionString(byConnection.connectionString) : null;
+            if (connection) {
+                connection.connectionType = byConnection.connectionType || null;
+                connection.datasetId = byConnection.pbiModelDatabaseName || connection.datasetId;
+            }
+
             return {
                 datasetPath: datasetPath || null, // Path is a string like "../Sales.SemanticModel"
+                connection: connection,
                 fullDefinition: definition
             };
         } catch (error) {
             console.warn(`Could not read definition.pbir for ${reportHandle.name}:`, error);
-            return { datasetPath: null, fullDefinition: null };
+            return { datasetPath: null, connection: null, fullDefinition: null };
+        }
+    }
+
+    /**
+     * Parse the connection string of a byConnection dataset reference
+     * E.g. "Data Source=powerbi://api.powerbi.com/v1.0/myorg/Finance;Initial Catalog=Sales"
+     * @param {string} connectionString - Semicolon-separated key=value pairs
+     * @returns {Object} { connectionString, workspaceName, datasetName, datasetId }
+     */
+    static parseConnectionString(connectionString) {
+        const values = {};
+        for (const part of (connectionString || '').split(';')) {
+            const separator = part.indexOf('=');
+            if (separator === -1) continue;
+            const key = part.substring(0, separator).trim().toLowerCase();
+            values[key] = part.substring(separator + 1).trim().replace(/^"(.*)"$/, '$1');
         }
+
+        // The workspace is the last segment of a powerbi:// data source
+        const dataSource = values['data source'] || '';
+        const workspaceName = /^powerbi:\/\//i.test(dataSource)
+            ? decodeURIComponent(dataSource.split('/').pop()) || null
+            : null;
+
+        return {
+            connectionString: connectionString || '',
+            workspaceName: workspaceName,
+            datasetName: values['initial catalog'] || null,
+            datasetId: values['semanticmodelid'] || null
+        };
     }
 
     /**
      * Discover Reports that match or are related to the selected SemanticModel
      * Uses definition.pbir files to find actual connections (not folder name matching)
-     * @param {DirectoryHandle} semanticModelHandle - The semantic model folder
-     * @returns {Promise<Object>} Matching and other reports
+     * Thin reports connected to a published dataset (byConnection) are returned separately;
+     * their datasetName is the "Initial Catalog" of the connection string.
+     * @param {DirectoryHandle|null} semanticModelHandle - The semantic model folder (null: connected reports only)
+     * @returns {Promise<Object>} { matchingReports, connectedReports: [{ handle, name, connection, datasetName }] }
      */
     async discoverReports(semanticModelHandle) {
-        const semanticModelName = semanticModelHandle.name;
+        const semanticModelName = semanticModelHandle ? semanticModelHandle.name : null;
         const parentHandle = this.folderHandle; // Use initially selected root
 
         const matchingReports = [];
+        const connectedReports = [];
 
         try {
             for await (const entry of parentHandle.values()) {
                 if (entry.kind === 'directory' && entry.name.endsWith('.Report')) {
                     // Read definition.pbir to check actual connection
-                    const { datasetPath } = await this.readReportDefinition(entry);
+                    const { datasetPath, connection } = await this.readReportDefinition(entry);
+
+                    if (connection) {
+                        connectedReports.push({
+                            handle: entry,
+                            name: entry.name,
+                            connection: connection,
+                            datasetName: connection.datasetName
+                        });
+                        console.log(`Found report ${entry.name} connected to published dataset ${connection.datasetName || '(unknown)'}`);
+                        continue;
+                    }
 
                     // Extract just the folder name from relative path
                     // E.g., "../Sales.SemanticModel" → "Sales.SemanticModel"
@@ -207,7 +347,7 @@ class FileAccessManager {
 
                     // ONLY add reports that match the selected semantic model
                     // Ignore reports that reference different models or have no reference
-                    if (datasetFolderName === semanticModelName) {
+                    if (semanticModelName && datasetFolderName === semanticModelName) {
                         matchingReports.push({
                             handle: entry,
                             name: entry.name,
@@ -222,7 +362,7 @@ class FileAccessManager {
             console.warn('Error discovering reports:', error);
         }
 
-        return { matchingReports };
+        return { matchingReports, connectedReports };
     }
 
     /**
@@ -246,9 +386,13 @@ class FileAccessManager {
 
         try {
             const result = {
-                measures: null,
                 tables: [],
-                relationships: null
+                relationships: null,
+                expressions: null,
+                functions: null,
+                roles: [],
+                perspectives: [],
+                cultures: []
             };
 
             // Navigate to definition/tables folder
@@ -256,24 +400,17 @@ class FileAccessManager {
             const tablesHandle = await this.getDirectoryHandle(definitionHandle, 'tables');
 
             // Read all .tmdl files in tables folder
+            // Every table file (including Measure.tmdl) may contain measures
             for await (const entry of tablesHandle.values()) {
                 if (entry.kind === 'file' && entry.name.endsWith('.tmdl')) {
                     const content = await this.readFile(entry);
 
-                    if (entry.name === 'Measure.tmdl') {
-                        result.measures = {
-                            fileName: entry.name,
-                            content: content,
-                            fileHandle: entry
-                        };
-                    } else {
-                        result.tables.push({
-                            fileName: entry.name,
-                            tableName: entry.name.replace('.tmdl', ''),
-                            content: content,
-                            fileHandle: entry
-                        });
-                    }
+                    result.tables.push({
+                        fileName: entry.name,
+                        tableName: entry.name.replace('.tmdl', ''),
+                        content: content,
+                        fileHandle: entry
+                    });
                 }
             }
 
@@ -290,6 +427,41 @@ class FileAccessManager {
                 console.warn('relationships.tmdl not found');
             }
 
+            // Read shared Power Query expressions and parameters (optional)
+            try {
+                const expressionsHandle = await this.getFileHandle(definitionHandle, 'expressions.tmdl');
+                const content = await this.readFile(expressionsHandle);
+                result.expressions = {
+                    fileName: 'expressions.tmdl',
+                    content: content,
+                    fileHandle: expressionsHandle
+                };
+            } catch (error) {
+                console.log('No expressions.tmdl found');
+            }
+
+            // Read DAX user-defined functions (optional)
+            try {
+                const functionsHandle = await this.getFileHandle(definitionHandle, 'functions.tmdl');
+                const content = await this.readFile(functionsHandle);
+                result.functions = {
+                    fileName: 'functions.tmdl',
+                    content: content,
+                    fileHandle: functionsHandle
+                };
+            } catch (error) {
+                console.log('No functions.tmdl found');
+            }
+
+            // Read security roles from definition/roles (optional)
+            result.roles = await this.readTMDLFolder(definitionHandle, 'roles');
+
+            // Read perspectives from definition/perspectives (optional)
+            result.perspectives = await this.readTMDLFolder(definitionHandle, 'perspectives');
+
+            // Read cultures (translations and Q&A linguistic schema) from definition/cultures (optional)
+            result.cultures = await this.readTMDLFolder(definitionHandle, 'cultures');
+
             return result;
         } catch (error) {
             console.error('Error reading semantic model files:', error);
@@ -297,28 +469,126 @@ class FileAccessManager {
         }
     }
 
+    /**
+     * Read every .tmdl file in an optional sub-folder of the definition folder
+     * @param {FileSystemDirectoryHandle} definitionHandle - The semantic model definition folder
+     * @param {string} folderName - Sub-folder name, e.g. "roles"
+     * @returns {Promise<Array<Object>>} Array of { fileName, content, fileHandle } (empty if the folder is missing)
+     */
+    async readTMDLFolder(definitionHandle, folderName) {
+        const files = [];
+
+        let folderHandle;
+        try {
+            folderHandle = await this.getDirectoryHandle(definitionHandle, folderName);
+        } catch (error) {
+            return files;
+        }
+
+        for await (const entry of folderHandle.values()) {
+            if (entry.kind === 'file' && entry.name.endsWith('.tmdl')) {
+                files.push({
+                    fileName: entry.name,
+                    content: await this.readFile(entry),
+                    fileHandle: entry
+                });
+            }
+        }
+
+        console.log(`Read ${files.length} files from definition/${folderName}`);
+        return files;
+    }
+
+    /**
+     * Read a model metadata export (model.bim or a TMSL script) used in place of a SemanticModel folder
+     * @returns {Promise<Object>} { fileName, content } where content is the parsed JSON
+     */
+    async readModelMetadataFile() {
+        if (!this.modelMetadataHandle) {
+            throw new Error('Model metadata file not selected');
+        }
+
+        const text = await this.readFile(this.modelMetadataHandle);
+        try {
+            // model.bim files saved by Visual Studio may start with a byte order mark
+            return { fileName: this.modelMetadataHandle.name, content: JSON.parse(text.replace(/^\uFEFF/, '')) };
+        } catch (error) {
+            throw new Error(`${this.modelMetadataHandle.name} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the report folders to load: every selected report, or the single reportHandle
+     * @returns {Array<DirectoryHandle>}
+     */
+    getReportHandles() {
+        if (this.reportHandles.length > 0) return this.reportHandles;
+        return this.reportHandle ? [this.reportHandle] : [];
+    }
+
     /**
      * Read all report files (JSON)
+     * @param {DirectoryHandle} reportHandle - Report folder to read (defaults to the selected report)
      * @returns {Promise<Object>}
      */
-    async readReportFiles() {
-        if (!this.reportHandle) {
+    async readReportFiles(reportHandle = this.reportHandle) {
+        if (!reportHandle) {
             console.warn('Report folder not available');
             return {
                 pages: [],
-                visuals: []
+                visuals: [],
+                reportFilters: [],
+                bookmarks: []
             };
         }
 
         try {
             const result = {
                 pages: [],
-                visuals: []
+                visuals: [],
+                reportFilters: [],
+                bookmarks: [],
+                reportExtensions: null,
+                format: 'pbir'
             };
 
-            // Navigate to definition/pages folder
-            const definitionHandle = await this.getDirectoryHandle(this.reportHandle, 'definition');
-            const pagesHandle = await this.getDirectoryHandle(definitionHandle, 'pages');
+            // Navigate to definition/pages folder (PBIR); fall back to report.json (PBIR-Legacy)
+            let definitionHandle;
+            let pagesHandle;
+            try {
+                definitionHandle = await this.getDirectoryHandle(reportHandle, 'definition');
+                pagesHandle = await this.getDirectoryHandle(definitionHandle, 'pages');
+            } catch (error) {
+                const legacyResult = await this.readLegacyReportFile(reportHandle);
+                if (legacyResult) return legacyResult;
+                throw error;
+            }
+            this.reportFormat = 'pbir';
+            this.reportFormats[reportHandle.name] = 'pbir';
+
+            // Read report-level filters from definition/report.json (optional)
+            try {
+                const reportJsonHandle = await this.getFileHandle(definitionHandle, 'report.json');
+                const reportData = JSON.parse(await this.readFile(reportJsonHandle));
+                result.reportFilters = reportData.filterConfig?.filters || [];
+            } catch (error) {
+                console.log('No definition/report.json found (optional)');
+            }
+
+            // Read report-level measures from definition/reportExtensions.json (optional)
+            try {
+                const extensionsHandle = await this.getFileHandle(definitionHandle, 'reportExtensions.json');
+                result.reportExtensions = {
+                    fileName: 'reportExtensions.json',
+                    content: JSON.parse(await this.readFile(extensionsHandle)),
+                    fileHandle: extensionsHandle
+                };
+            } catch (error) {
+                console.log('No definition/reportExtensions.json found (optional)');
+            }
+
+            // Read bookmarks from definition/bookmarks (optional)
+            result.bookmarks = await this.readBookmarkFiles(definitionHandle);
 
             // Read pages.json (we just check it exists, actual parsing happens in parsers.js if needed)
             try {
@@ -377,6 +647,69 @@ class FileAccessManager {
         }
     }
 
+    /**
+     * Read a PBIR-Legacy report (single report.json at the root of the Report folder)
+     * @param {DirectoryHandle} reportHandle - Report folder to read (defaults to the selected report)
+     * @returns {Promise<Object|null>} Same shape as readReportFiles(), or null if there is no report.json
+     */
+    async readLegacyReportFile(reportHandle = this.reportHandle) {
+        let reportJsonHandle;
+        try {
+            reportJsonHandle = await this.getFileHandle(reportHandle, 'report.json');
+        } catch (error) {
+            return null;
+        }
+
+        const content = await this.readFile(reportJsonHandle);
+        const legacy = JSONParser.parseLegacyReport(JSON.parse(content));
+        this.reportFormat = 'legacy';
+        this.reportFormats[reportHandle.name] = 'legacy';
+        console.log(`Using legacy report.json format for ${reportHandle.name}`);
+
+        return {
+            pages: legacy.pages.map(page => ({ ...page, fileHandle: reportJsonHandle })),
+            visuals: legacy.visuals.map(visual => ({ ...visual, format: 'legacy', fileHandle: reportJsonHandle })),
+            reportFilters: legacy.reportFilters,
+            bookmarks: legacy.bookmarks.map(bookmark => ({ ...bookmark, fileHandle: reportJsonHandle })),
+            format: 'legacy'
+        };
+    }
+
+    /**
+     * Read every *.bookmark.json file in the optional definition/bookmarks folder of a PBIR report
+     * @param {FileSystemDirectoryHandle} definitionHandle - The report definition folder
+     * @returns {Promise<Array<Object>>} [{ bookmarkId, fileName, content, fileHandle }]
+     */
+    async readBookmarkFiles(definitionHandle) {
+        const bookmarks = [];
+
+        let bookmarksHandle;
+        try {
+            bookmarksHandle = await this.getDirectoryHandle(definitionHandle, 'bookmarks');
+        } catch (error) {
+            return bookmarks;
+        }
+
+        for await (const entry of bookmarksHandle.values()) {
+            if (entry.kind === 'file' && entry.name.endsWith('.bookmark.json')) {
+                try {
+                    const content = await this.readFile(entry);
+                    bookmarks.push({
+                        bookmarkId: entry.name.replace(/\.bookmark\.json$/, ''),
+                        fileName: entry.name,
+                        content: JSON.parse(content),
+                        fileHandle: entry
+                    });
+                } catch (error) {
+                    console.warn(`Failed to read bookmark ${entry.name}:`, error);
+                }
+            }
+        }
+
+        console.log(`Read ${bookmarks.length} bookmarks from definition/bookmarks`);
+        return bookmarks;
+    }
+
     /**
      * Get directory handle by name
      * @param {DirectoryHandle} parentHandle
@@ -477,9 +810,11 @@ class FileAccessManager {
         return {
             folderName: this.getFolderName(),
             hasSemanticModel: !!this.semanticModelHandle,
-            hasReport: !!this.reportHandle,
+            modelMetadataName: this.modelMetadataHandle?.name || null,
+            hasReport: this.getReportHandles().length > 0,
             semanticModelName: this.semanticModelHandle?.name,
-            reportName: this.reportHandle?.name
+            reportName: this.reportHandle?.name,
+            reportNames: this.getReportHandles().map(handle => handle.name)
         };
     }
 }
@@ -91,9 +91,14 @@ class GraphVisualizer {
             { type: 'tables', label: 'Tables', items: upstream.tables, color: '#7b5ea7' },
             { type: 'columns', label: 'Columns', items: upstream.columns, color: '#4a7c59' },
             { type: 'measures', label: 'Measures', items: upstream.measures, color: '#1a3a5c' },
+            { type: 'reportMeasures', label: 'Report Measures', items: upstream.reportMeasures, color: '#3a5a8c' },
             { type: 'calculationItems', label: 'Calculation Items', items: upstream.calculationItems, color: '#1a8a7b' },
             { type: 'calculationGroups', label: 'Calculation Groups', items: upstream.calculationGroups, color: '#2a7b6e' },
-            { type: 'fieldParameters', label: 'Field Parameters', items: upstream.fieldParameters, color: '#d4763a' }
+            { type: 'fieldParameters', label: 'Field Parameters', items: upstream.fieldParameters, color: '#d4763a' },
+            { type: 'partitions', label: 'Partitions', items: upstream.partitions, color: '#6b6b6b' },
+            { type: 'expressions', label: 'Queries & Parameters', items: upstream.expressions, color: '#8a5a2b' },
+            { type: 'dataSources', label: 'Data Sources', items: upstream.dataSources, color: '#3d3d3d' },
+            { type: 'relationships', label: 'Relationships', items: upstream.relationships, color: '#5a6b7b' }
         ];
 
         let hasItems = false;
@@ -155,7 +160,7 @@ class GraphVisualizer {
         section.appendChild(nodeWrapper);
 
         // DAX preview if available
-        if (dax && type === 'measure') {
+        if (dax && (type === 'measure' || type === 'reportMeasure')) {
             const daxPreview = document.createElement('div');
             daxPreview.className = 'center-dax-preview';
             const truncatedDax = dax.length > 150 ? dax.substring(0, 150) + '...' : dax;
@@ -190,6 +195,29 @@ class GraphVisualizer {
             content.appendChild(measuresGroup);
         }
 
+        // Handle report-level measures (thin reports)
+        if (downstream.reportMeasures && downstream.reportMeasures.length > 0) {
+            hasItems = true;
+            const reportMeasuresGroup = this.createNodeGroup('Report Measures', downstream.reportMeasures, '#3a5a8c', 'downstream');
+            content.appendChild(reportMeasuresGroup);
+        }
+
+        // Handle hierarchies (levels first, they sit between columns and hierarchies)
+        const hierarchyItems = [...(downstream.levels || []), ...(downstream.hierarchies || [])];
+        if (hierarchyItems.length > 0) {
+            hasItems = true;
+            const hierarchyGroup = this.createNodeGroup('Hierarchies', hierarchyItems, '#5a6fa8', 'downstream');
+            content.appendChild(hierarchyGroup);
+        }
+
+        // Handle Power Query expressions and partitions (e.g. for a shared query or parameter)
+        const queryItems = [...(downstream.expressions || []), ...(downstream.partitions || [])];
+        if (queryItems.length > 0) {
+            hasItems = true;
+            const queryGroup = this.createNodeGroup('Power Query', queryItems, '#8a5a2b', 'downstream');
+            content.appendChild(queryGroup);
+        }
+
         // Handle calculation items
         if (downstream.calculationItems && downstream.calculationItems.length > 0) {
             hasItems = true;
@@ -204,6 +232,21 @@ class GraphVisualizer {
             content.appendChild(fpGroup);
         }
 
+        // Handle report-level and page-level filters
+        const filterItems = [...(downstream.reports || []), ...(downstream.pages || [])];
+        if (filterItems.length > 0) {
+            hasItems = true;
+            const filterGroup = this.createNodeGroup('Report & Page Filters', filterItems, '#a8895a', 'downstream');
+            content.appendChild(filterGroup);
+        }
+
+        // Handle bookmarks
+        if (downstream.bookmarks && downstream.bookmarks.length > 0) {
+            hasItems = true;
+            const bookmarkGroup = this.createNodeGroup('Bookmarks', downstream.bookmarks, '#7a5aa8', 'downstream');
+            content.appendChild(bookmarkGroup);
+        }
+
         // Handle visuals with page grouping
         if (downstream.visuals && downstream.visuals.length > 0) {
             hasItems = true;
@@ -294,9 +337,14 @@ class GraphVisualizer {
 
         let displayName = '';
         let subtitle = '';
+        // Report-side items name their report when several reports are loaded
+        const reportPrefix = item.reportName ? `${item.reportName} | ` : '';
 
         if (item.type === 'measure') {
             displayName = item.name;
+        } else if (item.type === 'reportMeasure') {
+            displayName = item.name;
+            subtitle = `${reportPrefix}Report Measure`;
         } else if (item.type === 'column') {
             displayName = `${item.table}[${item.column}]`;
         } else if (item.type === 'table') {
@@ -304,7 +352,7 @@ class GraphVisualizer {
         } else if (item.type === 'visual') {
             displayName = item.visualName || item.visualId;
             // When in page group, only show visual type (page name is in group header)
-            subtitle = isInPageGroup ? item.visualType : `${item.pageName} | ${item.visualType}`;
+            subtitle = isInPageGroup ? item.visualType : `${reportPrefix}${item.pageName} | ${item.visualType}`;
         } else if (item.type === 'calculationGroup') {
             displayName = item.name;
             subtitle = 'Calculation Group';
@@ -314,6 +362,27 @@ class GraphVisualizer {
         } else if (item.type === 'fieldParameter') {
             displayName = item.name;
             subtitle = 'Field Parameter';
+        } else if (item.type === 'hierarchy' || item.type === 'level') {
+            displayName = item.name;
+            subtitle = item.type === 'level' ? `${item.tableName} | Level` : `${item.tableName} | Hierarchy`;
+        } else if (item.type === 'partition') {
+            displayName = item.name;
+            subtitle = `${item.tableName} | Partition`;
+        } else if (item.type === 'expression') {
+            displayName = item.name;
+            subtitle = item.isParameter ? 'Parameter' : 'Shared Query';
+        } else if (item.type === 'dataSource') {
+            displayName = item.name;
+            subtitle = 'Data Source';
+        } else if (item.type === 'page' || item.type === 'report') {
+            displayName = item.name;
+            subtitle = item.type === 'report' ? 'Report-level filters' : `${reportPrefix}Page-level filters`;
+        } else if (item.type === 'bookmark') {
+            displayName = item.name;
+            subtitle = item.pageName ? `${reportPrefix}${item.pageName} | Bookmark` : `${reportPrefix}Bookmark`;
+        } else if (item.type === 'relationship') {
+            displayName = item.name;
+            subtitle = item.isActive ? 'Relationship' : 'Inactive Relationship';
         }
 
         const nameEl = document.createElement('div');
@@ -340,30 +409,40 @@ class GraphVisualizer {
     }
 
     /**
-     * Group visuals by their page name
+     * Group visuals by report, then by page name
+     * Visuals of a single loaded report have no reportName and share the '' report key.
      * @param {Array} visuals - Array of visual items
-     * @returns {Object} Object with page names as keys and arrays of visuals as values
+     * @returns {Object} { reportName: { pageName: [visuals] } } with reports and pages sorted alphabetically
      */
     groupVisualsByPage(visuals) {
-        const pageGroups = {};
+        const reportGroups = {};
         for (const visual of visuals) {
+            const reportName = visual.reportName || '';
             const pageName = visual.pageName || 'Unknown Page';
-            if (!pageGroups[pageName]) {
-                pageGroups[pageName] = [];
+            if (!reportGroups[reportName]) {
+                reportGroups[reportName] = {};
             }
-            pageGroups[pageName].push(visual);
+            if (!reportGroups[reportName][pageName]) {
+                reportGroups[reportName][pageName] = [];
+            }
+            reportGroups[reportName][pageName].push(visual);
         }
-        // Sort page names alphabetically
-        return Object.keys(pageGroups)
+        // Sort report and page names alphabetically
+        const sortKeys = (groups) => Object.keys(groups)
             .sort()
             .reduce((acc, key) => {
-                acc[key] = pageGroups[key];
+                acc[key] = groups[key];
                 return acc;
             }, {});
+        const sorted = sortKeys(reportGroups);
+        for (const reportName of Object.keys(sorted)) {
+            sorted[reportName] = sortKeys(sorted[reportName]);
+        }
+        return sorted;
     }
 
     /**
-     * Create page-grouped visuals section
+     * Create page-grouped visuals section (report → page → visual when several reports are loaded)
      * @param {Array} visuals - Array of visual items
      * @param {string} color - Color for visual items
      * @param {string} direction - 'upstream' or 'downstream'
@@ -382,20 +461,50 @@ class GraphVisualizer {
         const nodesList = document.createElement('div');
         nodesList.className = 'nodes-list';
 
-        // Group visuals by page
-        const pageGroups = this.groupVisualsByPage(visuals);
-        const pageNames = Object.keys(pageGroups);
+        // Group visuals by report and page
+        const reportGroups = this.groupVisualsByPage(visuals);
 
-        for (const pageName of pageNames) {
-            const pageVisuals = pageGroups[pageName];
-            const pageSubgroup = this.createPageSubgroup(pageName, pageVisuals, color, direction);
-            nodesList.appendChild(pageSubgroup);
+        for (const [reportName, pageGroups] of Object.entries(reportGroups)) {
+            if (reportName) {
+                nodesList.appendChild(this.createReportSubgroup(reportName, pageGroups, color, direction));
+                continue;
+            }
+            for (const [pageName, pageVisuals] of Object.entries(pageGroups)) {
+                nodesList.appendChild(this.createPageSubgroup(pageName, pageVisuals, color, direction));
+            }
         }
 
         group.appendChild(nodesList);
         return group;
     }
 
+    /**
+     * Create a report subgroup containing one page subgroup per page
+     * @param {string} reportName - The report folder name
+     * @param {Object} pageGroups - { pageName: [visuals] }
+     * @param {string} color - Color for visual items
+     * @param {string} direction - 'upstream' or 'downstream'
+     */
+    createReportSubgroup(reportName, pageGroups, color, direction) {
+        const subgroup = document.createElement('div');
+        subgroup.className = 'report-subgroup';
+
+        const visualCount = Object.values(pageGroups).reduce((sum, pageVisuals) => sum + pageVisuals.length, 0);
+        const reportHeader = document.createElement('div');
+        reportHeader.className = 'report-subgroup-header';
+        reportHeader.innerHTML = `
+            <span class="report-name">${this.escapeHtml(reportName)}</span>
+            <span class="page-subgroup-count">${visualCount}</span>
+        `;
+        subgroup.appendChild(reportHeader);
+
+        for (const [pageName, pageVisuals] of Object.entries(pageGroups)) {
+            subgroup.appendChild(this.createPageSubgroup(pageName, pageVisuals, color, direction));
+        }
+
+        return subgroup;
+    }
+
     /**
      * Create a page subgroup with its visuals
      * @param {string} pageName - The page name
@@ -3,149 +3,526 @@
  * Handles parsing of TMDL files, JSON files, and DAX expressions
  */
 
+/**
+ * TMDL keywords that declare objects (everything else is a property)
+ */
+const TMDL_OBJECT_KEYWORDS = new Set([
+    'model', 'database', 'table', 'column', 'measure', 'hierarchy', 'level',
+    'partition', 'annotation', 'extendedProperty', 'calculationGroup', 'calculationItem',
+    'relationship', 'role', 'tablePermission', 'columnPermission', 'member',
+    'perspective', 'perspectiveTable', 'perspectiveColumn', 'perspectiveMeasure',
+    'perspectiveHierarchy', 'culture', 'cultureInfo', 'linguisticMetadata', 'translation', 'translations',
+    'expression', 'dataSource', 'function', 'variation', 'queryGroup', 'ref',
+    'relatedColumnDetails'
+]);
+
 class TMDLParser {
     /**
-     * Parse Measure.tmdl to extract all measures and their properties
-     * @param {string} tmdlContent - Content of Measure.tmdl file
-     * @returns {Array<Object>} Array of measure objects
+     * Parse TMDL content into a typed object tree using indentation levels.
+     * Each node: { kind, name, expression, properties, children, description,
+     * startLine, endLine, expressionStartLine, expressionEndLine } (lines are 1-based).
+     * Expressions are kept as raw (trimmed) source text so they can be matched back
+     * against the file content when refactoring.
+     * @param {string} tmdlContent - Content of a .tmdl file
+     * @returns {Object} Root node ({ kind: 'document', children: [...] })
      */
-    static parseMeasuresTMDL(tmdlContent) {
-        const measures = [];
+    static parseDocument(tmdlContent) {
+        const lines = (tmdlContent || '').split('\n');
+        const root = {
+            kind: 'document',
+            name: null,
+            properties: {},
+            children: [],
+            startLine: 1,
+            endLine: lines.length
+        };
 
-        try {
-            // Split by measure definitions
-            // Pattern: measure 'Name' = or measure Name =
-            const measurePattern = /measure\s+(?:'([^']+)'|(\w+))\s*=\s*/g;
+        const stack = [{ node: root, level: -1 }];
+        let pendingDescription = [];
+        let i = 0;
 
-            let match;
-            const matches = [];
-
-            // Find all measure declarations
-            while ((match = measurePattern.exec(tmdlContent)) !== null) {
-                matches.push({
-                    name: match[1] || match[2],
-                    startIndex: match.index,
-                    endIndex: measurePattern.lastIndex
-                });
+        while (i < lines.length) {
+            const line = lines[i];
+            const text = line.trim();
+
+            if (text === '') {
+                i++;
+                continue;
+            }
+
+            const level = TMDLParser._getIndentLevel(line);
+
+            // Pop back to the parent of this line
+            while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+                stack.pop();
+            }
+            const parent = stack[stack.length - 1].node;
+
+            // "///" description comments belong to the next object
+            if (text.startsWith('///')) {
+                pendingDescription.push(text.replace(/^\/\/\/\s?/, ''));
+                i++;
+                continue;
+            }
+
+            const keywordMatch = text.match(/^([A-Za-z]\w*)(?=\s|=|$)/);
+            const keyword = keywordMatch ? keywordMatch[1] : null;
+
+            // Property: "name: value"
+            const propertyMatch = text.match(/^([A-Za-z]\w*)\s*:\s*(.*)$/);
+            if (propertyMatch) {
+                parent.properties[propertyMatch[1]] = propertyMatch[2].trim();
+                pendingDescription = [];
+                TMDLParser._extendEndLine(stack, i + 1);
+                i++;
+                continue;
+            }
+
+            if (keyword && TMDL_OBJECT_KEYWORDS.has(keyword)) {
+                const node = TMDLParser._parseObjectLine(text, keyword, i + 1);
+                if (pendingDescription.length > 0) {
+                    node.description = pendingDescription.join('\n');
+                    pendingDescription = [];
+                }
+
+                i = TMDLParser._readExpression(lines, i, level, node, true);
+                node.endLine = node.expressionEndLine || node.startLine;
+
+                parent.children.push(node);
+                stack.push({ node: node, level: level });
+                TMDLParser._extendEndLine(stack, node.endLine);
+                continue;
+            }
+
+            // Expression property: "name = expression" (e.g. source =, formatStringDefinition =)
+            const expressionPropertyMatch = text.match(/^([A-Za-z]\w*)\s*=(.*)$/);
+            if (expressionPropertyMatch) {
+                const holder = { expression: null };
+                holder.inlineExpression = expressionPropertyMatch[2];
+                i = TMDLParser._readExpression(lines, i, level, holder, false);
+                parent.properties[expressionPropertyMatch[1]] = holder.expression;
+                TMDLParser._extendEndLine(stack, holder.expressionEndLine || i);
+                pendingDescription = [];
+                continue;
+            }
+
+            // Bare word: boolean property (e.g. isHidden)
+            if (keyword && text === keyword) {
+                parent.properties[keyword] = true;
+            }
+
+            pendingDescription = [];
+            TMDLParser._extendEndLine(stack, i + 1);
+            i++;
+        }
+
+        return root;
+    }
+
+    /**
+     * Compute the indentation level of a line (a tab or four spaces per level)
+     * @private
+     */
+    static _getIndentLevel(line) {
+        const indent = line.match(/^[\t ]*/)[0];
+        let width = 0;
+        for (const ch of indent) {
+            width += ch === '\t' ? 4 : 1;
+        }
+        return Math.floor(width / 4);
+    }
+
+    /**
+     * Parse an object declaration line: keyword [name] [= expression]
+     * @private
+     */
+    static _parseObjectLine(text, keyword, lineNumber) {
+        let rest = text.substring(keyword.length).trim();
+        const node = {
+            kind: keyword,
+            name: null,
+            expression: null,
+            properties: {},
+            children: [],
+            description: null,
+            startLine: lineNumber,
+            endLine: lineNumber
+        };
+
+        // "ref table 'Sales'" - reference to an object declared elsewhere
+        if (keyword === 'ref') {
+            const refKindMatch = rest.match(/^(\w+)\s*(.*)$/);
+            if (refKindMatch) {
+                node.refKind = refKindMatch[1];
+                rest = refKindMatch[2];
+            }
+        }
+
+        const nameResult = TMDLParser._readName(rest);
+        node.name = nameResult.name;
+        rest = rest.substring(nameResult.length).trim();
+
+        if (rest.startsWith('=')) {
+            node.inlineExpression = rest.substring(1);
+        }
+
+        return node;
+    }
+
+    /**
+     * Read a (possibly quoted) TMDL name from the start of a string
+     * Quoted names use single quotes with '' as the escape for a quote.
+     * @private
+     * @returns {{name: string|null, length: number}}
+     */
+    static _readName(text) {
+        if (text.startsWith("'")) {
+            let name = '';
+            let pos = 1;
+            while (pos < text.length) {
+                if (text[pos] === "'") {
+                    if (text[pos + 1] === "'") {
+                        name += "'";
+                        pos += 2;
+                        continue;
+                    }
+                    return { name: name, length: pos + 1 };
+                }
+                name += text[pos];
+                pos++;
+            }
+            return { name: name, length: text.length };
+        }
+
+        const match = text.match(/^[^=]*/);
+        const name = match[0].trim();
+        return { name: name || null, length: match[0].length };
+    }
+
+    /**
+     * Read the expression that follows "=" on an object or property line.
+     * Handles single-line expressions, multi-line expressions indented deeper
+     * than the object's properties and ```-fenced expressions.
+     * @private
+     * @returns {number} Index of the next line to process
+     */
+    static _readExpression(lines, index, level, node, isObject) {
+        const inline = node.inlineExpression;
+        delete node.inlineExpression;
+
+        if (inline === undefined) {
+            return index + 1;
+        }
+
+        const inlineText = inline.trim();
+
+        // Backtick-fenced expression: everything up to the closing fence
+        if (inlineText.startsWith('```')) {
+            const body = [];
+            let pos = index + 1;
+            const fenceRest = inlineText.substring(3);
+            if (fenceRest.includes('```')) {
+                node.expression = fenceRest.substring(0, fenceRest.indexOf('```')).trim();
+                node.expressionStartLine = index + 1;
+                node.expressionEndLine = index + 1;
+                return index + 1;
+            }
+            if (fenceRest.trim()) body.push(fenceRest);
+            while (pos < lines.length && !lines[pos].trim().startsWith('```')) {
+                body.push(lines[pos]);
+                pos++;
             }
+            node.expression = body.join('\n').trim();
+            node.expressionFenced = true;
+            node.expressionStartLine = index + 2;
+            node.expressionEndLine = Math.min(pos + 1, lines.length);
+            return pos + 1;
+        }
+
+        // Objects keep their properties one level deeper, so expression continuation
+        // lines sit at least two levels deeper; property expressions only need one
+        const continuationLevel = isObject ? level + 2 : level + 1;
+        const body = [inline];
+        let lastContentLine = inlineText ? index : -1;
+        let pos = index + 1;
+
+        while (pos < lines.length) {
+            const line = lines[pos];
+            const text = line.trim();
+            if (text === '') {
+                body.push(line);
+                pos++;
+                continue;
+            }
+
+            const lineLevel = TMDLParser._getIndentLevel(line);
+            const isContinuation = lineLevel >= continuationLevel ||
+                // Hand-written files sometimes indent the expression only one level
+                (isObject && !inlineText && lineLevel === level + 1 && !TMDLParser._looksLikeMember(text));
+
+            if (!isContinuation) break;
+
+            body.push(line);
+            lastContentLine = pos;
+            pos++;
+        }
+
+        // Trailing blank lines are not part of the expression
+        const consumed = lastContentLine === -1 ? 0 : lastContentLine - index;
+        const expressionLines = body.slice(0, consumed + 1);
+        node.expression = expressionLines.join('\n').trim();
+        if (lastContentLine !== -1) {
+            node.expressionStartLine = inlineText ? index + 1 : TMDLParser._firstContentLine(lines, index + 1) + 1;
+            node.expressionEndLine = lastContentLine + 1;
+        }
+
+        return lastContentLine === -1 ? index + 1 : lastContentLine + 1;
+    }
+
+    /**
+     * Whether a line reads like a TMDL property or child object rather than expression text
+     * @private
+     */
+    static _looksLikeMember(text) {
+        if (/^[A-Za-z]\w*\s*:/.test(text) || text.startsWith('///')) return true;
+        const keywordMatch = text.match(/^([A-Za-z]\w*)(?=\s|=|$)/);
+        return !!(keywordMatch && TMDL_OBJECT_KEYWORDS.has(keywordMatch[1]));
+    }
+
+    /**
+     * Index of the first non-blank line at or after the given index
+     * @private
+     */
+    static _firstContentLine(lines, index) {
+        let pos = index;
+        while (pos < lines.length && lines[pos].trim() === '') pos++;
+        return pos;
+    }
+
+    /**
+     * Extend the end line of every open object on the stack
+     * @private
+     */
+    static _extendEndLine(stack, lineNumber) {
+        for (const entry of stack) {
+            if (entry.node.kind !== 'document' && lineNumber > entry.node.endLine) {
+                entry.node.endLine = lineNumber;
+            }
+        }
+    }
+
+    /**
+     * Find all nodes of a given kind in a parsed TMDL tree (depth-first, document order)
+     * @param {Object} node - Root node from parseDocument()
+     * @param {string} kind - Object keyword, e.g. "measure"
+     * @returns {Array<Object>} Matching nodes
+     */
+    static findNodes(node, kind) {
+        const found = [];
+        for (const child of node.children || []) {
+            if (child.kind === kind) found.push(child);
+            found.push(...TMDLParser.findNodes(child, kind));
+        }
+        return found;
+    }
+
+    /**
+     * Split a qualified TMDL column reference into table and column
+     * Handles quoted parts: Sales.Amount, 'Sales Table'.'Order Date', Sales.'Key.Part'
+     * @param {string} value - e.g. "'Sales Table'.ProductKey"
+     * @returns {{table: string|null, column: string|null}}
+     */
+    static splitQualifiedName(value) {
+        if (!value) return { table: null, column: null };
+        const text = value.trim();
+
+        let table;
+        let rest;
+        if (text.startsWith("'")) {
+            const tablePart = TMDLParser._readName(text);
+            table = tablePart.name;
+            rest = text.substring(tablePart.length);
+        } else {
+            const dotIndex = text.indexOf('.');
+            if (dotIndex === -1) return { table: null, column: text };
+            table = text.substring(0, dotIndex);
+            rest = text.substring(dotIndex);
+        }
+
+        rest = rest.replace(/^\s*\.\s*/, '');
+        const column = rest.startsWith("'") ? TMDLParser._readName(rest).name : rest.trim();
+
+        return { table: table, column: column || null };
+    }
+
+    /**
+     * Remove TMDL quoting from a name-valued property (e.g. "column: 'Month Name'")
+     * @param {string} value - Raw property value
+     * @returns {string|null} The unquoted name
+     */
+    static unquoteName(value) {
+        if (typeof value !== 'string') return null;
+        const text = value.trim();
+        return text.startsWith("'") ? TMDLParser._readName(text).name : text;
+    }
 
-            // Extract each measure with its properties
-            for (let i = 0; i < matches.length; i++) {
-                const currentMatch = matches[i];
-                const nextMatch = matches[i + 1];
+    /**
+     * Quote an object name for a TMDL declaration when it is not a plain identifier
+     * @param {string} name - e.g. "Sales Region"
+     * @returns {string} e.g. "'Sales Region'" (embedded quotes doubled) or the name unchanged
+     */
+    static quoteName(name) {
+        if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) return name;
+        return `'${name.replace(/'/g, "''")}'`;
+    }
 
-                // Get content from measure declaration to next measure (or end of file)
-                const measureContent = nextMatch
-                    ? tmdlContent.substring(currentMatch.endIndex, nextMatch.startIndex)
-                    : tmdlContent.substring(currentMatch.endIndex);
+    /**
+     * Parse a table TMDL file to extract all measures and their properties
+     * @param {string} tmdlContent - Content of the table .tmdl file
+     * @param {string|null} tableName - Home table of the measures (recorded on each measure)
+     * @returns {Array<Object>} Array of measure objects
+     */
+    static parseMeasuresTMDL(tmdlContent, tableName = null) {
+        const measures = [];
 
-                // Extract DAX expression (everything before lineageTag or formatString)
-                const daxMatch = measureContent.match(/^\s*([^]*?)(?=\s*(?:lineageTag|formatString|displayFolder|dataCategory|description|$))/);
-                const dax = daxMatch ? daxMatch[1].trim() : '';
+        try {
+            const document = TMDLParser.parseDocument(tmdlContent);
 
-                // Extract properties
-                const lineageTagMatch = measureContent.match(/lineageTag:\s*([^\s\n]+)/);
-                const formatStringMatch = measureContent.match(/formatString:\s*(.+?)(?:\n|$)/);
-                const displayFolderMatch = measureContent.match(/displayFolder:\s*(.+?)(?:\n|$)/);
-                const descriptionMatch = measureContent.match(/description:\s*(.+?)(?:\n|$)/);
+            for (const node of TMDLParser.findNodes(document, 'measure')) {
+                const props = node.properties;
 
                 measures.push({
-                    name: currentMatch.name,
-                    dax: dax,
-                    lineageTag: lineageTagMatch ? lineageTagMatch[1] : null,
-                    formatString: formatStringMatch ? formatStringMatch[1].trim() : null,
-                    displayFolder: displayFolderMatch ? displayFolderMatch[1].trim() : null,
-                    description: descriptionMatch ? descriptionMatch[1].trim() : null
+                    name: node.name,
+                    tableName: tableName,
+                    dax: node.expression || '',
+                    lineageTag: props.lineageTag || null,
+                    formatString: props.formatString || null,
+                    displayFolder: props.displayFolder || null,
+                    description: node.description || props.description || null,
+                    startLine: node.startLine,
+                    endLine: node.endLine
                 });
             }
 
-            console.log(`Parsed ${measures.length} measures from Measure.tmdl`);
+            console.log(`Parsed ${measures.length} measures from ${tableName || 'table'} TMDL`);
             return measures;
 
         } catch (error) {
-            console.error('Error parsing Measure.tmdl:', error);
+            console.error(`Error parsing measures (${tableName || 'unknown table'}):`, error);
             return [];
         }
     }
 
     /**
-     * Parse table TMDL to extract table name and columns
+     * Parse table TMDL to extract table name, columns and measures
      * @param {string} tmdlContent - Content of table .tmdl file
      * @param {string} fileName - Name of the file (used as fallback table name)
-     * @returns {Object} Table object with columns
+     * @returns {Object} Table object with columns and measures
      */
     static parseTableTMDL(tmdlContent, fileName) {
         try {
-            // Extract table name
-            const tableNameMatch = tmdlContent.match(/table\s+(?:'([^']+)'|(\w+))/);
-            const tableName = tableNameMatch ? (tableNameMatch[1] || tableNameMatch[2]) : fileName.replace('.tmdl', '');
+            const document = TMDLParser.parseDocument(tmdlContent);
+            const tableNode = document.children.find(n => n.kind === 'table') || document;
+            const tableName = tableNode.name || fileName.replace('.tmdl', '');
+            const lines = tmdlContent.split(/\r?\n/);
 
-            // Extract columns
+            // Extract columns (direct children of the table only)
             const columns = [];
-            const columnPattern = /column\s+(?:'([^']+)'|(\w+))\s*/g;
-
-            let match;
-            const columnMatches = [];
+            for (const node of tableNode.children.filter(n => n.kind === 'column')) {
+                const props = node.properties;
 
-            while ((match = columnPattern.exec(tmdlContent)) !== null) {
-                columnMatches.push({
-                    name: match[1] || match[2],
-                    startIndex: match.index,
-                    endIndex: columnPattern.lastIndex
+                columns.push({
+                    name: node.name,
+                    dataType: props.dataType || null,
+                    formatString: props.formatString || null,
+                    lineageTag: props.lineageTag || null,
+                    sourceColumn: props.sourceColumn || null,
+                    summarizeBy: props.summarizeBy || null,
+                    isHidden: props.isHidden === true || props.isHidden === 'true',
+                    // Calculated columns carry their DAX after "=" on the column line
+                    isCalculated: !!node.expression,
+                    dax: node.expression || null,
+                    // Column-to-column properties: renaming or deleting the target breaks this column
+                    sortByColumn: TMDLParser.unquoteName(props.sortByColumn),
+                    groupByColumns: TMDLParser._parseGroupByColumns(node, lines),
+                    variations: TMDLParser._parseVariations(node),
+                    startLine: node.startLine,
+                    endLine: node.endLine
                 });
             }
 
-            // Extract column properties
-            for (let i = 0; i < columnMatches.length; i++) {
-                const currentMatch = columnMatches[i];
-                const nextMatch = columnMatches[i + 1];
-
-                const columnContent = nextMatch
-                    ? tmdlContent.substring(currentMatch.endIndex, nextMatch.startIndex)
-                    : tmdlContent.substring(currentMatch.endIndex);
-
-                // Extract properties
-                const dataTypeMatch = columnContent.match(/dataType:\s*(\w+)/);
-                const formatStringMatch = columnContent.match(/formatString:\s*(.+?)(?:\n|$)/);
-                const lineageTagMatch = columnContent.match(/lineageTag:\s*([^\s\n]+)/);
-                const sourceColumnMatch = columnContent.match(/sourceColumn:\s*(.+?)(?:\n|$)/);
-                const summarizeByMatch = columnContent.match(/summarizeBy:\s*(\w+)/);
-                const isHiddenMatch = columnContent.match(/isHidden:\s*(\w+)/);
-
-                columns.push({
-                    name: currentMatch.name,
-                    dataType: dataTypeMatch ? dataTypeMatch[1] : null,
-                    formatString: formatStringMatch ? formatStringMatch[1].trim() : null,
-                    lineageTag: lineageTagMatch ? lineageTagMatch[1] : null,
-                    sourceColumn: sourceColumnMatch ? sourceColumnMatch[1].trim() : null,
-                    summarizeBy: summarizeByMatch ? summarizeByMatch[1] : null,
-                    isHidden: isHiddenMatch ? isHiddenMatch[1] === 'true' : false
-                });
+            // Extract hierarchies and their levels (each level points at a column of this table)
+            const hierarchies = tableNode.children.filter(n => n.kind === 'hierarchy').map(node => ({
+                name: node.name,
+                isHidden: node.properties.isHidden === true || node.properties.isHidden === 'true',
+                levels: node.children.filter(child => child.kind === 'level').map(child => ({
+                    name: child.name,
+                    column: TMDLParser.unquoteName(child.properties.column),
+                    ordinal: child.properties.ordinal !== undefined ? parseInt(child.properties.ordinal, 10) : null,
+                    startLine: child.startLine,
+                    endLine: child.endLine
+                })),
+                startLine: node.startLine,
+                endLine: node.endLine
+            }));
+
+            // Extract partitions; a "partition X = calculated" makes this a calculated table.
+            // "= m" partitions hold a Power Query source; "= entity" (Direct Lake) partitions
+            // name the shared expression they read from in expressionSource.
+            const partitions = tableNode.children.filter(n => n.kind === 'partition').map(node => ({
+                name: node.name,
+                sourceType: node.expression || null,
+                mode: node.properties.mode || null,
+                source: typeof node.properties.source === 'string' ? node.properties.source : null,
+                entityName: TMDLParser.unquoteName(node.properties.entityName),
+                expressionSource: TMDLParser.unquoteName(node.properties.expressionSource),
+                startLine: node.startLine,
+                endLine: node.endLine
+            }));
+            const calculatedPartition = partitions.find(p => p.sourceType === 'calculated');
+
+            // Extract measures (measures can live in any table, not only Measure.tmdl)
+            const measures = TMDLParser.parseMeasuresTMDL(tmdlContent, tableName);
+            for (const measure of measures) {
+                measure.fileName = fileName;
             }
 
             // Detect calculation group
-            const isCalculationGroup = /^\s*calculationGroup\b/m.test(tmdlContent);
+            const isCalculationGroup = tableNode.children.some(n => n.kind === 'calculationGroup');
             let calculationItems = [];
             if (isCalculationGroup) {
                 calculationItems = TMDLParser.parseCalculationItems(tmdlContent);
             }
 
             // Detect field parameter table via ParameterMetadata extended property (kind: 2)
-            const isFieldParameter = /extendedProperty\s+ParameterMetadata\s*=[\s\S]*?"kind"\s*:\s*2/.test(tmdlContent);
+            const isFieldParameter = tableNode.children.some(n =>
+                n.kind === 'extendedProperty' && n.name === 'ParameterMetadata' &&
+                /"kind"\s*:\s*2/.test(n.expression || '')
+            );
             let fieldParameterRefs = [];
             if (isFieldParameter) {
                 fieldParameterRefs = DAXParser.extractFieldParameterRefs(tmdlContent);
             }
 
-            console.log(`Parsed table "${tableName}" with ${columns.length} columns` +
+            console.log(`Parsed table "${tableName}" with ${columns.length} columns, ${measures.length} measures` +
+                (calculatedPartition ? ' (calculated table)' : '') +
                 (isCalculationGroup ? `, ${calculationItems.length} calculation items` : '') +
                 (isFieldParameter ? `, ${fieldParameterRefs.length} field parameter refs` : ''));
 
             const result = {
                 tableName: tableName,
-                columns: columns
+                fileName: fileName,
+                columns: columns,
+                measures: measures,
+                hierarchies: hierarchies,
+                partitions: partitions
             };
 
+            if (calculatedPartition) {
+                result.isCalculatedTable = true;
+                result.dax = calculatedPartition.source || '';
+            }
+
             if (isCalculationGroup) {
                 result.isCalculationGroup = true;
                 result.calculationItems = calculationItems;
@@ -162,112 +539,364 @@ class TMDLParser {
             console.error(`Error parsing table TMDL (${fileName}):`, error);
             return {
                 tableName: fileName.replace('.tmdl', ''),
-                columns: []
+                fileName: fileName,
+                columns: [],
+                measures: [],
+                hierarchies: [],
+                partitions: []
             };
         }
     }
 
+    /**
+     * Read the "groupByColumn:" lines of a column's relatedColumnDetails block.
+     * A column can be grouped by several columns, so the lines are read directly
+     * (the properties map keeps only the last value of a repeated property).
+     * @private
+     */
+    static _parseGroupByColumns(columnNode, lines) {
+        const groupByColumns = [];
+
+        for (const details of columnNode.children.filter(n => n.kind === 'relatedColumnDetails')) {
+            for (let line = details.startLine + 1; line <= details.endLine; line++) {
+                const match = (lines[line - 1] || '').match(/^\s*groupByColumn\s*:\s*(.+?)\s*$/);
+                if (match) {
+                    groupByColumns.push(TMDLParser.unquoteName(match[1]));
+                }
+            }
+        }
+
+        return groupByColumns;
+    }
+
+    /**
+     * Read the variation blocks of a column (e.g. the auto date/time hierarchy of a date column)
+     * @private
+     */
+    static _parseVariations(columnNode) {
+        return columnNode.children.filter(n => n.kind === 'variation').map(node => {
+            const props = node.properties;
+            const defaultColumn = props.defaultColumn ? TMDLParser.splitQualifiedName(props.defaultColumn) : null;
+            const defaultHierarchy = props.defaultHierarchy ? TMDLParser.splitQualifiedName(props.defaultHierarchy) : null;
+
+            return {
+                name: node.name,
+                isDefault: props.isDefault === true || props.isDefault === 'true',
+                relationship: TMDLParser.unquoteName(props.relationship),
+                defaultColumn: defaultColumn && defaultColumn.table ? defaultColumn : null,
+                defaultHierarchy: defaultHierarchy && defaultHierarchy.table
+                    ? { table: defaultHierarchy.table, hierarchy: defaultHierarchy.column }
+                    : null,
+                startLine: node.startLine,
+                endLine: node.endLine
+            };
+        });
+    }
+
     /**
      * Parse calculationItem blocks from a calculation group TMDL
      * @param {string} tmdlContent - Full table TMDL content
      * @returns {Array<Object>} Array of { name, dax }
      */
     static parseCalculationItems(tmdlContent) {
-        const items = [];
-        const pattern = /calculationItem\s+(?:'([^']+)'|(\w+))\s*=\s*/g;
-        let match;
-        const matches = [];
-
-        while ((match = pattern.exec(tmdlContent)) !== null) {
-            matches.push({
-                name: match[1] || match[2],
-                startIndex: match.index,
-                endIndex: pattern.lastIndex
-            });
-        }
+        const document = TMDLParser.parseDocument(tmdlContent);
+
+        return TMDLParser.findNodes(document, 'calculationItem').map(node => ({
+            name: node.name,
+            dax: node.expression || '',
+            startLine: node.startLine,
+            endLine: node.endLine
+        }));
+    }
+
+    /**
+     * Parse relationships.tmdl to extract relationship definitions
+     * @param {string} tmdlContent - Content of relationships.tmdl file
+     * @returns {Array<Object>} Array of relationship objects
+     */
+    static parseRelationshipsTMDL(tmdlContent) {
+        const relationships = [];
 
-        for (let i = 0; i < matches.length; i++) {
-            const current = matches[i];
-            const next = matches[i + 1];
+        try {
+            const document = TMDLParser.parseDocument(tmdlContent);
 
-            let block = next
-                ? tmdlContent.substring(current.endIndex, next.startIndex)
-                : tmdlContent.substring(current.endIndex);
+            for (const node of TMDLParser.findNodes(document, 'relationship')) {
+                const props = node.properties;
+                const from = TMDLParser.splitQualifiedName(props.fromColumn);
+                const to = TMDLParser.splitQualifiedName(props.toColumn);
 
-            // The DAX ends before the next top-level keyword (column, partition, calculationItem, etc.)
-            const keywordCut = block.search(/^\s{0,4}(?:column|partition|calculationItem)\b/m);
-            if (keywordCut > 0) {
-                block = block.substring(0, keywordCut);
+                relationships.push({
+                    name: node.name,
+                    fromTable: from.table,
+                    fromColumn: from.column,
+                    toTable: to.table,
+                    toColumn: to.column,
+                    fromCardinality: props.fromCardinality || null,
+                    toCardinality: props.toCardinality || null,
+                    crossFilteringBehavior: props.crossFilteringBehavior || null,
+                    isActive: props.isActive !== undefined ? String(props.isActive) === 'true' : true,
+                    startLine: node.startLine,
+                    endLine: node.endLine
+                });
             }
 
-            const dax = block.replace(/\s+$/, '').trim();
+            console.log(`Parsed ${relationships.length} relationships from relationships.tmdl`);
+            return relationships;
 
-            items.push({ name: current.name, dax });
+        } catch (error) {
+            console.error('Error parsing relationships.tmdl:', error);
+            return [];
         }
-
-        return items;
     }
 
     /**
-     * Parse relationships.tmdl to extract relationship definitions
-     * @param {string} tmdlContent - Content of relationships.tmdl file
-     * @returns {Array<Object>} Array of relationship objects
+     * Parse a role TMDL file (definition/roles/*.tmdl) with its row-level security filters
+     * @param {string} tmdlContent - Content of the role file
+     * @param {string} fileName - File name, e.g. "Sales Managers.tmdl"
+     * @returns {Array<Object>} Array of { roleName, fileName, modelPermission, members, tablePermissions }
      */
-    static parseRelationshipsTMDL(tmdlContent) {
-        const relationships = [];
+    static parseRoleTMDL(tmdlContent, fileName) {
+        const roles = [];
 
         try {
-            // Pattern: relationship <id> or relationship '<name>'
-            const relationshipPattern = /relationship\s+(?:'([^']+)'|([^\s\n]+))\s*/g;
+            const document = TMDLParser.parseDocument(tmdlContent);
+            const lines = tmdlContent.split(/\r?\n/);
+
+            for (const node of TMDLParser.findNodes(document, 'role')) {
+                const tablePermissions = node.children
+                    .filter(child => child.kind === 'tablePermission')
+                    .map(child => {
+                        // Declaration as written in the file, e.g. "tablePermission 'Sales Region'"
+                        const declaration = (lines[child.startLine - 1] || '')
+                            .match(/tablePermission\s+(?:'(?:[^']|'')*'|[^\s=]+)/);
+                        return {
+                            tableName: child.name,
+                            filterExpression: child.expression || '',
+                            declaration: declaration ? declaration[0] : `tablePermission ${TMDLParser.quoteName(child.name)}`,
+                            startLine: child.startLine,
+                            endLine: child.endLine
+                        };
+                    });
+
+                roles.push({
+                    roleName: node.name,
+                    fileName: fileName,
+                    modelPermission: node.properties.modelPermission || null,
+                    members: node.children.filter(child => child.kind === 'member').map(child => child.name),
+                    tablePermissions: tablePermissions,
+                    startLine: node.startLine,
+                    endLine: node.endLine
+                });
+            }
 
-            let match;
-            const matches = [];
+            console.log(`Parsed ${roles.length} roles from ${fileName}`);
+        } catch (error) {
+            console.error(`Error parsing role TMDL (${fileName}):`, error);
+        }
+
+        return roles;
+    }
+
+    /**
+     * Parse a perspective TMDL file (definition/perspectives/*.tmdl)
+     * Members are listed by name under the perspectiveTable of their home table.
+     * @param {string} tmdlContent - Content of the perspective file
+     * @param {string} fileName - File name, e.g. "Finance.tmdl"
+     * @returns {Array<Object>} Array of { perspectiveName, fileName, tables: [{ tableName, includeAll,
+     *   columns, measures, hierarchies }] } where columns/measures/hierarchies are name lists
+     */
+    static parsePerspectiveTMDL(tmdlContent, fileName) {
+        const perspectives = [];
 
-            while ((match = relationshipPattern.exec(tmdlContent)) !== null) {
-                matches.push({
-                    name: match[1] || match[2],
-                    startIndex: match.index,
-                    endIndex: relationshipPattern.lastIndex
+        try {
+            const document = TMDLParser.parseDocument(tmdlContent);
+            const memberNames = (tableNode, kind) => tableNode.children.filter(child => child.kind === kind).map(child => child.name);
+
+            for (const node of TMDLParser.findNodes(document, 'perspective')) {
+                perspectives.push({
+                    perspectiveName: node.name,
+                    fileName: fileName,
+                    tables: node.children.filter(child => child.kind === 'perspectiveTable').map(tableNode => ({
+                        tableName: tableNode.name,
+                        includeAll: tableNode.properties.includeAll === true || tableNode.properties.includeAll === 'true',
+                        columns: memberNames(tableNode, 'perspectiveColumn'),
+                        measures: memberNames(tableNode, 'perspectiveMeasure'),
+                        hierarchies: memberNames(tableNode, 'perspectiveHierarchy')
+                    })),
+                    startLine: node.startLine,
+                    endLine: node.endLine
                 });
             }
 
-            // Extract relationship properties
-            for (let i = 0; i < matches.length; i++) {
-                const currentMatch = matches[i];
-                const nextMatch = matches[i + 1];
+            console.log(`Parsed ${perspectives.length} perspectives from ${fileName}`);
+        } catch (error) {
+            console.error(`Error parsing perspective TMDL (${fileName}):`, error);
+        }
+
+        return perspectives;
+    }
+
+    /**
+     * Parse a culture TMDL file (definition/cultures/*.tmdl): object translations and the
+     * Q&A linguistic schema (JSON) whose entity bindings name tables, columns and measures
+     * @param {string} tmdlContent - Content of the culture file
+     * @param {string} fileName - File name, e.g. "fr-FR.tmdl"
+     * @returns {Object} { cultureName, fileName, translations: [{ objectType, tableName, name, caption,
+     *   description, displayFolder }], linguisticBindings: [{ table, property }] }
+     */
+    static parseCultureTMDL(tmdlContent, fileName) {
+        const culture = {
+            cultureName: fileName.replace('.tmdl', ''),
+            fileName: fileName,
+            translations: [],
+            linguisticBindings: []
+        };
 
-                const relationshipContent = nextMatch
-                    ? tmdlContent.substring(currentMatch.endIndex, nextMatch.startIndex)
-                    : tmdlContent.substring(currentMatch.endIndex);
+        try {
+            const document = TMDLParser.parseDocument(tmdlContent);
+            const cultureNode = document.children.find(n => n.kind === 'cultureInfo' || n.kind === 'culture');
+            if (cultureNode && cultureNode.name) {
+                culture.cultureName = cultureNode.name;
+            }
 
-                // Extract from/to columns
-                const fromColumnMatch = relationshipContent.match(/fromColumn:\s*(.+?)\.(.+?)(?:\s|\n|$)/);
-                const toColumnMatch = relationshipContent.match(/toColumn:\s*(.+?)\.(.+?)(?:\s|\n|$)/);
-                const fromCardinalityMatch = relationshipContent.match(/fromCardinality:\s*(\w+)/);
-                const toCardinalityMatch = relationshipContent.match(/toCardinality:\s*(\w+)/);
-                const crossFilteringMatch = relationshipContent.match(/crossFilteringBehavior:\s*(\w+)/);
-                const isActiveMatch = relationshipContent.match(/isActive:\s*(\w+)/);
+            // Translations: translations > model > table > column / measure / hierarchy
+            const translated = (node, objectType, tableName) => ({
+                objectType: objectType,
+                tableName: tableName,
+                name: node.name,
+                caption: TMDLParser.unquoteName(node.properties.translatedCaption),
+                description: TMDLParser.unquoteName(node.properties.translatedDescription),
+                displayFolder: TMDLParser.unquoteName(node.properties.translatedDisplayFolder)
+            });
+            for (const tableNode of TMDLParser.findNodes(document, 'table')) {
+                culture.translations.push(translated(tableNode, 'table', tableNode.name));
+                for (const child of tableNode.children) {
+                    if (['column', 'measure', 'hierarchy'].includes(child.kind)) {
+                        culture.translations.push(translated(child, child.kind, tableNode.name));
+                    }
+                }
+            }
 
-                relationships.push({
-                    name: currentMatch.name,
-                    fromTable: fromColumnMatch ? fromColumnMatch[1] : null,
-                    fromColumn: fromColumnMatch ? fromColumnMatch[2] : null,
-                    toTable: toColumnMatch ? toColumnMatch[1] : null,
-                    toColumn: toColumnMatch ? toColumnMatch[2] : null,
-                    fromCardinality: fromCardinalityMatch ? fromCardinalityMatch[1] : null,
-                    toCardinality: toCardinalityMatch ? toCardinalityMatch[1] : null,
-                    crossFilteringBehavior: crossFilteringMatch ? crossFilteringMatch[1] : null,
-                    isActive: isActiveMatch ? isActiveMatch[1] === 'true' : true
+            const linguisticNode = TMDLParser.findNodes(document, 'linguisticMetadata')[0];
+            if (linguisticNode && linguisticNode.expression) {
+                culture.linguisticBindings = TMDLParser.extractLinguisticBindings(JSON.parse(linguisticNode.expression));
+            }
+
+            console.log(`Parsed culture ${culture.cultureName}: ${culture.translations.length} translations, ` +
+                `${culture.linguisticBindings.length} linguistic bindings`);
+        } catch (error) {
+            console.error(`Error parsing culture TMDL (${fileName}):`, error);
+        }
+
+        return culture;
+    }
+
+    /**
+     * Collect the distinct conceptual bindings of a linguistic schema
+     * Each Binding names a table (ConceptualEntity) and optionally a column or measure (ConceptualProperty).
+     * @param {Object} schema - Parsed linguisticMetadata JSON
+     * @returns {Array<Object>} Array of { table, property } (property is null for table bindings)
+     */
+    static extractLinguisticBindings(schema) {
+        const bindings = [];
+        const seen = new Set();
+
+        const walk = (value) => {
+            if (Array.isArray(value)) {
+                value.forEach(walk);
+            } else if (value && typeof value === 'object') {
+                if (typeof value.ConceptualEntity === 'string') {
+                    const property = typeof value.ConceptualProperty === 'string' ? value.ConceptualProperty : null;
+                    const key = `${value.ConceptualEntity}\u0000${property || ''}`;
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        bindings.push({ table: value.ConceptualEntity, property: property });
+                    }
+                }
+                Object.values(value).forEach(walk);
+            }
+        };
+        walk(schema);
+
+        return bindings;
+    }
+
+    /**
+     * Parse expressions.tmdl to extract shared Power Query expressions and parameters
+     * Parameters are expressions whose M carries "meta [IsParameterQuery=true, ...]".
+     * @param {string} tmdlContent - Content of expressions.tmdl
+     * @returns {Array<Object>} Array of { name, expression, isParameter, value, queryGroup, startLine, endLine }
+     */
+    static parseExpressionsTMDL(tmdlContent) {
+        const expressions = [];
+
+        try {
+            const document = TMDLParser.parseDocument(tmdlContent);
+
+            for (const node of TMDLParser.findNodes(document, 'expression')) {
+                const mExpression = node.expression || '';
+                const isParameter = /IsParameterQuery\s*=\s*true/i.test(mExpression);
+
+                // A parameter's current value is the literal in front of "meta [...]"
+                let value = null;
+                if (isParameter) {
+                    const firstToken = MParser.tokenize(mExpression)[0];
+                    if (firstToken && (firstToken.type === 'string' || firstToken.type === 'number')) {
+                        value = firstToken.value;
+                    }
+                }
+
+                expressions.push({
+                    name: node.name,
+                    expression: mExpression,
+                    isParameter: isParameter,
+                    value: value,
+                    queryGroup: TMDLParser.unquoteName(node.properties.queryGroup),
+                    description: node.description || null,
+                    startLine: node.startLine,
+                    endLine: node.endLine
                 });
             }
 
-            console.log(`Parsed ${relationships.length} relationships from relationships.tmdl`);
-            return relationships;
+            console.log(`Parsed ${expressions.length} expressions from expressions.tmdl`);
+        } catch (error) {
+            console.error('Error parsing expressions.tmdl:', error);
+        }
+
+        return expressions;
+    }
+
+    /**
+     * Parse functions.tmdl to extract DAX user-defined functions
+     * @param {string} tmdlContent - Content of functions.tmdl
+     * @param {string} fileName - File name, e.g. "functions.tmdl"
+     * @returns {Array<Object>} Array of { name, expression, parameters, description, fileName, startLine, endLine }
+     */
+    static parseFunctionsTMDL(tmdlContent, fileName = 'functions.tmdl') {
+        const functions = [];
+
+        try {
+            const document = TMDLParser.parseDocument(tmdlContent);
+
+            for (const node of TMDLParser.findNodes(document, 'function')) {
+                const expression = node.expression || '';
+                functions.push({
+                    name: node.name,
+                    expression: expression,
+                    parameters: DAXParser.parseFunctionSignature(expression).parameters,
+                    description: node.description || null,
+                    fileName: fileName,
+                    startLine: node.startLine,
+                    endLine: node.endLine
+                });
+            }
 
+            console.log(`Parsed ${functions.length} functions from ${fileName}`);
         } catch (error) {
-            console.error('Error parsing relationships.tmdl:', error);
-            return [];
+            console.error(`Error parsing ${fileName}:`, error);
         }
+
+        return functions;
     }
 }
 
@@ -289,17 +918,20 @@ class JSONParser {
 
     /**
      * Parse page.json to get page metadata
+     * PBIR pages keep their filters in filterConfig.filters; legacy sections in filters.
      * @param {Object} pageData - Parsed page.json data
-     * @returns {Object} Page metadata
+     * @returns {Object} Page metadata, including the fields used by page-level filters
      */
     static parsePage(pageData) {
         try {
+            const filters = pageData.filterConfig?.filters || pageData.filters || [];
             return {
                 name: pageData.name,
                 displayName: pageData.displayName,
                 width: pageData.width,
                 height: pageData.height,
-                filters: pageData.filters || []
+                filters: filters,
+                filterFields: this.extractFilterFields(filters, 'pageFilter')
             };
         } catch (error) {
             console.error('Error parsing page.json:', error);
@@ -483,30 +1115,130 @@ class JSONParser {
     }
 
     /**
-     * Extract field references from visual objects (buttons, conditional formatting, etc.)
-     * @param {Object} objects - The visual.objects object
-     * @param {Map} fieldMap - Map to store unique fields
+     * Extract the fields used by page-level or report-level filters
+     * Handles PBIR filterConfig.filters ("field") and PBIR-Legacy filters ("expression"),
+     * including fields that only appear in the filter condition.
+     * @param {Array<Object>} filters - Filter definitions
+     * @param {string} location - 'pageFilter' or 'reportFilter'
+     * @returns {Array<Object>} Field entries in the same shape as visual fields
      */
-    static extractFromVisualObjects(objects, fieldMap) {
-        if (!objects) return;
+    static extractFilterFields(filters, location) {
+        return this._collectFieldReferences(filters || [], 'filters', location);
+    }
 
-        // Recursively search for field references in nested objects
-        const searchForFields = (obj, depth = 0) => {
-            // Limit recursion depth to avoid performance issues
-            if (!obj || typeof obj !== 'object' || depth > 10) return;
+    /**
+     * Parse definition/reportExtensions.json (report-level measures of a thin report)
+     * Measures are grouped by the model table (entity) they are attached to.
+     * @param {Object} extensionsData - Parsed reportExtensions.json
+     * @returns {Array<Object>} [{ name, tableName, dax, dataType, formatString }]
+     */
+    static parseReportExtensions(extensionsData) {
+        const measures = [];
 
-            // Check if this object contains a Column or Measure reference
-            if (obj.Column) {
-                const entity = obj.Column.Expression?.SourceRef?.Entity;
-                const property = obj.Column.Property;
-                if (entity && property) {
-                    this.addFieldToMap('column', entity, property, 'visualObjects', 'object', fieldMap);
-                }
-            } else if (obj.Measure) {
-                const entity = obj.Measure.Expression?.SourceRef?.Entity;
-                const property = obj.Measure.Property;
-                if (entity && property) {
-                    this.addFieldToMap('measure', entity, property, 'visualObjects', 'object', fieldMap);
+        try {
+            for (const entity of extensionsData.entities || []) {
+                for (const measure of entity.measures || []) {
+                    if (!measure.name) continue;
+                    measures.push({
+                        name: measure.name,
+                        tableName: entity.name,
+                        dax: measure.expression || '',
+                        dataType: measure.dataType || null,
+                        formatString: measure.formatString || null
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('Error parsing reportExtensions.json:', error);
+        }
+
+        return measures;
+    }
+
+    /**
+     * Parse a bookmark (PBIR *.bookmark.json or an entry of the legacy config.bookmarks list)
+     * The exploration state holds the captured filters and per-visual state, keyed by page and visual name.
+     * @param {Object} bookmarkData - Parsed bookmark JSON
+     * @returns {Object} { name, displayName, activePageId, fields, visuals: [{ pageId, visualId }] }
+     */
+    static parseBookmark(bookmarkData) {
+        const explorationState = bookmarkData.explorationState || {};
+        const visuals = [];
+
+        for (const [pageId, section] of Object.entries(explorationState.sections || {})) {
+            for (const visualId of Object.keys(section?.visualContainers || {})) {
+                visuals.push({ pageId, visualId });
+            }
+        }
+
+        return {
+            name: bookmarkData.name,
+            displayName: bookmarkData.displayName || bookmarkData.name,
+            activePageId: explorationState.activeSection || null,
+            fields: this._collectFieldReferences([explorationState], 'bookmark', 'bookmark'),
+            visuals: visuals
+        };
+    }
+
+    /**
+     * Collect measure, column and hierarchy references anywhere inside the given objects
+     * @param {Array<Object>} roots - Objects to walk
+     * @param {string} projectionName - Projection name recorded on each field
+     * @param {string} location - Location recorded on each field
+     * @returns {Array<Object>} Field entries in the same shape as visual fields
+     * @private
+     */
+    static _collectFieldReferences(roots, projectionName, location) {
+        const fieldMap = new Map();
+
+        try {
+            for (const root of roots) {
+                this.walkFieldReferences(root, (kind, ref, entity) => {
+                    if (kind === 'hierarchyLevel') {
+                        const hierarchy = ref.Expression.Hierarchy.Hierarchy;
+                        if (entity && hierarchy) {
+                            this.addFieldToMap('hierarchy', entity, hierarchy, projectionName, location, fieldMap, null, ref.Level);
+                        }
+                        return;
+                    }
+                    const property = kind === 'hierarchy' ? ref.Hierarchy : ref.Property;
+                    if (entity && property) {
+                        this.addFieldToMap(kind, entity, property, projectionName, location, fieldMap);
+                    }
+                });
+            }
+        } catch (error) {
+            console.error(`Error extracting ${location} fields:`, error);
+        }
+
+        return Array.from(fieldMap.values());
+    }
+
+    /**
+     * Extract field references from visual objects (buttons, conditional formatting, etc.)
+     * @param {Object} objects - The visual.objects object
+     * @param {Map} fieldMap - Map to store unique fields
+     */
+    static extractFromVisualObjects(objects, fieldMap) {
+        if (!objects) return;
+
+        // Recursively search for field references in nested objects
+        const searchForFields = (obj, depth = 0) => {
+            // Limit recursion depth to avoid performance issues
+            if (!obj || typeof obj !== 'object' || depth > 10) return;
+
+            // Check if this object contains a Column or Measure reference
+            if (obj.Column) {
+                const entity = obj.Column.Expression?.SourceRef?.Entity;
+                const property = obj.Column.Property;
+                if (entity && property) {
+                    this.addFieldToMap('column', entity, property, 'visualObjects', 'object', fieldMap);
+                }
+            } else if (obj.Measure) {
+                const entity = obj.Measure.Expression?.SourceRef?.Entity;
+                const property = obj.Measure.Property;
+                if (entity && property) {
+                    this.addFieldToMap('measure', entity, property, 'visualObjects', 'object', fieldMap);
                 }
             }
 
@@ -580,6 +1312,26 @@ class JSONParser {
                 );
             }
         }
+        // Hierarchy level reference (a single level of a hierarchy, e.g. Year of 'Date Hierarchy')
+        else if (proj.field?.HierarchyLevel) {
+            const hierarchyRef = proj.field.HierarchyLevel.Expression?.Hierarchy;
+            const entity = hierarchyRef?.Expression?.SourceRef?.Entity;
+            const hierarchy = hierarchyRef?.Hierarchy;
+            const level = proj.field.HierarchyLevel.Level;
+
+            if (entity && hierarchy) {
+                this.addFieldToMap(
+                    'hierarchy',
+                    entity,
+                    hierarchy,
+                    projectionName,
+                    location,
+                    fieldMap,
+                    proj.queryRef,
+                    level || null
+                );
+            }
+        }
     }
 
     /**
@@ -591,12 +1343,14 @@ class JSONParser {
      * @param {string} location - Location type
      * @param {Map} fieldMap - Map to store unique fields
      * @param {string} queryRef - Optional query reference
+     * @param {string} level - Optional hierarchy level name (for hierarchy fields)
      */
-    static addFieldToMap(type, entity, property, projectionName, location, fieldMap, queryRef = null) {
+    static addFieldToMap(type, entity, property, projectionName, location, fieldMap, queryRef = null, level = null) {
         // Create unique key for deduplication
         // For measures: "measure|Measure|Total Sales"
         // For columns: "column|customer|Gender"
-        const key = `${type}|${entity}|${property}`;
+        // For hierarchy levels: "hierarchy|Date|Date Hierarchy|Year"
+        const key = level ? `${type}|${entity}|${property}|${level}` : `${type}|${entity}|${property}`;
 
         // If already exists, just add the new location to metadata
         if (fieldMap.has(key)) {
@@ -626,151 +1380,416 @@ class JSONParser {
         } else if (type === 'hierarchy') {
             fieldEntry.table = entity;
             fieldEntry.hierarchy = property;
+            fieldEntry.level = level;
         }
 
         fieldMap.set(key, fieldEntry);
     }
-}
 
-class DAXParser {
     /**
-     * Clean DAX expression by removing comments and string literals
-     * @param {string} daxExpression
-     * @returns {string}
+     * Parse a legacy (PBIR-Legacy) report.json into the same page/visual shape that
+     * FileAccessManager.readReportFiles() returns for the PBIR folder layout.
+     * Visual content is the raw visual container; use parseLegacyVisualContainer() on it.
+     * @param {Object} reportData - Parsed report.json
+     * @returns {Object} { pages: [{ pageId, content }], visuals: [{ pageId, visualId, content }], reportFilters, bookmarks }
      */
-    static cleanDAX(daxExpression) {
-        // Remove multi-line comments /* ... */
-        let cleaned = daxExpression.replace(/\/\*[\s\S]*?\*\//g, '');
+    static parseLegacyReport(reportData) {
+        const result = { pages: [], visuals: [], reportFilters: [], bookmarks: [] };
 
-        // Remove single-line comments // ...
-        cleaned = cleaned.replace(/\/\/.*/g, '');
+        try {
+            result.reportFilters = this.parseEmbeddedJSON(reportData.filters) || [];
+
+            // Bookmarks live in the report config; bookmark groups nest their bookmarks in children
+            const reportConfig = this.parseEmbeddedJSON(reportData.config) || {};
+            for (const bookmark of reportConfig.bookmarks || []) {
+                const entries = Array.isArray(bookmark.children) ? bookmark.children : [bookmark];
+                for (const entry of entries) {
+                    result.bookmarks.push({ bookmarkId: entry.name, content: entry });
+                }
+            }
 
-        // Remove string literals "..." to avoid false positives
-        cleaned = cleaned.replace(/"[^"]*"/g, '""');
+            for (const section of reportData.sections || []) {
+                const pageId = section.name;
+
+                result.pages.push({
+                    pageId: pageId,
+                    content: {
+                        name: section.name,
+                        displayName: section.displayName,
+                        width: section.width,
+                        height: section.height,
+                        ordinal: section.ordinal,
+                        filters: this.parseEmbeddedJSON(section.filters) || []
+                    }
+                });
 
-        return cleaned;
+                (section.visualContainers || []).forEach((container, index) => {
+                    const config = this.parseEmbeddedJSON(container.config) || {};
+                    result.visuals.push({
+                        pageId: pageId,
+                        // Containers are identified by the "name" inside their config
+                        visualId: config.name || container.id?.toString() || `visual-${index}`,
+                        content: container
+                    });
+                });
+            }
+
+            console.log(`Parsed legacy report.json: ${result.pages.length} pages, ${result.visuals.length} visuals`);
+        } catch (error) {
+            console.error('Error parsing legacy report.json:', error);
+        }
+
+        return result;
     }
 
     /**
-     * Extract measure references from DAX expression
-     * @param {string} daxExpression
-     * @returns {Array<string>} Array of measure names
+     * Parse a legacy visual container (report.json sections[].visualContainers[])
+     * @param {Object} container - Visual container with stringified config/filters/query
+     * @returns {Object} Visual metadata with field references (same shape as parseVisual())
      */
-    static extractMeasureReferences(daxExpression) {
-        const measureRefs = new Set();
-
+    static parseLegacyVisualContainer(container) {
         try {
-            const cleaned = this.cleanDAX(daxExpression);
+            const config = this.parseEmbeddedJSON(container.config) || {};
+            const singleVisual = config.singleVisual || {};
+            const visualType = singleVisual.visualType || (config.singleVisualGroup ? 'group' : 'unknown');
+
+            // Map queryRef -> projection role (Category, Y, Values, ...) for field locations
+            const projectionRoles = {};
+            for (const [role, projections] of Object.entries(singleVisual.projections || {})) {
+                for (const proj of projections || []) {
+                    if (proj.queryRef) projectionRoles[proj.queryRef] = role;
+                }
+            }
 
-            // Pattern: [MeasureName] - most common pattern
-            const bracketPattern = /\[([^\]]+)\]/g;
-            let match;
+            const fieldMap = new Map();
+            const sources = {
+                queryState: singleVisual.prototypeQuery,
+                sort: singleVisual.prototypeQuery?.OrderBy ? { OrderBy: singleVisual.prototypeQuery.OrderBy, From: singleVisual.prototypeQuery.From } : null,
+                filter: this.parseEmbeddedJSON(container.filters) || config.filters || null,
+                visualObjects: { objects: singleVisual.objects, vcObjects: singleVisual.vcObjects }
+            };
 
-            while ((match = bracketPattern.exec(cleaned)) !== null) {
-                const ref = match[1].trim();
-                // Exclude column references (they contain table name)
-                // This is a heuristic - measure refs in [] without table prefix
-                if (!ref.includes('[') && ref.length > 0) {
-                    measureRefs.add(ref);
-                }
+            for (const [location, source] of Object.entries(sources)) {
+                if (!source) continue;
+                this.walkFieldReferences(source, (kind, ref, entity, context) => {
+                    const projectionName = projectionRoles[context.queryName] ||
+                        (location === 'visualObjects' ? 'visualObjects' : location === 'queryState' ? 'Select' : location);
+                    if (kind === 'hierarchyLevel') {
+                        const hierarchy = ref.Expression.Hierarchy.Hierarchy;
+                        if (entity && hierarchy) {
+                            this.addFieldToMap('hierarchy', entity, hierarchy, projectionName, location, fieldMap, context.queryName || null, ref.Level);
+                        }
+                        return;
+                    }
+                    const property = kind === 'hierarchy' ? ref.Hierarchy : ref.Property;
+                    if (entity && property) {
+                        this.addFieldToMap(kind, entity, property, projectionName, location, fieldMap, context.queryName || null);
+                    }
+                });
             }
 
+            const title = singleVisual.vcObjects?.title?.[0]?.properties?.text?.expr?.Literal?.Value;
+            const position = config.layouts?.[0]?.position || {
+                x: container.x,
+                y: container.y,
+                z: container.z,
+                width: container.width,
+                height: container.height
+            };
+
+            return {
+                visualType: visualType,
+                visualName: title ? title.replace(/^['"]|['"]$/g, '') : null,
+                fields: Array.from(fieldMap.values()),
+                title: title || '',
+                config: config,
+                position: position
+            };
         } catch (error) {
-            console.error('Error extracting measure references:', error);
+            console.error('Error parsing legacy visual container:', error);
+            return {
+                visualType: 'unknown',
+                visualName: null,
+                fields: [],
+                position: null
+            };
         }
-
-        return Array.from(measureRefs);
     }
 
     /**
-     * Extract column references from DAX expression
-     * @param {string} daxExpression
-     * @returns {Array<Object>} Array of {table, column} objects
+     * Parse a JSON value that legacy reports embed as a string (config, filters, query, ...)
+     * @param {string|Object} value
+     * @returns {Object|Array|null} Parsed value, the value itself if already an object, or null
      */
-    static extractColumnReferences(daxExpression) {
-        const columnRefs = [];
-
+    static parseEmbeddedJSON(value) {
+        if (!value) return null;
+        if (typeof value === 'object') return value;
         try {
-            const cleaned = this.cleanDAX(daxExpression);
-
-            // Pattern: TableName[ColumnName]
-            const columnPattern = /(\w+|\'.+?\')\[([^\]]+)\]/g;
-            let match;
+            return JSON.parse(value);
+        } catch (error) {
+            console.warn('Could not parse embedded JSON string in report.json');
+            return null;
+        }
+    }
 
-            while ((match = columnPattern.exec(cleaned)) !== null) {
-                let table = match[1].trim();
-                const column = match[2].trim();
+    /**
+     * Walk a query-shaped object and report every Column/Measure/Hierarchy reference.
+     * Resolves "SourceRef.Source" aliases through the nearest enclosing "From" list,
+     * which is how legacy prototypeQuery and filter definitions refer to tables.
+     * @param {Object} node - Object to walk
+     * @param {Function} visitor - visitor(kind, ref, entity, context) with kind column|measure|hierarchy|hierarchyLevel,
+     *   ref the Column/Measure/Hierarchy/HierarchyLevel object (may be mutated), context { aliases, queryName }
+     * @param {Object} context - Internal: inherited alias scope
+     */
+    static walkFieldReferences(node, visitor, context = { aliases: {}, queryName: null }, depth = 0) {
+        if (!node || typeof node !== 'object' || depth > 40) return;
 
-                // Remove quotes from table name if present
-                if (table.startsWith("'") && table.endsWith("'")) {
-                    table = table.slice(1, -1);
-                }
+        if (Array.isArray(node)) {
+            node.forEach(item => this.walkFieldReferences(item, visitor, context, depth + 1));
+            return;
+        }
 
-                columnRefs.push({
-                    table: table,
-                    column: column
-                });
+        let scope = context;
+        if (Array.isArray(node.From)) {
+            const aliases = { ...context.aliases };
+            for (const from of node.From) {
+                if (from && from.Name && from.Entity) aliases[from.Name] = from.Entity;
             }
+            scope = { ...context, aliases };
+        }
+        if (typeof node.Name === 'string' && (node.Column || node.Measure || node.Aggregation || node.HierarchyLevel)) {
+            scope = { ...scope, queryName: node.Name };
+        }
 
-        } catch (error) {
-            console.error('Error extracting column references:', error);
+        const resolveEntity = (expression) => {
+            const sourceRef = expression?.SourceRef;
+            if (!sourceRef) return null;
+            return sourceRef.Entity || scope.aliases[sourceRef.Source] || null;
+        };
+
+        if (node.Column && node.Column.Property !== undefined) {
+            visitor('column', node.Column, resolveEntity(node.Column.Expression), scope);
+        } else if (node.Measure && node.Measure.Property !== undefined) {
+            visitor('measure', node.Measure, resolveEntity(node.Measure.Expression), scope);
+        } else if (node.Hierarchy && node.Hierarchy.Hierarchy !== undefined) {
+            visitor('hierarchy', node.Hierarchy, resolveEntity(node.Hierarchy.Expression), scope);
+        }
+
+        // A hierarchy level wraps its Hierarchy reference; report it once, as a level
+        const hierarchyRef = node.HierarchyLevel?.Expression?.Hierarchy;
+        if (hierarchyRef && node.HierarchyLevel.Level !== undefined) {
+            visitor('hierarchyLevel', node.HierarchyLevel, resolveEntity(hierarchyRef.Expression), scope);
         }
 
-        return columnRefs;
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'HierarchyLevel' && hierarchyRef) continue;
+            if (value && typeof value === 'object' && key !== 'From') {
+                this.walkFieldReferences(value, visitor, scope, depth + 1);
+            }
+        }
     }
+}
+
+/**
+ * DAX keywords that can appear as bare identifiers but never name a table
+ */
+const DAX_KEYWORDS = new Set([
+    'VAR', 'RETURN', 'DEFINE', 'EVALUATE', 'MEASURE', 'COLUMN', 'TABLE', 'FUNCTION',
+    'ORDER', 'BY', 'ASC', 'DESC', 'START', 'AT', 'IN', 'NOT', 'TRUE', 'FALSE',
+    'SKIP', 'DENSE', 'DAY', 'WEEK', 'MONTH', 'QUARTER', 'YEAR', 'HOUR', 'MINUTE', 'SECOND',
+    'BOOLEAN', 'INTEGER', 'INT64', 'DOUBLE', 'DECIMAL', 'STRING', 'CURRENCY', 'DATETIME',
+    'NUMERIC', 'VARIANT', 'SCALAR', 'ANYVAL', 'ANYREF', 'VAL', 'EXPR',
+    // Enumeration arguments (CROSSFILTER direction, window ABS/REL, blanks ordering)
+    'BOTH', 'NONE', 'ONEWAY', 'ONEWAY_LEFTFILTERS', 'ONEWAY_RIGHTFILTERS', 'ABS', 'REL',
+    'DEFAULT', 'FIRST', 'LAST'
+]);
 
+/**
+ * Iterator functions and the index of their table argument; the arguments after it are
+ * evaluated in a row context over that table
+ */
+const DAX_ITERATORS = new Map([
+    ...['SUMX', 'AVERAGEX', 'MINX', 'MAXX', 'COUNTX', 'COUNTAX', 'PRODUCTX', 'CONCATENATEX', 'MEDIANX',
+        'GEOMEANX', 'STDEVX.S', 'STDEVX.P', 'VARX.S', 'VARX.P', 'PERCENTILEX.INC', 'PERCENTILEX.EXC',
+        'RANKX', 'FILTER', 'ADDCOLUMNS', 'SELECTCOLUMNS', 'GENERATE', 'GENERATEALL'].map(name => [name, 0]),
+    ['TOPN', 1]
+]);
+
+class DAXParser {
     /**
-     * Extract function calls from DAX expression
+     * Split a DAX expression into tokens.
+     * Token types: string, table (quoted 'Table' name), bracket ([Name]), identifier,
+     * number, operator. Whitespace and comments (//, --, /* *\/) are skipped.
+     * Each token has { type, value, text, start, end } where value is the unescaped
+     * name/literal and start/end are character offsets into the expression.
      * @param {string} daxExpression
-     * @returns {Array<string>} Array of function names
+     * @returns {Array<Object>} Array of tokens
      */
-    static extractFunctionCalls(daxExpression) {
-        const functions = new Set();
+    static tokenize(daxExpression) {
+        const dax = daxExpression || '';
+        const tokens = [];
+        let pos = 0;
+
+        while (pos < dax.length) {
+            const ch = dax[pos];
+            const next = dax[pos + 1];
+
+            // Whitespace
+            if (/\s/.test(ch)) {
+                pos++;
+                continue;
+            }
 
-        try {
-            const cleaned = this.cleanDAX(daxExpression);
+            // Line comments: // and --
+            if ((ch === '/' && next === '/') || (ch === '-' && next === '-')) {
+                const lineEnd = dax.indexOf('\n', pos);
+                pos = lineEnd === -1 ? dax.length : lineEnd + 1;
+                continue;
+            }
 
-            // Pattern: FUNCTIONNAME( - uppercase function names
-            const functionPattern = /\b([A-Z][A-Z0-9_]*)\s*\(/g;
-            let match;
+            // Block comments: /* ... */
+            if (ch === '/' && next === '*') {
+                const commentEnd = dax.indexOf('*/', pos + 2);
+                pos = commentEnd === -1 ? dax.length : commentEnd + 2;
+                continue;
+            }
 
-            while ((match = functionPattern.exec(cleaned)) !== null) {
-                functions.add(match[1]);
+            // String literal "..." with "" escapes
+            if (ch === '"') {
+                const literal = DAXParser._readDelimited(dax, pos, '"', '"');
+                tokens.push({ type: 'string', value: literal.value, text: dax.substring(pos, literal.end), start: pos, end: literal.end });
+                pos = literal.end;
+                continue;
             }
 
-        } catch (error) {
-            console.error('Error extracting function calls:', error);
+            // Quoted table name '...' with '' escapes
+            if (ch === "'") {
+                const quoted = DAXParser._readDelimited(dax, pos, "'", "'");
+                tokens.push({ type: 'table', value: quoted.value, text: dax.substring(pos, quoted.end), start: pos, end: quoted.end });
+                pos = quoted.end;
+                continue;
+            }
+
+            // Bracket identifier [...] with ]] escapes
+            if (ch === '[') {
+                const bracket = DAXParser._readDelimited(dax, pos, '[', ']');
+                tokens.push({ type: 'bracket', value: bracket.value, text: dax.substring(pos, bracket.end), start: pos, end: bracket.end });
+                pos = bracket.end;
+                continue;
+            }
+
+            // Number
+            const numberMatch = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(dax.substring(pos, pos + 64));
+            if (numberMatch) {
+                const end = pos + numberMatch[0].length;
+                tokens.push({ type: 'number', value: numberMatch[0], text: numberMatch[0], start: pos, end: end });
+                pos = end;
+                continue;
+            }
+
+            // Identifier (functions, unquoted tables, variables, keywords).
+            // Dots are allowed so namespaced functions like Lib.Func stay one token.
+            const identifierMatch = /^[\p{L}_][\p{L}\p{N}_.]*/u.exec(dax.substring(pos, pos + 256));
+            if (identifierMatch) {
+                const end = pos + identifierMatch[0].length;
+                tokens.push({ type: 'identifier', value: identifierMatch[0], text: identifierMatch[0], start: pos, end: end });
+                pos = end;
+                continue;
+            }
+
+            // Operators and punctuation (two-character operators first)
+            const twoChar = dax.substring(pos, pos + 2);
+            const operator = ['&&', '||', '<=', '>=', '<>', '=='].includes(twoChar) ? twoChar : ch;
+            tokens.push({ type: 'operator', value: operator, text: operator, start: pos, end: pos + operator.length });
+            pos += operator.length;
         }
 
-        return Array.from(functions);
+        return tokens;
     }
 
     /**
-     * Extract table references from DAX expression (for COUNTROWS, ALL, etc.)
-     * @param {string} daxExpression
-     * @returns {Array<string>} Array of table names
+     * Read a delimited token where a doubled closing delimiter is an escape
+     * @private
+     * @returns {{value: string, end: number}} Unescaped value and end offset (exclusive)
      */
-    static extractTableReferences(daxExpression) {
-        const tableRefs = new Set();
+    static _readDelimited(text, start, open, close) {
+        let value = '';
+        let pos = start + open.length;
+
+        while (pos < text.length) {
+            if (text[pos] === close) {
+                if (text[pos + 1] === close) {
+                    value += close;
+                    pos += 2;
+                    continue;
+                }
+                return { value: value, end: pos + 1 };
+            }
+            value += text[pos];
+            pos++;
+        }
 
-        try {
-            const cleaned = this.cleanDAX(daxExpression);
+        // Unterminated - consume the rest of the expression
+        return { value: value, end: text.length };
+    }
 
-            // Pattern: COUNTROWS(TableName), ALL(TableName), VALUES(TableName), etc.
-            // Handles both quoted and unquoted table names
-            const tableFunctionPattern = /(?:COUNTROWS|RELATEDTABLE|VALUES|ALL|DISTINCT|SUMMARIZE|ADDCOLUMNS|SELECTCOLUMNS|FILTER|CALCULATETABLE|TOPN|SAMPLE|GENERATE|GENERATEALL|NATURALLEFTOUTERJOIN|NATURALINNERJOIN|CROSSJOIN|UNION|INTERSECT|EXCEPT|DATATABLE|TREATAS)\s*\(\s*(?:'([^']+)'|(\w+))\s*(?:[,)])/gi;
+    /**
+     * Quote a table name for use in DAX ('Table Name' when needed, with ' escaped as '')
+     * @param {string} tableName
+     * @param {boolean} forceQuotes - Always quote, e.g. to keep the original style
+     * @returns {string}
+     */
+    static quoteTableName(tableName, forceQuotes = false) {
+        const isSimple = /^[A-Za-z_][A-Za-z0-9_]*$/.test(tableName) && !DAX_KEYWORDS.has(tableName.toUpperCase());
+        if (isSimple && !forceQuotes) return tableName;
+        return `'${tableName.replace(/'/g, "''")}'`;
+    }
 
-            let match;
-            while ((match = tableFunctionPattern.exec(cleaned)) !== null) {
-                const tableName = match[1] || match[2];  // Quoted or unquoted
-                tableRefs.add(tableName);
-            }
+    /**
+     * Wrap a column or measure name in brackets (with ] escaped as ]])
+     * @param {string} name
+     * @returns {string}
+     */
+    static quoteBracketName(name) {
+        return `[${name.replace(/\]/g, ']]')}]`;
+    }
 
-        } catch (error) {
-            console.error('Error extracting table references:', error);
-        }
+    /**
+     * Extract measure references from DAX expression
+     * Returns every unqualified [Name] reference; whether it is a measure or a
+     * row-context column is decided by the analyzer against the model.
+     * @param {string} daxExpression
+     * @returns {Array<string>} Array of measure names
+     */
+    static extractMeasureReferences(daxExpression) {
+        return this.extractReferences(daxExpression).measureRefs;
+    }
+
+    /**
+     * Extract column references from DAX expression
+     * @param {string} daxExpression
+     * @returns {Array<Object>} Array of {table, column} objects
+     */
+    static extractColumnReferences(daxExpression) {
+        return this.extractReferences(daxExpression).columnRefs;
+    }
+
+    /**
+     * Extract function calls from DAX expression
+     * @param {string} daxExpression
+     * @returns {Array<string>} Array of function names
+     */
+    static extractFunctionCalls(daxExpression) {
+        return this.extractReferences(daxExpression).functions;
+    }
 
-        return Array.from(tableRefs);
+    /**
+     * Extract table references from DAX expression (for COUNTROWS, ALL, etc.)
+     * @param {string} daxExpression
+     * @returns {Array<string>} Array of table names
+     */
+    static extractTableReferences(daxExpression) {
+        return this.extractReferences(daxExpression).tableRefs;
     }
 
     /**
@@ -816,29 +1835,811 @@ class DAXParser {
     }
 
     /**
-     * Extract all references (measures and columns) from DAX
+     * Read the parameter list of a DAX user-defined function: "(name : TYPE [mode], ...) => body"
+     * @param {string} daxExpression - Function expression
+     * @returns {Object} { parameters: [{ name, type, mode }], bodyStart } where bodyStart is the
+     *   character offset of the body (0 and no parameters when the expression has no signature)
+     */
+    static parseFunctionSignature(daxExpression) {
+        const signature = DAXParser._readFunctionSignature(DAXParser.tokenize(daxExpression));
+        if (!signature) return { parameters: [], bodyStart: 0 };
+        return { parameters: signature.parameters, bodyStart: signature.bodyStart };
+    }
+
+    /**
+     * Match a leading "( ... ) =>" signature in a token list
+     * @private
+     * @returns {Object|null} { parameters, bodyIndex, bodyStart } or null when there is no signature
+     */
+    static _readFunctionSignature(tokens) {
+        if (tokens.length === 0 || tokens[0].value !== '(') return null;
+
+        let depth = 0;
+        let close = -1;
+        for (let i = 0; i < tokens.length; i++) {
+            if (tokens[i].type !== 'operator') continue;
+            if (tokens[i].value === '(') depth++;
+            if (tokens[i].value === ')') depth--;
+            if (depth === 0) {
+                close = i;
+                break;
+            }
+        }
+
+        const arrow = tokens[close + 1];
+        const arrowHead = tokens[close + 2];
+        if (close === -1 || !arrow || !arrowHead || arrow.value !== '=' || arrowHead.value !== '>' ||
+            arrowHead.start !== arrow.end) {
+            return null;
+        }
+
+        // Split the parameter list on commas: each entry is "name [: type [mode]]"
+        const parameters = [];
+        let entry = [];
+        const flush = () => {
+            if (entry.length > 0 && entry[0].type === 'identifier') {
+                const typeTokens = entry.slice(1).filter(t => t.type === 'identifier');
+                parameters.push({
+                    name: entry[0].value,
+                    type: typeTokens[0] ? typeTokens[0].value : null,
+                    mode: typeTokens[1] ? typeTokens[1].value : null
+                });
+            }
+            entry = [];
+        };
+        for (let i = 1; i < close; i++) {
+            if (tokens[i].type === 'operator' && tokens[i].value === ',') {
+                flush();
+            } else {
+                entry.push(tokens[i]);
+            }
+        }
+        flush();
+
+        return { parameters: parameters, bodyIndex: close + 3, bodyStart: arrowHead.end };
+    }
+
+    /**
+     * Extract all references (measures, columns, tables, functions) from DAX
+     * using the tokenizer. Besides the name lists, `references` holds every
+     * reference with character offsets:
+     *   { kind: 'column', table, name, start, end, tableStart, tableEnd, nameStart, nameEnd, tableQuoted }
+     *   { kind: 'bracket', name, start, end, nameStart, nameEnd }  - unqualified [Name]
+     *   { kind: 'table', table, start, end, tableStart, tableEnd, tableQuoted }
+     *   { kind: 'function', name, start, end }
+     * @param {string} daxExpression
+     * A user-defined function expression ("(x : NUMERIC) => ...") is read from its body and its
+     * parameters are treated like variables.
      * @param {string} daxExpression
-     * @returns {Object} Object with measureRefs and columnRefs
+     * @returns {Object} Object with measureRefs, columnRefs, tableRefs, functions, variables, parameters and references
      */
     static extractReferences(daxExpression) {
-        const columnRefs = this.extractColumnReferences(daxExpression);
-        const rawMeasureRefs = this.extractMeasureReferences(daxExpression);
+        const references = [];
+        const variables = new Map(); // upper-case name -> name as declared
+        const parameters = [];
+
+        try {
+            const tokens = this.tokenize(daxExpression);
+
+            // UDF parameters are local names, like variables
+            const signature = this._readFunctionSignature(tokens);
+            if (signature) {
+                for (const parameter of signature.parameters) {
+                    parameters.push(parameter.name);
+                    variables.set(parameter.name.toUpperCase(), parameter.name);
+                }
+            }
+
+            // Collect variable names first so "VAR _t = ..." tables are never model tables
+            for (let i = 0; i < tokens.length - 1; i++) {
+                if (tokens[i].type === 'identifier' && tokens[i].value.toUpperCase() === 'VAR' &&
+                    tokens[i + 1].type === 'identifier') {
+                    variables.set(tokens[i + 1].value.toUpperCase(), tokens[i + 1].value);
+                }
+            }
+
+            for (let i = signature ? signature.bodyIndex : 0; i < tokens.length; i++) {
+                const token = tokens[i];
+                const next = tokens[i + 1];
+
+                if (token.type === 'bracket') {
+                    references.push({
+                        kind: 'bracket',
+                        name: token.value,
+                        start: token.start,
+                        end: token.end,
+                        nameStart: token.start,
+                        nameEnd: token.end
+                    });
+                    continue;
+                }
+
+                if (token.type !== 'table' && token.type !== 'identifier') continue;
+
+                const upperValue = token.value.toUpperCase();
+                const isQuoted = token.type === 'table';
+
+                // Function call: identifier followed by "("
+                if (!isQuoted && next && next.type === 'operator' && next.value === '(') {
+                    references.push({ kind: 'function', name: token.value, start: token.start, end: token.end });
+                    continue;
+                }
+
+                if (!isQuoted && (DAX_KEYWORDS.has(upperValue) || variables.has(upperValue))) {
+                    // Table variable column access (_t[Col]) is not a model reference
+                    if (variables.has(upperValue) && next && next.type === 'bracket' && next.start === token.end) {
+                        i++;
+                    }
+                    continue;
+                }
+
+                // Table[Column] - the bracket must directly follow the table name
+                if (next && next.type === 'bracket' && next.start === token.end) {
+                    references.push({
+                        kind: 'column',
+                        table: token.value,
+                        name: next.value,
+                        start: token.start,
+                        end: next.end,
+                        tableStart: token.start,
+                        tableEnd: token.end,
+                        nameStart: next.start,
+                        nameEnd: next.end,
+                        tableQuoted: isQuoted
+                    });
+                    i++;
+                    continue;
+                }
+
+                references.push({
+                    kind: 'table',
+                    table: token.value,
+                    start: token.start,
+                    end: token.end,
+                    tableStart: token.start,
+                    tableEnd: token.end,
+                    tableQuoted: isQuoted
+                });
+            }
 
-        // Filter out bracket references that match known column names
-        // to reduce false positives (e.g., [ColumnName] inside iterators)
-        const columnNames = new Set(columnRefs.map(c => c.column));
-        const measureRefs = rawMeasureRefs.filter(ref => !columnNames.has(ref));
+        } catch (error) {
+            console.error('Error extracting DAX references:', error);
+        }
+
+        const measureRefs = new Set();
+        const tableRefs = new Set();
+        const functions = new Set();
+        const columnRefs = [];
+        const seenColumns = new Set();
+
+        for (const ref of references) {
+            if (ref.kind === 'bracket') {
+                measureRefs.add(ref.name);
+            } else if (ref.kind === 'column') {
+                const key = `${ref.table}|${ref.name}`;
+                if (!seenColumns.has(key)) {
+                    seenColumns.add(key);
+                    columnRefs.push({ table: ref.table, column: ref.name });
+                }
+            } else if (ref.kind === 'table') {
+                tableRefs.add(ref.table);
+            } else if (ref.kind === 'function') {
+                functions.add(ref.name);
+            }
+        }
 
         return {
-            measureRefs,
+            measureRefs: Array.from(measureRefs),
             columnRefs,
-            tableRefs: this.extractTableReferences(daxExpression),
-            functions: this.extractFunctionCalls(daxExpression)
+            tableRefs: Array.from(tableRefs),
+            functions: Array.from(functions),
+            variables: Array.from(variables.values()).filter(name => !parameters.includes(name)),
+            parameters: parameters,
+            references
         };
     }
+
+    /**
+     * Find USERELATIONSHIP and CROSSFILTER calls and the two columns each one names
+     * @param {string} daxExpression
+     * @returns {Array<Object>} { function: 'USERELATIONSHIP'|'CROSSFILTER', columns: [{ table, column, start, end, tableQuoted }, ...],
+     *   direction (CROSSFILTER only, e.g. 'Both', 'None'), start, end } where each column's start/end span its Table[Column] argument
+     */
+    static extractRelationshipFunctionCalls(daxExpression) {
+        const calls = [];
+        const tokens = this.tokenize(daxExpression);
+
+        for (let i = 0; i < tokens.length - 1; i++) {
+            const upperValue = tokens[i].type === 'identifier' ? tokens[i].value.toUpperCase() : '';
+            if ((upperValue !== 'USERELATIONSHIP' && upperValue !== 'CROSSFILTER') || tokens[i + 1].value !== '(') {
+                continue;
+            }
+
+            // Split the top-level arguments on commas
+            const args = [[]];
+            let depth = 0;
+            let end = -1;
+            for (let j = i + 2; j < tokens.length; j++) {
+                const token = tokens[j];
+                if (token.type === 'operator' && token.value === '(') depth++;
+                if (token.type === 'operator' && token.value === ')') {
+                    if (depth === 0) {
+                        end = token.end;
+                        break;
+                    }
+                    depth--;
+                }
+                if (depth === 0 && token.type === 'operator' && token.value === ',') {
+                    args.push([]);
+                } else {
+                    args[args.length - 1].push(token);
+                }
+            }
+
+            // Each relationship argument must be a plain Table[Column] reference
+            const columns = args.slice(0, 2).map(arg => {
+                if (arg.length !== 2 || (arg[0].type !== 'table' && arg[0].type !== 'identifier') ||
+                    arg[1].type !== 'bracket' || arg[1].start !== arg[0].end) {
+                    return null;
+                }
+                return {
+                    table: arg[0].value,
+                    column: arg[1].value,
+                    start: arg[0].start,
+                    end: arg[1].end,
+                    tableQuoted: arg[0].type === 'table'
+                };
+            });
+            if (columns.length < 2 || columns.includes(null)) continue;
+
+            const directionArg = upperValue === 'CROSSFILTER' && args[2] && args[2].length === 1 ? args[2][0].value : null;
+
+            calls.push({
+                function: upperValue,
+                columns: columns,
+                direction: directionArg,
+                start: tokens[i].start,
+                end: end === -1 ? (daxExpression || '').length : end
+            });
+        }
+
+        return calls;
+    }
+
+    /**
+     * Find the innermost iterator whose row context covers a position in a DAX expression
+     * The row-context table is the first table named in the iterator's table argument
+     * (FILTER(Sales, ...), SUMX(ALL('Sales'), ...), ADDCOLUMNS(VALUES(Sales[Key]), ...)); it is null
+     * when that argument is a variable or names no table.
+     * @param {string} daxExpression
+     * @param {number} position - Character offset into the expression
+     * @returns {Object|null} { function, table, start, end } of the iterator call, or null outside any row context
+     */
+    static findRowContext(daxExpression, position) {
+        const tokens = this.tokenize(daxExpression);
+        const variables = new Set();
+        tokens.forEach((token, i) => {
+            if (token.type === 'identifier' && token.value.toUpperCase() === 'VAR' && tokens[i + 1] && tokens[i + 1].type === 'identifier') {
+                variables.add(tokens[i + 1].value.toUpperCase());
+            }
+        });
+
+        // Open calls at the position, each with its current argument and the token range of its table argument
+        const stack = [];
+        for (let i = 0; i < tokens.length && tokens[i].start < position; i++) {
+            const token = tokens[i];
+            if (token.type !== 'operator') continue;
+            const frame = stack[stack.length - 1];
+            if (token.value === '(') {
+                const previous = tokens[i - 1];
+                const name = previous && previous.type === 'identifier' ? previous.value.toUpperCase() : null;
+                const tableArgument = DAX_ITERATORS.has(name) ? DAX_ITERATORS.get(name) : -1;
+                stack.push({ function: name, openIndex: i, argument: 0, tableArgument, tableStart: tableArgument === 0 ? i + 1 : -1, tableEnd: -1 });
+            } else if (token.value === ')') {
+                stack.pop();
+            } else if (token.value === ',' && frame) {
+                if (frame.argument === frame.tableArgument) frame.tableEnd = i;
+                frame.argument++;
+                if (frame.argument === frame.tableArgument) frame.tableStart = i + 1;
+            }
+        }
+
+        for (let f = stack.length - 1; f >= 0; f--) {
+            const frame = stack[f];
+            if (frame.tableArgument === -1 || frame.argument <= frame.tableArgument) continue;
+
+            let table = null;
+            for (let j = frame.tableStart; j < frame.tableEnd; j++) {
+                const token = tokens[j];
+                if (token.type === 'table') {
+                    table = token.value;
+                    break;
+                }
+                if (token.type !== 'identifier') continue;
+                const next = tokens[j + 1];
+                if (next && next.type === 'operator' && next.value === '(') continue;
+                const upperValue = token.value.toUpperCase();
+                if (DAX_KEYWORDS.has(upperValue)) continue;
+                if (!variables.has(upperValue)) table = token.value;
+                break;
+            }
+
+            // End of the iterator call (its matching closing parenthesis)
+            let depth = 0;
+            let end = (daxExpression || '').length;
+            for (let j = frame.openIndex; j < tokens.length; j++) {
+                if (tokens[j].type === 'operator' && tokens[j].value === '(') depth++;
+                if (tokens[j].type === 'operator' && tokens[j].value === ')' && --depth === 0) {
+                    end = tokens[j].end;
+                    break;
+                }
+            }
+
+            return { function: frame.function, table, start: tokens[frame.openIndex - 1].start, end };
+        }
+
+        return null;
+    }
+}
+
+/**
+ * Power Query functions that read from an external data source
+ * (wrappers such as Excel.Workbook or Csv.Document are resolved through their File.Contents / Web.Contents argument)
+ */
+const M_DATA_SOURCE_FUNCTIONS = new Set([
+    'Sql.Database', 'Sql.Databases', 'Oracle.Database', 'PostgreSQL.Database', 'MySQL.Database',
+    'Teradata.Database', 'Db2.Database', 'Sybase.Database', 'Snowflake.Databases',
+    'GoogleBigQuery.Database', 'AmazonRedshift.Database', 'Databricks.Catalogs',
+    'DatabricksMultiCloud.Catalogs', 'Odbc.DataSource', 'Odbc.Query', 'OleDb.DataSource',
+    'AnalysisServices.Database', 'AnalysisServices.Databases', 'File.Contents', 'Folder.Files',
+    'Folder.Contents', 'Web.Contents', 'SharePoint.Files', 'SharePoint.Contents', 'SharePoint.Tables',
+    'OData.Feed', 'AzureStorage.Blobs', 'AzureStorage.DataLake', 'AzureStorage.Tables',
+    'AzureDataExplorer.Contents', 'Kusto.Contents', 'CommonDataService.Database',
+    'PowerPlatform.Dataflows', 'PowerBI.Dataflows', 'Salesforce.Data', 'Exchange.Contents',
+    'ActiveDirectory.Domains', 'Lakehouse.Contents', 'Fabric.Warehouse'
+]);
+
+class MParser {
+    /**
+     * Split a Power Query (M) expression into tokens.
+     * Token types: string, identifier (including #"Quoted Name"), keyword (#table, #date, ...),
+     * field ([Field Name] access), number, operator. Whitespace and comments are skipped.
+     * @param {string} mExpression
+     * @returns {Array<Object>} Array of { type, value, text, start, end }
+     */
+    static tokenize(mExpression) {
+        const m = mExpression || '';
+        const tokens = [];
+        let pos = 0;
+
+        while (pos < m.length) {
+            const ch = m[pos];
+            const next = m[pos + 1];
+
+            // Whitespace
+            if (/\s/.test(ch)) {
+                pos++;
+                continue;
+            }
+
+            // Comments: // and /* ... */
+            if (ch === '/' && next === '/') {
+                const lineEnd = m.indexOf('\n', pos);
+                pos = lineEnd === -1 ? m.length : lineEnd + 1;
+                continue;
+            }
+            if (ch === '/' && next === '*') {
+                const commentEnd = m.indexOf('*/', pos + 2);
+                pos = commentEnd === -1 ? m.length : commentEnd + 2;
+                continue;
+            }
+
+            // String literal "..." and quoted identifier #"..." (both use "" escapes)
+            if (ch === '"' || (ch === '#' && next === '"')) {
+                const start = ch === '#' ? pos + 1 : pos;
+                const literal = DAXParser._readDelimited(m, start, '"', '"');
+                tokens.push({
+                    type: ch === '#' ? 'identifier' : 'string',
+                    value: literal.value,
+                    text: m.substring(pos, literal.end),
+                    start: pos,
+                    end: literal.end
+                });
+                pos = literal.end;
+                continue;
+            }
+
+            // Field access [Field Name] (records like [a = 1, b = 2] are tokenized normally)
+            if (ch === '[') {
+                const fieldMatch = /^\[([^\[\]",=]*)\]/.exec(m.substring(pos, pos + 256));
+                if (fieldMatch) {
+                    const end = pos + fieldMatch[0].length;
+                    tokens.push({ type: 'field', value: fieldMatch[1].trim(), text: fieldMatch[0], start: pos, end: end });
+                    pos = end;
+                    continue;
+                }
+            }
+
+            // Number
+            const numberMatch = /^(?:0[xX][0-9a-fA-F]+|\d+\.?\d*(?:[eE][+-]?\d+)?)/.exec(m.substring(pos, pos + 64));
+            if (numberMatch) {
+                const end = pos + numberMatch[0].length;
+                tokens.push({ type: 'number', value: numberMatch[0], text: numberMatch[0], start: pos, end: end });
+                pos = end;
+                continue;
+            }
+
+            // Keywords like #table, #date, #shared
+            const hashMatch = /^#[A-Za-z]+/.exec(m.substring(pos, pos + 64));
+            if (hashMatch) {
+                const end = pos + hashMatch[0].length;
+                tokens.push({ type: 'keyword', value: hashMatch[0], text: hashMatch[0], start: pos, end: end });
+                pos = end;
+                continue;
+            }
+
+            // Identifier; dots are allowed so library functions like Sql.Database stay one token
+            const identifierMatch = /^[\p{L}_][\p{L}\p{N}_.]*/u.exec(m.substring(pos, pos + 256));
+            if (identifierMatch) {
+                const value = identifierMatch[0].replace(/\.+$/, '');
+                const end = pos + value.length;
+                tokens.push({ type: 'identifier', value: value, text: value, start: pos, end: end });
+                pos = end;
+                continue;
+            }
+
+            // Operators and punctuation (two-character operators first)
+            const twoChar = m.substring(pos, pos + 2);
+            const operator = ['=>', '<=', '>=', '<>', '..'].includes(twoChar) ? twoChar : ch;
+            tokens.push({ type: 'operator', value: operator, text: operator, start: pos, end: pos + operator.length });
+            pos += operator.length;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Extract references to other queries/parameters and data source calls from an M expression
+     * @param {string} mExpression
+     * @param {Set<string>|Array<string>} knownQueryNames - Names of shared expressions, parameters and table queries
+     * @returns {Object} { queryRefs: Array<string>, dataSources: Array<{ connector, args }> }
+     */
+    static extractReferences(mExpression, knownQueryNames = []) {
+        const known = knownQueryNames instanceof Set ? knownQueryNames : new Set(knownQueryNames);
+        const queryRefs = new Set();
+        const dataSources = [];
+        const seenSources = new Set();
+
+        try {
+            const tokens = MParser.tokenize(mExpression);
+
+            // Names bound in this expression (let steps, record fields) shadow queries of the same name
+            const boundNames = new Set();
+            tokens.forEach((token, i) => {
+                const previous = tokens[i - 1];
+                const following = tokens[i + 1];
+                if (token.type === 'identifier' && following && following.value === '=' &&
+                    (!previous || previous.value === 'let' || previous.value === ',' || previous.value === '[')) {
+                    boundNames.add(token.value);
+                    token.isBinding = true;
+                }
+            });
+
+            tokens.forEach((token, i) => {
+                if (token.type !== 'identifier' || token.isBinding) return;
+
+                if (known.has(token.value) && !boundNames.has(token.value)) {
+                    queryRefs.add(token.value);
+                }
+
+                // Data source call: Connector.Function( args )
+                if (M_DATA_SOURCE_FUNCTIONS.has(token.value) && tokens[i + 1] && tokens[i + 1].value === '(') {
+                    const args = MParser._readCallArguments(tokens, i + 1);
+                    const key = `${token.value}(${args.join(', ')})`;
+                    if (!seenSources.has(key)) {
+                        seenSources.add(key);
+                        dataSources.push({ connector: token.value, args: args });
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Error extracting M references:', error);
+        }
+
+        return {
+            queryRefs: Array.from(queryRefs),
+            dataSources: dataSources
+        };
+    }
+
+    /**
+     * Read the simple arguments of a function call: string literals and identifiers
+     * (e.g. a server parameter). Records, options and nested calls are skipped.
+     * @private
+     * @param {Array<Object>} tokens
+     * @param {number} openIndex - Index of the "(" token
+     * @returns {Array<string>} String literals keep their quotes ("server") to tell them apart from parameter names
+     */
+    static _readCallArguments(tokens, openIndex) {
+        const args = [];
+        let depth = 0;
+        let current = [];
+
+        const flush = () => {
+            if (current.length === 1 && (current[0].type === 'string' || current[0].type === 'identifier')) {
+                args.push(current[0].type === 'string' ? current[0].text : current[0].value);
+            }
+            current = [];
+        };
+
+        for (let i = openIndex; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.value === '(' || token.value === '[' || token.value === '{') {
+                depth++;
+                if (depth === 1) continue;
+            } else if (token.value === ')' || token.value === ']' || token.value === '}') {
+                depth--;
+                if (depth === 0) {
+                    flush();
+                    break;
+                }
+            } else if (token.value === ',' && depth === 1) {
+                flush();
+                continue;
+            }
+            current.push(token);
+        }
+
+        return args;
+    }
+}
+
+/**
+ * Parser for model metadata exported as JSON: a model.bim file or a TMSL
+ * createOrReplace script. Produces the same shapes as TMDLParser so a published
+ * dataset can stand in for a local SemanticModel folder.
+ */
+class TMSLParser {
+    /**
+     * Parse a model metadata document
+     * @param {Object} document - Parsed JSON of model.bim or a TMSL script
+     * @param {string} fileName - Name of the file (used in log messages)
+     * @returns {Object} { modelName, tables, measures, relationships, expressions, roles, perspectives, cultures, functions }
+     */
+    static parseModel(document, fileName = 'model.bim') {
+        const database = document?.createOrReplace?.database || document?.create?.database || document;
+        const model = database?.model || document?.model;
+        if (!model || !Array.isArray(model.tables)) {
+            throw new Error(`${fileName} does not contain a model definition`);
+        }
+
+        const tables = model.tables.map(table => TMSLParser.parseTable(table, fileName));
+        const measures = [];
+        for (const table of tables) {
+            measures.push(...table.measures);
+        }
+
+        const relationships = (model.relationships || []).map(relationship => ({
+            name: relationship.name,
+            fromTable: relationship.fromTable,
+            fromColumn: relationship.fromColumn,
+            toTable: relationship.toTable,
+            toColumn: relationship.toColumn,
+            // TMSL leaves the default cardinality ("many" → "one") implicit
+            fromCardinality: relationship.fromCardinality || null,
+            toCardinality: relationship.toCardinality || null,
+            crossFilteringBehavior: relationship.crossFilteringBehavior || null,
+            isActive: relationship.isActive !== false
+        }));
+
+        const expressions = (model.expressions || []).map(expression => {
+            const mExpression = TMSLParser.joinExpression(expression.expression);
+            const isParameter = /IsParameterQuery\s*=\s*true/i.test(mExpression);
+            let value = null;
+            if (isParameter) {
+                const firstToken = MParser.tokenize(mExpression)[0];
+                if (firstToken && (firstToken.type === 'string' || firstToken.type === 'number')) {
+                    value = firstToken.value;
+                }
+            }
+            return {
+                name: expression.name,
+                expression: mExpression,
+                isParameter: isParameter,
+                value: value,
+                queryGroup: expression.queryGroup || null,
+                description: TMSLParser.joinExpression(expression.description) || null
+            };
+        });
+
+        const roles = (model.roles || []).map(role => ({
+            roleName: role.name,
+            fileName: fileName,
+            modelPermission: role.modelPermission || null,
+            members: (role.members || []).map(member => member.memberName),
+            tablePermissions: (role.tablePermissions || []).map(permission => ({
+                tableName: permission.name,
+                filterExpression: TMSLParser.joinExpression(permission.filterExpression),
+                declaration: `tablePermission ${TMDLParser.quoteName(permission.name)}`
+            }))
+        }));
+
+        const perspectives = (model.perspectives || []).map(perspective => ({
+            perspectiveName: perspective.name,
+            fileName: fileName,
+            tables: (perspective.tables || []).map(table => ({
+                tableName: table.name,
+                includeAll: table.includeAll === true,
+                columns: (table.columns || []).map(column => column.name),
+                measures: (table.measures || []).map(measure => measure.name),
+                hierarchies: (table.hierarchies || []).map(hierarchy => hierarchy.name)
+            }))
+        }));
+
+        const functions = (model.functions || []).map(fn => {
+            const expression = TMSLParser.joinExpression(fn.expression);
+            return {
+                name: fn.name,
+                expression: expression,
+                parameters: DAXParser.parseFunctionSignature(expression).parameters,
+                description: fn.description || null,
+                fileName: fileName
+            };
+        });
+
+        const cultures = (model.cultures || []).map(culture => {
+            const translations = [];
+            const translated = (object, objectType, tableName) => ({
+                objectType: objectType,
+                tableName: tableName,
+                name: object.name,
+                caption: object.translatedCaption || null,
+                description: object.translatedDescription || null,
+                displayFolder: object.translatedDisplayFolder || null
+            });
+            for (const table of culture.translations?.model?.tables || []) {
+                translations.push(translated(table, 'table', table.name));
+                for (const column of table.columns || []) translations.push(translated(column, 'column', table.name));
+                for (const measure of table.measures || []) translations.push(translated(measure, 'measure', table.name));
+                for (const hierarchy of table.hierarchies || []) translations.push(translated(hierarchy, 'hierarchy', table.name));
+            }
+
+            return {
+                cultureName: culture.name,
+                fileName: fileName,
+                translations: translations,
+                linguisticBindings: culture.linguisticMetadata?.content
+                    ? TMDLParser.extractLinguisticBindings(culture.linguisticMetadata.content)
+                    : []
+            };
+        });
+
+        console.log(`Parsed ${fileName}: ${tables.length} tables, ${measures.length} measures, ` +
+            `${relationships.length} relationships, ${roles.length} roles, ${perspectives.length} perspectives, ` +
+            `${cultures.length} cultures, ${functions.length} functions`);
+
+        return {
+            modelName: database?.name || model.name || null,
+            tables: tables,
+            measures: measures,
+            relationships: relationships,
+            expressions: expressions,
+            roles: roles,
+            perspectives: perspectives,
+            cultures: cultures,
+            functions: functions
+        };
+    }
+
+    /**
+     * Parse one table of a model metadata document
+     * @param {Object} table - TMSL table object
+     * @param {string} fileName - Name of the metadata file
+     * @returns {Object} Table object shaped like TMDLParser.parseTableTMDL()
+     */
+    static parseTable(table, fileName) {
+        const columns = (table.columns || [])
+            .filter(column => column.type !== 'rowNumber')
+            .map(column => ({
+                name: column.name,
+                dataType: column.dataType || null,
+                formatString: column.formatString || null,
+                lineageTag: column.lineageTag || null,
+                sourceColumn: column.sourceColumn || null,
+                summarizeBy: column.summarizeBy || null,
+                isHidden: column.isHidden === true,
+                isCalculated: column.type === 'calculated' || column.expression !== undefined,
+                dax: column.expression !== undefined ? TMSLParser.joinExpression(column.expression) : null,
+                sortByColumn: column.sortByColumn || null,
+                groupByColumns: (column.relatedColumnDetails?.groupByColumns || []).map(group => group.groupingColumn),
+                variations: (column.variations || []).map(variation => ({
+                    name: variation.name,
+                    isDefault: variation.isDefault === true,
+                    relationship: variation.relationship || null,
+                    defaultColumn: null,
+                    defaultHierarchy: variation.defaultHierarchy
+                        ? { table: variation.defaultHierarchy.table, hierarchy: variation.defaultHierarchy.hierarchy }
+                        : null
+                }))
+            }));
+
+        const measures = (table.measures || []).map(measure => ({
+            name: measure.name,
+            tableName: table.name,
+            dax: TMSLParser.joinExpression(measure.expression),
+            lineageTag: measure.lineageTag || null,
+            formatString: measure.formatString || null,
+            displayFolder: measure.displayFolder || null,
+            description: TMSLParser.joinExpression(measure.description) || null,
+            fileName: fileName
+        }));
+
+        const hierarchies = (table.hierarchies || []).map(hierarchy => ({
+            name: hierarchy.name,
+            isHidden: hierarchy.isHidden === true,
+            levels: (hierarchy.levels || []).map(level => ({
+                name: level.name,
+                column: level.column || null,
+                ordinal: level.ordinal !== undefined ? level.ordinal : null
+            }))
+        }));
+
+        const partitions = (table.partitions || []).map(partition => ({
+            name: partition.name,
+            sourceType: partition.source?.type || null,
+            mode: partition.mode || null,
+            source: partition.source?.expression !== undefined ? TMSLParser.joinExpression(partition.source.expression) : null,
+            entityName: partition.source?.entityName || null,
+            expressionSource: partition.source?.expressionSource || null
+        }));
+
+        const result = {
+            tableName: table.name,
+            fileName: fileName,
+            columns: columns,
+            measures: measures,
+            hierarchies: hierarchies,
+            partitions: partitions
+        };
+
+        const calculatedPartition = partitions.find(p => p.sourceType === 'calculated');
+        if (calculatedPartition) {
+            result.isCalculatedTable = true;
+            result.dax = calculatedPartition.source || '';
+        }
+
+        if (table.calculationGroup) {
+            result.isCalculationGroup = true;
+            result.calculationItems = (table.calculationGroup.calculationItems || []).map(item => ({
+                name: item.name,
+                dax: TMSLParser.joinExpression(item.expression)
+            }));
+        }
+
+        const parameterMetadata = (table.extendedProperties || []).find(p => p.name === 'ParameterMetadata');
+        if (parameterMetadata && parameterMetadata.value?.kind === 2 && calculatedPartition) {
+            result.isFieldParameter = true;
+            // Rebuild the partition as TMDL text so the field parameter tuples are read the same way
+            const indented = (calculatedPartition.source || '').split('\n').map(line => `\t\t\t\t\t${line}`).join('\n');
+            result.fieldParameterRefs = DAXParser.extractFieldParameterRefs(
+                `\tpartition '${calculatedPartition.name}' = calculated\n\t\tsource =\n${indented}\n`);
+        }
+
+        return result;
+    }
+
+    /**
+     * TMSL stores multi-line expressions either as a string or as an array of lines
+     * @param {string|Array<string>} expression
+     * @returns {string}
+     */
+    static joinExpression(expression) {
+        if (Array.isArray(expression)) return expression.join('\n');
+        return expression || '';
+    }
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { TMDLParser, JSONParser, DAXParser };
+    module.exports = { TMDLParser, JSONParser, DAXParser, MParser, TMSLParser };
 }
@@ -0,0 +1,340 @@
+/**
+ * PBIP Loader Module
+ * Reads and parses a PBIP project into the parsedData shape used by DependencyAnalyzer.
+ * Shared by the browser app and the Node.js CLI (cli/pbip-impact.js).
+ */
+
+class PBIPLoader {
+    /**
+     * Read and parse semantic model and report files
+     * @param {FileAccessManager} fileAccessManager - Manager with semanticModelHandle or modelMetadataHandle
+     *   (and optionally reportHandle or reportHandles) set; with neither, the model is inferred from the reports
+     * @param {Function} onProgress - Optional callback(message) for progress updates
+     * @returns {Promise<Object>} { parsedData, tableParseErrors }
+     */
+    static async load(fileAccessManager, onProgress = () => {}) {
+        console.log('Loading PBIP files...');
+
+        const parsedData = {
+            measures: [],
+            tables: [],
+            visuals: [],
+            relationships: [],
+            expressions: [],
+            functions: [],
+            roles: [],
+            perspectives: [],
+            cultures: [],
+            pages: [],
+            pageFilters: [],
+            reportFilters: [],
+            bookmarks: [],
+            reportMeasures: []
+        };
+
+        // Read the semantic model: a SemanticModel folder, a model metadata export, or
+        // nothing at all (a thin report loaded standalone)
+        let tableParseErrors = [];
+        if (fileAccessManager.semanticModelHandle) {
+            parsedData.modelSource = 'tmdl';
+            tableParseErrors = await PBIPLoader.addSemanticModelData(parsedData, fileAccessManager, onProgress);
+        } else if (fileAccessManager.modelMetadataHandle) {
+            parsedData.modelSource = 'metadata';
+            onProgress(`Reading model metadata from ${fileAccessManager.modelMetadataHandle.name}...`);
+            const metadataFile = await fileAccessManager.readModelMetadataFile();
+            const model = TMSLParser.parseModel(metadataFile.content, metadataFile.fileName);
+            parsedData.tables = model.tables;
+            parsedData.measures = model.measures;
+            parsedData.relationships = model.relationships;
+            parsedData.expressions = model.expressions;
+            parsedData.roles = model.roles;
+            parsedData.perspectives = model.perspectives;
+            parsedData.cultures = model.cultures;
+            parsedData.functions = model.functions;
+        } else {
+            parsedData.modelSource = 'inferred';
+        }
+
+        // Read report files (every selected report; ids are namespaced by report when there are several)
+        const reportHandles = fileAccessManager.getReportHandles();
+        for (const reportHandle of reportHandles) {
+            const reportName = reportHandles.length > 1 ? reportHandle.name : null;
+            onProgress(reportName ? `Reading report files of ${reportName}...` : 'Reading report files...');
+            const reportFiles = await fileAccessManager.readReportFiles(reportHandle);
+            PBIPLoader.addReportData(parsedData, reportFiles, reportName, onProgress);
+        }
+
+        // Without a model, build one from the fields the report uses so visual → field edges still exist
+        if (parsedData.modelSource === 'inferred') {
+            onProgress('Inferring model objects from report fields...');
+            PBIPLoader.inferModelFromReports(parsedData);
+        }
+
+        return { parsedData, tableParseErrors };
+    }
+
+    /**
+     * Read and parse the TMDL files of the selected SemanticModel folder into parsedData
+     * @param {Object} parsedData - Accumulated parsed data
+     * @param {FileAccessManager} fileAccessManager - Manager with semanticModelHandle set
+     * @param {Function} onProgress - Callback(message) for progress updates
+     * @returns {Promise<Array<string>>} File names of tables that failed to parse
+     */
+    static async addSemanticModelData(parsedData, fileAccessManager, onProgress) {
+        // Read semantic model files
+        onProgress('Reading semantic model files...');
+        const semanticModelFiles = await fileAccessManager.readSemanticModelFiles();
+
+        // Parse tables (measures are collected from every table file)
+        onProgress(`Parsing ${semanticModelFiles.tables.length} tables...`);
+        const tableParseErrors = [];
+        for (let i = 0; i < semanticModelFiles.tables.length; i++) {
+            const tableFile = semanticModelFiles.tables[i];
+            if (i % 5 === 0) { // Update every 5 tables to avoid too many DOM updates
+                onProgress(`Parsing tables (${i + 1}/${semanticModelFiles.tables.length})...`);
+            }
+            try {
+                const tableData = TMDLParser.parseTableTMDL(tableFile.content, tableFile.fileName);
+                parsedData.tables.push(tableData);
+                parsedData.measures.push(...tableData.measures);
+            } catch (error) {
+                console.warn(`Failed to parse table ${tableFile.fileName}:`, error);
+                tableParseErrors.push(tableFile.fileName);
+            }
+        }
+
+        // Parse relationships
+        onProgress('Parsing relationships...');
+        if (semanticModelFiles.relationships) {
+            parsedData.relationships = TMDLParser.parseRelationshipsTMDL(semanticModelFiles.relationships.content);
+        }
+
+        // Parse shared expressions and parameters (Power Query)
+        if (semanticModelFiles.expressions) {
+            onProgress('Parsing expressions...');
+            parsedData.expressions = TMDLParser.parseExpressionsTMDL(semanticModelFiles.expressions.content);
+        }
+
+        // Parse DAX user-defined functions
+        if (semanticModelFiles.functions) {
+            onProgress('Parsing functions...');
+            parsedData.functions = TMDLParser.parseFunctionsTMDL(semanticModelFiles.functions.content,
+                semanticModelFiles.functions.fileName);
+        }
+
+        // Parse security roles
+        if (semanticModelFiles.roles && semanticModelFiles.roles.length > 0) {
+            onProgress(`Parsing ${semanticModelFiles.roles.length} roles...`);
+            for (const roleFile of semanticModelFiles.roles) {
+                parsedData.roles.push(...TMDLParser.parseRoleTMDL(roleFile.content, roleFile.fileName));
+            }
+        }
+
+        // Parse perspectives
+        for (const perspectiveFile of semanticModelFiles.perspectives || []) {
+            parsedData.perspectives.push(...TMDLParser.parsePerspectiveTMDL(perspectiveFile.content, perspectiveFile.fileName));
+        }
+
+        // Parse cultures (translations and linguistic metadata)
+        for (const cultureFile of semanticModelFiles.cultures || []) {
+            parsedData.cultures.push(TMDLParser.parseCultureTMDL(cultureFile.content, cultureFile.fileName));
+        }
+
+        return tableParseErrors;
+    }
+
+    /**
+     * Create placeholder tables, columns, hierarchies and measures for every model field
+     * the loaded reports reference. Used when a thin report is loaded without its dataset:
+     * only names are known, so placeholders carry isInferred: true and no DAX.
+     * @param {Object} parsedData - Parsed data with report data added and no model objects
+     */
+    static inferModelFromReports(parsedData) {
+        const tables = new Map(); // table name -> inferred table
+        const getTable = (tableName) => {
+            if (!tables.has(tableName)) {
+                tables.set(tableName, {
+                    tableName: tableName,
+                    fileName: null,
+                    columns: [],
+                    measures: [],
+                    hierarchies: [],
+                    partitions: [],
+                    isInferred: true
+                });
+            }
+            return tables.get(tableName);
+        };
+
+        // Report-level measures live in the report, not in the dataset
+        const isReportMeasure = (field) => parsedData.reportMeasures.some(m =>
+            m.name === field.name && (!field.entity || m.tableName === field.entity));
+
+        const addField = (field) => {
+            if (field.type === 'measure') {
+                if (!field.entity || isReportMeasure(field)) return;
+                const table = getTable(field.entity);
+                if (!table.measures.some(m => m.name === field.name)) {
+                    table.measures.push({ name: field.name, tableName: field.entity, dax: '', fileName: null, isInferred: true });
+                }
+            } else if (field.type === 'column') {
+                const table = getTable(field.table);
+                if (!table.columns.some(c => c.name === field.column)) {
+                    table.columns.push({
+                        name: field.column,
+                        dataType: null,
+                        isHidden: false,
+                        isCalculated: false,
+                        dax: null,
+                        sortByColumn: null,
+                        groupByColumns: [],
+                        variations: [],
+                        isInferred: true
+                    });
+                }
+            } else if (field.type === 'hierarchy') {
+                const table = getTable(field.table);
+                let hierarchy = table.hierarchies.find(h => h.name === field.hierarchy);
+                if (!hierarchy) {
+                    hierarchy = { name: field.hierarchy, isHidden: false, levels: [], isInferred: true };
+                    table.hierarchies.push(hierarchy);
+                }
+                if (field.level && !hierarchy.levels.some(l => l.name === field.level)) {
+                    // The level's source column is not recorded in the report
+                    hierarchy.levels.push({ name: field.level, column: null, ordinal: hierarchy.levels.length });
+                }
+            }
+        };
+
+        const fieldSets = [
+            ...parsedData.visuals.map(visual => visual.fields),
+            ...parsedData.pageFilters.map(page => page.fields),
+            ...parsedData.reportFilters.map(reportFilter => reportFilter.fields),
+            ...parsedData.bookmarks.map(bookmark => bookmark.fields)
+        ];
+        for (const fields of fieldSets) {
+            for (const field of fields || []) {
+                addField(field);
+            }
+        }
+
+        // Report-level measure DAX points into the dataset too. Unqualified [Name] references
+        // that are not report measures are dataset measures whose home table is unknown.
+        const unplacedMeasures = [];
+        for (const measure of parsedData.reportMeasures) {
+            const references = DAXParser.extractReferences(measure.dax || '');
+            for (const ref of references.columnRefs) {
+                addField({ type: 'column', table: ref.table, column: ref.column });
+            }
+            for (const name of references.measureRefs) {
+                if (parsedData.reportMeasures.some(m => m.name === name && m.reportName === measure.reportName)) continue;
+                if (unplacedMeasures.some(m => m.name === name)) continue;
+                unplacedMeasures.push({ name: name, tableName: null, dax: '', fileName: null, isInferred: true });
+            }
+        }
+
+        parsedData.tables = Array.from(tables.values());
+        parsedData.measures = [];
+        for (const table of parsedData.tables) {
+            parsedData.measures.push(...table.measures);
+        }
+        for (const measure of unplacedMeasures) {
+            if (!parsedData.measures.some(m => m.name === measure.name)) {
+                parsedData.measures.push(measure);
+            }
+        }
+
+        console.log(`Inferred ${parsedData.tables.length} tables and ${parsedData.measures.length} measures from report fields`);
+    }
+
+    /**
+     * Parse the files of one report and append them to parsedData
+     * @param {Object} parsedData - Accumulated parsed data
+     * @param {Object} reportFiles - Result of FileAccessManager.readReportFiles()
+     * @param {string|null} reportName - Report folder name when several reports are loaded, otherwise null
+     * @param {Function} onProgress - Callback(message) for progress updates
+     */
+    static addReportData(parsedData, reportFiles, reportName, onProgress) {
+        // Store pages for display name lookup
+        const pages = (reportFiles.pages || []).map(page => ({ ...page, reportName }));
+        parsedData.pages.push(...pages);
+
+        // Parse page-level and report-level filters
+        for (const page of pages) {
+            const pageData = JSONParser.parsePage(page.content || {});
+            parsedData.pageFilters.push({
+                pageId: page.pageId,
+                pageName: PBIPLoader.getPageDisplayName(pages, page.pageId),
+                reportName: reportName,
+                filterCount: pageData.filters.length,
+                fields: pageData.filterFields
+            });
+        }
+        parsedData.reportFilters.push({
+            reportName: reportName,
+            fields: JSONParser.extractFilterFields(reportFiles.reportFilters || [], 'reportFilter')
+        });
+
+        // Parse report-level measures (thin reports)
+        if (reportFiles.reportExtensions) {
+            const reportMeasures = JSONParser.parseReportExtensions(reportFiles.reportExtensions.content);
+            parsedData.reportMeasures.push(...reportMeasures.map(measure => ({ ...measure, reportName })));
+        }
+
+        // Parse bookmarks (captured filter state and visual selections)
+        for (const bookmarkFile of reportFiles.bookmarks || []) {
+            const bookmarkData = JSONParser.parseBookmark(bookmarkFile.content || {});
+            parsedData.bookmarks.push({
+                bookmarkId: bookmarkFile.bookmarkId,
+                fileName: bookmarkFile.fileName || null,
+                name: bookmarkData.displayName || bookmarkFile.bookmarkId,
+                pageId: bookmarkData.activePageId,
+                pageName: bookmarkData.activePageId ? PBIPLoader.getPageDisplayName(pages, bookmarkData.activePageId) : null,
+                reportName: reportName,
+                fields: bookmarkData.fields,
+                visuals: bookmarkData.visuals
+            });
+        }
+
+        // Parse visuals
+        const totalVisuals = reportFiles.visuals.length;
+        onProgress(`Parsing ${totalVisuals} visuals...`);
+        for (let i = 0; i < reportFiles.visuals.length; i++) {
+            const visualFile = reportFiles.visuals[i];
+            if (i % 10 === 0) { // Update every 10 visuals
+                onProgress(`Parsing visuals (${i + 1}/${totalVisuals})...`);
+            }
+            const visualData = visualFile.format === 'legacy'
+                ? JSONParser.parseLegacyVisualContainer(visualFile.content)
+                : JSONParser.parseVisual(visualFile.content);
+            parsedData.visuals.push({
+                pageId: visualFile.pageId,
+                visualId: visualFile.visualId,
+                visualType: visualData.visualType,
+                visualName: visualData.visualName,
+                fields: visualData.fields,
+                pageName: PBIPLoader.getPageDisplayName(pages, visualFile.pageId),
+                reportName: reportName,
+                position: visualData.position
+            });
+        }
+    }
+
+    /**
+     * Get page display name from pageId
+     * @param {Array<Object>} pages - Pages read by FileAccessManager.readReportFiles()
+     * @param {string} pageId - The page ID (folder name)
+     * @returns {string} The display name or pageId if not found
+     */
+    static getPageDisplayName(pages, pageId) {
+        const page = pages.find(p => p.pageId === pageId);
+        const displayName = page?.content?.displayName;
+        // Fallback to pageId if displayName is missing or empty
+        return displayName && displayName.trim() !== '' ? displayName : pageId;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PBIPLoader;
+}
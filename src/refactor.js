@@ -1,6 +1,7 @@
 /**
  * Refactor Module
- * Handles safe refactoring operations (rename measures and columns)
+ * Handles safe refactoring operations (rename or delete measures and columns, move measures between tables,
+ * delete or re-point relationships)
  */
 
 class RefactoringEngine {
@@ -8,6 +9,7 @@ class RefactoringEngine {
         this.analyzer = dependencyAnalyzer;
         this.fileAccess = fileAccessManager;
         this.previewChanges = [];
+        this.previewWarnings = []; // Consequences the preview cannot fix automatically
         this.backups = new Map(); // Store backups for rollback
     }
 
@@ -15,7 +17,7 @@ class RefactoringEngine {
      * Preview rename operation
      * @param {string} oldName - Current name
      * @param {string} newName - New name
-     * @param {string} nodeType - "measure" or "column"
+     * @param {string} nodeType - "measure", "column", "table" or "function"
      * @param {string} tableName - For columns, the table name
      * @returns {Array<Object>} Array of change objects
      */
@@ -23,6 +25,7 @@ class RefactoringEngine {
         console.log(`Previewing rename: ${oldName} -> ${newName} (${nodeType})`);
 
         this.previewChanges = [];
+        this.previewWarnings = [];
         this.backups.clear();
 
         // Validate input
@@ -46,6 +49,13 @@ class RefactoringEngine {
             if (this.analyzer.dependencyGraph.nodes[tableNodeId]) {
                 throw new Error(`A table with name "${newName}" already exists`);
             }
+        } else if (nodeType === 'function') {
+            // Function names are case-insensitive in DAX
+            const existing = (this.analyzer.functions || []).find(fn =>
+                fn.name !== oldName && fn.name.toLowerCase() === newName.toLowerCase());
+            if (existing) {
+                throw new Error(`A function with name "${existing.name}" already exists`);
+            }
         } else {
             const nodeId = nodeType === 'measure'
                 ? `Measure.${newName}`
@@ -63,6 +73,8 @@ class RefactoringEngine {
             await this.previewColumnRename(oldName, newName, tableName);
         } else if (nodeType === 'table') {
             await this.previewTableRename(oldName, newName);
+        } else if (nodeType === 'function') {
+            await this.previewFunctionRename(oldName, newName);
         }
 
         console.log(`Preview complete: ${this.previewChanges.length} files will be modified`);
@@ -83,7 +95,7 @@ class RefactoringEngine {
             throw new Error(`Measure "${oldName}" not found`);
         }
 
-        // 1. Update measure definition in Measure.tmdl
+        // 1. Update measure definition in its home table .tmdl file
         await this.addMeasureDefinitionChange(oldName, newName);
 
         // 2. Update references in other measures' DAX expressions
@@ -93,10 +105,40 @@ class RefactoringEngine {
             }
         }
 
+        // 2b. Update references in calculated column, calculated table, RLS filter and function expressions
+        for (const usage of node.usedBy) {
+            if (usage.type === 'column' || usage.type === 'table' || usage.type === 'tablePermission' || usage.type === 'function') {
+                await this.addExpressionDAXReferenceChange(usage, 'measure-dax-reference',
+                    `[${oldName}]`, (dax) => this.replaceMeasureInDAX(dax, oldName, newName));
+            }
+        }
+
+        // 2c. Update references in report-level measures (reportExtensions.json)
+        for (const usage of node.usedBy) {
+            if (usage.type === 'reportMeasure') {
+                this.addReportMeasureDAXReferenceChange(usage, `[${oldName}]`,
+                    (dax) => this.replaceMeasureInDAX(dax, oldName, newName), { kind: 'measure', oldName, newName });
+            }
+        }
+
         // 3. Update visual field references
         for (const usage of node.usedBy) {
             if (usage.type === 'visual') {
-                await this.addVisualMeasureReferenceChange(oldName, newName, usage.pageId, usage.visualId);
+                await this.addVisualMeasureReferenceChange(oldName, newName, usage.pageId, usage.visualId, usage.reportName);
+            }
+        }
+
+        // 3b. Update page-level and report-level filters
+        for (const usage of node.usedBy) {
+            if (usage.type === 'page' || usage.type === 'report') {
+                this.addFilterReferenceChange({ kind: 'measure', table: node.tableName || null, oldName, newName }, usage);
+            }
+        }
+
+        // 3c. Update bookmarks that capture this measure
+        for (const usage of node.usedBy) {
+            if (usage.type === 'bookmark') {
+                this.addBookmarkReferenceChange({ kind: 'measure', table: node.tableName || null, oldName, newName }, usage);
             }
         }
 
@@ -109,6 +151,20 @@ class RefactoringEngine {
                 }
             }
         }
+
+        // 5. Update perspectiveMeasure entries
+        for (const usage of node.usedBy) {
+            if (usage.type === 'perspective') {
+                this.addPerspectiveReferenceChange(usage, oldName, newName);
+            }
+        }
+
+        // 6. Update culture translations and linguistic metadata bindings
+        for (const usage of node.usedBy) {
+            if (usage.type === 'culture') {
+                this.addCultureReferenceChange(usage, { kind: 'measure', table: usage.translationTable, oldName, newName });
+            }
+        }
     }
 
     /**
@@ -135,13 +191,47 @@ class RefactoringEngine {
             }
         }
 
+        // 2b. Update references in calculated column, calculated table, RLS filter and function expressions
+        // (column property links such as sortByColumn are updated with the column definition)
+        for (const usage of node.usedBy) {
+            if ((usage.type === 'column' && !usage.relation) || usage.type === 'table' || usage.type === 'tablePermission' ||
+                usage.type === 'function') {
+                await this.addExpressionDAXReferenceChange(usage, 'column-dax-reference', `${tableName}[${oldName}]`,
+                    (dax, homeTableName) => this.replaceColumnInDAX(dax, tableName, oldName, newName, homeTableName));
+            }
+        }
+
+        // 2c. Update references in report-level measures (reportExtensions.json)
+        for (const usage of node.usedBy) {
+            if (usage.type === 'reportMeasure') {
+                this.addReportMeasureDAXReferenceChange(usage, `${tableName}[${oldName}]`,
+                    (dax, homeTableName) => this.replaceColumnInDAX(dax, tableName, oldName, newName, homeTableName),
+                    { kind: 'column', table: tableName, oldName, newName });
+            }
+        }
+
         // 3. Update visual field references
         for (const usage of node.usedBy) {
             if (usage.type === 'visual') {
-                await this.addVisualColumnReferenceChange(oldName, newName, tableName, usage.pageId, usage.visualId);
+                await this.addVisualColumnReferenceChange(oldName, newName, tableName, usage.pageId, usage.visualId, usage.reportName);
+            }
+        }
+
+        // 3b. Update page-level and report-level filters, and bookmarks that capture this column
+        for (const usage of node.usedBy) {
+            if (usage.type === 'page' || usage.type === 'report') {
+                this.addFilterReferenceChange({ kind: 'column', table: tableName, oldName, newName }, usage);
+            } else if (usage.type === 'bookmark') {
+                this.addBookmarkReferenceChange({ kind: 'column', table: tableName, oldName, newName }, usage);
             }
         }
 
+        // 3c. Update hierarchy levels built on this column
+        const affectedLevels = node.usedBy.filter(usage => usage.type === 'level');
+        if (affectedLevels.length > 0) {
+            await this.addHierarchyLevelColumnChange(oldName, newName, tableName, affectedLevels);
+        }
+
         // 4. Update relationships
         const affectedRelationships = this.analyzer.findRelationshipsUsingColumn(tableName, oldName);
         for (const rel of affectedRelationships) {
@@ -157,6 +247,20 @@ class RefactoringEngine {
                 }
             }
         }
+
+        // 6. Update perspectiveColumn entries
+        for (const usage of node.usedBy) {
+            if (usage.type === 'perspective') {
+                this.addPerspectiveReferenceChange(usage, oldName, newName);
+            }
+        }
+
+        // 7. Update culture translations and linguistic metadata bindings
+        for (const usage of node.usedBy) {
+            if (usage.type === 'culture') {
+                this.addCultureReferenceChange(usage, { kind: 'column', table: tableName, oldName, newName });
+            }
+        }
     }
 
     /**
@@ -173,11 +277,13 @@ class RefactoringEngine {
         }
 
         // 1. TMDL file rename + update table declaration inside
+        const oldFilePath = this.getTableFilePath(oldTableName);
+        const oldFileName = oldFilePath.split('/').pop();
         this.previewChanges.push({
-            file: `definition/tables/${oldTableName}.tmdl`,
+            file: oldFilePath,
             type: 'file-rename',
-            description: `Rename file "${oldTableName}.tmdl" to "${newTableName}.tmdl"`,
-            oldFileName: `${oldTableName}.tmdl`,
+            description: `Rename file "${oldFileName}" to "${newTableName}.tmdl"`,
+            oldFileName: oldFileName,
             newFileName: `${newTableName}.tmdl`,
             oldContent: `table '${oldTableName}'`,
             newContent: `table '${newTableName}'`
@@ -189,8 +295,13 @@ class RefactoringEngine {
             const newDAX = this.replaceTableNameInDAX(oldDAX, oldTableName, newTableName);
 
             if (oldDAX !== newDAX) {
+                // Measures homed in the renamed table are written after the file rename
+                const measureFile = measure.tableName === oldTableName
+                    ? `definition/tables/${newTableName}.tmdl`
+                    : this.getMeasureFilePath(measure);
+
                 this.previewChanges.push({
-                    file: 'definition/tables/Measure.tmdl',
+                    file: measureFile,
                     type: 'table-dax-reference',
                     description: `Update table references in measure "${measure.name}"`,
                     oldContent: oldDAX.substring(0, 200) + (oldDAX.length > 200 ? '...' : ''),
@@ -202,21 +313,99 @@ class RefactoringEngine {
             }
         }
 
+        // 2b. Update calculated column and calculated table DAX that references this table
+        for (const table of this.analyzer.tables) {
+            const objects = table.columns
+                .filter(column => column.isCalculated && column.dax)
+                .map(column => ({ usage: { type: 'column', ref: `${table.tableName}.${column.name}` }, dax: column.dax }));
+            if (table.isCalculatedTable && table.dax) {
+                objects.push({ usage: { type: 'table', ref: `Table.${table.tableName}` }, dax: table.dax });
+            }
+
+            for (const object of objects) {
+                if (this.replaceTableNameInDAX(object.dax, oldTableName, newTableName) === object.dax) continue;
+
+                // Objects defined in the renamed table are written after the file rename
+                const objectFile = table.tableName === oldTableName ? `definition/tables/${newTableName}.tmdl` : null;
+                await this.addExpressionDAXReferenceChange(object.usage, 'table-dax-reference', `'${oldTableName}'`,
+                    (dax) => this.replaceTableNameInDAX(dax, oldTableName, newTableName), objectFile);
+            }
+        }
+
+        // 2c. Update row-level security: the secured table name and filter expressions in role files
+        for (const role of this.analyzer.roles || []) {
+            for (const permission of role.tablePermissions) {
+                const usage = { type: 'tablePermission', ref: `RolePermission.${role.roleName}.${permission.tableName}` };
+
+                if (permission.tableName === oldTableName) {
+                    this.previewChanges.push({
+                        file: this.getRoleFilePath(role.fileName),
+                        type: 'role-table-reference',
+                        description: `Update secured table in role "${role.roleName}"`,
+                        oldContent: `${permission.declaration} =`,
+                        newContent: `tablePermission ${TMDLParser.quoteName(newTableName)} =`
+                    });
+                }
+
+                if (this.replaceTableNameInDAX(permission.filterExpression, oldTableName, newTableName) !== permission.filterExpression) {
+                    await this.addExpressionDAXReferenceChange(usage, 'table-dax-reference', `'${oldTableName}'`,
+                        (dax) => this.replaceTableNameInDAX(dax, oldTableName, newTableName));
+                }
+            }
+        }
+
+        // 2d. Update user-defined function bodies that reference this table
+        for (const fn of this.analyzer.functions || []) {
+            if (this.replaceTableNameInDAX(fn.expression, oldTableName, newTableName) === fn.expression) continue;
+            await this.addExpressionDAXReferenceChange({ type: 'function', ref: `Function.${fn.name}` }, 'table-dax-reference',
+                `'${oldTableName}'`, (dax) => this.replaceTableNameInDAX(dax, oldTableName, newTableName));
+        }
+
+        // 2e. Update report-level measures: their DAX and the entity they are attached to
+        const tableRename = { kind: 'table', oldName: oldTableName, newName: newTableName };
+        const entityReports = new Set();
+        for (const measure of this.analyzer.reportMeasures || []) {
+            const usage = {
+                type: 'reportMeasure',
+                ref: DependencyAnalyzer.getReportMeasureNodeId(measure),
+                name: measure.name,
+                reportName: measure.reportName || null
+            };
+            this.addReportMeasureDAXReferenceChange(usage, `'${oldTableName}'`,
+                (dax) => this.replaceTableNameInDAX(dax, oldTableName, newTableName), tableRename);
+            if (measure.tableName === oldTableName) {
+                entityReports.add(measure.reportName || null);
+            }
+        }
+        for (const reportName of entityReports) {
+            this.previewChanges.push({
+                file: this.getReportFilePath('definition/reportExtensions.json', reportName),
+                type: 'report-measure-reference',
+                description: `Update table entity "${oldTableName}" of report-level measures`,
+                oldContent: `"name": "${oldTableName}"`,
+                newContent: `"name": "${newTableName}"`,
+                rename: tableRename
+            });
+        }
+
         // 3. Update visual field references (Entity name)
         for (const visual of this.analyzer.visuals) {
-            const visualNodeId = `${visual.pageId}/${visual.visualId}`;
+            const visualNodeId = DependencyAnalyzer.getVisualNodeId(visual);
             const visualNode = this.analyzer.dependencyGraph.nodes[visualNodeId];
             if (!visualNode) continue;
 
             // Check if any field in this visual references the table being renamed
             const hasTableRef = visual.fields.some(f =>
-                (f.type === 'column' && f.table === oldTableName) ||
+                ((f.type === 'column' || f.type === 'hierarchy') && f.table === oldTableName) ||
                 (f.type === 'measure' && f.entity === oldTableName)
             );
 
-            if (hasTableRef) {
+            if (hasTableRef && this.isLegacyReport(visual.reportName)) {
+                this.addLegacyReportChange({ kind: 'table', table: oldTableName, oldName: oldTableName, newName: newTableName },
+                    visual.pageId, visual.visualId, null, visual.reportName);
+            } else if (hasTableRef) {
                 this.previewChanges.push({
-                    file: `definition/pages/${visual.pageId}/visuals/${visual.visualId}/visual.json`,
+                    file: this.getReportFilePath(`definition/pages/${visual.pageId}/visuals/${visual.visualId}/visual.json`, visual.reportName),
                     type: 'visual-entity-reference',
                     description: `Update table entity in visual ${visual.visualId} on page ${visual.pageId}`,
                     oldContent: `"Entity": "${oldTableName}"`,
@@ -225,6 +414,39 @@ class RefactoringEngine {
             }
         }
 
+        // 3b. Update page-level and report-level filters (Entity name)
+        const filterOwners = [
+            ...(this.analyzer.pageFilters || []).map(page => ({
+                usage: { type: 'page', ref: DependencyAnalyzer.getPageNodeId(page), name: page.pageName, pageId: page.pageId, reportName: page.reportName || null },
+                fields: page.fields
+            })),
+            ...(this.analyzer.reportFilters || []).map(report => ({
+                usage: { type: 'report', ref: DependencyAnalyzer.getReportNodeId(report.reportName), name: report.reportName || 'Report', pageId: null, reportName: report.reportName || null },
+                fields: report.fields
+            }))
+        ];
+        for (const owner of filterOwners) {
+            const hasTableRef = owner.fields.some(f =>
+                ((f.type === 'column' || f.type === 'hierarchy') && f.table === oldTableName) ||
+                (f.type === 'measure' && f.entity === oldTableName)
+            );
+            if (hasTableRef) {
+                this.addFilterReferenceChange({ kind: 'table', table: oldTableName, oldName: oldTableName, newName: newTableName }, owner.usage);
+            }
+        }
+
+        // 3c. Update bookmarks (Entity name)
+        for (const bookmark of this.analyzer.bookmarks || []) {
+            const hasTableRef = bookmark.fields.some(f =>
+                ((f.type === 'column' || f.type === 'hierarchy') && f.table === oldTableName) ||
+                (f.type === 'measure' && f.entity === oldTableName)
+            );
+            if (hasTableRef) {
+                this.addBookmarkReferenceChange({ kind: 'table', table: oldTableName, oldName: oldTableName, newName: newTableName },
+                    { type: 'bookmark', ref: DependencyAnalyzer.getBookmarkNodeId(bookmark), name: bookmark.name, reportName: bookmark.reportName || null });
+            }
+        }
+
         // 4. Update relationships
         for (const rel of this.analyzer.relationships) {
             if (rel.fromTable === oldTableName) {
@@ -246,58 +468,800 @@ class RefactoringEngine {
                 });
             }
         }
+
+        // 5. Update perspectiveTable entries (members stay listed under the renamed table)
+        for (const usage of tableNode.usedBy) {
+            if (usage.type === 'perspective') {
+                this.addPerspectiveReferenceChange(usage, oldTableName, newTableName);
+            }
+        }
+
+        // 6. Update the table's translation entry and linguistic metadata entity bindings
+        for (const usage of tableNode.usedBy) {
+            if (usage.type === 'culture') {
+                this.addCultureReferenceChange(usage, { kind: 'table', table: oldTableName, oldName: oldTableName, newName: newTableName });
+            }
+        }
+    }
+
+    /**
+     * Preview user-defined function rename: the definition in functions.tmdl and every call site
+     * @param {string} oldName
+     * @param {string} newName
+     */
+    async previewFunctionRename(oldName, newName) {
+        const nodeId = `Function.${oldName}`;
+        const node = this.analyzer.dependencyGraph.nodes[nodeId];
+
+        if (!node) {
+            throw new Error(`Function "${oldName}" not found`);
+        }
+
+        // 1. Update the function declaration
+        this.previewChanges.push({
+            file: this.getFunctionFilePath(node.fileName),
+            type: 'function-definition',
+            description: `Rename function "${oldName}" to "${newName}"`,
+            oldContent: `function ${TMDLParser.quoteName(oldName)}`,
+            newContent: `function ${TMDLParser.quoteName(newName)}`,
+            oldName: oldName,
+            newName: newName
+        });
+
+        const rewriteDAX = (dax) => this.replaceFunctionInDAX(dax, oldName, newName);
+
+        // 2. Update calls in measures, calculated columns and tables, RLS filters and other functions
+        for (const usage of node.usedBy) {
+            if (['measure', 'column', 'table', 'tablePermission', 'function'].includes(usage.type)) {
+                await this.addExpressionDAXReferenceChange(usage, 'function-dax-reference', `${oldName}()`, rewriteDAX);
+            }
+        }
+
+        // 3. Update calls in report-level measures (reportExtensions.json)
+        for (const usage of node.usedBy) {
+            if (usage.type === 'reportMeasure') {
+                this.addReportMeasureDAXReferenceChange(usage, `${oldName}()`, rewriteDAX,
+                    { kind: 'function', oldName, newName });
+            }
+        }
+    }
+
+    /**
+     * Replace calls to a user-defined function in a DAX expression
+     * Only call sites ("Name(") are renamed, so a table or variable with the same name is left alone.
+     * @param {string} dax - The DAX expression
+     * @param {string} oldName - Old function name
+     * @param {string} newName - New function name
+     * @returns {string} Updated DAX
+     */
+    replaceFunctionInDAX(dax, oldName, newName) {
+        const { references } = DAXParser.extractReferences(dax);
+        const edits = references
+            .filter(ref => ref.kind === 'function' && this._sameName(ref.name, oldName))
+            .map(ref => ({ start: ref.start, end: ref.end, text: newName }));
+
+        return this._applyDAXEdits(dax, edits);
+    }
+
+    /**
+     * Preview deleting a measure or column
+     * The object's block is removed from its table file together with its "///" description and
+     * annotations. Everything that would stop the model from loading is removed with it where that is
+     * unambiguous: relationships built on a deleted column, sortByColumn properties pointing at it,
+     * perspective entries and translations. Deletes rated dangerous by analyzeDelete() are refused
+     * unless confirmed.
+     * @param {string} name - Measure or column name
+     * @param {string} nodeType - "measure" or "column"
+     * @param {string} tableName - For columns, the table name
+     * @param {Object} options - { removeFromReports: false, confirmDangerous: false }
+     *   removeFromReports also drops the field from visual projections, sorts and filters and from page/report filters
+     * @returns {Array<Object>} Array of change objects
+     */
+    async previewDelete(name, nodeType, tableName = null, options = {}) {
+        console.log(`Previewing delete: ${nodeType === 'column' ? `${tableName}[${name}]` : `[${name}]`}`);
+
+        this.previewChanges = [];
+        this.previewWarnings = [];
+        this.backups.clear();
+
+        if (nodeType !== 'measure' && nodeType !== 'column') {
+            throw new Error(`Deleting a ${nodeType} is not supported`);
+        }
+
+        const nodeId = nodeType === 'measure' ? `Measure.${name}` : `${tableName}.${name}`;
+        const node = this.analyzer.dependencyGraph.nodes[nodeId];
+        if (!node || node.type !== nodeType) {
+            throw new Error(`${nodeType === 'measure' ? 'Measure' : 'Column'} "${nodeType === 'column' ? `${tableName}[${name}]` : name}" not found`);
+        }
+
+        const analysis = this.analyzer.analyzeDelete(nodeId);
+        if (analysis.riskLevel === 'dangerous' && !options.confirmDangerous) {
+            const reasons = [analysis.securityMessage, analysis.structureMessage, analysis.relationshipMessage, analysis.filterMessage]
+                .filter(Boolean);
+            throw new Error(`Delete is rated dangerous (${analysis.totalBreaks} breaks${reasons.length > 0 ? `; ${reasons.join('; ')}` : ''}). ` +
+                'Confirm the delete explicitly to preview it.');
+        }
+
+        // 1. Remove the definition block from the table .tmdl file
+        const homeTable = nodeType === 'measure' ? (node.tableName || 'Measure') : tableName;
+        const label = nodeType === 'measure' ? `measure "${name}"` : `column ${tableName}[${name}]`;
+        this.previewChanges.push({
+            file: this.getTableFilePath(homeTable),
+            type: 'object-delete',
+            description: `Delete ${label}`,
+            oldContent: this._formatDeletedObjectSnippet(node, nodeType, name),
+            newContent: '',
+            objectKind: nodeType,
+            objectName: name
+        });
+
+        // 2. A relationship cannot outlive its column
+        for (const relationship of analysis.directBreaks.relationships) {
+            const parsed = this._getRelationship(relationship.name);
+            this.previewChanges.push({
+                file: 'definition/relationships.tmdl',
+                type: 'relationship-delete',
+                description: `Delete relationship ${RelationshipGraph.describe(parsed)} (uses the deleted column)`,
+                oldContent: this._formatRelationshipBlock(parsed),
+                newContent: '',
+                relationshipName: parsed.name
+            });
+        }
+
+        // 2b. Drop the sortByColumn of columns sorted by the deleted column (the default order applies again)
+        const sortedColumns = analysis.directBreaks.columnProperties.filter(property => property.relation === 'sortByColumn');
+        for (const property of sortedColumns) {
+            const sortedNode = this.analyzer.dependencyGraph.nodes[property.nodeId];
+            if (!sortedNode) continue;
+            this.previewChanges.push({
+                file: this.getTableFilePath(homeTable),
+                type: 'column-property-removal',
+                description: `Remove sortByColumn from ${property.name}`,
+                oldContent: `column ${TMDLParser.quoteName(sortedNode.column)}\n\tsortByColumn: ${TMDLParser.quoteName(name)}`,
+                newContent: `column ${TMDLParser.quoteName(sortedNode.column)}`,
+                columnName: sortedNode.column,
+                propertyName: 'sortByColumn',
+                targetColumn: name
+            });
+        }
+
+        // 2c. Remove the perspective entries and translations of the object
+        for (const usage of node.usedBy) {
+            if (usage.type === 'perspective' && usage.entryKind === nodeType) {
+                const perspectiveNode = this.analyzer.dependencyGraph.nodes[usage.ref];
+                if (!perspectiveNode) continue;
+                const keyword = `perspective${nodeType.charAt(0).toUpperCase()}${nodeType.slice(1)}`;
+                this.previewChanges.push({
+                    file: this.getPerspectiveFilePath(perspectiveNode.fileName),
+                    type: 'perspective-entry-removal',
+                    description: `Remove ${nodeType} entry from perspective "${usage.name}"`,
+                    oldContent: `${keyword} ${TMDLParser.quoteName(name)}`,
+                    newContent: '',
+                    perspectiveName: usage.name,
+                    perspectiveTable: usage.perspectiveTable,
+                    entryKind: nodeType,
+                    oldName: name
+                });
+            } else if (usage.type === 'culture') {
+                const cultureNode = this.analyzer.dependencyGraph.nodes[usage.ref];
+                if (!cultureNode) continue;
+                if (usage.translated) {
+                    this.previewChanges.push({
+                        file: this.getCultureFilePath(cultureNode.fileName),
+                        type: 'culture-translation-removal',
+                        description: `Remove translation of ${label} from culture "${usage.name}"`,
+                        oldContent: `${nodeType} ${TMDLParser.quoteName(name)}`,
+                        newContent: '',
+                        objectKind: nodeType,
+                        objectName: name,
+                        translationTable: usage.translationTable || homeTable
+                    });
+                }
+                if (usage.linguistic) {
+                    this.previewWarnings.push(`Q&A linguistic metadata of culture "${usage.name}" still binds terms to ${label}; remove the entity entry by hand`);
+                }
+            }
+        }
+
+        // 3. Optionally take the field out of visuals and page/report filters
+        const field = { kind: nodeType, table: homeTable, name: name };
+        const reportUsages = node.usedBy.filter(usage => usage.type === 'visual' || usage.type === 'page' || usage.type === 'report');
+        if (options.removeFromReports) {
+            const seen = new Set();
+            for (const usage of reportUsages) {
+                const key = `${usage.reportName || ''}|${usage.type}|${usage.pageId || ''}|${usage.visualId || ''}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                this.addReportFieldRemovalChange(field, usage);
+            }
+        } else if (reportUsages.length > 0) {
+            this.previewWarnings.push(`${reportUsages.length} visual${reportUsages.length !== 1 ? 's' : ''} or filter${reportUsages.length !== 1 ? 's' : ''} still reference${reportUsages.length === 1 ? 's' : ''} this ${nodeType} and will show an error`);
+        }
+
+        // 4. Everything else that breaks must be fixed by hand
+        const propertyColumns = new Set(analysis.directBreaks.columnProperties.map(property => property.nodeId));
+        const referenceBreaks = ['measures', 'columns', 'tables', 'functions', 'reportMeasures']
+            .flatMap(group => analysis.directBreaks[group])
+            .filter(item => !propertyColumns.has(item.nodeId))
+            .map(item => item.type === 'column' ? `${item.table}[${item.column}]` : (item.name || item.nodeId));
+        if (referenceBreaks.length > 0) {
+            this.previewWarnings.push(`Objects that reference it will break: ${referenceBreaks.join(', ')}`);
+        }
+        const structureBreaks = [
+            ...analysis.directBreaks.levels.map(level => `hierarchy level ${level.name}`),
+            ...analysis.directBreaks.columnProperties
+                .filter(property => property.relation !== 'sortByColumn')
+                .map(property => `${property.relation} of ${property.name}`)
+        ];
+        if (structureBreaks.length > 0) {
+            this.previewWarnings.push(`The model will not load until these are removed or repointed by hand: ${structureBreaks.join('; ')}`);
+        }
+        for (const message of [analysis.securityMessage, analysis.relationshipMessage]) {
+            if (message) this.previewWarnings.push(message);
+        }
+        const bookmarks = analysis.directBreaks.bookmarks.map(bookmark => bookmark.name);
+        if (bookmarks.length > 0) {
+            this.previewWarnings.push(`Bookmarks capturing it: ${bookmarks.join(', ')}`);
+        }
+
+        console.log(`Preview complete: ${this.previewChanges.length} changes, ${this.previewWarnings.length} warnings`);
+
+        return this.previewChanges;
+    }
+
+    /**
+     * Add a change removing a deleted field from a visual, page filters or report filters
+     * @param {Object} field - { kind: 'measure'|'column', table, name }
+     * @param {Object} usage - usedBy entry of type 'visual', 'page' or 'report'
+     */
+    addReportFieldRemovalChange(field, usage) {
+        const reportName = usage.reportName || null;
+        const fieldLabel = field.kind === 'measure' ? `[${field.name}]` : `${field.table}[${field.name}]`;
+        let location;
+        let relativePath;
+        if (usage.type === 'visual') {
+            location = `visual ${usage.visualId} on page ${usage.pageId}`;
+            relativePath = `definition/pages/${usage.pageId}/visuals/${usage.visualId}/visual.json`;
+        } else if (usage.type === 'page') {
+            location = `page filters on "${usage.name}"`;
+            relativePath = `definition/pages/${usage.pageId}/page.json`;
+        } else {
+            location = 'report-level filters';
+            relativePath = 'definition/report.json';
+        }
+
+        // report.json of a legacy report embeds every visual as a JSON string
+        if (this.isLegacyReport(reportName)) {
+            this.previewWarnings.push(`Remove ${fieldLabel} from ${location} by hand (PBIR-Legacy report format)`);
+            return;
+        }
+
+        const propertyKey = field.kind === 'measure' ? 'Measure' : 'Column';
+        this.previewChanges.push({
+            file: this.getReportFilePath(relativePath, reportName),
+            type: 'report-field-removal',
+            description: `Remove ${fieldLabel} from ${location}`,
+            oldContent: `"${propertyKey}": { "Entity": "${field.table}", "Property": "${field.name}" }`,
+            newContent: '',
+            field: field
+        });
+    }
+
+    /**
+     * Readable snippet of a measure or column being deleted (the file itself is edited from its parsed lines)
+     * @private
+     */
+    _formatDeletedObjectSnippet(node, nodeType, name) {
+        const header = `${nodeType} ${TMDLParser.quoteName(name)}`;
+        const dax = node.dax;
+        if (!dax) return header;
+        const snippet = dax.substring(0, 200) + (dax.length > 200 ? '...' : '');
+        return `${header} = ${snippet}`;
+    }
+
+    /**
+     * Preview moving a measure to another table
+     * The measure block (with its description, properties and annotations) is cut from its home
+     * table file and appended to the destination table. Unqualified [Measure] references keep
+     * working; DAX that qualifies the measure with its old table (Sales[Total Sales]) and report
+     * JSON, which names the home table as the measure's Entity, are pointed at the new table.
+     * @param {string} measureName - Measure to move
+     * @param {string} targetTableName - Destination table
+     * @returns {Array<Object>} Array of change objects
+     */
+    async previewMeasureMove(measureName, targetTableName) {
+        console.log(`Previewing measure move: [${measureName}] -> ${targetTableName}`);
+
+        this.previewChanges = [];
+        this.previewWarnings = [];
+        this.backups.clear();
+
+        const node = this.analyzer.dependencyGraph.nodes[`Measure.${measureName}`];
+        if (!node) {
+            throw new Error(`Measure "${measureName}" not found`);
+        }
+        const sourceTableName = node.tableName || 'Measure';
+        if (!this.analyzer.dependencyGraph.nodes[`Table.${targetTableName}`]) {
+            throw new Error(`Table "${targetTableName}" not found`);
+        }
+        if (targetTableName === sourceTableName) {
+            throw new Error(`Measure "${measureName}" is already in table "${targetTableName}"`);
+        }
+        const clash = this.analyzer.dependencyGraph.nodes[`${targetTableName}.${measureName}`];
+        if (clash && clash.type === 'column') {
+            throw new Error(`Table "${targetTableName}" already has a column named "${measureName}"`);
+        }
+
+        // 1. Cut the block from the home table. The file is read so the preview shows the exact
+        // lines that move, including annotations the parser does not keep.
+        const sourceFile = this.getTableFilePath(sourceTableName);
+        const sourceContent = await this._readFile(sourceFile);
+        const range = this._findTMDLObjectRange(sourceContent, 'measure', measureName);
+        if (!range) {
+            throw new Error(`Measure "${measureName}" not found in ${sourceFile}`);
+        }
+        const block = range.lines.slice(range.first, range.last + 1).map(line => line.replace(/\r$/, '')).join('\n');
+
+        this.previewChanges.push({
+            file: sourceFile,
+            type: 'object-delete',
+            description: `Move measure "${measureName}" out of table "${sourceTableName}"`,
+            oldContent: block,
+            newContent: '',
+            objectKind: 'measure',
+            objectName: measureName
+        });
+
+        // 2. Append it to the destination table
+        this.previewChanges.push({
+            file: this.getTableFilePath(targetTableName),
+            type: 'measure-move-in',
+            description: `Move measure "${measureName}" into table "${targetTableName}"`,
+            oldContent: '',
+            newContent: block,
+            block: block
+        });
+
+        // 3. Point OldTable[Measure] references in DAX at the new home table
+        const qualifiedLabel = `${DAXParser.quoteTableName(sourceTableName)}[${measureName}]`;
+        const rewriteDAX = (dax) => this.replaceMeasureTableInDAX(dax, measureName, sourceTableName, targetTableName);
+        for (const usage of node.usedBy) {
+            if (usage.type === 'measure' || usage.type === 'column' || usage.type === 'table' ||
+                usage.type === 'tablePermission' || usage.type === 'function') {
+                await this.addExpressionDAXReferenceChange(usage, 'measure-dax-reference', qualifiedLabel, rewriteDAX);
+            } else if (usage.type === 'reportMeasure') {
+                this.addReportMeasureDAXReferenceChange(usage, qualifiedLabel, rewriteDAX,
+                    { kind: 'measure', oldName: measureName, newName: measureName });
+            }
+        }
+
+        // 4. Point report references at the new home table
+        const move = { measureName, oldTable: sourceTableName, newTable: targetTableName };
+        const seen = new Set();
+        for (const usage of node.usedBy) {
+            const reportName = usage.reportName || null;
+            let relativePath = null;
+            let location = null;
+
+            if (usage.type === 'visual') {
+                relativePath = `definition/pages/${usage.pageId}/visuals/${usage.visualId}/visual.json`;
+                location = `visual ${usage.visualId} on page ${usage.pageId}`;
+            } else if (usage.type === 'page') {
+                relativePath = `definition/pages/${usage.pageId}/page.json`;
+                location = `page filters on "${usage.name}"`;
+            } else if (usage.type === 'report') {
+                relativePath = 'definition/report.json';
+                location = 'report-level filters';
+            } else if (usage.type === 'bookmark') {
+                const bookmarkNode = this.analyzer.dependencyGraph.nodes[usage.ref];
+                if (!bookmarkNode || !bookmarkNode.fileName) continue;
+                relativePath = `definition/bookmarks/${bookmarkNode.fileName}`;
+                location = `bookmark "${usage.name}"`;
+            } else if (usage.type === 'reportMeasure') {
+                relativePath = 'definition/reportExtensions.json';
+                location = 'report measure references';
+            } else {
+                continue;
+            }
+
+            // report.json of a legacy report embeds visuals as JSON strings with aliased table references
+            if (this.isLegacyReport(reportName) && usage.type !== 'reportMeasure') {
+                this.previewWarnings.push(`Update ${location} by hand: PBIR-Legacy reports are not rewritten by a move`);
+                continue;
+            }
+
+            const file = this.getReportFilePath(relativePath, reportName);
+            if (seen.has(file)) continue;
+            seen.add(file);
+
+            this.previewChanges.push({
+                file: file,
+                type: 'measure-move-reference',
+                description: `Update the table of measure "${measureName}" in ${location}`,
+                oldContent: `"Entity": "${sourceTableName}", "Property": "${measureName}"`,
+                newContent: `"Entity": "${targetTableName}", "Property": "${measureName}"`,
+                move: move
+            });
+        }
+
+        // Perspective and translation entries are grouped by table; moving them means restructuring the file
+        for (const usage of node.usedBy) {
+            if (usage.type === 'perspective') {
+                this.previewWarnings.push(`Perspective "${usage.name}" lists the measure under table "${sourceTableName}"; move the entry to "${targetTableName}" by hand`);
+            } else if (usage.type === 'culture') {
+                this.previewWarnings.push(`Culture "${usage.name}" translates the measure under table "${sourceTableName}"; move the translation to "${targetTableName}" by hand`);
+            }
+        }
+
+        console.log(`Preview complete: ${this.previewChanges.length} changes, ${this.previewWarnings.length} warnings`);
+
+        return this.previewChanges;
+    }
+
+    /**
+     * Point the references to a moved measure in report JSON at its new table
+     * Handles PBIR field expressions (Measure.Expression.SourceRef.Entity) with their queryRef
+     * strings, and the resolved references of report measures in reportExtensions.json.
+     * @param {string} content - Current JSON file content
+     * @param {Object} change - A 'measure-move-reference' change
+     * @returns {string} Updated content
+     */
+    rewriteMovedMeasureReferences(content, change) {
+        const data = JSON.parse(content);
+        const move = change.move;
+        const queryRefRenames = new Map([[`${move.oldTable}.${move.measureName}`, `${move.newTable}.${move.measureName}`]]);
+        let changed = false;
+
+        JSONParser.walkFieldReferences(data, (kind, ref) => {
+            const sourceRef = ref.Expression?.SourceRef;
+            if (kind === 'measure' && ref.Property === move.measureName && sourceRef?.Entity === move.oldTable) {
+                sourceRef.Entity = move.newTable;
+                changed = true;
+            }
+        });
+
+        const visit = (value, depth) => {
+            if (!value || typeof value !== 'object' || depth > 40) return;
+            if (Array.isArray(value)) {
+                value.forEach(item => visit(item, depth + 1));
+                return;
+            }
+            for (const [key, child] of Object.entries(value)) {
+                if (typeof child === 'string' && ['queryRef', 'Name', 'queryName'].includes(key)) {
+                    const updated = this._renameQueryRefString(child, { kind: 'measure' }, queryRefRenames);
+                    if (updated !== child) {
+                        value[key] = updated;
+                        changed = true;
+                    }
+                } else {
+                    visit(child, depth + 1);
+                }
+            }
+        };
+        visit(data, 0);
+
+        // reportExtensions.json: { entities: [{ measures: [{ references: { measures: [{ entity, name }] } }] }] }
+        for (const entity of data.entities || []) {
+            for (const measure of entity.measures || []) {
+                for (const ref of measure.references?.measures || []) {
+                    if (ref.name === move.measureName && ref.entity === move.oldTable) {
+                        ref.entity = move.newTable;
+                        changed = true;
+                    }
+                }
+            }
+        }
+
+        return changed ? this._patchJSONLikeOriginal(data, content) : content;
+    }
+
+    /**
+     * Read a semantic model or report file as text
+     * @private
+     */
+    async _readFile(filePath) {
+        const fileHandle = await this.getFileHandleFromPath(filePath);
+        const file = await fileHandle.getFile();
+        return file.text();
+    }
+
+    /**
+     * Preview deleting a relationship from relationships.tmdl
+     * Measures that activate or change the relationship with USERELATIONSHIP or CROSSFILTER cannot be
+     * fixed automatically, so they are listed in previewWarnings together with the table pairs that
+     * stop filtering each other.
+     * @param {string} relationshipName - Relationship name as declared in relationships.tmdl
+     * @returns {Array<Object>} Array of change objects
+     */
+    async previewRelationshipDelete(relationshipName) {
+        this.previewChanges = [];
+        this.previewWarnings = [];
+        this.backups.clear();
+
+        const relationship = this._getRelationship(relationshipName);
+        const label = RelationshipGraph.describe(relationship);
+        console.log(`Previewing relationship delete: ${label}`);
+
+        this.previewChanges.push({
+            file: 'definition/relationships.tmdl',
+            type: 'relationship-delete',
+            description: `Delete relationship ${label}`,
+            oldContent: this._formatRelationshipBlock(relationship),
+            newContent: '',
+            relationshipName: relationship.name
+        });
+
+        for (const usage of this._getRelationshipUsages(relationship)) {
+            this.previewWarnings.push(`${this._describeRelationshipUsage(usage)} calls ${usage.function} on this relationship and will fail once it is deleted`);
+        }
+
+        const removal = this.analyzer.analyzeRelationshipRemoval([relationship]);
+        if (removal.lostFilterPaths.length > 0) {
+            const pairs = removal.lostFilterPaths.map(pair => `${pair.fromTable} → ${pair.toTable}`);
+            this.previewWarnings.push(`Filters stop propagating: ${pairs.join(', ')}`);
+        }
+
+        console.log(`Preview complete: ${this.previewChanges.length} changes, ${this.previewWarnings.length} warnings`);
+
+        return this.previewChanges;
+    }
+
+    /**
+     * Preview pointing a relationship at different columns
+     * USERELATIONSHIP and CROSSFILTER calls on the relationship are rewritten to the new columns.
+     * @param {string} relationshipName - Relationship name as declared in relationships.tmdl
+     * @param {Object} newFrom - { table, column } for the many side (fromColumn)
+     * @param {Object} newTo - { table, column } for the one side (toColumn)
+     * @returns {Array<Object>} Array of change objects
+     */
+    async previewRelationshipColumnChange(relationshipName, newFrom, newTo) {
+        this.previewChanges = [];
+        this.previewWarnings = [];
+        this.backups.clear();
+
+        const relationship = this._getRelationship(relationshipName);
+        const label = RelationshipGraph.describe(relationship);
+
+        for (const column of [newFrom, newTo]) {
+            if (!column || !column.table || !column.column) {
+                throw new Error('Both relationship columns are required');
+            }
+            const node = this.analyzer.dependencyGraph.nodes[`${column.table}.${column.column}`];
+            if (!node || node.type !== 'column') {
+                throw new Error(`Column ${column.table}[${column.column}] not found`);
+            }
+        }
+        if (newFrom.table === newTo.table) {
+            throw new Error('A relationship must connect columns of two different tables');
+        }
+        if (newFrom.table === relationship.fromTable && newFrom.column === relationship.fromColumn &&
+            newTo.table === relationship.toTable && newTo.column === relationship.toColumn) {
+            throw new Error('The relationship already uses these columns');
+        }
+        const existing = this.analyzer.relationshipGraph && this.analyzer.relationshipGraph.findRelationship(newFrom, newTo);
+        if (existing && existing.name !== relationship.name) {
+            throw new Error(`A relationship between these columns already exists: ${RelationshipGraph.describe(existing)}`);
+        }
+
+        const newLabel = RelationshipGraph.describe({ ...relationship, fromTable: newFrom.table, fromColumn: newFrom.column,
+            toTable: newTo.table, toColumn: newTo.column });
+        console.log(`Previewing relationship change: ${label} -> ${newLabel}`);
+
+        // 1. Update fromColumn / toColumn in relationships.tmdl
+        const fromValue = this._formatRelationshipColumn(newFrom);
+        const toValue = this._formatRelationshipColumn(newTo);
+        this.previewChanges.push({
+            file: 'definition/relationships.tmdl',
+            type: 'relationship-columns',
+            description: `Change relationship ${label} to ${newLabel}`,
+            oldContent: `fromColumn: ${this._formatRelationshipColumn({ table: relationship.fromTable, column: relationship.fromColumn })}\n` +
+                `toColumn: ${this._formatRelationshipColumn({ table: relationship.toTable, column: relationship.toColumn })}`,
+            newContent: `fromColumn: ${fromValue}\ntoColumn: ${toValue}`,
+            relationshipName: relationship.name,
+            fromColumn: fromValue,
+            toColumn: toValue
+        });
+
+        // 2. Point USERELATIONSHIP / CROSSFILTER calls at the new columns
+        const rewriteDAX = (dax) => this.replaceRelationshipColumnsInDAX(dax, relationship, newFrom, newTo);
+        const seen = new Set();
+        for (const usage of this._getRelationshipUsages(relationship)) {
+            if (seen.has(usage.ref)) continue;
+            seen.add(usage.ref);
+
+            if (['measure', 'column', 'table', 'tablePermission', 'function'].includes(usage.type)) {
+                await this.addExpressionDAXReferenceChange(usage, 'relationship-dax-reference', `relationship ${label}`, rewriteDAX);
+            } else if (usage.type === 'reportMeasure') {
+                this.addReportMeasureDAXReferenceChange(usage, `relationship ${label}`, rewriteDAX,
+                    { kind: 'relationship', oldName: relationship.name, newName: relationship.name });
+            }
+        }
+
+        // Moving a relationship to other tables changes which tables filter each other
+        if (newFrom.table !== relationship.fromTable || newTo.table !== relationship.toTable) {
+            const removal = this.analyzer.analyzeRelationshipRemoval([relationship]);
+            if (removal.lostFilterPaths.length > 0) {
+                const pairs = removal.lostFilterPaths.map(pair => `${pair.fromTable} → ${pair.toTable}`);
+                this.previewWarnings.push(`Filter paths through the old tables may be lost: ${pairs.join(', ')}`);
+            }
+        }
+
+        console.log(`Preview complete: ${this.previewChanges.length} changes, ${this.previewWarnings.length} warnings`);
+
+        return this.previewChanges;
+    }
+
+    /**
+     * Point the column arguments of USERELATIONSHIP / CROSSFILTER calls on a relationship at new columns
+     * @param {string} dax - The DAX expression
+     * @param {Object} relationship - Parsed relationship being changed
+     * @param {Object} newFrom - { table, column } replacing the fromColumn argument
+     * @param {Object} newTo - { table, column } replacing the toColumn argument
+     * @returns {string} Updated DAX
+     */
+    replaceRelationshipColumnsInDAX(dax, relationship, newFrom, newTo) {
+        const isColumn = (arg, table, column) => this._sameName(arg.table, table) && this._sameName(arg.column, column);
+        const edits = [];
+
+        for (const call of DAXParser.extractRelationshipFunctionCalls(dax)) {
+            const [first, second] = call.columns;
+            const sameOrder = isColumn(first, relationship.fromTable, relationship.fromColumn) &&
+                isColumn(second, relationship.toTable, relationship.toColumn);
+            const swapped = isColumn(first, relationship.toTable, relationship.toColumn) &&
+                isColumn(second, relationship.fromTable, relationship.fromColumn);
+            if (!sameOrder && !swapped) continue;
+
+            const targets = sameOrder ? [newFrom, newTo] : [newTo, newFrom];
+            [first, second].forEach((arg, index) => {
+                edits.push({
+                    start: arg.start,
+                    end: arg.end,
+                    text: `${DAXParser.quoteTableName(targets[index].table, arg.tableQuoted)}${DAXParser.quoteBracketName(targets[index].column)}`
+                });
+            });
+        }
+
+        return this._applyDAXEdits(dax, edits);
+    }
+
+    /**
+     * Find a parsed relationship by name
+     * @private
+     */
+    _getRelationship(relationshipName) {
+        const relationship = (this.analyzer.relationships || []).find(rel => rel.name === relationshipName);
+        if (!relationship) {
+            throw new Error(`Relationship "${relationshipName}" not found`);
+        }
+        return relationship;
+    }
+
+    /**
+     * usedBy entries of a relationship node (objects calling USERELATIONSHIP or CROSSFILTER on it)
+     * @private
+     */
+    _getRelationshipUsages(relationship) {
+        const node = this.analyzer.dependencyGraph.nodes[`Relationship.${relationship.name}`];
+        return node ? node.usedBy : [];
+    }
+
+    /**
+     * Readable label for an object that calls USERELATIONSHIP or CROSSFILTER
+     * @private
+     */
+    _describeRelationshipUsage(usage) {
+        const node = this.analyzer.dependencyGraph.nodes[usage.ref] || {};
+        if (usage.type === 'measure') return `Measure "${usage.name}"`;
+        if (usage.type === 'reportMeasure') return `Report measure "${usage.name}"`;
+        if (usage.type === 'function') return `Function "${usage.name}"`;
+        if (usage.type === 'column') return `Calculated column ${node.table}[${node.column}]`;
+        if (usage.type === 'tablePermission') return `Row-level security filter on "${node.tableName}" in role "${node.roleName}"`;
+        return `Calculated table "${node.tableName || usage.name}"`;
+    }
+
+    /**
+     * Table.Column value of a relationship fromColumn/toColumn property
+     * @private
+     */
+    _formatRelationshipColumn(column) {
+        return `${TMDLParser.quoteName(column.table)}.${TMDLParser.quoteName(column.column)}`;
+    }
+
+    /**
+     * Approximate TMDL of a relationship for the preview (the file itself is rewritten from its parsed lines)
+     * @private
+     */
+    _formatRelationshipBlock(relationship) {
+        const lines = [`relationship ${TMDLParser.quoteName(relationship.name)}`];
+        if (relationship.isActive === false) lines.push('\tisActive: false');
+        if (relationship.crossFilteringBehavior) lines.push(`\tcrossFilteringBehavior: ${relationship.crossFilteringBehavior}`);
+        if (relationship.fromCardinality) lines.push(`\tfromCardinality: ${relationship.fromCardinality}`);
+        if (relationship.toCardinality) lines.push(`\ttoCardinality: ${relationship.toCardinality}`);
+        lines.push(`\tfromColumn: ${this._formatRelationshipColumn({ table: relationship.fromTable, column: relationship.fromColumn })}`);
+        lines.push(`\ttoColumn: ${this._formatRelationshipColumn({ table: relationship.toTable, column: relationship.toColumn })}`);
+        return lines.join('\n');
     }
 
     /**
      * Replace table name in DAX expression
      * Handles: Table[Column], 'Table'[Column], COUNTROWS(Table), COUNTROWS('Table'), etc.
+     * Quoted references stay quoted; unquoted ones are quoted only if the new name requires it.
      * @param {string} dax - The DAX expression
      * @param {string} oldTableName - Old table name
      * @param {string} newTableName - New table name
      * @returns {string} Updated DAX
      */
     replaceTableNameInDAX(dax, oldTableName, newTableName) {
-        let result = dax;
+        const { references } = DAXParser.extractReferences(dax);
+        const edits = [];
+
+        for (const ref of references) {
+            if ((ref.kind === 'column' || ref.kind === 'table') && this._sameName(ref.table, oldTableName)) {
+                edits.push({
+                    start: ref.tableStart,
+                    end: ref.tableEnd,
+                    text: DAXParser.quoteTableName(newTableName, ref.tableQuoted)
+                });
+            }
+        }
 
-        // Determine if the new table name needs quoting (has spaces or special chars)
-        const needsQuotes = /\s/.test(newTableName);
+        return this._applyDAXEdits(dax, edits);
+    }
 
-        // Pattern 1: Unquoted table name before column reference: TableName[Column]
-        const pattern1 = new RegExp(
-            `(?<!')${this.escapeRegex(oldTableName)}\\[`,
-            'gi'
-        );
-        result = result.replace(pattern1, (match) => {
-            const replacement = needsQuotes ? `'${newTableName}'[` : `${newTableName}[`;
-            return replacement;
-        });
+    /**
+     * Get the relative TMDL file path for a table
+     * @param {string} tableName - Table name
+     * @returns {string} Relative path like "definition/tables/Sales.tmdl"
+     */
+    getTableFilePath(tableName) {
+        const table = this.analyzer.tables.find(t => t.tableName === tableName);
+        const fileName = table && table.fileName ? table.fileName : `${tableName}.tmdl`;
+        return `definition/tables/${fileName}`;
+    }
 
-        // Pattern 2: Quoted table name before column reference: 'Table Name'[Column]
-        const pattern2 = new RegExp(
-            `'${this.escapeRegex(oldTableName)}'\\[`,
-            'gi'
-        );
-        result = result.replace(pattern2, `'${newTableName}'[`);
+    /**
+     * Get the relative TMDL file path for user-defined functions
+     * @param {string} fileName - Function file name, normally "functions.tmdl"
+     * @returns {string} Relative path like "definition/functions.tmdl"
+     */
+    getFunctionFilePath(fileName) {
+        return `definition/${fileName || 'functions.tmdl'}`;
+    }
 
-        // Pattern 3: Table name in function arguments (unquoted): COUNTROWS(TableName)
-        const tableFunctions = 'COUNTROWS|RELATEDTABLE|VALUES|ALL|DISTINCT|SUMMARIZE|ADDCOLUMNS|SELECTCOLUMNS|FILTER|CALCULATETABLE|TOPN|SAMPLE|GENERATE|GENERATEALL|NATURALLEFTOUTERJOIN|NATURALINNERJOIN|CROSSJOIN|UNION|INTERSECT|EXCEPT|DATATABLE|TREATAS';
-        const pattern3 = new RegExp(
-            `((?:${tableFunctions})\\s*\\(\\s*)(?<!')${this.escapeRegex(oldTableName)}(\\s*[,)])`,
-            'gi'
-        );
-        result = result.replace(pattern3, (match, prefix, suffix) => {
-            const replacement = needsQuotes ? `${prefix}'${newTableName}'${suffix}` : `${prefix}${newTableName}${suffix}`;
-            return replacement;
-        });
+    /**
+     * Get the relative TMDL file path for a perspective
+     * @param {string} fileName - Perspective file name, e.g. "Finance.tmdl"
+     * @returns {string} Relative path like "definition/perspectives/Finance.tmdl"
+     */
+    getPerspectiveFilePath(fileName) {
+        return `definition/perspectives/${fileName}`;
+    }
 
-        // Pattern 4: Table name in function arguments (quoted): COUNTROWS('Table Name')
-        const pattern4 = new RegExp(
-            `((?:${tableFunctions})\\s*\\(\\s*)'${this.escapeRegex(oldTableName)}'(\\s*[,)])`,
-            'gi'
-        );
-        result = result.replace(pattern4, `$1'${newTableName}'$2`);
+    /**
+     * Get the relative TMDL file path for a culture
+     * @param {string} fileName - Culture file name, e.g. "fr-FR.tmdl"
+     * @returns {string} Relative path like "definition/cultures/fr-FR.tmdl"
+     */
+    getCultureFilePath(fileName) {
+        return `definition/cultures/${fileName}`;
+    }
 
-        return result;
+    /**
+     * Get the relative TMDL file path for a security role
+     * @param {string} fileName - Role file name, e.g. "Sales Managers.tmdl"
+     * @returns {string} Relative path like "definition/roles/Sales Managers.tmdl"
+     */
+    getRoleFilePath(fileName) {
+        return `definition/roles/${fileName}`;
+    }
+
+    /**
+     * Get the relative TMDL file path of the table a measure is defined in
+     * @param {Object} measure - Parsed measure
+     * @returns {string} Relative path to the measure's home table file
+     */
+    getMeasureFilePath(measure) {
+        return this.getTableFilePath(measure.tableName || 'Measure');
     }
 
     /**
@@ -309,7 +1273,7 @@ class RefactoringEngine {
         if (!measure) return;
 
         const change = {
-            file: 'definition/tables/Measure.tmdl',
+            file: this.getMeasureFilePath(measure),
             type: 'measure-definition',
             description: `Rename measure "${oldName}" to "${newName}"`,
             oldContent: `measure '${oldName}' =`,
@@ -332,7 +1296,7 @@ class RefactoringEngine {
 
         if (oldDAX !== newDAX) {
             const change = {
-                file: 'definition/tables/Measure.tmdl',
+                file: this.getMeasureFilePath(affectedMeasure),
                 type: 'measure-dax-reference',
                 description: `Update reference in measure "${affectedMeasureName}"`,
                 oldContent: oldDAX.substring(0, 200) + (oldDAX.length > 200 ? '...' : ''),
@@ -356,11 +1320,11 @@ class RefactoringEngine {
 
         // Replace tableName[oldName] with tableName[newName] in DAX
         const oldDAX = affectedMeasure.dax;
-        const newDAX = this.replaceColumnInDAX(oldDAX, tableName, oldName, newName);
+        const newDAX = this.replaceColumnInDAX(oldDAX, tableName, oldName, newName, affectedMeasure.tableName);
 
         if (oldDAX !== newDAX) {
             const change = {
-                file: 'definition/tables/Measure.tmdl',
+                file: this.getMeasureFilePath(affectedMeasure),
                 type: 'column-dax-reference',
                 description: `Update ${tableName}[${oldName}] reference in measure "${affectedMeasureName}"`,
                 oldContent: oldDAX.substring(0, 200) + (oldDAX.length > 200 ? '...' : ''),
@@ -371,46 +1335,522 @@ class RefactoringEngine {
                 affectedMeasureName: affectedMeasureName
             };
 
-            this.previewChanges.push(change);
+            this.previewChanges.push(change);
+        }
+    }
+
+    /**
+     * Add a DAX reference change for a measure, calculated column, calculated table, RLS filter
+     * or user-defined function to preview
+     * @param {Object} usage - usedBy entry of type 'measure', 'column', 'table', 'tablePermission' or 'function'
+     *   pointing at the object
+     * @param {string} changeType - 'measure-dax-reference', 'column-dax-reference', 'table-dax-reference'
+     *   or 'function-dax-reference'
+     * @param {string} referenceLabel - Reference being updated, for the description
+     * @param {Function} rewriteDAX - (dax, homeTableName) => updated DAX
+     * @param {string|null} filePath - Target file, defaults to the object's table (role, functions) file
+     */
+    async addExpressionDAXReferenceChange(usage, changeType, referenceLabel, rewriteDAX, filePath = null) {
+        const objectNode = this.analyzer.dependencyGraph.nodes[usage.ref];
+        if (!objectNode || !objectNode.dax) return;
+
+        const homeTableName = usage.type === 'column' ? objectNode.table : objectNode.tableName;
+        let objectLabel;
+        let defaultFile;
+        if (usage.type === 'tablePermission') {
+            objectLabel = `row-level security filter on "${objectNode.tableName}" in role "${objectNode.roleName}"`;
+            defaultFile = this.getRoleFilePath(objectNode.fileName);
+        } else if (usage.type === 'function') {
+            objectLabel = `function "${objectNode.name}"`;
+            defaultFile = this.getFunctionFilePath(objectNode.fileName);
+        } else if (usage.type === 'measure') {
+            objectLabel = `measure "${objectNode.name}"`;
+            defaultFile = this.getMeasureFilePath(objectNode);
+        } else if (usage.type === 'column') {
+            objectLabel = `calculated column ${objectNode.table}[${objectNode.column}]`;
+            defaultFile = this.getTableFilePath(homeTableName);
+        } else {
+            objectLabel = `calculated table "${objectNode.tableName}"`;
+            defaultFile = this.getTableFilePath(homeTableName);
+        }
+
+        const oldDAX = objectNode.dax;
+        const newDAX = rewriteDAX(oldDAX, homeTableName);
+
+        if (oldDAX !== newDAX) {
+            this.previewChanges.push({
+                file: filePath || defaultFile,
+                type: changeType,
+                description: `Update ${referenceLabel} reference in ${objectLabel}`,
+                oldContent: oldDAX.substring(0, 200) + (oldDAX.length > 200 ? '...' : ''),
+                newContent: newDAX.substring(0, 200) + (newDAX.length > 200 ? '...' : ''),
+                fullOldContent: oldDAX,
+                fullNewContent: newDAX,
+                affectedObjectName: objectLabel
+            });
+        }
+    }
+
+    /**
+     * Add a DAX reference change for a report-level measure (reportExtensions.json) to preview
+     * @param {Object} usage - usedBy entry of type 'reportMeasure'
+     * @param {string} referenceLabel - e.g. "[Total Sales]" or "Sales[Amount]"
+     * @param {Function} rewriteDAX - (dax, homeTableName) => updated DAX
+     * @param {Object} rename - { kind: 'measure'|'column'|'table', table, oldName, newName }
+     */
+    addReportMeasureDAXReferenceChange(usage, referenceLabel, rewriteDAX, rename) {
+        const measureNode = this.analyzer.dependencyGraph.nodes[usage.ref];
+        if (!measureNode || !measureNode.dax) return;
+
+        const oldDAX = measureNode.dax;
+        const newDAX = rewriteDAX(oldDAX, measureNode.tableName);
+        if (oldDAX === newDAX) return;
+
+        this.previewChanges.push({
+            file: this.getReportFilePath('definition/reportExtensions.json', measureNode.reportName),
+            type: 'report-measure-reference',
+            description: `Update ${referenceLabel} reference in report measure "${measureNode.name}"`,
+            oldContent: oldDAX.substring(0, 200) + (oldDAX.length > 200 ? '...' : ''),
+            newContent: newDAX.substring(0, 200) + (newDAX.length > 200 ? '...' : ''),
+            fullOldContent: oldDAX,
+            fullNewContent: newDAX,
+            affectedObjectName: measureNode.name,
+            measureName: measureNode.name,
+            rename: rename
+        });
+    }
+
+    /**
+     * Rewrite reportExtensions.json for one report-measure change. Expressions are JSON
+     * strings (escaped quotes and newlines), so the file is parsed, updated and only the
+     * changed string values are written back.
+     * @param {string} content - Current reportExtensions.json content
+     * @param {Object} change - A 'report-measure-reference' change
+     * @returns {string} Updated content
+     */
+    rewriteReportExtensions(content, change) {
+        const extensions = JSON.parse(content);
+        const rename = change.rename;
+        let changed = false;
+
+        for (const entity of extensions.entities || []) {
+            // A change without measureName renames the entity the measures are attached to
+            if (!change.measureName && rename.kind === 'table' && entity.name === rename.oldName) {
+                entity.name = rename.newName;
+                changed = true;
+            }
+
+            for (const measure of entity.measures || []) {
+                if (change.measureName && measure.name === change.measureName && measure.expression === change.fullOldContent) {
+                    measure.expression = change.fullNewContent;
+                    changed = true;
+                }
+
+                // Keep the resolved reference list (if present) in sync with the expression
+                for (const [refKind, refs] of Object.entries(measure.references || {})) {
+                    if (!Array.isArray(refs)) continue;
+                    for (const ref of refs) {
+                        if (rename.kind === 'table' && ref.entity === rename.oldName) {
+                            ref.entity = rename.newName;
+                            changed = true;
+                        } else if (rename.kind === 'measure' && refKind === 'measures' && ref.name === rename.oldName) {
+                            ref.name = rename.newName;
+                            changed = true;
+                        }
+                    }
+                }
+            }
+        }
+
+        return changed ? this._patchJSONLikeOriginal(extensions, content) : content;
+    }
+
+    /**
+     * Add visual measure reference change to preview
+     * @param {string|null} reportName - Report of the visual when several reports are loaded
+     */
+    async addVisualMeasureReferenceChange(oldName, newName, pageId, visualId, reportName = null) {
+        if (this.isLegacyReport(reportName)) {
+            const measureNode = this.analyzer.dependencyGraph.nodes[`Measure.${oldName}`];
+            this.addLegacyReportChange({ kind: 'measure', table: measureNode?.tableName || null, oldName, newName }, pageId, visualId, null, reportName);
+            return;
+        }
+
+        const change = {
+            file: this.getReportFilePath(`definition/pages/${pageId}/visuals/${visualId}/visual.json`, reportName),
+            type: 'visual-measure-reference',
+            description: `Update measure reference in visual ${visualId} on page ${pageId}`,
+            oldContent: `"Property": "${oldName}"`,
+            newContent: `"Property": "${newName}"`
+        };
+
+        this.previewChanges.push(change);
+    }
+
+    /**
+     * Add visual column reference change to preview
+     * @param {string|null} reportName - Report of the visual when several reports are loaded
+     */
+    async addVisualColumnReferenceChange(oldName, newName, tableName, pageId, visualId, reportName = null) {
+        if (this.isLegacyReport(reportName)) {
+            this.addLegacyReportChange({ kind: 'column', table: tableName, oldName, newName }, pageId, visualId, null, reportName);
+            return;
+        }
+
+        const change = {
+            file: this.getReportFilePath(`definition/pages/${pageId}/visuals/${visualId}/visual.json`, reportName),
+            type: 'visual-column-reference',
+            description: `Update column reference in visual ${visualId} on page ${pageId}`,
+            oldContent: `"Property": "${oldName}"`,
+            newContent: `"Property": "${newName}"`
+        };
+
+        this.previewChanges.push(change);
+    }
+
+    /**
+     * Add a page-level or report-level filter reference change to preview
+     * PBIR keeps page filters in page.json and report filters in definition/report.json.
+     * @param {Object} rename - { kind: 'measure'|'column'|'table', table, oldName, newName }
+     * @param {Object} usage - usedBy entry of type 'page' or 'report'
+     */
+    addFilterReferenceChange(rename, usage) {
+        const filterLabel = usage.type === 'report' ? 'report-level filters' : `page filters on "${usage.name}"`;
+        const reportName = usage.reportName || null;
+
+        if (this.isLegacyReport(reportName)) {
+            this.addLegacyReportChange(rename, usage.pageId, null, filterLabel, reportName);
+            return;
+        }
+
+        const propertyKey = rename.kind === 'table' ? 'Entity' : 'Property';
+        this.previewChanges.push({
+            file: this.getReportFilePath(usage.type === 'report' ? 'definition/report.json' : `definition/pages/${usage.pageId}/page.json`, reportName),
+            type: usage.type === 'report' ? 'report-filter-reference' : 'page-filter-reference',
+            description: `Update ${rename.kind} reference in ${filterLabel}`,
+            oldContent: `"${propertyKey}": "${rename.oldName}"`,
+            newContent: `"${propertyKey}": "${rename.newName}"`
+        });
+    }
+
+    /**
+     * Add a bookmark reference change to preview
+     * PBIR bookmarks are separate files in definition/bookmarks; legacy bookmarks live in the report config.
+     * @param {Object} rename - { kind: 'measure'|'column'|'table', table, oldName, newName }
+     * @param {Object} usage - usedBy entry of type 'bookmark'
+     */
+    addBookmarkReferenceChange(rename, usage) {
+        const reportName = usage.reportName || null;
+
+        if (this.isLegacyReport(reportName)) {
+            this.addLegacyReportChange(rename, null, null, `bookmark "${usage.name}"`, reportName);
+            return;
+        }
+
+        const bookmarkNode = this.analyzer.dependencyGraph.nodes[usage.ref];
+        if (!bookmarkNode || !bookmarkNode.fileName) return;
+
+        const propertyKey = rename.kind === 'table' ? 'Entity' : 'Property';
+        this.previewChanges.push({
+            file: this.getReportFilePath(`definition/bookmarks/${bookmarkNode.fileName}`, reportName),
+            type: 'bookmark-reference',
+            description: `Update ${rename.kind} reference in bookmark "${usage.name}"`,
+            oldContent: `"${propertyKey}": "${rename.oldName}"`,
+            newContent: `"${propertyKey}": "${rename.newName}"`
+        });
+    }
+
+    /**
+     * Check whether a loaded report uses the PBIR-Legacy single report.json format
+     * @param {string|null} reportName - Report folder name when several reports are loaded
+     * @returns {boolean}
+     */
+    isLegacyReport(reportName = null) {
+        if (reportName) {
+            return this.fileAccess?.reportFormats?.[reportName] === 'legacy';
+        }
+        return this.fileAccess?.reportFormat === 'legacy';
+    }
+
+    /**
+     * Get the path of a report file as used in change objects.
+     * With several reports loaded the path starts with the report folder, so changes
+     * to identically named files of different reports are grouped and written separately.
+     * @param {string} relativePath - Path within the report folder, e.g. "definition/report.json"
+     * @param {string|null} reportName - Report folder name, or null for the single loaded report
+     * @returns {string}
+     */
+    getReportFilePath(relativePath, reportName) {
+        return reportName ? `${reportName}/${relativePath}` : relativePath;
+    }
+
+    /**
+     * Add (or extend) the report.json change for a rename in a PBIR-Legacy report.
+     * All visuals, filters and bookmarks live in one file, so a rename produces a single change
+     * that lists what is affected and is applied by rewriteLegacyReport().
+     * @param {Object} rename - { kind: 'measure'|'column'|'table', table, oldName, newName }
+     * @param {string|null} pageId
+     * @param {string|null} visualId - null for filters and bookmarks
+     * @param {string|null} locationLabel - Label of the affected filters or bookmark when visualId is null
+     * @param {string|null} reportName - Report folder name when several reports are loaded
+     */
+    addLegacyReportChange(rename, pageId, visualId, locationLabel = null, reportName = null) {
+        const file = this.getReportFilePath('report.json', reportName);
+        let change = this.previewChanges.find(c =>
+            c.type === 'legacy-report-reference' &&
+            c.file === file &&
+            c.rename.kind === rename.kind &&
+            c.rename.table === rename.table &&
+            c.rename.oldName === rename.oldName
+        );
+
+        if (!change) {
+            const propertyKey = rename.kind === 'table' ? 'Entity' : 'Property';
+            change = {
+                file: file,
+                type: 'legacy-report-reference',
+                description: '',
+                oldContent: `"${propertyKey}": "${rename.oldName}"`,
+                newContent: `"${propertyKey}": "${rename.newName}"`,
+                rename: rename,
+                displayName: rename.kind === 'column' ? `${rename.table}.${rename.oldName}` : rename.oldName,
+                visuals: [],
+                locations: []
+            };
+            this.previewChanges.push(change);
+        }
+
+        if (visualId) {
+            change.visuals.push(`${pageId}/${visualId}`);
+        } else {
+            change.locations.push(locationLabel);
+        }
+
+        const count = change.visuals.length;
+        const parts = [];
+        if (count > 0) {
+            parts.push(`${count} visual${count !== 1 ? 's' : ''}`);
+        }
+        if (change.locations.length > 0) {
+            parts.push(change.locations.join(', '));
+        }
+        change.description = `Update ${rename.kind} "${change.displayName}" in ${file} (${parts.join('; ')})`;
+    }
+
+    /**
+     * Rewrite a PBIR-Legacy report.json for a rename. The report, its sections and
+     * visual containers keep config/filters/query/dataTransforms as stringified JSON,
+     * so each embedded document is parsed, updated and stringified again in place.
+     * @param {string} content - Current report.json content
+     * @param {Object} rename - { kind: 'measure'|'column'|'table', table, oldName, newName }
+     * @returns {string} Updated report.json content
+     */
+    rewriteLegacyReport(content, rename) {
+        const report = JSON.parse(content);
+        let changed = false;
+
+        const rewriteProperties = (holder, keys) => {
+            if (!holder) return;
+            for (const key of keys) {
+                const value = holder[key];
+                const parsed = JSONParser.parseEmbeddedJSON(value);
+                if (!parsed || !this._renameInLegacyQuery(parsed, rename)) continue;
+
+                holder[key] = typeof value === 'string' ? JSON.stringify(parsed) : parsed;
+                changed = true;
+            }
+        };
+
+        rewriteProperties(report, ['config', 'filters']);
+        for (const section of report.sections || []) {
+            rewriteProperties(section, ['config', 'filters']);
+            for (const container of section.visualContainers || []) {
+                rewriteProperties(container, ['config', 'filters', 'query', 'dataTransforms']);
+            }
+        }
+
+        if (!changed) return content;
+
+        return this._patchJSONLikeOriginal(report, content);
+    }
+
+    /**
+     * Serialize JSON keeping the original file's indentation, line endings and trailing newline
+     * @param {Object} data - Updated document
+     * @param {string} content - Original file content
+     * @returns {string}
+     * @private
+     */
+    _stringifyLikeOriginal(data, content) {
+        const indentMatch = content.match(/^[{[]\r?\n([ \t]+)/);
+        const indent = indentMatch ? indentMatch[1] : 2;
+        const newline = content.includes('\r\n') ? '\r\n' : '\n';
+        let output = JSON.stringify(data, null, indent);
+        if (newline !== '\n') output = output.replace(/\n/g, newline);
+        return /\r?\n$/.test(content) ? output + newline : output;
+    }
+
+    /**
+     * Write the string values that differ between an updated document and the original JSON
+     * text back into that text, leaving the layout of everything else untouched
+     * @param {Object} data - Updated document (same structure as content, only string values changed)
+     * @param {string} content - Original JSON text
+     * @param {Array<{path: Array, newKey: string}>} keyRenames - Object member keys to rename, by member path
+     * @returns {string}
+     * @private
+     */
+    _patchJSONLikeOriginal(data, content, keyRenames = []) {
+        const samePath = (a, b) => a.length === b.length && a.every((key, i) => key === b[i]);
+        const edits = [];
+
+        for (const token of this._scanJSONStrings(content)) {
+            if (token.isKey) {
+                const keyRename = keyRenames.find(item => samePath(item.path, token.path));
+                if (keyRename) edits.push({ start: token.start, end: token.end, text: JSON.stringify(keyRename.newKey) });
+                continue;
+            }
+            const updated = token.path.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+            if (typeof updated === 'string' && updated !== token.value) {
+                edits.push({ start: token.start, end: token.end, text: JSON.stringify(updated) });
+            }
+        }
+
+        return this._applyDAXEdits(content, edits);
+    }
+
+    /**
+     * Locate every string in a JSON text
+     * @param {string} text - JSON text
+     * @returns {Array<Object>} { path, isKey, value, start, end } where path leads from the root to the
+     *   member or array item the string is (the key of)
+     * @private
+     */
+    _scanJSONStrings(text) {
+        const strings = [];
+        const stack = [];
+        let pos = 0;
+
+        while (pos < text.length) {
+            const ch = text[pos];
+            const frame = stack[stack.length - 1];
+
+            if (ch === '"') {
+                let end = pos + 1;
+                while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+                end++;
+                const value = JSON.parse(text.substring(pos, end));
+                const path = stack.map(item => (item.isArray ? item.index : item.key));
+                if (frame && !frame.isArray && frame.expectKey) {
+                    frame.key = value;
+                    frame.expectKey = false;
+                    path[path.length - 1] = value;
+                    strings.push({ path, isKey: true, value, start: pos, end });
+                } else {
+                    strings.push({ path, isKey: false, value, start: pos, end });
+                }
+                pos = end;
+                continue;
+            }
+
+            if (ch === '{' || ch === '[') {
+                stack.push({ isArray: ch === '[', index: 0, key: null, expectKey: ch === '{' });
+            } else if (ch === '}' || ch === ']') {
+                stack.pop();
+            } else if (ch === ',' && frame) {
+                if (frame.isArray) {
+                    frame.index++;
+                } else {
+                    frame.expectKey = true;
+                }
+            }
+            pos++;
         }
+
+        return strings;
     }
 
     /**
-     * Add visual measure reference change to preview
+     * Apply a rename to one parsed query/config/filter object from report.json (in place)
+     * @param {Object} node - Parsed embedded JSON
+     * @param {Object} rename - { kind, table, oldName, newName }
+     * @returns {boolean} True if anything was changed
+     * @private
      */
-    async addVisualMeasureReferenceChange(oldName, newName, pageId, visualId) {
-        const change = {
-            file: `definition/pages/${pageId}/visuals/${visualId}/visual.json`,
-            type: 'visual-measure-reference',
-            description: `Update measure reference in visual ${visualId} on page ${pageId}`,
-            oldContent: `"Property": "${oldName}"`,
-            newContent: `"Property": "${newName}"`
+    _renameInLegacyQuery(node, rename) {
+        let changed = false;
+        // queryRef / Name strings look like "Entity.Property" or "Sum(Entity.Property)"
+        const queryRefRenames = new Map();
+
+        JSONParser.walkFieldReferences(node, (kind, ref, entity) => {
+            if (rename.kind === 'measure' && kind === 'measure' && ref.Property === rename.oldName) {
+                ref.Property = rename.newName;
+                queryRefRenames.set(`${entity}.${rename.oldName}`, `${entity}.${rename.newName}`);
+                changed = true;
+            } else if (rename.kind === 'column' && kind === 'column' && entity === rename.table && ref.Property === rename.oldName) {
+                ref.Property = rename.newName;
+                queryRefRenames.set(`${entity}.${rename.oldName}`, `${entity}.${rename.newName}`);
+                changed = true;
+            }
+        });
+
+        const visit = (value, depth) => {
+            if (!value || typeof value !== 'object' || depth > 40) return;
+            if (Array.isArray(value)) {
+                value.forEach(item => visit(item, depth + 1));
+                return;
+            }
+
+            for (const [key, child] of Object.entries(value)) {
+                if (typeof child === 'string') {
+                    if (rename.kind === 'table' && key === 'Entity' && child === rename.oldName) {
+                        value[key] = rename.newName;
+                        changed = true;
+                    } else if (['queryRef', 'Name', 'queryName', 'nativeQueryRef'].includes(key)) {
+                        const updated = this._renameQueryRefString(child, rename, queryRefRenames);
+                        if (updated !== child) {
+                            value[key] = updated;
+                            changed = true;
+                        }
+                    }
+                } else {
+                    visit(child, depth + 1);
+                }
+            }
         };
+        visit(node, 0);
 
-        this.previewChanges.push(change);
+        return changed;
     }
 
     /**
-     * Add visual column reference change to preview
+     * Rename the "Entity.Property" parts of a legacy queryRef string
+     * @param {string} text - e.g. "Sales.Total Sales" or "Sum(Sales.Amount)"
+     * @param {Object} rename - { kind, oldName, newName }
+     * @param {Map<string, string>} queryRefRenames - "Entity.Old" -> "Entity.New" for measure/column renames
+     * @returns {string}
+     * @private
      */
-    async addVisualColumnReferenceChange(oldName, newName, tableName, pageId, visualId) {
-        const change = {
-            file: `definition/pages/${pageId}/visuals/${visualId}/visual.json`,
-            type: 'visual-column-reference',
-            description: `Update column reference in visual ${visualId} on page ${pageId}`,
-            oldContent: `"Property": "${oldName}"`,
-            newContent: `"Property": "${newName}"`
-        };
+    _renameQueryRefString(text, rename, queryRefRenames) {
+        if (rename.kind === 'table') {
+            const pattern = new RegExp(`(^|[(,\\s])${this.escapeRegex(rename.oldName)}\\.`, 'g');
+            return text.replace(pattern, `$1${rename.newName}.`);
+        }
 
-        this.previewChanges.push(change);
+        let result = text;
+        for (const [oldRef, newRef] of queryRefRenames) {
+            const pattern = new RegExp(`(^|[(,\\s])${this.escapeRegex(oldRef)}(?=$|[),])`, 'g');
+            result = result.replace(pattern, `$1${newRef}`);
+        }
+        return result;
     }
 
     /**
-     * Add column definition change to preview
+     * Add column definition change to preview, plus the column properties that point at the column
+     * (sortByColumn and groupByColumn of columns in the same table, variation defaultColumn of any column)
      */
     async addColumnDefinitionChange(oldName, newName, tableName) {
         const change = {
-            file: `definition/tables/${tableName}.tmdl`,
+            file: this.getTableFilePath(tableName),
             type: 'column-definition',
             description: `Rename column "${oldName}" to "${newName}" in table ${tableName}`,
             oldContent: `column '${oldName}'`,
@@ -418,6 +1858,50 @@ class RefactoringEngine {
         };
 
         this.previewChanges.push(change);
+
+        const node = this.analyzer.dependencyGraph.nodes[`${tableName}.${oldName}`];
+        const linkedUsages = node ? node.usedBy.filter(usage => usage.type === 'column' && usage.relation) : [];
+
+        // sortByColumn / groupByColumn hold a bare column name of the same table
+        for (const propertyName of ['sortByColumn', 'groupByColumn']) {
+            const usages = linkedUsages.filter(usage => usage.relation === propertyName);
+            if (usages.length === 0) continue;
+
+            this.previewChanges.push({
+                file: this.getTableFilePath(tableName),
+                type: 'column-property-reference',
+                description: `Update ${propertyName} of ${usages.map(usage => usage.name).join(', ')}`,
+                oldContent: `${propertyName}: ${TMDLParser.quoteName(oldName)}`,
+                newContent: `${propertyName}: ${TMDLParser.quoteName(newName)}`,
+                propertyName: propertyName,
+                oldColumnName: oldName,
+                newColumnName: newName,
+                qualifierTable: null
+            });
+        }
+
+        // variation defaultColumn holds a Table.Column reference, usually from another table's file
+        const variationFiles = new Map();
+        for (const usage of linkedUsages.filter(u => u.relation === 'variation')) {
+            const sourceNode = this.analyzer.dependencyGraph.nodes[usage.ref];
+            if (!sourceNode) continue;
+            const file = this.getTableFilePath(sourceNode.table);
+            if (!variationFiles.has(file)) variationFiles.set(file, []);
+            variationFiles.get(file).push(usage.name);
+        }
+        for (const [file, columnNames] of variationFiles) {
+            this.previewChanges.push({
+                file: file,
+                type: 'column-property-reference',
+                description: `Update variation default column of ${columnNames.join(', ')}`,
+                oldContent: `defaultColumn: ${TMDLParser.quoteName(tableName)}.${TMDLParser.quoteName(oldName)}`,
+                newContent: `defaultColumn: ${TMDLParser.quoteName(tableName)}.${TMDLParser.quoteName(newName)}`,
+                propertyName: 'defaultColumn',
+                oldColumnName: oldName,
+                newColumnName: newName,
+                qualifierTable: tableName
+            });
+        }
     }
 
     /**
@@ -443,7 +1927,7 @@ class RefactoringEngine {
         }
 
         const change = {
-            file: `definition/tables/${paramTableName}.tmdl`,
+            file: this.getTableFilePath(paramTableName),
             type: 'field-parameter-nameof',
             description: `Update NAMEOF() reference in field parameter "${paramTableName}"`,
             oldContent: oldContent,
@@ -453,6 +1937,258 @@ class RefactoringEngine {
         this.previewChanges.push(change);
     }
 
+    /**
+     * Add hierarchy level change to preview ("column: <name>" inside level blocks)
+     * One change covers every level of the table that uses the column.
+     * @param {string} oldName - Old column name
+     * @param {string} newName - New column name
+     * @param {string} tableName - Table that owns the column and its hierarchies
+     * @param {Array<Object>} levelUsages - usedBy entries of type 'level'
+     */
+    async addHierarchyLevelColumnChange(oldName, newName, tableName, levelUsages) {
+        const levelNames = levelUsages.map(usage => usage.name).join(', ');
+
+        const change = {
+            file: this.getTableFilePath(tableName),
+            type: 'hierarchy-level-column',
+            description: `Update column of hierarchy level${levelUsages.length !== 1 ? 's' : ''} ${levelNames}`,
+            oldContent: `column: ${TMDLParser.quoteName(oldName)}`,
+            newContent: `column: ${TMDLParser.quoteName(newName)}`,
+            propertyName: 'column',
+            oldColumnName: oldName,
+            newColumnName: newName,
+            qualifierTable: null
+        };
+
+        this.previewChanges.push(change);
+    }
+
+    /**
+     * Add a perspective entry rename to preview
+     * @param {Object} usage - "perspective" usage from the renamed node (with perspectiveTable and entryKind)
+     * @param {string} oldName - Old table, column or measure name
+     * @param {string} newName - New name
+     */
+    addPerspectiveReferenceChange(usage, oldName, newName) {
+        const perspectiveNode = this.analyzer.dependencyGraph.nodes[usage.ref];
+        if (!perspectiveNode) return;
+
+        const keyword = `perspective${usage.entryKind.charAt(0).toUpperCase()}${usage.entryKind.slice(1)}`;
+        this.previewChanges.push({
+            file: this.getPerspectiveFilePath(perspectiveNode.fileName),
+            type: 'perspective-reference',
+            description: `Update ${usage.entryKind} entry in perspective "${usage.name}"`,
+            oldContent: `${keyword} ${TMDLParser.quoteName(oldName)}`,
+            newContent: `${keyword} ${TMDLParser.quoteName(newName)}`,
+            perspectiveName: usage.name,
+            perspectiveTable: usage.perspectiveTable,
+            entryKind: usage.entryKind,
+            oldName: oldName,
+            newName: newName
+        });
+    }
+
+    /**
+     * Rename a function declaration in functions.tmdl
+     * The file is parsed so that "function Foo" does not also match "function FooBar".
+     * @param {string} content - functions.tmdl content
+     * @param {string} oldName - Old function name
+     * @param {string} newName - New function name
+     * @returns {string} Updated content
+     */
+    rewriteFunctionDefinition(content, oldName, newName) {
+        const document = TMDLParser.parseDocument(content);
+        const lines = content.split('\n');
+
+        for (const node of TMDLParser.findNodes(document, 'function')) {
+            if (node.name !== oldName) continue;
+            const index = node.startLine - 1;
+            lines[index] = lines[index].replace(/^(\s*\w+\s+)(?:'(?:[^']|'')*'|[^\s=]+)/,
+                (match, prefix) => `${prefix}${TMDLParser.quoteName(newName)}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Add a culture file update to preview
+     * @param {Object} usage - "culture" usage from the renamed node (with translated and linguistic flags)
+     * @param {Object} rename - { kind: 'measure'|'column'|'table', table, oldName, newName }
+     */
+    addCultureReferenceChange(usage, rename) {
+        const cultureNode = this.analyzer.dependencyGraph.nodes[usage.ref];
+        if (!cultureNode) return;
+
+        const parts = [];
+        if (usage.translated) parts.push('translation');
+        if (usage.linguistic) parts.push('linguistic metadata');
+        const label = rename.kind === 'table' ? rename.oldName : `${rename.table}[${rename.oldName}]`;
+
+        this.previewChanges.push({
+            file: this.getCultureFilePath(cultureNode.fileName),
+            type: 'culture-reference',
+            description: `Update ${parts.join(' and ')} for ${label} in culture "${usage.name}"`,
+            oldContent: `${rename.kind} ${TMDLParser.quoteName(rename.oldName)}`,
+            newContent: `${rename.kind} ${TMDLParser.quoteName(rename.newName)}`,
+            cultureName: usage.name,
+            rename: rename
+        });
+    }
+
+    /**
+     * Rename an object in a culture TMDL file
+     * Rewrites the translation entry (columns and measures are matched under their table) and the
+     * ConceptualEntity / ConceptualProperty bindings of the embedded linguistic schema JSON. Q&A
+     * terms that Power BI generated from the old name (State "Generated") follow the rename; entity
+     * keys such as "sales.total_sales" are internal identifiers other schema entries point at and
+     * are kept. Only the changed strings are written, so the rest of the JSON keeps its layout.
+     * @param {string} content - Culture TMDL content
+     * @param {Object} rename - { kind, table, oldName, newName }
+     * @returns {string} Updated content
+     */
+    rewriteCulture(content, rename) {
+        const document = TMDLParser.parseDocument(content);
+        const lines = content.split('\n');
+
+        for (const tableNode of TMDLParser.findNodes(document, 'table')) {
+            if (tableNode.name !== rename.table) continue;
+
+            const entry = rename.kind === 'table'
+                ? tableNode
+                : tableNode.children.find(child => child.kind === rename.kind && child.name === rename.oldName);
+            if (!entry) continue;
+
+            const index = entry.startLine - 1;
+            lines[index] = lines[index].replace(/^(\s*\w+\s+)(?:'(?:[^']|'')*'|[^\s=]+)/,
+                (match, prefix) => `${prefix}${TMDLParser.quoteName(rename.newName)}`);
+        }
+
+        const linguisticNode = TMDLParser.findNodes(document, 'linguisticMetadata')[0];
+        if (!linguisticNode || !linguisticNode.expression || !linguisticNode.expressionStartLine) {
+            return lines.join('\n');
+        }
+
+        let schema;
+        try {
+            schema = JSON.parse(linguisticNode.expression);
+        } catch (error) {
+            console.warn(`  Linguistic metadata in culture is not valid JSON, bindings not updated: ${error.message}`);
+            return lines.join('\n');
+        }
+
+        let changed = false;
+        const keyRenames = [];
+        for (const [entityKey, entity] of Object.entries(schema.Entities || {})) {
+            const binding = entity?.Definition?.Binding;
+            if (!binding || binding.ConceptualEntity !== rename.table) continue;
+
+            if (rename.kind === 'table') {
+                binding.ConceptualEntity = rename.newName;
+                changed = true;
+            } else if (binding.ConceptualProperty === rename.oldName) {
+                binding.ConceptualProperty = rename.newName;
+                changed = true;
+            } else {
+                continue;
+            }
+
+            // Generated terms are the lower-cased object name
+            if (rename.kind === 'table' && binding.ConceptualProperty) continue;
+            const oldTerm = rename.oldName.toLowerCase();
+            const newTerm = rename.newName.toLowerCase();
+            const terms = Array.isArray(entity.Terms) ? entity.Terms : [];
+            if (terms.some(term => term && Object.prototype.hasOwnProperty.call(term, newTerm))) continue;
+            terms.forEach((term, termIndex) => {
+                if (term && term[oldTerm] && term[oldTerm].State === 'Generated') {
+                    keyRenames.push({ path: ['Entities', entityKey, 'Terms', termIndex, oldTerm], newKey: newTerm });
+                }
+            });
+        }
+
+        // Bindings outside Entities (e.g. relationship roles) name the table or property the same way
+        const walk = (value) => {
+            if (Array.isArray(value)) {
+                value.forEach(walk);
+            } else if (value && typeof value === 'object') {
+                if (value.ConceptualEntity === rename.table) {
+                    if (rename.kind === 'table') {
+                        value.ConceptualEntity = rename.newName;
+                        changed = true;
+                    } else if (value.ConceptualProperty === rename.oldName) {
+                        value.ConceptualProperty = rename.newName;
+                        changed = true;
+                    }
+                }
+                Object.values(value).forEach(walk);
+            }
+        };
+        walk(schema);
+
+        if (!changed) return lines.join('\n');
+
+        const start = linguisticNode.expressionStartLine - 1;
+        const end = linguisticNode.expressionEndLine - (linguisticNode.expressionFenced ? 2 : 1);
+        const json = lines.slice(start, end + 1).join('\n');
+        lines.splice(start, end - start + 1, ...this._patchJSONLikeOriginal(schema, json, keyRenames).split('\n'));
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Rename one entry of a perspective TMDL file
+     * The file is parsed again so only the entry under the right perspectiveTable changes
+     * (two tables can both have a column named e.g. "Amount").
+     * @param {string} content - Perspective TMDL content
+     * @param {Object} change - perspective-reference change
+     * @returns {string} Updated content
+     */
+    rewritePerspectiveEntry(content, change) {
+        const document = TMDLParser.parseDocument(content);
+        const lines = content.split('\n');
+        const keyword = change.oldContent.split(' ')[0];
+
+        for (const perspective of TMDLParser.findNodes(document, 'perspective')) {
+            if (perspective.name !== change.perspectiveName) continue;
+
+            for (const tableNode of perspective.children.filter(child => child.kind === 'perspectiveTable')) {
+                if (tableNode.name !== change.perspectiveTable) continue;
+
+                const entry = change.entryKind === 'table'
+                    ? tableNode
+                    : tableNode.children.find(child => child.kind === keyword && child.name === change.oldName);
+                if (!entry) continue;
+
+                const index = entry.startLine - 1;
+                lines[index] = lines[index].replace(/^(\s*\w+\s+)(?:'(?:[^']|'')*'|[^\s=]+)/,
+                    (match, prefix) => `${prefix}${TMDLParser.quoteName(change.newName)}`);
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Replace a column-valued TMDL property (level "column:", "sortByColumn:", "groupByColumn:",
+     * variation "defaultColumn:") in a table TMDL file.
+     * Matches whole lines so that e.g. renaming "Month" leaves "column: 'Month Name'" alone.
+     * @param {string} content - Table TMDL content
+     * @param {string} propertyName - Property name, e.g. "sortByColumn"
+     * @param {string} oldName - Old column name
+     * @param {string} newName - New column name
+     * @param {string|null} qualifierTable - Table prefix of Table.Column values (null for bare column names)
+     * @returns {string} Updated content
+     */
+    replaceColumnPropertyInTMDL(content, propertyName, oldName, newName, qualifierTable = null) {
+        const namePattern = (name) => {
+            const quoted = `'${name.replace(/'/g, "''")}'`;
+            return `(?:${this.escapeRegex(quoted)}|${this.escapeRegex(name)})`;
+        };
+        const qualifierPattern = qualifierTable ? `${namePattern(qualifierTable)}[ \\t]*\\.[ \\t]*` : '';
+        const pattern = new RegExp(
+            `^([ \\t]*${propertyName}[ \\t]*:[ \\t]*${qualifierPattern})${namePattern(oldName)}([ \\t]*\\r?)$`, 'gm');
+        return content.replace(pattern, (match, prefix, suffix) => `${prefix}${TMDLParser.quoteName(newName)}${suffix}`);
+    }
+
     /**
      * Add relationship change to preview
      */
@@ -468,48 +2204,343 @@ class RefactoringEngine {
         this.previewChanges.push(change);
     }
 
+    /**
+     * Delete a relationship block, or rewrite its fromColumn/toColumn, in relationships.tmdl
+     * The block is located by parsing the current file, so properties, annotations and
+     * "///" descriptions are removed with it.
+     * @param {string} content - Current relationships.tmdl content
+     * @param {Object} change - A 'relationship-delete' or 'relationship-columns' change
+     * @returns {string} Updated content
+     */
+    rewriteRelationship(content, change) {
+        const document = TMDLParser.parseDocument(content);
+        const node = TMDLParser.findNodes(document, 'relationship').find(n => n.name === change.relationshipName);
+        if (!node) return content;
+
+        const lines = content.split('\n');
+
+        if (change.type === 'relationship-delete') {
+            let first = node.startLine - 1;
+            while (first > 0 && lines[first - 1].trim().startsWith('///')) first--;
+
+            let last = node.endLine - 1;
+            let next = last + 1;
+            while (next < lines.length && lines[next].trim() === '') next++;
+            if (next < lines.length) {
+                // Another object follows: drop the blank separator after this block
+                last = next - 1;
+            } else {
+                // Last object in the file: drop the separator before it instead
+                while (first > 0 && lines[first - 1].trim() === '') first--;
+            }
+
+            lines.splice(first, last - first + 1);
+            return lines.join('\n');
+        }
+
+        for (let i = node.startLine; i < node.endLine; i++) {
+            const match = lines[i].match(/^(\s*)(fromColumn|toColumn)(\s*:\s*)(.*?)(\r?)$/);
+            if (!match) continue;
+            const value = match[2] === 'fromColumn' ? change.fromColumn : change.toColumn;
+            lines[i] = `${match[1]}${match[2]}${match[3]}${value}${match[5]}`;
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Remove a measure or column block from a table .tmdl file
+     * Child properties and annotations are part of the block; "///" descriptions above it
+     * and the blank line that separated it from the next object go with it.
+     * @param {string} content - Current table file content
+     * @param {Object} change - An 'object-delete' change
+     * @returns {string} Updated content
+     */
+    removeTMDLObject(content, change) {
+        const range = this._findTMDLObjectRange(content, change.objectKind, change.objectName);
+        if (!range) return content;
+
+        const lines = range.lines;
+        let last = range.last;
+        while (last + 1 < lines.length && lines[last + 1].trim() === '') last++;
+
+        lines.splice(range.first, last - range.first + 1);
+        return lines.join('\n');
+    }
+
+    /**
+     * Insert a moved measure block into the destination table .tmdl file
+     * The block goes after the table's last measure, or before its first child object
+     * (columns, partitions...) when the table has no measures yet.
+     * @param {string} content - Current table file content
+     * @param {Object} change - A 'measure-move-in' change
+     * @returns {string} Updated content
+     */
+    insertTMDLObject(content, change) {
+        const document = TMDLParser.parseDocument(content);
+        const table = TMDLParser.findNodes(document, 'table')[0];
+        if (!table) return content;
+
+        const lines = content.split('\n');
+        const lineEnding = content.includes('\r\n') ? '\r' : '';
+        const block = change.block.split('\n').map(line => line.replace(/\r$/, '') + lineEnding);
+
+        const measures = table.children.filter(child => child.kind === 'measure');
+        if (measures.length > 0) {
+            const last = measures[measures.length - 1].endLine;
+            lines.splice(last, 0, lineEnding, ...block);
+        } else if (table.children.length > 0) {
+            let first = table.children[0].startLine - 1;
+            while (first > 0 && lines[first - 1].trim().startsWith('///')) first--;
+            lines.splice(first, 0, ...block, lineEnding);
+        } else {
+            lines.splice(table.endLine, 0, lineEnding, ...block);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Lines of a TMDL object: from its first "///" description line to its last child line
+     * @param {string} content - TMDL file content
+     * @param {string} kind - Object keyword, e.g. 'measure' or 'column'
+     * @param {string} name - Object name
+     * @returns {Object|null} { lines, first, last } with 0-based, inclusive line indexes
+     * @private
+     */
+    _findTMDLObjectRange(content, kind, name) {
+        const document = TMDLParser.parseDocument(content);
+        const node = TMDLParser.findNodes(document, kind).find(n => n.name === name);
+        if (!node) return null;
+
+        const lines = content.split('\n');
+        let first = node.startLine - 1;
+        while (first > 0 && lines[first - 1].trim().startsWith('///')) first--;
+
+        return { lines, first, last: node.endLine - 1 };
+    }
+
+    /**
+     * Remove a sortByColumn (or other single-line column property) that points at a deleted column
+     * @param {string} content - Current table file content
+     * @param {Object} change - A 'column-property-removal' change
+     * @returns {string} Updated content
+     */
+    removeColumnProperty(content, change) {
+        const document = TMDLParser.parseDocument(content);
+        const column = TMDLParser.findNodes(document, 'column').find(n => n.name === change.columnName);
+        if (!column) return content;
+
+        const lines = content.split('\n');
+        const quoted = `'${change.targetColumn.replace(/'/g, "''")}'`;
+        const pattern = new RegExp(`^[ \\t]*${change.propertyName}[ \\t]*:[ \\t]*(?:${this.escapeRegex(quoted)}|${this.escapeRegex(change.targetColumn)})[ \\t]*\\r?$`);
+
+        for (let i = column.startLine; i < column.endLine; i++) {
+            if (pattern.test(lines[i])) {
+                lines.splice(i, 1);
+                break;
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Remove a perspective entry or a culture translation entry of a deleted object
+     * @param {string} content - Perspective or culture TMDL content
+     * @param {Object} change - A 'perspective-entry-removal' or 'culture-translation-removal' change
+     * @returns {string} Updated content
+     */
+    removeEntryFromTMDL(content, change) {
+        const document = TMDLParser.parseDocument(content);
+        let entry = null;
+
+        if (change.type === 'perspective-entry-removal') {
+            const keyword = change.oldContent.split(' ')[0];
+            const perspective = TMDLParser.findNodes(document, 'perspective').find(n => n.name === change.perspectiveName);
+            const tableNode = perspective && perspective.children.find(child =>
+                child.kind === 'perspectiveTable' && child.name === change.perspectiveTable);
+            entry = tableNode && tableNode.children.find(child => child.kind === keyword && child.name === change.oldName);
+        } else {
+            const tableNode = TMDLParser.findNodes(document, 'table').find(n => n.name === change.translationTable);
+            entry = tableNode && tableNode.children.find(child =>
+                child.kind === change.objectKind && child.name === change.objectName);
+        }
+        if (!entry) return content;
+
+        const lines = content.split('\n');
+        let first = entry.startLine - 1;
+        while (first > 0 && lines[first - 1].trim().startsWith('///')) first--;
+        let last = entry.endLine - 1;
+        while (last + 1 < lines.length && lines[last + 1].trim() === '') last++;
+
+        lines.splice(first, last - first + 1);
+        return lines.join('\n');
+    }
+
+    /**
+     * Remove a deleted field from a PBIR visual.json, page.json or report.json
+     * Drops the projections, sort entries and filters whose field is the measure or column;
+     * a query role left without projections is removed.
+     * @param {string} content - Current JSON file content
+     * @param {Object} change - A 'report-field-removal' change
+     * @returns {string} Updated content
+     */
+    removeFieldFromReportJSON(content, change) {
+        const data = JSON.parse(content);
+        let removed = 0;
+
+        const prune = (items) => {
+            if (!Array.isArray(items)) return items;
+            const kept = items.filter(item => !this._isFieldReference(item && item.field, change.field));
+            removed += items.length - kept.length;
+            return kept;
+        };
+
+        const query = data.visual?.query;
+        if (query?.queryState) {
+            for (const [role, state] of Object.entries(query.queryState)) {
+                if (!state || !Array.isArray(state.projections)) continue;
+                state.projections = prune(state.projections);
+                if (state.projections.length === 0) delete query.queryState[role];
+            }
+        }
+        if (Array.isArray(query?.sortDefinition?.sort)) {
+            query.sortDefinition.sort = prune(query.sortDefinition.sort);
+            if (query.sortDefinition.sort.length === 0) delete query.sortDefinition;
+        }
+        if (Array.isArray(data.filterConfig?.filters)) {
+            data.filterConfig.filters = prune(data.filterConfig.filters);
+        }
+
+        return removed > 0 ? this._stringifyLikeOriginal(data, content) : content;
+    }
+
+    /**
+     * Whether a PBIR field expression points at a measure or column (aggregated columns included)
+     * @private
+     */
+    _isFieldReference(fieldExpression, field) {
+        if (!fieldExpression) return false;
+        const expression = fieldExpression.Aggregation?.Expression || fieldExpression;
+        const reference = field.kind === 'measure' ? expression.Measure : expression.Column;
+        return !!reference &&
+            reference.Property === field.name &&
+            reference.Expression?.SourceRef?.Entity === field.table;
+    }
+
+    /**
+     * Point Table[Measure] references to a moved measure at its new home table
+     * Unqualified [Measure] references keep working after a move and are left alone.
+     * @param {string} dax - The DAX expression
+     * @param {string} measureName - Moved measure
+     * @param {string} oldTableName - Table the measure is moved out of
+     * @param {string} newTableName - Table the measure is moved into
+     * @returns {string} Updated expression
+     */
+    replaceMeasureTableInDAX(dax, measureName, oldTableName, newTableName) {
+        const { references } = DAXParser.extractReferences(dax);
+        const edits = references
+            .filter(ref => ref.kind === 'column' && this._sameName(ref.table, oldTableName) && this._sameName(ref.name, measureName))
+            .map(ref => ({ start: ref.tableStart, end: ref.tableEnd, text: DAXParser.quoteTableName(newTableName) }));
+        return this._applyDAXEdits(dax, edits);
+    }
+
     /**
      * Replace measure reference in DAX expression
-     * DAX is case-insensitive, so we use case-insensitive matching
+     * Uses DAX tokens so strings, comments and similarly named identifiers are left alone.
+     * DAX is case-insensitive, so names are compared case-insensitively.
+     * A qualified Table[OldName] is only a measure reference when Table is the measure's home
+     * table; elsewhere it is a column that happens to share the name (e.g. Sales[Amount]).
+     * @param {string} dax - The DAX expression
+     * @param {string} oldName - Current measure name
+     * @param {string} newName - New measure name
+     * @param {string|null} measureTableName - Home table of the measure, looked up in the graph when omitted
      */
-    replaceMeasureInDAX(dax, oldName, newName) {
-        // Replace [OldName] with [NewName] - case insensitive
-        const pattern = new RegExp(`\\[${this.escapeRegex(oldName)}\\]`, 'gi');
-        return dax.replace(pattern, `[${newName}]`);
+    replaceMeasureInDAX(dax, oldName, newName, measureTableName = null) {
+        const homeTable = measureTableName || this.analyzer.dependencyGraph?.nodes[`Measure.${oldName}`]?.tableName || null;
+        const { references } = DAXParser.extractReferences(dax);
+        const edits = [];
+
+        for (const ref of references) {
+            if (!this._sameName(ref.name, oldName)) continue;
+            const isMeasureReference = ref.kind === 'bracket' ||
+                (ref.kind === 'column' && homeTable && this._sameName(ref.table, homeTable));
+            if (isMeasureReference) {
+                edits.push({ start: ref.nameStart, end: ref.nameEnd, text: DAXParser.quoteBracketName(newName) });
+            }
+        }
+
+        return this._applyDAXEdits(dax, edits);
     }
 
     /**
      * Replace column reference in DAX expression
-     * Handles multiple formats: Table[Column], 'Table'[Column], 'Table Name'[Column]
+     * Handles Table[Column], 'Table Name'[Column] and escaped quotes/brackets. An unqualified
+     * [Column] is renamed only when no measure has that name and it resolves to the column's
+     * table: the innermost iterator's row context (SUMX(Sales, [Qty])), or the expression's home
+     * table outside any iterator. Other unqualified references are left alone and listed in
+     * previewWarnings.
      */
-    replaceColumnInDAX(dax, tableName, oldColumnName, newColumnName) {
-        let result = dax;
+    replaceColumnInDAX(dax, tableName, oldColumnName, newColumnName, homeTableName = null) {
+        const { references } = DAXParser.extractReferences(dax);
+        const isMeasureName = Boolean(this.analyzer.dependencyGraph.nodes[`Measure.${oldColumnName}`]);
+        const edits = [];
 
-        // Pattern 1: Unquoted table name - TableName[Column]
-        const pattern1 = new RegExp(
-            `${this.escapeRegex(tableName)}\\[${this.escapeRegex(oldColumnName)}\\]`,
-            'gi'
-        );
-        result = result.replace(pattern1, `${tableName}[${newColumnName}]`);
+        for (const ref of references) {
+            if (!this._sameName(ref.name, oldColumnName)) continue;
 
-        // Pattern 2: Single-quoted table name - 'Table Name'[Column]
-        const pattern2 = new RegExp(
-            `'${this.escapeRegex(tableName)}'\\[${this.escapeRegex(oldColumnName)}\\]`,
-            'gi'
-        );
-        result = result.replace(pattern2, `'${tableName}'[${newColumnName}]`);
-
-        // Pattern 3: Table name might have spaces, need quotes - handle existing quoted refs
-        // This catches cases where the table name in the DAX has different quoting than stored
-        const escapedTable = this.escapeRegex(tableName);
-        const pattern3 = new RegExp(
-            `(['"]?)${escapedTable}\\1\\[${this.escapeRegex(oldColumnName)}\\]`,
-            'gi'
-        );
-        result = result.replace(pattern3, (match, quote) => {
-            return `${quote}${tableName}${quote}[${newColumnName}]`;
-        });
+            if (ref.kind === 'column' && this._sameName(ref.table, tableName)) {
+                edits.push({ start: ref.nameStart, end: ref.nameEnd, text: DAXParser.quoteBracketName(newColumnName) });
+                continue;
+            }
+            if (ref.kind !== 'bracket' || isMeasureName) continue;
+
+            const rowContext = DAXParser.findRowContext(dax, ref.nameStart);
+            const contextTable = rowContext ? rowContext.table : homeTableName;
+            if (this._sameName(contextTable, tableName)) {
+                edits.push({ start: ref.nameStart, end: ref.nameEnd, text: DAXParser.quoteBracketName(newColumnName) });
+                continue;
+            }
+
+            const qualified = `${DAXParser.quoteTableName(tableName)}${DAXParser.quoteBracketName(oldColumnName)}`;
+            let location;
+            if (rowContext) {
+                const call = dax.substring(rowContext.start, rowContext.end).replace(/\s+/g, ' ');
+                const context = rowContext.table ? `its row context is '${rowContext.table}'` : 'its row-context table could not be determined';
+                location = `${call.length > 80 ? call.substring(0, 77) + '...' : call}: ${context}`;
+            } else {
+                location = `an expression outside any row context over '${tableName}'`;
+            }
+            const warning = `Left unqualified ${DAXParser.quoteBracketName(oldColumnName)} unchanged in ${location}; ` +
+                `write it as ${qualified} by hand if it means the renamed column`;
+            if (!this.previewWarnings.includes(warning)) this.previewWarnings.push(warning);
+        }
+
+        return this._applyDAXEdits(dax, edits);
+    }
+
+    /**
+     * Compare DAX object names (case-insensitive)
+     * @private
+     */
+    _sameName(a, b) {
+        return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+    }
 
+    /**
+     * Apply character-offset edits to a DAX expression
+     * @private
+     * @param {string} dax - Original expression
+     * @param {Array<{start: number, end: number, text: string}>} edits - Non-overlapping edits
+     * @returns {string} Updated expression
+     */
+    _applyDAXEdits(dax, edits) {
+        let result = dax;
+        const sorted = [...edits].sort((a, b) => b.start - a.start);
+        for (const edit of sorted) {
+            result = result.substring(0, edit.start) + edit.text + result.substring(edit.end);
+        }
         return result;
     }
 
@@ -613,16 +2644,22 @@ class RefactoringEngine {
      * @returns {Promise<FileHandle>}
      */
     async getFileHandleFromPath(filePath) {
-        const parts = filePath.split('/');
+        let parts = filePath.split('/');
 
         // Determine if this is a semantic model file or report file
-        // Report files have paths like "definition/pages/..."
+        // Report files have paths like "definition/pages/..." (or "report.json" for PBIR-Legacy),
+        // prefixed with "<name>.Report/" when several reports are loaded
         // Semantic model files have paths like "definition/tables/..." or "definition/relationships.tmdl"
-        const isReportFile = filePath.includes('/pages/');
+        const isReportFile = this.isReportFilePath(filePath);
+        const prefixedReportHandle = this._getReportHandleForPath(filePath);
 
         let currentHandle = isReportFile
             ? this.fileAccess.reportHandle
             : this.fileAccess.semanticModelHandle;
+        if (prefixedReportHandle) {
+            currentHandle = prefixedReportHandle;
+            parts = parts.slice(1);
+        }
 
         if (!currentHandle) {
             throw new Error(`No ${isReportFile ? 'report' : 'semantic model'} handle available`);
@@ -638,6 +2675,30 @@ class RefactoringEngine {
         return await currentHandle.getFileHandle(fileName);
     }
 
+    /**
+     * Check whether a relative path belongs to the report folder
+     * @param {string} filePath - Relative path
+     * @returns {boolean} True for PBIR page/visual/bookmark files, report.json and reportExtensions.json, and the PBIR-Legacy report.json
+     */
+    isReportFilePath(filePath) {
+        if (this._getReportHandleForPath(filePath)) return true;
+        return filePath.includes('/pages/') || filePath.startsWith('definition/bookmarks/') ||
+            filePath === 'definition/report.json' || filePath === 'definition/reportExtensions.json' ||
+            filePath === 'report.json';
+    }
+
+    /**
+     * Find the loaded report folder a "<name>.Report/..." path starts with
+     * @param {string} filePath - Path of a change
+     * @returns {DirectoryHandle|null}
+     * @private
+     */
+    _getReportHandleForPath(filePath) {
+        const reportHandles = this.fileAccess?.getReportHandles ? this.fileAccess.getReportHandles() : [];
+        const firstPart = filePath.split('/')[0];
+        return reportHandles.find(handle => handle.name === firstPart) || null;
+    }
+
     /**
      * Create backup of file content before modification
      * @param {string} filePath
@@ -784,16 +2845,127 @@ class RefactoringEngine {
             // 4. Apply all changes to this file
             for (const change of changes) {
                 // For DAX changes, use the full content stored during preview
-                if (change.type === 'measure-dax-reference' || change.type === 'column-dax-reference' || change.type === 'table-dax-reference') {
+                if (change.type === 'measure-dax-reference' || change.type === 'column-dax-reference' ||
+                    change.type === 'table-dax-reference' || change.type === 'function-dax-reference' ||
+                    change.type === 'relationship-dax-reference') {
                     // Use full content for DAX replacements (oldContent/newContent are truncated for display)
                     if (change.fullOldContent && change.fullNewContent) {
                         if (content.includes(change.fullOldContent)) {
                             content = content.replace(change.fullOldContent, change.fullNewContent);
                             console.log(`  Applied: ${change.description}`);
                         } else {
-                            console.warn(`  DAX pattern not found for: ${change.affectedMeasureName}`);
+                            console.warn(`  DAX pattern not found for: ${change.affectedMeasureName || change.affectedObjectName}`);
                         }
                     }
+                } else if (change.type === 'hierarchy-level-column' || change.type === 'column-property-reference') {
+                    const updated = this.replaceColumnPropertyInTMDL(content, change.propertyName,
+                        change.oldColumnName, change.newColumnName, change.qualifierTable);
+                    if (updated !== content) {
+                        content = updated;
+                        console.log(`  Applied: ${change.description}`);
+                    } else {
+                        console.warn(`  Pattern not found: ${change.oldContent}`);
+                    }
+                } else if (change.type === 'report-measure-reference') {
+                    // Report-level measure expressions are JSON strings; rewrite them structurally
+                    const updated = this.rewriteReportExtensions(content, change);
+                    if (updated !== content) {
+                        content = updated;
+                        console.log(`  Applied: ${change.description}`);
+                    } else {
+                        console.warn(`  No matching report measure found for: ${change.measureName || change.rename.oldName}`);
+                    }
+                } else if (change.type === 'perspective-reference') {
+                    // Entries are scoped by their perspectiveTable; rewrite the matching entry only
+                    const updated = this.rewritePerspectiveEntry(content, change);
+                    if (updated !== content) {
+                        content = updated;
+                        console.log(`  Applied: ${change.description}`);
+                    } else {
+                        console.warn(`  Perspective entry not found: ${change.oldContent}`);
+                    }
+                } else if (change.type === 'function-definition') {
+                    const updated = this.rewriteFunctionDefinition(content, change.oldName, change.newName);
+                    if (updated !== content) {
+                        content = updated;
+                        console.log(`  Applied: ${change.description}`);
+                    } else {
+                        console.warn(`  Function declaration not found: ${change.oldContent}`);
+                    }
+                } else if (change.type === 'object-delete') {
+                    const updated = this.removeTMDLObject(content, change);
+                    if (updated !== content) {
+                        content = updated;
+                        console.log(`  Applied: ${change.description}`);
+                    } else {
+                        console.warn(`  ${change.objectKind} not found: ${change.objectName}`);
+                    }
+                } else if (change.type === 'measure-move-in') {
+                    const updated = this.insertTMDLObject(content, change);
+                    if (updated !== content) {
+                        content = updated;
+                        console.log(`  Applied: ${change.description}`);
+                    } else {
+                        console.warn(`  Table declaration not found in ${filePath}`);
+                    }
+                } else if (change.type === 'measure-move-reference') {
+                    const updated = this.rewriteMovedMeasureReferences(content, change);
+                    if (updated !== content) {
+                        content = updated;
+                        console.log(`  Applied: ${change.description}`);
+                    } else {
+                        console.warn(`  No references found for: ${change.oldContent}`);
+                    }
+                } else if (change.type === 'column-property-removal') {
+                    const updated = this.removeColumnProperty(content, change);
+                    if (updated !== content) {
+                        content = updated;
+                        console.log(`  Applied: ${change.description}`);
+                    } else {
+                        console.warn(`  ${change.propertyName} not found on column ${change.columnName}`);
+                    }
+                } else if (change.type === 'perspective-entry-removal' || change.type === 'culture-translation-removal') {
+                    const updated = this.removeEntryFromTMDL(content, change);
+                    if (updated !== content) {
+                        content = updated;
+                        console.log(`  Applied: ${change.description}`);
+                    } else {
+                        console.warn(`  Entry not found: ${change.oldContent}`);
+                    }
+                } else if (change.type === 'report-field-removal') {
+                    const updated = this.removeFieldFromReportJSON(content, change);
+                    if (updated !== content) {
+                        content = updated;
+                        console.log(`  Applied: ${change.description}`);
+                    } else {
+                        console.warn(`  Field not found: ${change.oldContent}`);
+                    }
+                } else if (change.type === 'relationship-delete' || change.type === 'relationship-columns') {
+                    const updated = this.rewriteRelationship(content, change);
+                    if (updated !== content) {
+                        content = updated;
+                        console.log(`  Applied: ${change.description}`);
+                    } else {
+                        console.warn(`  Relationship not found: ${change.relationshipName}`);
+                    }
+                } else if (change.type === 'culture-reference') {
+                    // Translations are scoped by table and the linguistic schema is JSON; rewrite both structurally
+                    const updated = this.rewriteCulture(content, change.rename);
+                    if (updated !== content) {
+                        content = updated;
+                        console.log(`  Applied: ${change.description}`);
+                    } else {
+                        console.warn(`  No culture references found for: ${change.oldContent}`);
+                    }
+                } else if (change.type === 'legacy-report-reference') {
+                    // report.json embeds visual configs as JSON strings; rewrite them structurally
+                    const updated = this.rewriteLegacyReport(content, change.rename);
+                    if (updated !== content) {
+                        content = updated;
+                        console.log(`  Applied: ${change.description}`);
+                    } else {
+                        console.warn(`  No references found in report.json for: ${change.rename.oldName}`);
+                    }
                 } else {
                     // Simple string replacement for definitions and visual references
                     if (content.includes(change.oldContent)) {
@@ -841,9 +3013,9 @@ class RefactoringEngine {
     }
 
     /**
-     * Validate a new name for measures or columns
+     * Validate a new name for measures, columns, tables or functions
      * @param {string} newName - The proposed new name
-     * @param {string} nodeType - "measure" or "column"
+     * @param {string} nodeType - "measure", "column", "table" or "function"
      * @returns {Object} Validation result with valid flag and issues array
      */
     validateNewName(newName, nodeType) {
@@ -889,6 +3061,11 @@ class RefactoringEngine {
             issues.push('Name contains invalid characters: [ ] { } \' " \\ / or line breaks');
         }
 
+        // Function names are called unquoted in DAX, so they must read as a single identifier
+        if (nodeType === 'function' && !/^[\p{L}_][\p{L}\p{N}_.]*$/u.test(trimmedName)) {
+            issues.push('Function names may only contain letters, digits, underscores and periods, and cannot start with a digit');
+        }
+
         // Check for leading/trailing spaces
         if (newName !== trimmedName) {
             warnings.push('Name has leading or trailing spaces which will be trimmed');
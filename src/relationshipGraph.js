@@ -0,0 +1,277 @@
+/**
+ * Relationship Graph Module
+ * Models the table graph formed by the semantic model's relationships: which way filters
+ * propagate, the paths a filter takes between two tables, ambiguous paths (usually created
+ * by bidirectional relationships) and inactive relationships activated with USERELATIONSHIP.
+ */
+
+class RelationshipGraph {
+    /**
+     * @param {Array<Object>} relationships - Parsed relationships (TMDLParser.parseRelationshipsTMDL)
+     */
+    constructor(relationships = []) {
+        this.relationships = relationships;
+        this.tables = new Set();
+        this.edges = []; // { from, to, relationship, direction } - a filter on "from" reaches "to"
+
+        for (const rel of relationships) {
+            if (!rel.fromTable || !rel.toTable) continue;
+            this.tables.add(rel.fromTable);
+            this.tables.add(rel.toTable);
+            this.edges.push(...RelationshipGraph.getFilterEdges(rel));
+        }
+    }
+
+    /**
+     * Directions in which a relationship propagates filters
+     * In TMDL the "from" column is the many side, so filters flow from the "to" table to the
+     * "from" table; bidirectional and one-to-one relationships also flow back.
+     * @param {Object} rel - Parsed relationship
+     * @returns {Array<Object>} Filter edges { from, to, relationship, direction: 'forward'|'backward' }
+     */
+    static getFilterEdges(rel) {
+        const edges = [{ from: rel.toTable, to: rel.fromTable, relationship: rel, direction: 'forward' }];
+        if (RelationshipGraph.isBidirectional(rel)) {
+            edges.push({ from: rel.fromTable, to: rel.toTable, relationship: rel, direction: 'backward' });
+        }
+        return edges;
+    }
+
+    /**
+     * Whether filters flow both ways through a relationship
+     * @param {Object} rel - Parsed relationship
+     * @returns {boolean}
+     */
+    static isBidirectional(rel) {
+        const fromCardinality = rel.fromCardinality || 'many';
+        const toCardinality = rel.toCardinality || 'one';
+        return rel.crossFilteringBehavior === 'bothDirections' ||
+            (fromCardinality === 'one' && toCardinality === 'one');
+    }
+
+    /**
+     * Short label for a relationship, e.g. "Sales[ShipDate] → Date[Date]"
+     * @param {Object} rel - Parsed relationship
+     * @returns {string}
+     */
+    static describe(rel) {
+        return `${rel.fromTable}[${rel.fromColumn}] → ${rel.toTable}[${rel.toColumn}]`;
+    }
+
+    /**
+     * Find the relationship between two columns (in either order)
+     * @param {Object} columnA - { table, column }
+     * @param {Object} columnB - { table, column }
+     * @returns {Object|null} Parsed relationship or null
+     */
+    findRelationship(columnA, columnB) {
+        const same = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+        const matches = (rel, first, second) =>
+            same(rel.fromTable, first.table) && same(rel.fromColumn, first.column) &&
+            same(rel.toTable, second.table) && same(rel.toColumn, second.column);
+
+        return this.relationships.find(rel => matches(rel, columnA, columnB) || matches(rel, columnB, columnA)) || null;
+    }
+
+    /**
+     * Relationships that start or end at a table
+     * @param {string} tableName
+     * @returns {Array<Object>}
+     */
+    getRelationshipsForTable(tableName) {
+        return this.relationships.filter(rel => rel.fromTable === tableName || rel.toTable === tableName);
+    }
+
+    /**
+     * Relationships that do not propagate filters unless a measure activates them
+     * @returns {Array<Object>}
+     */
+    getInactiveRelationships() {
+        return this.relationships.filter(rel => rel.isActive === false);
+    }
+
+    /**
+     * Enumerate the paths a filter on one table takes to reach another
+     * @param {string} sourceTable - Table the filter is applied to
+     * @param {string} targetTable - Table that should be filtered
+     * @param {Object} options - { includeInactive: false, activate: [relationship names], exclude: [relationship names],
+     *   maxDepth: 8, maxPaths: 20 }
+     * @returns {Array<Object>} Paths as { tables: [name], steps: [{ from, to, relationship, direction }], bidirectional }
+     */
+    getFilterPaths(sourceTable, targetTable, options = {}) {
+        const maxDepth = options.maxDepth || 8;
+        const maxPaths = options.maxPaths || 20;
+        const edges = this._usableEdges(options);
+        const paths = [];
+
+        const walk = (table, visited, steps) => {
+            if (paths.length >= maxPaths) return;
+            if (table === targetTable && steps.length > 0) {
+                paths.push(RelationshipGraph._toPath(sourceTable, steps));
+                return;
+            }
+            if (steps.length >= maxDepth) return;
+
+            for (const edge of edges) {
+                if (edge.from !== table || visited.has(edge.to)) continue;
+                visited.add(edge.to);
+                steps.push(edge);
+                walk(edge.to, visited, steps);
+                steps.pop();
+                visited.delete(edge.to);
+            }
+        };
+
+        if (sourceTable !== targetTable) {
+            walk(sourceTable, new Set([sourceTable]), []);
+        }
+
+        return paths;
+    }
+
+    /**
+     * Find table pairs that a filter can reach through more than one active path
+     * Power BI resolves such ambiguity silently, so results depend on which path it picks.
+     * @param {Object} options - { maxDepth: 6, maxPaths: 5 } limits for the path enumeration
+     * @returns {Array<Object>} { fromTable, toTable, paths, bidirectionalRelationships }
+     */
+    findAmbiguousPaths(options = {}) {
+        const maxDepth = options.maxDepth || 6;
+        const maxPaths = options.maxPaths || 5;
+        const ambiguities = [];
+
+        for (const source of Array.from(this.tables).sort()) {
+            for (const target of this._reachableTables(source)) {
+                const paths = this.getFilterPaths(source, target, { maxDepth, maxPaths });
+                if (paths.length < 2) continue;
+
+                const bidirectional = new Map();
+                for (const path of paths) {
+                    for (const step of path.steps) {
+                        const rel = this.relationships.find(r => r.name === step.relationship);
+                        if (rel && RelationshipGraph.isBidirectional(rel)) {
+                            bidirectional.set(rel.name, rel);
+                        }
+                    }
+                }
+
+                ambiguities.push({
+                    fromTable: source,
+                    toTable: target,
+                    paths: paths,
+                    bidirectionalRelationships: Array.from(bidirectional.values())
+                });
+            }
+        }
+
+        return ambiguities;
+    }
+
+    /**
+     * Find the measures that activate or change relationships through USERELATIONSHIP or CROSSFILTER
+     * @param {Array<Object>} measures - Objects with name and dax (model or report-level measures)
+     * @returns {Array<Object>} { relationship, function, measureName, reportName } per call that matches a relationship
+     */
+    findRelationshipFunctionUsage(measures) {
+        const usages = [];
+
+        for (const measure of measures) {
+            for (const call of DAXParser.extractRelationshipFunctionCalls(measure.dax || '')) {
+                const relationship = this.findRelationship(call.columns[0], call.columns[1]);
+                if (!relationship) continue;
+
+                usages.push({
+                    relationship: relationship,
+                    function: call.function,
+                    direction: call.direction,
+                    measureName: measure.name,
+                    reportName: measure.reportName || null
+                });
+            }
+        }
+
+        return usages;
+    }
+
+    /**
+     * Table pairs that would no longer be connected by any active filter path without some relationships
+     * @param {Array<Object>} relationships - Parsed relationships being removed
+     * @returns {Array<Object>} { fromTable, toTable }
+     */
+    findLostFilterPaths(relationships) {
+        const exclude = relationships.map(rel => rel.name);
+        const lost = [];
+
+        for (const source of Array.from(this.tables).sort()) {
+            const before = this._reachableTables(source);
+            const after = this._reachableTables(source, { exclude });
+            for (const target of before) {
+                if (!after.has(target)) {
+                    lost.push({ fromTable: source, toTable: target });
+                }
+            }
+        }
+
+        return lost;
+    }
+
+    /**
+     * Filter edges that take part in propagation for the given options
+     * @private
+     */
+    _usableEdges(options = {}) {
+        const activate = new Set(options.activate || []);
+        const exclude = new Set(options.exclude || []);
+
+        return this.edges.filter(edge => {
+            const rel = edge.relationship;
+            if (exclude.has(rel.name)) return false;
+            return rel.isActive !== false || options.includeInactive || activate.has(rel.name);
+        });
+    }
+
+    /**
+     * Tables a filter on the source reaches through active relationships
+     * @private
+     * @returns {Set<string>}
+     */
+    _reachableTables(sourceTable, options = {}) {
+        const edges = this._usableEdges(options);
+        const reached = new Set();
+        const queue = [sourceTable];
+
+        while (queue.length > 0) {
+            const table = queue.shift();
+            for (const edge of edges) {
+                if (edge.from !== table || edge.to === sourceTable || reached.has(edge.to)) continue;
+                reached.add(edge.to);
+                queue.push(edge.to);
+            }
+        }
+
+        return reached;
+    }
+
+    /**
+     * Build a path result from the edges walked
+     * @private
+     */
+    static _toPath(sourceTable, steps) {
+        return {
+            tables: [sourceTable, ...steps.map(step => step.to)],
+            steps: steps.map(step => ({
+                from: step.from,
+                to: step.to,
+                relationship: step.relationship.name,
+                label: RelationshipGraph.describe(step.relationship),
+                direction: step.direction
+            })),
+            bidirectional: steps.some(step => RelationshipGraph.isBidirectional(step.relationship))
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RelationshipGraph;
+}